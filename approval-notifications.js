@@ -0,0 +1,223 @@
+// approval-notifications.js
+// إشعار المدير المباشر بالطلبات "قيد الانتظار" + تذكير بعد N يوم + تصعيد لإدارة الموارد البشرية
+// حالة الإشعار تُحفظ على الطلب في حقل "إشعار المدير" بصيغة: notified=2026-03-01; reminded=2026-03-03; escalated=2026-03-06
+// وكل إرسال يمر عبر سجل الإرسال (send-ledger.js) حتى لا يتكرر الإشعار إذا فشلت كتابة الحقل
+
+const { readStatusName, readText, readRelationIds } = require('./field-mapping');
+const { renderTemplate, resolveLanguage } = require('./email-templates');
+const { normalizeChannel } = require('./channels');
+const { parseDate, toDateKey, extractLeaveDates } = require('./working-days');
+const { ledgerKey } = require('./send-ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MANAGER_REMINDER_DAYS: أيام بين كل تذكير للمدير (0 = بدون تذكير)
+// HR_ESCALATION_DAYS: أيام انتظار الطلب قبل التصعيد (0 = بدون تصعيد)
+function getApprovalSettings() {
+  const reminderDays = Number(process.env.MANAGER_REMINDER_DAYS || 2);
+  const escalationDays = Number(process.env.HR_ESCALATION_DAYS || 5);
+  const hrEmail = process.env.HR_EMAIL || '';
+  return { reminderDays, escalationDays, hrEmail };
+}
+
+// --------------------------------------
+// حالة الإشعار على الطلب
+// --------------------------------------
+function parseNoticeState(text) {
+  const state = {};
+  for (const part of String(text || '').split(';')) {
+    const [key, value] = part.split('=').map(s => (s || '').trim());
+    if (['notified', 'reminded', 'escalated'].includes(key) && parseDate(value)) state[key] = value;
+  }
+  return state;
+}
+
+function formatNoticeState(state) {
+  return ['notified', 'reminded', 'escalated']
+    .filter(key => state[key])
+    .map(key => `${key}=${state[key]}`)
+    .join('; ');
+}
+
+function messageOf({ subject, text, html }) {
+  return { subject, text, html };
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.floor((parseDate(toKey) - parseDate(fromKey)) / DAY_MS);
+}
+
+// --------------------------------------
+// المدير المباشر: relation إلى صفحة موظف أخرى، أو people (مستخدم Notion)
+// --------------------------------------
+function resolveManager(employee, fields, employeesById) {
+  const propName = fields.employees.manager;
+  const p = propName && employee ? employee.properties[propName] : null;
+  if (!p) return null;
+
+  if (p.type === 'relation') {
+    const [managerId] = readRelationIds(employee, propName);
+    const manager = managerId ? employeesById.get(managerId) : null;
+    if (!manager) return null;
+    const emailProp = manager.properties[fields.employees.email];
+    return {
+      name: readText(manager, fields.employees.name),
+      email: emailProp && emailProp.type === 'email' ? emailProp.email || '' : '',
+      language: resolveLanguage(readText(manager, fields.employees.language)),
+      channel: normalizeChannel(readText(manager, fields.employees.notifyChannel)),
+    };
+  }
+
+  if (p.type === 'people' && p.people && p.people[0]) {
+    const person = p.people[0];
+    return {
+      name: person.name || '',
+      email: (person.person && person.person.email) || '',
+      language: resolveLanguage(''),
+      channel: null,
+    };
+  }
+
+  return null;
+}
+
+// --------------------------------------
+// الإرسال عبر سجل الإرسال
+// --------------------------------------
+// المفتاح: (الطلب#manager + المرحلة) بنفس ledgerKey لإيميلات الحالة، دون أن يختلط بآخر حالة أُرسلت للطلب
+// المرحلة: notified / reminded-after-<تاريخ الإشعار السابق> / escalated
+// → تاريخ الإرسال (اليوم، أو تاريخ إرسال سابق لم يُكتب في الحقل) أو null إذا لم يُرسل
+async function sendNotice({ ledger, deliver, pageId, stage, message, now }) {
+  const noticeId = `${pageId}#manager`;
+  const key = ledgerKey(noticeId, stage);
+
+  const previous = ledger.sentAt(key);
+  if (previous) {
+    console.log(`🩹 إشعار ${stage} للطلب ${pageId} أُرسل سابقاً حسب سجل الإرسال؛ يُصلح الحقل فقط`);
+    return { date: toDateKey(new Date(previous)), repaired: true };
+  }
+  const check = ledger.canAttempt(key, now);
+  if (!check.ok) {
+    console.log(`⏭️ إشعار ${stage} للطلب ${pageId}: ${check.reason === 'backoff' ? `إعادة المحاولة بعد ${check.nextAttemptAt}` : check.reason}`);
+    return null;
+  }
+
+  ledger.beginAttempt(key, { pageId: noticeId, status: stage, to: message.to, channel: message.channel }, now);
+  const delivery = await deliver(message);
+  if (delivery.ok) {
+    ledger.markSent(key, now);
+    return { date: toDateKey(now), repaired: false };
+  }
+  ledger.markFailed(key, delivery.error, now);
+  return null;
+}
+
+// --------------------------------------
+// التشغيل
+// --------------------------------------
+// deliver: دالة الإرسال (sendEmail أو مسجّل وضع التجربة)
+// ledger: سجل الإرسال المشترك مع إيميلات الحالة
+// now: لتثبيت التاريخ في الاختبارات
+async function notifyApprovers({
+  gateway,
+  requests,
+  employeesById,
+  fields,
+  deliver,
+  ledger,
+  settings = getApprovalSettings(),
+  now = new Date(),
+}) {
+  const result = { notified: 0, reminded: 0, escalated: 0, noManager: 0 };
+  const noticeProp = fields.leaveRequests.managerNotice;
+
+  if (!noticeProp || !fields.employees.manager) {
+    console.warn('⚠️ حقل "إشعار المدير" أو "المدير المباشر" غير موجود. لن يتم إشعار المدراء.');
+    return result;
+  }
+
+  const today = toDateKey(now);
+
+  for (const page of requests) {
+    if (readStatusName(page, fields) !== fields.labels.pending) continue;
+
+    const [employeeId] = readRelationIds(page, fields.leaveRequests.employee);
+    const employee = employeeId ? employeesById.get(employeeId) : null;
+    if (!employee) continue; // غير مرتبط بعد → يظهر في تقرير الطلبات غير المرتبطة من sync.js
+
+    const previous = readText(page, noticeProp);
+    const state = parseNoticeState(previous);
+    const manager = resolveManager(employee, fields, employeesById);
+    const dates = extractLeaveDates(page.properties, fields);
+    const dayCountProp = page.properties[fields.leaveRequests.dayCount];
+    const pendingSince = page.created_time ? toDateKey(new Date(page.created_time)) : today;
+    const values = {
+      name: readText(page, fields.leaveRequests.employeeName) || readText(employee, fields.employees.name),
+      managerName: manager ? manager.name : '',
+      status: fields.labels.pending,
+      startDate: dates ? toDateKey(dates.start) : '',
+      endDate: dates ? toDateKey(dates.end) : '',
+      dayCount: dayCountProp && dayCountProp.type === 'number' ? dayCountProp.number : null,
+      pendingDays: daysBetween(pendingSince, today),
+      url: page.url || '',
+    };
+
+    if (!manager || !manager.email) {
+      console.log(`⚠️ لا يوجد مدير مباشر بإيميل للطلب ${page.id}`);
+      result.noManager++;
+    } else if (!state.notified) {
+      // 1) أول إشعار للمدير
+      const email = renderTemplate({ key: 'manager-pending', language: manager.language, values });
+      const message = { to: manager.email, channel: manager.channel, ...messageOf(email), meta: { pageId: page.id } };
+      const sent = await sendNotice({ ledger, deliver, pageId: page.id, stage: 'notified', message, now });
+      if (sent) {
+        state.notified = sent.date;
+        if (!sent.repaired) result.notified++;
+      }
+    } else if (!state.escalated && settings.reminderDays > 0
+      && daysBetween(state.reminded || state.notified, today) >= settings.reminderDays) {
+      // 2) تذكير (يتوقف بعد التصعيد)
+      const email = renderTemplate({ key: 'manager-reminder', language: manager.language, values });
+      const message = { to: manager.email, channel: manager.channel, ...messageOf(email), meta: { pageId: page.id } };
+      const stage = `reminded-after-${state.reminded || state.notified}`;
+      const sent = await sendNotice({ ledger, deliver, pageId: page.id, stage, message, now });
+      if (sent) {
+        state.reminded = sent.date;
+        if (!sent.repaired) result.reminded++;
+      }
+    }
+
+    // 3) تصعيد لإدارة الموارد البشرية بعد مدة الانتظار، بشرط أن المدير أُشعر في تشغيل سابق (أو لا يوجد مدير)
+    const managerHadTime = !manager || !manager.email || (state.notified && state.notified !== today);
+    if (!state.escalated && settings.escalationDays > 0 && settings.hrEmail
+      && values.pendingDays >= settings.escalationDays && managerHadTime) {
+      const email = renderTemplate({ key: 'hr-escalation', values });
+      const message = { to: settings.hrEmail, ...messageOf(email), meta: { pageId: page.id } };
+      const sent = await sendNotice({ ledger, deliver, pageId: page.id, stage: 'escalated', message, now });
+      if (sent) {
+        state.escalated = sent.date;
+        if (!sent.repaired) result.escalated++;
+      }
+    }
+
+    const next = formatNoticeState(state);
+    if (next === previous) continue;
+    try {
+      await gateway.updatePage(page.id, {
+        [noticeProp]: { rich_text: [{ type: 'text', text: { content: next } }] },
+      });
+    } catch (error) {
+      console.error(`❌ فشل تحديث "${noticeProp}" على الطلب ${page.id}:`, error.message);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getApprovalSettings,
+  parseNoticeState,
+  formatNoticeState,
+  resolveManager,
+  notifyApprovers,
+};
@@ -0,0 +1,195 @@
+// auto-approval.js
+// الموافقة التلقائية على الطلبات منخفضة المخاطر حسب قواعد auto-approval.json
+// (عدد أيام أقصى، أنواع إجازة محددة، رصيد كافٍ، بدون تعارض، مطابق لسياسة النوع)
+// الطلب المعتمد تلقائياً تُكتب عليه القاعدة التي اعتمدته، ويُرسل الإيميل كالمعتاد في تشغيل الإيميلات
+
+const fs = require('fs');
+const path = require('path');
+const { extractLeaveDates, countLeaveDays, loadWorkCalendar } = require('./working-days');
+const { readStatusName, readText, applyStatusDecisions } = require('./field-mapping');
+const { getBalanceSettings, createBalanceTracker, byCreatedTime } = require('./leave-balance');
+const { getConflictSettings, detectConflicts } = require('./conflicts');
+const { countsAgainstBalance } = require('./leave-policy');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'auto-approval.json');
+
+class AutoApprovalConfigError extends Error {
+  constructor(problems) {
+    super(`إعدادات الموافقة التلقائية غير صحيحة:\n${problems.map(p => ` - ${p}`).join('\n')}`);
+    this.name = 'AutoApprovalConfigError';
+    this.problems = problems;
+  }
+}
+
+// --------------------------------------
+// التحميل
+// --------------------------------------
+// الملف غير موجود أو enabled: false → الموافقة التلقائية معطلة (null)؛ ملف JSON تالف → AutoApprovalConfigError باسم الملف
+// شروط الرصيد والتعارض والسياسة مفعّلة افتراضياً ما لم تُعطَّل صراحة في القاعدة
+function loadAutoApprovalRules(filePath = process.env.AUTO_APPROVAL_FILE || DEFAULT_RULES_FILE) {
+  const target = path.resolve(filePath);
+  if (!fs.existsSync(target)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (error) {
+    throw new AutoApprovalConfigError([`تعذّر قراءة ملف الموافقة التلقائية ${target}: ${error.message}`]);
+  }
+  if (!config.enabled) return null;
+  return { file: target, rules: normalizeRules(config.rules || []) };
+}
+
+function normalizeRules(rules) {
+  return rules.map((rule, i) => ({
+    name: rule.name || `قاعدة ${i + 1}`,
+    maxDays: rule.maxDays ?? null,
+    leaveTypes: rule.leaveTypes ? rule.leaveTypes.map(normalizeType) : null,
+    requireBalance: rule.requireBalance !== false,
+    requireNoConflict: rule.requireNoConflict !== false,
+    requirePolicyOk: rule.requirePolicyOk !== false,
+  }));
+}
+
+function normalizeType(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// --------------------------------------
+// التقييم
+// --------------------------------------
+// linkedRequests: [{ request, employeePageId }]
+// policyVerdicts: نتيجة evaluatePolicies (requestId → { type, verdict })
+// holds: الطلبات التي لا تُعتمد تلقائياً مهما كانت القاعدة (مثل ملاحظات الخدمة: requestId → السبب)
+// policies: سياسات الإجازات (الأنواع التي لا تُخصم من الرصيد لا تحتاج رصيداً كافياً)
+// scope: نطاق المزامنة التزايدية { requestIds } — المرشحون للموافقة من طلبات النطاق فقط (null = الكل)
+// الرصيد يُفحص لكل سنة يقع فيها الطلب، والتعارض يُعاد فحصه بعد كل موافقة في نفس التشغيل
+// تُرجع Map: requestId → { rule: اسم القاعدة, days }
+function evaluateAutoApproval({ linkedRequests, employeePages, fields, calendar, rules, policyVerdicts = new Map(), holds = new Map(), balanceSettings, conflictSettings, policies = null, scope = null }) {
+  const tracker = createBalanceTracker({ linkedRequests, fields, settings: balanceSettings, calendar, employeePages, policies });
+  const approvals = new Map();
+
+  // التعارض بالحالات بعد موافقات هذا التشغيل (طلبان من نفس القسم قد يمرّ كل منهما وحده ويتجاوزان الحد معاً)
+  const approvedLabels = new Map();
+  let conflicts = detectConflicts({ linkedRequests, employeePages, fields, calendar, settings: conflictSettings });
+
+  const candidates = linkedRequests.filter(({ request }) => {
+    if (scope && !scope.requestIds.has(request.id)) return false;
+    const status = readStatusName(request, fields);
+    if (status && status !== fields.labels.pending) return false;
+    if (holds.has(request.id)) return false;
+    // الطلب المرفوض تلقائياً حسب السياسة في نفس التشغيل لا يُعتمد
+    return policyVerdicts.get(request.id)?.verdict !== 'reject';
+  }).sort(byCreatedTime);
+
+  for (const { request, employeePageId } of candidates) {
+    const dates = extractLeaveDates(request.properties, fields);
+    if (!dates) continue;
+
+    const days = countLeaveDays(dates, calendar);
+    const counts = countsAgainstBalance(request, fields, policies);
+    const short = counts ? tracker.shortfall(employeePageId, dates) : null;
+    const verdict = policyVerdicts.get(request.id);
+    const leaveTypes = [readText(request, fields.leaveRequests.leaveType), verdict?.type].filter(Boolean).map(normalizeType);
+
+    const rule = rules.find(r => {
+      if (r.maxDays !== null && days > r.maxDays) return false;
+      if (r.leaveTypes && !leaveTypes.some(t => r.leaveTypes.includes(t))) return false;
+      if (r.requireNoConflict && conflicts.has(request.id)) return false;
+      if (r.requirePolicyOk && verdict && verdict.verdict !== 'ok') return false;
+      if (r.requireBalance && short) return false;
+      return true;
+    });
+    if (!rule) continue;
+
+    if (counts) tracker.consume(employeePageId, dates);
+    approvals.set(request.id, { rule: rule.name, days });
+    approvedLabels.set(request.id, fields.labels.approved);
+    const approvedSoFar = applyStatusDecisions(linkedRequests, approvedLabels, fields.status);
+    conflicts = detectConflicts({ linkedRequests: approvedSoFar, employeePages, fields, calendar, settings: conflictSettings });
+  }
+
+  return approvals;
+}
+
+// --------------------------------------
+// الكتابة إلى Notion
+// --------------------------------------
+// تُرجع decisions: requestId → الحالة الجديدة، حتى تحسب الأرصدة والتعارض في نفس التشغيل بالحالة الجديدة
+async function syncAutoApproval({
+  gateway,
+  linkedRequests,
+  employeePages,
+  fields,
+  calendar = loadWorkCalendar(),
+  config = loadAutoApprovalRules(),
+  policyVerdicts,
+  holds,
+  policies = null,
+  scope = null,
+}) {
+  const empty = { approved: 0, decisions: new Map() };
+  if (!config || config.rules.length === 0) return empty;
+
+  console.log('\n🤖 بدء فحص قواعد الموافقة التلقائية...');
+
+  const statusProp = fields.status;
+  const approvedLabel = fields.labels.approved;
+  if (!statusProp) {
+    console.warn('⚠️ لا يوجد حقل حالة. تم تجاوز الموافقة التلقائية.');
+    return empty;
+  }
+  // خاصية status لا تقبل خياراً غير موجود
+  if (statusProp.kind === 'status' && !(statusProp.options || []).some(o => o.name === approvedLabel)) {
+    console.warn(`⚠️ الخيار "${approvedLabel}" غير موجود في خاصية الحالة. تم تجاوز الموافقة التلقائية.`);
+    return empty;
+  }
+  const rulePropName = fields.leaveRequests.autoApprovalRule;
+  if (!rulePropName) {
+    console.warn('⚠️ لا يوجد حقل "قاعدة الموافقة التلقائية" (rich_text) في طلبات الإجازة. لن تُسجل القاعدة على الطلب.');
+  }
+
+  const approvals = evaluateAutoApproval({
+    linkedRequests,
+    employeePages,
+    fields,
+    calendar,
+    rules: config.rules,
+    policyVerdicts,
+    holds,
+    balanceSettings: getBalanceSettings(),
+    conflictSettings: getConflictSettings(),
+    policies,
+    scope,
+  });
+  const decisions = new Map();
+
+  await Promise.all([...approvals].map(async ([requestId, { rule, days }]) => {
+    const properties = {
+      [statusProp.name]: statusProp.kind === 'status' ? { status: { name: approvedLabel } } : { select: { name: approvedLabel } },
+    };
+    if (rulePropName) {
+      properties[rulePropName] = { rich_text: [{ type: 'text', text: { content: rule } }] };
+    }
+
+    try {
+      await gateway.updatePage(requestId, properties);
+      decisions.set(requestId, approvedLabel);
+      console.log(`   🤖 موافقة تلقائية على الطلب ${requestId} (${days} يوم) — القاعدة: ${rule}`);
+    } catch (error) {
+      console.error(`❌ فشل الموافقة التلقائية على الطلب ${requestId}:`, error.message);
+    }
+  }));
+
+  console.log(`🤖 طلبات معتمدة تلقائياً: ${decisions.size}`);
+  return { approved: decisions.size, decisions };
+}
+
+module.exports = {
+  DEFAULT_RULES_FILE,
+  AutoApprovalConfigError,
+  loadAutoApprovalRules,
+  normalizeRules,
+  evaluateAutoApproval,
+  syncAutoApproval,
+};
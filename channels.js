@@ -0,0 +1,135 @@
+// channels.js
+// قنوات الإشعار: email (Gmail أو SMTP عبر mailer.js)، slack، teams، webhook (JSON عام)
+// كل قناة: send({ to, subject, text, html }) → { ok: true } أو { ok: false, error }، بنفس منطق sendEmail
+// (حقل "هل تم ارسال ايميل؟" لا يُحدّث إلا إذا رجعت ok، وسبب الفشل يُحفظ في سجل الإرسال)
+
+const http = require('http');
+const https = require('https');
+const { transporter: defaultTransporter, sendEmail } = require('./mailer');
+
+const CHANNELS = ['email', 'slack', 'teams', 'webhook'];
+
+// قيم خاصية "قناة الإشعار" على صفحة الموظف (عربي/إنجليزي) → اسم القناة
+const CHANNEL_ALIASES = {
+  email: 'email', mail: 'email', 'ايميل': 'email', 'إيميل': 'email', 'بريد': 'email', 'البريد': 'email',
+  slack: 'slack', 'سلاك': 'slack',
+  teams: 'teams', 'microsoft teams': 'teams', 'تيمز': 'teams',
+  webhook: 'webhook', 'ويب هوك': 'webhook',
+};
+
+function normalizeChannel(value) {
+  return CHANNEL_ALIASES[String(value || '').trim().toLowerCase()] || null;
+}
+
+// NOTIFY_CHANNEL: القناة الافتراضية (email)
+// SLACK_WEBHOOK_URL / TEAMS_WEBHOOK_URL / NOTIFY_WEBHOOK_URL: روابط القنوات
+// NOTIFY_WEBHOOK_TIMEOUT_MS: مهلة طلب الـ webhook
+function getChannelSettings() {
+  return {
+    defaultChannel: normalizeChannel(process.env.NOTIFY_CHANNEL) || 'email',
+    slackWebhookUrl: process.env.SLACK_WEBHOOK_URL || '',
+    teamsWebhookUrl: process.env.TEAMS_WEBHOOK_URL || '',
+    webhookUrl: process.env.NOTIFY_WEBHOOK_URL || '',
+    timeoutMs: Number(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS || 10000),
+  };
+}
+
+// --------------------------------------
+// HTTP POST (بدون مكتبات إضافية)
+// --------------------------------------
+function postJson(url, body, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = Buffer.from(JSON.stringify(body));
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': payload.length },
+      timeout: timeoutMs,
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve({ status: res.statusCode, body: data });
+        else reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`انتهت المهلة بعد ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// --------------------------------------
+// القنوات
+// --------------------------------------
+function createWebhookChannel(name, url, toBody, { timeoutMs }) {
+  return {
+    name,
+    async send(message) {
+      if (!url) {
+        console.error(`❌ القناة ${name} بدون رابط webhook؛ لم يتم إرسال إشعار ${message.to}`);
+        return { ok: false, error: `القناة ${name} بدون رابط webhook` };
+      }
+      try {
+        await postJson(url, toBody(message), { timeoutMs });
+        console.log(`📣 تم إرسال إشعار ${name} لـ: ${message.to}`);
+        return { ok: true };
+      } catch (err) {
+        console.error(`❌ فشل إرسال إشعار ${name} لـ ${message.to}:`, err.message);
+        return { ok: false, error: err.message };
+      }
+    },
+  };
+}
+
+// options.transporter: بديل لناقل البريد (للاختبارات)
+function createChannels({ transporter = defaultTransporter, settings = getChannelSettings() } = {}) {
+  return {
+    email: {
+      name: 'email',
+      send: (message) => sendEmail(message, transporter),
+    },
+    slack: createWebhookChannel('slack', settings.slackWebhookUrl, ({ to, subject, text }) => ({
+      text: `*${subject}*\n${text}${to ? `\n\n_${to}_` : ''}`,
+    }), settings),
+    teams: createWebhookChannel('teams', settings.teamsWebhookUrl, ({ to, subject, text }) => ({
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: subject,
+      title: subject,
+      text: `${text}${to ? `\n\n${to}` : ''}`.replace(/\n/g, '<br>'),
+    }), settings),
+    webhook: createWebhookChannel('webhook', settings.webhookUrl, ({ to, subject, text, html, meta }) => ({
+      to,
+      subject,
+      text,
+      html: html || null,
+      meta: meta || {},
+      sentAt: new Date().toISOString(),
+    }), settings),
+  };
+}
+
+// deliver({ to, subject, text, html, channel?, meta? }): القناة من الرسالة (قناة الموظف) وإلا الافتراضية
+function createDeliver(options = {}) {
+  const settings = options.settings || getChannelSettings();
+  const channels = createChannels({ ...options, settings });
+
+  return async function deliver({ channel, ...message }) {
+    const name = normalizeChannel(channel) || settings.defaultChannel;
+    return channels[name].send(message);
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  normalizeChannel,
+  getChannelSettings,
+  postJson,
+  createChannels,
+  createDeliver,
+};
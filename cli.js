@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+// cli.js
+// نقطة الدخول الموحدة: notion-hr <الأمر> [الخيارات]
+// خيارات مشتركة لكل الأوامر: --dry-run --out --full --log-level --json --verbose --quiet
+
+require('dotenv').config();
+const { ConfigError } = require('./config');
+const { FieldMappingError } = require('./field-mapping');
+const { getLogSettings, createLogger, captureConsole, summarizeResult, writeStepSummary } = require('./logger');
+
+// --------------------------------------
+// قراءة الخيارات
+// --------------------------------------
+// خيارات تأخذ قيمة: --out file أو --out=file (والباقي true/false)
+const VALUE_FLAGS = new Set(['out', 'format', 'year', 'month', 'dir', 'tenant', 'log-level', 'log-format']);
+
+function parseArgs(argv = []) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, ...rest] = arg.slice(2).split('=');
+    if (rest.length > 0) flags[name] = rest.join('=');
+    else if (VALUE_FLAGS.has(name)) flags[name] = argv[++i] ?? '';
+    else flags[name] = true;
+  }
+
+  return { command: positionals[0] || null, args: positionals.slice(1), flags };
+}
+
+// الخيارات العامة → options التي تفهمها syncNotionTables / run
+function commandOptions(flags) {
+  return {
+    dryRun: !!flags['dry-run'],
+    outFile: typeof flags.out === 'string' && flags.out ? flags.out : null,
+    full: !!flags.full,
+  };
+}
+
+// --log-level / --verbose / --quiet و --json / --log-format تتقدم على LOG_LEVEL و LOG_FORMAT
+function resolveLogOptions(flags) {
+  const settings = getLogSettings();
+  let level = settings.level;
+  if (flags.verbose) level = 'debug';
+  if (flags.quiet) level = 'warn';
+  if (typeof flags['log-level'] === 'string' && flags['log-level']) level = flags['log-level'].toLowerCase();
+
+  let format = settings.format;
+  if (flags.json) format = 'json';
+  if (typeof flags['log-format'] === 'string' && flags['log-format']) format = flags['log-format'].toLowerCase();
+
+  return { level, format };
+}
+
+// --------------------------------------
+// الأوامر
+// --------------------------------------
+// تُحمَّل الملفات عند التشغيل فقط، حتى لا يتأثر أمر بإعدادات أمر آخر
+function waitForSignal() {
+  return new Promise((resolve) => {
+    const onSignal = (signal) => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      resolve(signal);
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+  });
+}
+
+const COMMANDS = {
+  sync: {
+    usage: '[--full] [--dry-run] [--out file]',
+    description: 'ربط طلبات الإجازة بالموظفين وتحديث الأرصدة والتعارضات',
+    perTenant: true,
+    run: (flags, { transporter } = {}) => require('./sync').syncNotionTables({ ...commandOptions(flags), transporter }),
+  },
+  emails: {
+    usage: '[--dry-run] [--out file]',
+    description: 'إرسال إشعارات تغيّر حالة الطلب وتنبيهات المدراء',
+    perTenant: true,
+    run: (flags, { transporter } = {}) => require('./send-status-emails').run({ ...commandOptions(flags), transporter }),
+  },
+  watch: {
+    usage: '[--full] [--dry-run]',
+    description: 'تشغيل مستمر (polling + webhook) مع /health',
+    run: async (flags) => {
+      const { createWatcher } = require('./watch');
+      const watcher = createWatcher({ options: commandOptions(flags) });
+      await watcher.start();
+      const signal = await waitForSignal();
+      console.log(`\n🛑 إيقاف المراقبة (${signal})...`);
+      await watcher.stop();
+      const { cycles, failures } = watcher.getHealth();
+      return { cycles, failures };
+    },
+  },
+  report: {
+    usage: '[--year YYYY | --month YYYY-MM] [--format csv|xlsx] [--out dir] [--notion] [--dry-run]',
+    description: 'تقرير الإجازات حسب الموظف والقسم والنوع والشهر (CSV/XLSX وصفحة ملخص في Notion)',
+    perTenant: true,
+    run: async (flags) => {
+      const options = commandOptions(flags);
+      const { report, files, notionPageId } = await require('./leave-report').generateLeaveReport({
+        dryRun: options.dryRun,
+        year: flags.year,
+        month: flags.month,
+        formats: flags.format ? String(flags.format).split(',') : undefined,
+        outDir: options.outFile || undefined,
+        notionSummary: !!flags.notion,
+      });
+      return { period: report.period, ...report.totals, unlinked: report.unlinked, files: files.length, notionPageId };
+    },
+  },
+  calendar: {
+    usage: '[--out dir] [--serve] [--dry-run]',
+    description: 'ملفات ICS للإجازات المعتمدة لكل فريق وللشركة (واختيارياً خادم HTTP للاشتراك)',
+    run: async (flags) => {
+      const calendar = require('./leave-calendar');
+      const settings = calendar.getCalendarSettings();
+      const options = commandOptions(flags);
+
+      if (flags.serve) {
+        const server = calendar.createCalendarServer({ settings });
+        await server.start();
+        const signal = await waitForSignal();
+        console.log(`\n🛑 إيقاف خادم التقويم (${signal})...`);
+        await server.stop();
+        return null;
+      }
+
+      // وضع التجربة: عرض الأعداد فقط بدون كتابة الملفات أو حالة الإلغاءات
+      const { files, events, confirmed } = await calendar.generateCalendars({
+        outDir: options.dryRun ? null : options.outFile || settings.outDir,
+        persistState: !options.dryRun,
+        settings,
+      });
+      return { events, confirmed, files: files.length };
+    },
+  },
+  intake: {
+    usage: '[--dir path] [--dry-run] [--out file]',
+    description: 'إنشاء طلبات إجازة من رسائل البريد (maildir أو ملفات .eml) والرد على المرسل',
+    perTenant: true,
+    run: async (flags, { transporter } = {}) => {
+      const { scanned, created, rejected, skipped } = await require('./intake').runIntake({
+        ...commandOptions(flags),
+        dir: flags.dir || undefined,
+        transporter,
+      });
+      return { scanned, created, rejected, skipped };
+    },
+  },
+  'validate-schema': {
+    usage: '[--fix] [--dry-run]',
+    description: 'فحص مخطط القاعدتين مقابل field-mapping.json وإصلاح الناقص',
+    perTenant: true,
+    run: async (flags) => {
+      const result = await require('./schema-doctor').validateSchema({ ...commandOptions(flags), fix: !!flags.fix });
+      // أخطاء متبقية → رمز خروج 2 (مثل أي خطأ في إعدادات الحقول)
+      if (result.errors > 0) {
+        throw new FieldMappingError(result.items.filter(i => i.level === 'error').map(i => `${i.section}.${i.key}: "${i.name}" ${i.message}`));
+      }
+      const { errors, warnings, fixable, fixed } = result;
+      return { errors, warnings, fixable, fixed };
+    },
+  },
+  'preview-emails': {
+    usage: '[--out dir]',
+    description: 'كتابة معاينة HTML/نص لكل قوالب الإيميلات',
+    run: (flags) => {
+      const { previewEmails } = require('./email-templates');
+      const { loadFieldMapping } = require('./field-mapping');
+      const written = previewEmails({ outDir: commandOptions(flags).outFile || undefined, labels: loadFieldMapping().statusLabels });
+      console.log(`🖼️ تمت كتابة ${written.length} ملف معاينة:`);
+      for (const file of written) console.log(`   • ${file}`);
+      return { files: written.length };
+    },
+  },
+  'audit-export': {
+    usage: '[--format csv|json] [--out file]',
+    description: 'تصدير سجل تغييرات الحالة',
+    run: (flags) => require('./status-history').exportAuditLog({
+      format: flags.format || 'csv',
+      outFile: commandOptions(flags).outFile,
+    }),
+  },
+};
+
+function usage(commands = COMMANDS) {
+  const width = Math.max(...Object.keys(commands).map(name => name.length));
+  return [
+    'الاستخدام: notion-hr <الأمر> [الخيارات]',
+    '',
+    'الأوامر:',
+    ...Object.entries(commands).map(([name, cmd]) =>
+      `  ${name.padEnd(width)}  ${cmd.description}${cmd.usage ? `\n  ${' '.repeat(width)}  ${cmd.usage}` : ''}`),
+    '',
+    'خيارات عامة:',
+    '  --log-level debug|info|warn|error   (أو LOG_LEVEL)',
+    '  --verbose / --quiet                 debug / warn',
+    '  --json                              سطر JSON لكل رسالة (أو LOG_FORMAT=json)',
+    '  --tenants / --tenant id             تشغيل الأمر لكل مستأجر في TENANTS_FILE أو لمستأجر واحد',
+    '',
+  ].join('\n');
+}
+
+// --------------------------------------
+// وضع المستأجرين (tenants.json)
+// --------------------------------------
+// يعمل مع الأوامر المعلّمة بـ perTenant عند --tenants أو --tenant أو ضبط TENANTS_FILE
+function usesTenants(cmd, flags) {
+  return !!cmd.perTenant && !!(flags.tenants || flags.tenant || process.env.TENANTS_FILE);
+}
+
+// الملخص: عدد المستأجرين والفاشلين + حالة كل مستأجر، والتفاصيل كاملة في details
+async function runPerTenant(cmd, flags, context) {
+  const { loadTenants, runForTenants, TenantRunError } = require('./tenants');
+  const summary = await runForTenants({
+    tenants: loadTenants(),
+    only: typeof flags.tenant === 'string' && flags.tenant ? flags.tenant : null,
+    task: (tenant, { transporter }) => cmd.run(flags, { ...context, transporter, tenant }),
+  });
+  if (!summary.ok) throw new TenantRunError(summary);
+  return tenantResult(summary);
+}
+
+function tenantResult(summary) {
+  return {
+    tenants: summary.tenants.length,
+    failed: summary.tenants.filter(t => !t.ok).length,
+    ...Object.fromEntries(summary.tenants.map(t => [t.id, t.ok ? 'ok' : `${t.error} (${t.exitCode})`])),
+    details: summary.tenants,
+  };
+}
+
+// --------------------------------------
+// التشغيل
+// --------------------------------------
+// يُرجع رمز الخروج: 0 نجاح، 1 فشل التنفيذ، 2 أمر/إعدادات غير صحيحة
+// commands / stdout / stderr / summaryFile: بدائل للاختبارات
+async function main(argv = process.argv.slice(2), {
+  commands = COMMANDS,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  summaryFile = process.env.GITHUB_STEP_SUMMARY,
+} = {}) {
+  const { command, flags } = parseArgs(argv);
+  const logger = createLogger({ ...resolveLogOptions(flags), stdout, stderr }).child({ command });
+
+  if (!command || command === 'help' || flags.help) {
+    stdout.write(usage(commands));
+    return 0;
+  }
+  if (!commands[command]) {
+    logger.error(`❌ أمر غير معروف: ${command}`);
+    stderr.write(usage(commands));
+    return 2;
+  }
+
+  const restoreConsole = captureConsole(logger);
+  const startedAt = Date.now();
+  let ok = false;
+  let result = null;
+
+  try {
+    const cmd = commands[command];
+    result = (await (usesTenants(cmd, flags) ? runPerTenant(cmd, flags, { logger }) : cmd.run(flags, { logger }))) ?? null;
+    ok = true;
+    return 0;
+  } catch (error) {
+    // فشل مستأجر أو أكثر: الملخص يبقى في النتيجة، ورمز الخروج أعلى رمز بين المستأجرين
+    if (error.name === 'TenantRunError') {
+      result = tenantResult(error.result);
+      logger.error(`❌ ${error.message}`);
+      return error.exitCode;
+    }
+    if (error instanceof ConfigError || error instanceof FieldMappingError || ['TenantsConfigError', 'LeavePoliciesConfigError', 'AutoApprovalConfigError', 'ReportOptionsError'].includes(error.name)) {
+      logger.error(`❌ ${error.message}`);
+      return 2;
+    }
+    logger.error(`❌ فشل الأمر ${command}:`, error);
+    return 1;
+  } finally {
+    // الأعداد فقط: النتيجة الكاملة فيها أرقام هوية وعناوين بريد لا مكان لها في سجلات CI
+    const durationMs = Date.now() - startedAt;
+    const summary = summarizeResult(result);
+    logger.event(ok ? 'info' : 'error', `🏁 ${command}: ${ok ? 'تم' : 'فشل'} (${(durationMs / 1000).toFixed(1)} ث)`, {
+      event: 'summary',
+      ok,
+      durationMs,
+      result: summary,
+    });
+    writeStepSummary({ command, ok, durationMs, result: summary }, summaryFile);
+    restoreConsole();
+  }
+}
+
+// للملفات القديمة (node sync.js ...) ولـ bin: يُنهي العملية برمز الخروج
+function runCli(argv) {
+  main(argv).then((code) => process.exit(code));
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2));
+}
+
+module.exports = {
+  COMMANDS,
+  parseArgs,
+  commandOptions,
+  resolveLogOptions,
+  usage,
+  main,
+  runCli,
+};
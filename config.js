@@ -0,0 +1,38 @@
+// config.js
+// قراءة الإعدادات الأساسية من متغيرات البيئة عند التشغيل (وليس عند require)
+// حتى يمكن استيراد أي ملف بدون أن يُنهي العملية، وتظهر كل المتغيرات الناقصة في رسالة واحدة
+
+// اسم الإعداد → متغير البيئة
+const ENV_NAMES = {
+  notionToken: 'NOTION_TOKEN',
+  employeesDbId: 'DATABASE_ID_EMPLOYEES',
+  leaveRequestsDbId: 'DATABASE_ID_LEAVE_REQUESTS',
+  reportsDbId: 'DATABASE_ID_REPORTS', // اختياري: قاعدة صفحات ملخص التقارير
+};
+
+class ConfigError extends Error {
+  constructor(missing) {
+    super(`متغيرات بيئة مفقودة: ${missing.join(', ')}`);
+    this.name = 'ConfigError';
+    this.missing = missing;
+  }
+}
+
+// required: أسماء الإعدادات المطلوبة لهذا الأمر (من ENV_NAMES)
+// overrides: قيم تُمرَّر مباشرة (options في الاختبارات) وتتقدم على البيئة
+function loadConfig({ required = [], overrides = {} } = {}) {
+  const config = {};
+  for (const [key, envName] of Object.entries(ENV_NAMES)) {
+    config[key] = overrides[key] || process.env[envName] || '';
+  }
+
+  const missing = required.filter(key => !config[key]).map(key => ENV_NAMES[key]);
+  if (missing.length > 0) throw new ConfigError(missing);
+  return config;
+}
+
+module.exports = {
+  ENV_NAMES,
+  ConfigError,
+  loadConfig,
+};
@@ -0,0 +1,171 @@
+// conflicts.js
+// كشف تعارض طلبات الإجازة: تداخل طلبات نفس الموظف + تجاوز حد الغياب في القسم
+
+const { extractLeaveDates, toDateKey, addDays, loadWorkCalendar } = require('./working-days');
+const { readStatusName, readText } = require('./field-mapping');
+
+// --------------------------------------
+// الإعدادات
+// --------------------------------------
+function getConflictSettings() {
+  // أقصى عدد موظفين من نفس القسم مسموح غيابهم في نفس اليوم
+  const maxDepartmentAbsences = Number(process.env.MAX_DEPARTMENT_ABSENCES || 2);
+  return { maxDepartmentAbsences };
+}
+
+// --------------------------------------
+// قراءة الحقول
+// --------------------------------------
+// قيمة القسم كنص ثابت يصلح كمفتاح تجميع
+function readDepartment(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  if (!p) return '';
+  if (p.type === 'select') return p.select ? p.select.name : '';
+  if (p.type === 'multi_select') return (p.multi_select || []).map(o => o.name).sort().join(', ');
+  if (p.type === 'rich_text') return (p.rich_text || []).map(t => t.plain_text).join('').trim();
+  if (p.type === 'relation') return (p.relation || []).map(r => r.id).sort().join(',');
+  return '';
+}
+
+function readCheckbox(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  return !!(p && p.type === 'checkbox' && p.checkbox);
+}
+
+// --------------------------------------
+// الكشف
+// --------------------------------------
+// linkedRequests: [{ request, employeePageId }]
+// تُرجع Map: requestId → [نصوص التعارض]
+function detectConflicts({ linkedRequests, employeePages, fields, calendar, settings }) {
+  const departmentPropName = fields.employees.department;
+  const conflicts = new Map();
+  const addNote = (requestId, note) => {
+    if (!conflicts.has(requestId)) conflicts.set(requestId, []);
+    const notes = conflicts.get(requestId);
+    if (!notes.includes(note)) notes.push(note);
+  };
+
+  // الطلبات الفعالة فقط (المرفوضة لا تسبب تعارضاً)
+  const active = [];
+  for (const { request, employeePageId } of linkedRequests) {
+    if (readStatusName(request, fields) === fields.labels.rejected) continue;
+    const dates = extractLeaveDates(request.properties, fields);
+    if (!dates) continue;
+    active.push({ request, employeePageId, dates });
+  }
+
+  // 1) تداخل طلبات نفس الموظف
+  const byEmployee = new Map();
+  for (const item of active) {
+    if (!byEmployee.has(item.employeePageId)) byEmployee.set(item.employeePageId, []);
+    byEmployee.get(item.employeePageId).push(item);
+  }
+  for (const items of byEmployee.values()) {
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const a = items[i];
+        const b = items[j];
+        if (a.dates.start <= b.dates.end && b.dates.start <= a.dates.end) {
+          addNote(a.request.id, `يتداخل مع طلب آخر لنفس الموظف (${toDateKey(b.dates.start)} → ${toDateKey(b.dates.end)})`);
+          addNote(b.request.id, `يتداخل مع طلب آخر لنفس الموظف (${toDateKey(a.dates.start)} → ${toDateKey(a.dates.end)})`);
+        }
+      }
+    }
+  }
+
+  // 2) تجاوز حد الغياب في القسم (أيام العمل فقط)
+  if (departmentPropName) {
+    const days = new Map(); // "قسم|تاريخ" → { department, date, employees:Set, requests:Set }
+    for (const item of active) {
+      const department = readDepartment(employeePages.get(item.employeePageId), departmentPropName);
+      if (!department) continue;
+
+      for (let d = item.dates.start; d <= item.dates.end; d = addDays(d, 1)) {
+        if (!calendar.isWorkingDay(d)) continue;
+        const key = `${department}|${toDateKey(d)}`;
+        if (!days.has(key)) days.set(key, { department, date: toDateKey(d), employees: new Set(), requests: new Set() });
+        const day = days.get(key);
+        day.employees.add(item.employeePageId);
+        day.requests.add(item.request.id);
+      }
+    }
+
+    const breachDates = new Map(); // requestId → [{ department, date, count }]
+    for (const day of days.values()) {
+      if (day.employees.size <= settings.maxDepartmentAbsences) continue;
+      for (const requestId of day.requests) {
+        if (!breachDates.has(requestId)) breachDates.set(requestId, []);
+        breachDates.get(requestId).push(day);
+      }
+    }
+
+    for (const [requestId, list] of breachDates) {
+      list.sort((a, b) => a.date.localeCompare(b.date));
+      const shown = list.slice(0, 3).map(d => `${d.date} (${d.employees.size})`).join('، ');
+      const more = list.length > 3 ? ` و${list.length - 3} يوم آخر` : '';
+      addNote(requestId, `تجاوز حد الغياب في القسم (الحد ${settings.maxDepartmentAbsences}): ${shown}${more}`);
+    }
+  }
+
+  return conflicts;
+}
+
+// --------------------------------------
+// الكتابة إلى Notion
+// --------------------------------------
+// scope: نطاق المزامنة التزايدية { requestIds } — الكشف لكل الطلبات والكتابة على طلبات النطاق فقط (null = الكل)
+async function syncConflicts({ gateway, linkedRequests, employeePages, fields, calendar = loadWorkCalendar(), scope = null }) {
+  console.log('\n🔀 بدء فحص تعارض الطلبات...');
+
+  const settings = getConflictSettings();
+  const notePropName = fields.leaveRequests.conflictNote;
+  const flagPropName = fields.leaveRequests.conflictFlag;
+
+  if (!fields.employees.department) {
+    console.warn('⚠️ لا يوجد حقل "القسم" في قاعدة الموظفين. سيتم فحص تداخل طلبات الموظف فقط.');
+  }
+  if (!notePropName && !flagPropName) {
+    console.warn('⚠️ لا يوجد حقل "تعارض" (rich_text) أو "يوجد تعارض" (checkbox) في طلبات الإجازة. تم تجاوز فحص التعارض.');
+    return { requestsFlagged: 0 };
+  }
+
+  const conflicts = detectConflicts({ linkedRequests, employeePages, fields, calendar, settings });
+  let requestsFlagged = 0;
+
+  const writable = scope ? linkedRequests.filter(({ request }) => scope.requestIds.has(request.id)) : linkedRequests;
+  await Promise.all(writable.map(async ({ request }) => {
+    const notes = conflicts.get(request.id) || [];
+    const desiredNote = notes.join('\n');
+    const desiredFlag = notes.length > 0;
+    const properties = {};
+
+    if (notePropName && readText(request, notePropName) !== desiredNote) {
+      properties[notePropName] = {
+        rich_text: desiredNote ? [{ type: 'text', text: { content: desiredNote } }] : [],
+      };
+    }
+    if (flagPropName && readCheckbox(request, flagPropName) !== desiredFlag) {
+      properties[flagPropName] = { checkbox: desiredFlag };
+    }
+    if (desiredFlag) requestsFlagged++;
+    if (Object.keys(properties).length === 0) return;
+
+    try {
+      await gateway.updatePage(request.id, properties);
+      console.log(desiredFlag ? `   ⚠️ تعارض في الطلب ${request.id}: ${notes.join(' | ')}` : `   ✓ زال التعارض عن الطلب ${request.id}`);
+    } catch (error) {
+      console.error(`❌ فشل تحديث التعارض للطلب ${request.id}:`, error.message);
+    }
+  }));
+
+  console.log(`🔀 عدد الطلبات المتعارضة: ${requestsFlagged}`);
+  return { requestsFlagged };
+}
+
+module.exports = {
+  getConflictSettings,
+  readDepartment,
+  detectConflicts,
+  syncConflicts,
+};
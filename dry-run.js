@@ -0,0 +1,187 @@
+// dry-run.js
+// وضع التجربة: كل القراءات تتم فعلياً، لكن الكتابة على Notion وإرسال الإيميلات تُسجَّل فقط وتُطبع كفروقات
+
+const fs = require('fs');
+const path = require('path');
+
+// --------------------------------------
+// تبسيط قيم الخصائص للمقارنة والطباعة
+// --------------------------------------
+// تقبل شكل القراءة (page.properties[x]) وشكل الكتابة (properties[x] في pages.update)
+function simplifyValue(prop) {
+  if (!prop) return null;
+  if ('status' in prop) return prop.status ? prop.status.name : null;
+  if ('select' in prop) return prop.select ? prop.select.name : null;
+  if ('multi_select' in prop) return (prop.multi_select || []).map(o => o.name);
+  if ('number' in prop) return prop.number;
+  if ('checkbox' in prop) return !!prop.checkbox;
+  if ('email' in prop) return prop.email || null;
+  if ('date' in prop) return prop.date ? [prop.date.start, prop.date.end].filter(Boolean).join(' → ') : null;
+  if ('relation' in prop) return (prop.relation || []).map(r => r.id);
+  const richText = prop.rich_text || prop.title;
+  if (richText) {
+    return richText.map(t => t.plain_text ?? t.text?.content ?? '').join('').trim() || null;
+  }
+  return null;
+}
+
+function pageTitle(page) {
+  for (const prop of Object.values(page?.properties || {})) {
+    if (prop.type === 'title') return simplifyValue(prop) || '';
+  }
+  return '';
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// --------------------------------------
+// المسجّل
+// --------------------------------------
+function createDryRunRecorder({ outFile = null } = {}) {
+  const knownPages = new Map(); // page id → الصفحة كما قُرئت من Notion
+  const changes = new Map();    // page id → { pageId, title, properties: { name: { before, after } } }
+  const emails = [];
+  const appendedBlocks = []; // { pageId, title, text }
+  const schemaChanges = [];  // { databaseId, properties: [name] }
+  const createdPages = [];   // { databaseId, title, properties, blocks }
+
+  function rememberPages(pages) {
+    for (const page of pages || []) knownPages.set(page.id, page);
+  }
+
+  function recordUpdate({ page_id: pageId, properties = {} }) {
+    const page = knownPages.get(pageId);
+    if (!changes.has(pageId)) {
+      changes.set(pageId, { pageId, title: pageTitle(page), properties: {} });
+    }
+    const entry = changes.get(pageId);
+
+    for (const [name, value] of Object.entries(properties)) {
+      const before = name in entry.properties
+        ? entry.properties[name].before
+        : simplifyValue(page?.properties?.[name]);
+      entry.properties[name] = { before, after: simplifyValue(value) };
+    }
+    return { object: 'page', id: pageId, properties: page?.properties || {} };
+  }
+
+  // يغلّف عميل Notion: القراءة تمر كما هي، والكتابة تُسجَّل بدلاً من تنفيذها
+  function wrapNotion(notion) {
+    return {
+      databases: {
+        retrieve: (args) => notion.databases.retrieve(args),
+        query: async (args) => {
+          const response = await notion.databases.query(args);
+          rememberPages(response.results);
+          return response;
+        },
+        update: async ({ database_id: databaseId, properties = {} }) => {
+          schemaChanges.push({ databaseId, properties: Object.keys(properties), changes: properties });
+          return notion.databases.retrieve({ database_id: databaseId });
+        },
+      },
+      pages: {
+        update: async (args) => recordUpdate(args),
+        create: async ({ parent, properties = {}, children = [] }) => {
+          const simplified = Object.fromEntries(Object.entries(properties).map(([name, value]) => [name, simplifyValue(value)]));
+          const titleEntry = Object.entries(properties).find(([, value]) => 'title' in value);
+          const id = `dry-run-page-${createdPages.length + 1}`;
+          createdPages.push({
+            databaseId: parent.database_id,
+            title: titleEntry ? simplifyValue(titleEntry[1]) : '',
+            properties: simplified,
+            blocks: children.length,
+          });
+          return { object: 'page', id, properties: {} };
+        },
+      },
+      blocks: {
+        children: {
+          append: async ({ block_id: blockId, children = [] }) => {
+            for (const block of children) {
+              const richText = block[block.type]?.rich_text || [];
+              appendedBlocks.push({
+                pageId: blockId,
+                title: pageTitle(knownPages.get(blockId)),
+                text: richText.map(t => t.text?.content ?? '').join(''),
+              });
+            }
+            return { object: 'list', results: [] };
+          },
+        },
+      },
+      users: {
+        retrieve: (args) => notion.users.retrieve(args),
+      },
+    };
+  }
+
+  // يُحفظ كل ما كان سيُرسل (html وmeta أيضاً) حتى يطابق التقرير الرسالة الفعلية لأي قناة
+  async function recordEmail({ to, subject, text, html = null, channel = null, meta = null }) {
+    emails.push({ to, subject, text, ...(html ? { html } : {}), ...(channel ? { channel } : {}), ...(meta ? { meta } : {}) });
+    console.log(`🧪 [تجربة] ${channel && channel !== 'email' ? `إشعار ${channel}` : 'إيميل'} إلى: ${to} — ${subject} (لم يُرسل)`);
+    return { ok: true };
+  }
+
+  function getReport() {
+    const pageChanges = [...changes.values()].map(entry => ({
+      ...entry,
+      properties: Object.fromEntries(
+        Object.entries(entry.properties).filter(([, v]) => !sameValue(v.before, v.after))
+      ),
+    })).filter(entry => Object.keys(entry.properties).length > 0);
+
+    return { generatedAt: new Date().toISOString(), pageChanges, createdPages, appendedBlocks, schemaChanges, emails };
+  }
+
+  function printReport() {
+    const report = getReport();
+
+    console.log('\n' + '='.repeat(50));
+    console.log('🧪 وضع التجربة (dry-run): لم يتم تعديل أي شيء');
+    console.log('='.repeat(50));
+
+    for (const change of report.pageChanges) {
+      console.log(`📄 ${change.title || '(بدون عنوان)'} — ${change.pageId}`);
+      for (const [name, { before, after }] of Object.entries(change.properties)) {
+        console.log(`   • ${name}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+      }
+    }
+    for (const page of report.createdPages) {
+      console.log(`🆕 صفحة جديدة في ${page.databaseId}: ${page.title || '(بدون عنوان)'}${page.blocks ? ` (+${page.blocks} بلوك)` : ''}`);
+      for (const [name, value] of Object.entries(page.properties)) {
+        if (value !== null) console.log(`   • ${name}: ${JSON.stringify(value)}`);
+      }
+    }
+    for (const block of report.appendedBlocks) {
+      console.log(`📄 ${block.title || '(بدون عنوان)'} — ${block.pageId}`);
+      console.log(`   + ${block.text}`);
+    }
+    for (const change of report.schemaChanges) {
+      console.log(`🧱 مخطط القاعدة ${change.databaseId}: ${change.properties.join('، ')}`);
+    }
+    for (const email of report.emails) {
+      console.log(`📧 إلى: ${email.to}`);
+      console.log(`   الموضوع: ${email.subject}`);
+      console.log(email.text.split('\n').map(line => `   | ${line}`).join('\n'));
+    }
+
+    console.log(`📊 صفحات ستتغير: ${report.pageChanges.length} — صفحات ستُنشأ: ${report.createdPages.length} — إيميلات سترسل: ${report.emails.length}`);
+
+    if (outFile) {
+      const target = path.resolve(outFile);
+      fs.writeFileSync(target, JSON.stringify(report, null, 2));
+      console.log(`💾 تم حفظ التقرير في: ${target}`);
+    }
+    return report;
+  }
+
+  return { wrapNotion, rememberPages, recordEmail, getReport, printReport };
+}
+
+module.exports = {
+  simplifyValue,
+  createDryRunRecorder,
+};
@@ -0,0 +1,167 @@
+// email-templates.js
+// قوالب إيميلات الحالة من الملفات: templates/<lang>/<key>.txt (نص بديل + سطر Subject) و <key>.html (محتوى HTML)
+// المحتوى يُغلّف بـ templates/layout.html (اتجاه الصفحة RTL/LTR حسب اللغة)
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const LANGUAGES = { ar: { dir: 'rtl' }, en: { dir: 'ltr' } };
+const DEFAULT_LANGUAGE = 'ar';
+const TEMPLATE_KEYS = ['pending', 'approved', 'rejected', 'other'];
+// قوالب إشعارات الاعتماد (للمدير المباشر وإدارة الموارد البشرية)
+const NOTICE_KEYS = ['manager-pending', 'manager-reminder', 'hr-escalation'];
+
+// قيم تُعامل كإنجليزي في خاصية اللغة على صفحة الموظف؛ أي قيمة أخرى (أو فاضية) → عربي
+const ENGLISH_VALUES = ['en', 'english', 'إنجليزي', 'انجليزي', 'الإنجليزية', 'الانجليزية'];
+
+function getTemplatesDir() {
+  return process.env.EMAIL_TEMPLATES_DIR || DEFAULT_TEMPLATES_DIR;
+}
+
+function resolveLanguage(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return ENGLISH_VALUES.includes(v) ? 'en' : DEFAULT_LANGUAGE;
+}
+
+// اسم القالب حسب الحالة (الأسماء من statusLabels في field-mapping.json)
+function templateKey(status, labels) {
+  for (const key of ['pending', 'approved', 'rejected']) {
+    if (status === labels[key]) return key;
+  }
+  return 'other';
+}
+
+// --------------------------------------
+// محرك القوالب
+// --------------------------------------
+// {{name}} قيمة (تُهرّب في HTML)، {{{name}}} قيمة بدون تهريب،
+// {{#name}}...{{/name}} قسم يظهر فقط إذا كانت القيمة غير فاضية
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function renderString(template, values, { html = false } = {}) {
+  const withSections = template.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g,
+    (_, key, inner) => (isPresent(values[key]) ? inner : ''));
+
+  return withSections
+    .replace(/\{\{\{(\w+)\}\}\}/g, (_, key) => (isPresent(values[key]) ? String(values[key]) : ''))
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => {
+      if (!isPresent(values[key])) return '';
+      return html ? escapeHtml(values[key]) : String(values[key]);
+    });
+}
+
+// --------------------------------------
+// تحميل الملفات
+// --------------------------------------
+// أول سطر في ملف النص: "Subject: ..." ثم سطر فاضي ثم نص الرسالة
+function parseTextTemplate(raw, file) {
+  const match = raw.match(/^Subject:[ \t]*(.*)\r?\n\r?\n?([\s\S]*)$/);
+  if (!match) throw new Error(`❌ القالب ${file} يجب أن يبدأ بسطر "Subject: ..."`);
+  return { subject: match[1].trim(), text: match[2].replace(/\s+$/, '') };
+}
+
+function loadTemplate(language, key, dir = getTemplatesDir()) {
+  const base = path.join(dir, language, key);
+  const { subject, text } = parseTextTemplate(fs.readFileSync(`${base}.txt`, 'utf8'), `${base}.txt`);
+  const html = fs.readFileSync(`${base}.html`, 'utf8');
+  const layout = fs.readFileSync(path.join(dir, 'layout.html'), 'utf8');
+  return { subject, text, html, layout };
+}
+
+function renderTemplate({ key, language = DEFAULT_LANGUAGE, values = {}, dir = getTemplatesDir() }) {
+  const lang = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  const template = loadTemplate(lang, key, dir);
+
+  const subject = renderString(template.subject, values);
+  const content = renderString(template.html, values, { html: true });
+
+  return {
+    language: lang,
+    template: key,
+    subject,
+    text: renderString(template.text, values),
+    html: renderString(template.layout, { lang, dir: LANGUAGES[lang].dir, subject, content }, { html: true }),
+  };
+}
+
+// values: { name, status, startDate, endDate, dayCount, approver, rejectionReason }
+function renderEmail({ status, labels, language, values = {}, dir }) {
+  return renderTemplate({ key: templateKey(status, labels), language, values: { ...values, status }, dir });
+}
+
+// --------------------------------------
+// معاينة: كتابة كل القوالب المعروضة ببيانات تجريبية إلى مجلد للمراجعة
+// --------------------------------------
+const SAMPLE_VALUES = {
+  ar: {
+    name: 'سارة العتيبي',
+    approver: 'خالد القحطاني',
+    managerName: 'خالد القحطاني',
+    rejectionReason: 'تعارض مع إغلاق نهاية الربع',
+  },
+  en: {
+    name: 'Sarah Alotaibi',
+    approver: 'Khalid Alqahtani',
+    managerName: 'Khalid Alqahtani',
+    rejectionReason: 'Clashes with the quarter-end close',
+  },
+};
+const SAMPLE_REQUEST = {
+  startDate: '2026-03-01',
+  endDate: '2026-03-05',
+  dayCount: 3,
+  pendingDays: 6,
+  url: 'https://www.notion.so/leave-request',
+};
+
+function previewEmails({ outDir = 'email-preview', labels, dir = getTemplatesDir() }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+
+  for (const language of Object.keys(LANGUAGES)) {
+    for (const key of [...TEMPLATE_KEYS, ...NOTICE_KEYS]) {
+      const values = { ...SAMPLE_VALUES[language], ...SAMPLE_REQUEST };
+      const email = TEMPLATE_KEYS.includes(key)
+        ? renderEmail({ status: key === 'other' ? 'مؤجلة' : labels[key], labels, language, dir, values })
+        : renderTemplate({ key, language, dir, values: { ...values, status: labels.pending } });
+
+      const base = path.join(outDir, `${language}-${key}`);
+      fs.writeFileSync(`${base}.html`, email.html);
+      fs.writeFileSync(`${base}.txt`, `Subject: ${email.subject}\n\n${email.text}\n`);
+      written.push(`${base}.html`, `${base}.txt`);
+    }
+  }
+
+  return written;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TEMPLATE_KEYS,
+  NOTICE_KEYS,
+  resolveLanguage,
+  templateKey,
+  renderString,
+  loadTemplate,
+  renderTemplate,
+  renderEmail,
+  previewEmails,
+};
+
+// تشغيل مباشر: node email-templates.js [--out مجلد] (عبر cli.js preview-emails)
+if (require.main === module) {
+  require('./cli').runCli(['preview-emails', ...process.argv.slice(2)]);
+}
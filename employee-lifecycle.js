@@ -0,0 +1,177 @@
+// employee-lifecycle.js
+// دورة حياة الموظف من قاعدة الموظفين: تاريخ التعيين، تاريخ انتهاء الخدمة، وحالة الموظف
+// أثناء المزامنة: تمييز (أو رفض) طلبات الموظفين المنتهية خدمتهم والطلبات قبل التعيين أو بعد انتهاء الخدمة
+// الاستحقاق النسبي للمنضمين حديثاً وتسوية نهاية الخدمة تُحسب مع الأرصدة في leave-balance.js
+
+const { extractLeaveDates, parseDate, toDateKey, addDays } = require('./working-days');
+const { readStatusName, readText } = require('./field-mapping');
+
+const ACTIONS = ['flag', 'reject'];
+
+// --------------------------------------
+// الإعدادات (من المتغيرات البيئية)
+// --------------------------------------
+// EMPLOYEE_TERMINATED_STATUSES: قيم "حالة الموظف" التي تعني انتهاء الخدمة (مفصولة بفواصل)
+// LIFECYCLE_ACTION: flag (تمييز الطلب لمراجعة HR) أو reject (رفض الطلبات غير المبتوت فيها)
+function getLifecycleSettings() {
+  const terminatedStatuses = String(process.env.EMPLOYEE_TERMINATED_STATUSES || 'منتهي الخدمة,مستقيل,terminated')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  const action = ACTIONS.includes(process.env.LIFECYCLE_ACTION) ? process.env.LIFECYCLE_ACTION : 'flag';
+  return { terminatedStatuses, action };
+}
+
+function readDate(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  if (!p || p.type !== 'date' || !p.date) return null;
+  return parseDate(p.date.start);
+}
+
+// { hireDate, terminationDate, status, terminated } من صفحة الموظف
+// terminated: الحالة من قائمة انتهاء الخدمة، أو تاريخ انتهاء الخدمة قبل اليوم
+function readEmployment(page, fields, settings = getLifecycleSettings(), today = new Date()) {
+  const hireDate = readDate(page, fields.employees.hireDate);
+  const terminationDate = readDate(page, fields.employees.terminationDate);
+  const status = readText(page, fields.employees.employmentStatus);
+  const todayKey = toDateKey(today);
+  const terminated = settings.terminatedStatuses.includes(status.toLowerCase())
+    || (!!terminationDate && toDateKey(terminationDate) < todayKey);
+  return { hireDate, terminationDate, status, terminated };
+}
+
+// --------------------------------------
+// الاستحقاق النسبي
+// --------------------------------------
+// الاستحقاق السنوي × نسبة أيام الخدمة في السنة (من التعيين حتى انتهاء الخدمة)، مقرباً لأقرب نصف يوم
+function proRateEntitlement(entitlement, employment, year) {
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year, 11, 31));
+  const from = employment.hireDate && employment.hireDate > yearStart ? employment.hireDate : yearStart;
+  const to = employment.terminationDate && employment.terminationDate < yearEnd ? employment.terminationDate : yearEnd;
+  if (from.getTime() === yearStart.getTime() && to.getTime() === yearEnd.getTime()) return entitlement;
+  if (to < from) return 0;
+
+  const daysInYear = Math.round((addDays(yearEnd, 1) - yearStart) / 86400000);
+  const served = Math.round((addDays(to, 1) - from) / 86400000);
+  return Math.round((entitlement * served / daysInYear) * 2) / 2;
+}
+
+// --------------------------------------
+// فحص الطلبات
+// --------------------------------------
+// linkedRequests: [{ request, employeePageId }]
+// الطلبات المرفوضة لا تُفحص (لا تحتاج مراجعة ولا تُحتسب من الرصيد)
+// تُرجع Map: requestId → نص المشكلة
+function detectLifecycleIssues({ linkedRequests, employeePages, fields, settings = getLifecycleSettings(), today = new Date() }) {
+  const issues = new Map();
+
+  for (const { request, employeePageId } of linkedRequests) {
+    const page = employeePages.get(employeePageId);
+    const status = readStatusName(request, fields);
+    if (!page || status === fields.labels.rejected) continue;
+    const employment = readEmployment(page, fields, settings, today);
+    const dates = extractLeaveDates(request.properties, fields);
+    const undecided = !status || status === fields.labels.pending;
+    const problems = [];
+
+    if (dates && employment.hireDate && dates.start < employment.hireDate) {
+      problems.push(`تبدأ الإجازة قبل تاريخ التعيين (${toDateKey(employment.hireDate)})`);
+    }
+    if (dates && employment.terminationDate && dates.end > employment.terminationDate) {
+      problems.push(`تنتهي الإجازة بعد تاريخ انتهاء الخدمة (${toDateKey(employment.terminationDate)})`);
+    } else if (employment.terminated && !employment.terminationDate && undecided) {
+      problems.push(`الموظف منتهي الخدمة (${employment.status})`);
+    }
+
+    if (problems.length > 0) issues.set(request.id, problems.join('؛ '));
+  }
+
+  return issues;
+}
+
+// --------------------------------------
+// الكتابة إلى Notion
+// --------------------------------------
+// تُرجع decisions: requestId → الحالة الجديدة (للأرصدة والتعارض في نفس التشغيل)
+// issues: الطلبات التي عليها ملاحظة خدمة (لا تُعتمد تلقائياً)
+async function syncLifecycle({ gateway, linkedRequests, employeePages, fields, settings = getLifecycleSettings(), today = new Date() }) {
+  const empty = { flagged: 0, rejected: 0, issues: new Map(), decisions: new Map() };
+  const { hireDate, terminationDate, employmentStatus } = fields.employees;
+  if (!hireDate && !terminationDate && !employmentStatus) return empty;
+
+  console.log('\n🪪 بدء فحص دورة حياة الموظفين (التعيين وانتهاء الخدمة)...');
+
+  const notePropName = fields.leaveRequests.employmentIssue;
+  const reasonPropName = fields.leaveRequests.rejectionReason;
+  const statusProp = fields.status;
+  const rejectedLabel = fields.labels.rejected;
+  if (!notePropName) {
+    console.warn('⚠️ لا يوجد حقل "ملاحظة الخدمة" (rich_text) في طلبات الإجازة. لن تُكتب الملاحظة على الطلب.');
+  }
+
+  // خاصية status لا تقبل خياراً غير موجود → نكتفي بالتمييز
+  const canReject = settings.action === 'reject' && !!statusProp
+    && (statusProp.kind === 'select' || (statusProp.options || []).some(o => o.name === rejectedLabel));
+  if (settings.action === 'reject' && !canReject) {
+    console.warn(`⚠️ لا يمكن تعيين الحالة "${rejectedLabel}". ستُميَّز الطلبات لمراجعة HR بدلاً من رفضها.`);
+  }
+
+  const issues = detectLifecycleIssues({ linkedRequests, employeePages, fields, settings, today });
+  const decisions = new Map();
+  let flagged = 0;
+  let rejected = 0;
+
+  await Promise.all(linkedRequests.map(async ({ request }) => {
+    const status = readStatusName(request, fields);
+    // المرفوضة تبقى كما هي (بما فيها ملاحظة الرفض التلقائي)
+    if (status === rejectedLabel) return;
+    const desired = issues.get(request.id) || '';
+    const undecided = !status || status === fields.labels.pending;
+    const reject = !!desired && undecided && canReject;
+
+    const properties = {};
+    if (notePropName && readText(request, notePropName) !== desired) {
+      properties[notePropName] = {
+        rich_text: desired ? [{ type: 'text', text: { content: desired } }] : [],
+      };
+    }
+    if (reject) {
+      properties[statusProp.name] = statusProp.kind === 'status'
+        ? { status: { name: rejectedLabel } }
+        : { select: { name: rejectedLabel } };
+      if (reasonPropName) {
+        properties[reasonPropName] = {
+          rich_text: [{ type: 'text', text: { content: `رفض تلقائي حسب بيانات الخدمة: ${desired}` } }],
+        };
+      }
+    }
+
+    if (!reject && desired) flagged++;
+    if (Object.keys(properties).length === 0) return;
+
+    try {
+      await gateway.updatePage(request.id, properties);
+      if (reject) {
+        rejected++;
+        decisions.set(request.id, rejectedLabel);
+      }
+      if (reject) console.log(`   ⛔ رفض تلقائي للطلب ${request.id}: ${desired}`);
+      else if (desired) console.log(`   🪪 ${request.id}: ${desired}`);
+      else console.log(`   ✓ مُسحت ملاحظة الخدمة عن الطلب ${request.id}`);
+    } catch (error) {
+      console.error(`❌ فشل كتابة ملاحظة الخدمة للطلب ${request.id}:`, error.message);
+    }
+  }));
+
+  console.log(`🪪 طلبات مميزة: ${flagged} — مرفوضة تلقائياً: ${rejected}`);
+  return { flagged, rejected, issues, decisions };
+}
+
+module.exports = {
+  getLifecycleSettings,
+  readEmployment,
+  proRateEntitlement,
+  detectLifecycleIssues,
+  syncLifecycle,
+};
@@ -0,0 +1,161 @@
+// field-mapping.js
+// ملف واحد يصف أسماء وأنواع الخصائص في قواعد Notion + أسماء الحالات، مع التحقق منه مقابل المخطط الفعلي
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, 'field-mapping.json');
+
+class FieldMappingError extends Error {
+  constructor(problems) {
+    super(`إعدادات الحقول لا تطابق مخطط Notion:\n${problems.map(p => ` - ${p}`).join('\n')}`);
+    this.name = 'FieldMappingError';
+    this.problems = problems;
+  }
+}
+
+// --------------------------------------
+// التحميل
+// --------------------------------------
+function loadFieldMapping(filePath = process.env.FIELD_MAPPING_FILE || DEFAULT_MAPPING_FILE) {
+  const target = path.resolve(filePath);
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (error) {
+    throw new FieldMappingError([`تعذّر قراءة ملف الحقول ${target}: ${error.message}`]);
+  }
+
+  const problems = [];
+  for (const section of ['employees', 'leaveRequests', 'statusLabels']) {
+    if (!mapping[section] || typeof mapping[section] !== 'object') {
+      problems.push(`القسم "${section}" مفقود في ${target}`);
+    }
+  }
+  for (const label of ['pending', 'approved', 'rejected']) {
+    if (mapping.statusLabels && !mapping.statusLabels[label]) {
+      problems.push(`statusLabels.${label} مفقود في ${target}`);
+    }
+  }
+  if (problems.length > 0) throw new FieldMappingError(problems);
+
+  return mapping;
+}
+
+// --------------------------------------
+// التحقق مقابل المخطط
+// --------------------------------------
+function allowedTypes(def) {
+  return Array.isArray(def.type) ? def.type : [def.type];
+}
+
+// يتحقق من قسم واحد (employees أو leaveRequests) ويرجع أسماء الحقول الصالحة
+// الحقل الاختياري المفقود يُرجع null (الميزة المعتمدة عليه تُعطَّل مع تحذير)
+function resolveSection(sectionName, sectionDefs, dbSchema, problems, warnings) {
+  const props = dbSchema?.properties || {};
+  const resolved = {};
+
+  for (const [key, def] of Object.entries(sectionDefs)) {
+    const types = allowedTypes(def);
+    const actual = props[def.name];
+
+    if (!actual) {
+      const msg = `${sectionName}.${key}: الخاصية "${def.name}" غير موجودة`;
+      if (def.required) problems.push(msg);
+      else warnings.push(msg);
+      resolved[key] = null;
+      continue;
+    }
+    if (!types.includes(actual.type)) {
+      problems.push(`${sectionName}.${key}: الخاصية "${def.name}" نوعها ${actual.type} والمتوقع ${types.join(' أو ')}`);
+      resolved[key] = null;
+      continue;
+    }
+    resolved[key] = def.name;
+  }
+  return resolved;
+}
+
+// schemas: { employees?, leaveRequests? } — يُتحقق فقط من القواعد المُمرّرة
+function resolveFieldMapping(mapping, schemas) {
+  const problems = [];
+  const warnings = [];
+  const fields = { employees: {}, leaveRequests: {}, status: null, labels: { ...mapping.statusLabels } };
+
+  for (const section of ['employees', 'leaveRequests']) {
+    fields[section] = schemas[section]
+      ? resolveSection(section, mapping[section], schemas[section], problems, warnings)
+      : Object.fromEntries(Object.entries(mapping[section]).map(([key, def]) => [key, def.name]));
+  }
+
+  // خيارات الحالة: الأسماء المعرّفة في statusLabels يجب أن تكون موجودة (select يمكن إنشاؤها تلقائياً)
+  const statusName = fields.leaveRequests.status;
+  if (statusName && schemas.leaveRequests) {
+    const def = schemas.leaveRequests.properties[statusName];
+    const options = def[def.type]?.options || [];
+    fields.status = { name: statusName, kind: def.type, options };
+
+    for (const [key, label] of Object.entries(fields.labels)) {
+      if (!options.some(o => o.name === label)) {
+        warnings.push(`statusLabels.${key}: الخيار "${label}" غير موجود في "${statusName}" (${def.type})`);
+      }
+    }
+  }
+
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+  if (problems.length > 0) throw new FieldMappingError(problems);
+
+  return fields;
+}
+
+// --------------------------------------
+// أدوات قراءة مشتركة
+// --------------------------------------
+function readStatusName(page, fields) {
+  const name = fields.leaveRequests.status;
+  const p = name ? page.properties[name] : null;
+  if (!p) return '';
+  if (p.type === 'status' && p.status) return p.status.name || '';
+  if (p.type === 'select' && p.select) return p.select.name || '';
+  return '';
+}
+
+function readText(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  if (!p) return '';
+  if (p.type === 'rich_text') return (p.rich_text || []).map(t => t.plain_text).join('').trim();
+  if (p.type === 'title') return (p.title || []).map(t => t.plain_text).join(' ').trim();
+  if (p.type === 'select') return p.select ? p.select.name || '' : '';
+  if (p.type === 'status') return p.status ? p.status.name || '' : '';
+  if (p.type === 'people') return (p.people || []).map(u => u.name).filter(Boolean).join('، ');
+  return '';
+}
+
+function readRelationIds(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  if (!p || p.type !== 'relation') return [];
+  return (p.relation || []).map(r => r.id);
+}
+
+// نسخ من الطلبات بالحالة الجديدة (decisions: requestId → اسم الحالة) بدون تعديل الصفحات الأصلية
+// الصفحات الأصلية تُحفظ في حالة المزامنة كما قُرئت، حتى يُسجّل التغيير في سجل الحالة بالتشغيل التالي
+function applyStatusDecisions(linkedRequests, decisions, statusProp) {
+  if (!statusProp || decisions.size === 0) return linkedRequests;
+  return linkedRequests.map((item) => {
+    const label = decisions.get(item.request.id);
+    if (!label) return item;
+    const value = { type: statusProp.kind, [statusProp.kind]: { name: label } };
+    return { ...item, request: { ...item.request, properties: { ...item.request.properties, [statusProp.name]: value } } };
+  });
+}
+
+module.exports = {
+  DEFAULT_MAPPING_FILE,
+  FieldMappingError,
+  loadFieldMapping,
+  resolveFieldMapping,
+  readStatusName,
+  readText,
+  readRelationIds,
+  applyStatusDecisions,
+};
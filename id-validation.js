@@ -0,0 +1,81 @@
+// id-validation.js
+// التحقق من رقم الهوية الوطنية / الإقامة + كشف تكرار رقم الهوية بين الموظفين
+
+const { readText } = require('./field-mapping');
+
+// المسح الاحتياطي (أي 9-12 رقم في أي خاصية) معطّل افتراضياً لأنه قد يلتقط رقم جوال أو رقم طلب
+function isRegexFallbackEnabled() {
+  return process.env.ID_REGEX_FALLBACK === 'true';
+}
+
+// --------------------------------------
+// التحقق من الصيغة
+// --------------------------------------
+// 10 أرقام، تبدأ بـ 1 (مواطن) أو 2 (مقيم)، وخانة تحقق بخوارزمية Luhn:
+// الخانات في المواقع الفردية (1، 3، 5...) تُضاعف ويُجمع رقماها، والبقية تُجمع كما هي، والمجموع يقبل القسمة على 10
+function validateSaudiId(id) {
+  const value = String(id || '');
+
+  if (!/^\d{10}$/.test(value)) {
+    return { valid: false, type: null, reason: 'يجب أن يتكون من 10 أرقام' };
+  }
+
+  const type = value[0] === '1' ? 'citizen' : value[0] === '2' ? 'resident' : null;
+  if (!type) {
+    return { valid: false, type: null, reason: 'يجب أن يبدأ بـ 1 (هوية وطنية) أو 2 (إقامة)' };
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = Number(value[i]);
+    if (i % 2 === 0) {
+      const doubled = digit * 2;
+      sum += Math.floor(doubled / 10) + (doubled % 10);
+    } else {
+      sum += digit;
+    }
+  }
+  if (sum % 10 !== 0) {
+    return { valid: false, type, reason: 'خانة التحقق غير صحيحة' };
+  }
+
+  return { valid: true, type, reason: null };
+}
+
+// --------------------------------------
+// التكرار بين الموظفين
+// --------------------------------------
+// entries: [{ idNumber, pageId }] → Map: رقم الهوية → [page ids] للأرقام المكررة فقط
+function findDuplicateIds(entries) {
+  const byId = new Map();
+  for (const { idNumber, pageId } of entries) {
+    if (!byId.has(idNumber)) byId.set(idNumber, []);
+    byId.get(idNumber).push(pageId);
+  }
+  return new Map([...byId].filter(([, pageIds]) => pageIds.length > 1));
+}
+
+// --------------------------------------
+// كتابة "مشكلة التحقق" على الطلب (أو مسحها إذا زالت)
+// --------------------------------------
+async function writeValidationIssue(gateway, page, propName, issue) {
+  if (!propName) return false;
+  if (readText(page, propName) === (issue || '')) return false;
+
+  try {
+    await gateway.updatePage(page.id, {
+      [propName]: { rich_text: issue ? [{ type: 'text', text: { content: issue } }] : [] },
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ فشل كتابة مشكلة التحقق على الطلب ${page.id}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  isRegexFallbackEnabled,
+  validateSaudiId,
+  findDuplicateIds,
+  writeValidationIssue,
+};
@@ -0,0 +1,519 @@
+// intake.js
+// استقبال طلبات الإجازة بالبريد: قراءة الرسائل من مجلد محلي (maildir أو ملفات .eml)، واستخراج المرسل
+// ورقم الهوية والتواريخ ونوع الإجازة من النص العربي أو الإنجليزي، ثم إنشاء صفحة في قاعدة الطلبات
+// يربطها syncNotionTables بالموظف برقم الهوية في التشغيل التالي، مع رد على المرسل بالنتيجة
+// الطلب يُقبل فقط إذا كان المرسل (From) هو البريد المسجل للموظف صاحب رقم الهوية
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, ConfigError } = require('./config');
+const { createDryRunRecorder } = require('./dry-run');
+const { createDeliver } = require('./channels');
+const { loadFieldMapping, resolveFieldMapping } = require('./field-mapping');
+const { validateSaudiId } = require('./id-validation');
+const { loadLeavePolicies } = require('./leave-policy');
+const { createNotionClient, createNotionGateway } = require('./notion-data');
+const { normalizeNumber, extractIdNumber } = require('./sync');
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, '.intake-ledger.json');
+const NOTION_TEXT_LIMIT = 2000; // أقصى طول لنص واحد في Notion API
+const MAX_BODY_BLOCKS = 10;
+
+// --------------------------------------
+// الإعدادات
+// --------------------------------------
+// INTAKE_DIR: مجلد maildir (new/ و cur/) أو مجلد ملفات .eml
+// INTAKE_LEDGER_FILE: سجل الرسائل المعالجة (حتى لا يُنشأ نفس الطلب مرتين)
+// INTAKE_REPLY: الرد على المرسل بنتيجة الطلب (true افتراضياً)
+function getIntakeSettings() {
+  return {
+    dir: process.env.INTAKE_DIR || '',
+    ledgerFile: process.env.INTAKE_LEDGER_FILE ? path.resolve(process.env.INTAKE_LEDGER_FILE) : DEFAULT_LEDGER_FILE,
+    reply: process.env.INTAKE_REPLY !== 'false',
+  };
+}
+
+// --------------------------------------
+// قراءة الرسالة (RFC 5322 + MIME)
+// --------------------------------------
+function decodeBytes(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// الرسالة تُقرأ كـ latin1 حتى تبقى البايتات كما هي، ثم تُفك حسب charset كل جزء
+const toBytes = (s) => Buffer.from(s, 'latin1');
+
+function decodeQuotedPrintable(s) {
+  const bytes = [];
+  const input = s.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    const hex = input.slice(i + 1, i + 3);
+    if (input[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// =?UTF-8?B?...?= و =?UTF-8?Q?...?= في العناوين (المسافات بين كلمتين مشفرتين تُحذف)
+function decodeHeader(value) {
+  return String(value || '')
+    .replace(/[^\x00-\x7F]+/g, (raw) => decodeBytes(toBytes(raw))) // عناوين UTF-8 بدون تشفير
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset);
+    });
+}
+
+function splitHeaders(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    const name = line.slice(0, i).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(i + 1).trim();
+  }
+  return { headers, body };
+}
+
+// "text/plain; charset=utf-8; boundary=x" → { type, params }
+function parseContentType(value) {
+  const [type, ...rest] = String(value || 'text/plain').split(';');
+  const params = {};
+  for (const part of rest) {
+    const i = part.indexOf('=');
+    if (i > 0) params[part.slice(0, i).trim().toLowerCase()] = part.slice(i + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, headers) {
+  const encoding = String(headers['content-transfer-encoding'] || '').toLowerCase();
+  const bytes = encoding === 'base64' ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable' ? decodeQuotedPrintable(body)
+      : toBytes(body);
+  return decodeBytes(bytes, parseContentType(headers['content-type']).params.charset);
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+// أول جزء نصي (text/plain مفضّل على text/html)، مع تجاهل المرفقات
+function extractText(headers, body) {
+  const { type, params } = parseContentType(headers['content-type']);
+  if (/^attachment/i.test(headers['content-disposition'] || '')) return { plain: '', html: '' };
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const result = { plain: '', html: '' };
+    const parts = body.split(`--${params.boundary}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      const child = splitHeaders(part.replace(/^\r?\n/, ''));
+      const text = extractText(child.headers, child.body);
+      result.plain = result.plain || text.plain;
+      result.html = result.html || text.html;
+    }
+    return result;
+  }
+  if (type === 'text/html') return { plain: '', html: htmlToText(decodeBody(body, headers)) };
+  if (type === 'text/plain') return { plain: decodeBody(body, headers), html: '' };
+  return { plain: '', html: '' };
+}
+
+// "سارة <sara@example.com>" أو sara@example.com
+function parseAddress(value) {
+  const decoded = decodeHeader(value);
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(decoded);
+  if (match) return { name: match[1].trim(), address: match[2].trim().toLowerCase() };
+  return { name: '', address: decoded.trim().toLowerCase() };
+}
+
+// الردود التلقائية والقوائم البريدية ورسائل الارتداد: لا يُرد عليها حتى لا تتكرر الردود بين نظامين
+function isAutomated(headers) {
+  const autoSubmitted = String(headers['auto-submitted'] || '').trim().toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') return true;
+  if (/^(bulk|junk|list)$/i.test(String(headers.precedence || '').trim())) return true;
+  if (/^mailer-daemon@/.test(parseAddress(headers.from).address)) return true;
+  return 'return-path' in headers && /^<?\s*>?$/.test(headers['return-path']);
+}
+
+// raw: Buffer أو نص الرسالة كاملة
+function parseEml(raw) {
+  const { headers, body } = splitHeaders((Buffer.isBuffer(raw) ? raw : Buffer.from(raw, 'utf8')).toString('latin1'));
+  const { plain, html } = extractText(headers, body);
+  return {
+    messageId: (headers['message-id'] || '').replace(/[<>]/g, '').trim(),
+    from: parseAddress(headers.from),
+    automated: isAutomated(headers),
+    subject: decodeHeader(headers.subject).trim(),
+    date: headers.date || null,
+    text: (plain || html).replace(/\r\n/g, '\n').trim(),
+  };
+}
+
+// --------------------------------------
+// استخراج بيانات الطلب من النص
+// --------------------------------------
+const DATE_PATTERN = /(?<!\d)(?:(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})|(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}))(?!\d)/g;
+
+function validDate(y, m, d) {
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// التواريخ بصيغة YYYY-MM-DD أو DD/MM/YYYY، بترتيب ظهورها
+function findDates(text) {
+  const dates = [];
+  for (const m of text.matchAll(DATE_PATTERN)) {
+    const date = m[1] ? validDate(m[1], m[2], m[3]) : validDate(m[6], m[5], m[4]);
+    if (date && !dates.includes(date)) dates.push(date);
+  }
+  return dates;
+}
+
+// أول رقم هوية صالح (10 أرقام تبدأ بـ 1 أو 2)، وإلا أول رقم بالشكل الصحيح حتى يظهر سبب الرفض
+function findNationalId(text) {
+  const candidates = [...text.matchAll(/(?<!\d)[12]\d{9}(?!\d)/g)].map(m => m[0]);
+  return candidates.find(id => validateSaudiId(id).valid) || candidates[0] || null;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// نوع الإجازة حسب أسماء وبدائل leave-policies.json (كلمة كاملة، مع "ال" اختيارياً)، الأسبق ظهوراً أولاً
+function findLeaveType(text, policies) {
+  if (!policies) return null;
+  const lower = text.toLowerCase();
+  let best = null;
+  for (const type of policies.types) {
+    for (const key of type.keys) {
+      const pattern = new RegExp(`(?:^|[^\\u0600-\\u06FFa-z])(?:ال)?${escapeRegExp(key)}(?=$|[^\\u0600-\\u06FFa-z])`, 'u');
+      const match = pattern.exec(lower);
+      if (match && (!best || match.index < best.index)) best = { index: match.index, name: type.name };
+    }
+  }
+  return best ? best.name : null;
+}
+
+// تُرجع { employeeName, email, idNumber, startDate, endDate, leaveType, problems: [] }
+// email من From فقط: Reply-To يكتبه المرسل كما يشاء ولا يُعتمد عليه في معرفة صاحب الطلب
+function parseLeaveRequest(message, policies) {
+  const text = normalizeNumber(`${message.subject}\n${message.text}`);
+  const [first, second] = findDates(text);
+  const dates = [first, second].filter(Boolean).sort();
+
+  const result = {
+    employeeName: message.from.name || message.from.address,
+    email: message.from.address,
+    idNumber: findNationalId(text),
+    startDate: dates[0] || null,
+    endDate: dates[1] || dates[0] || null,
+    leaveType: findLeaveType(text, policies),
+    problems: [],
+  };
+
+  if (!result.idNumber) result.problems.push('لم يُعثر على رقم الهوية (10 أرقام)');
+  else if (!validateSaudiId(result.idNumber).valid) result.problems.push(`رقم الهوية ${result.idNumber} غير صالح`);
+  if (!result.startDate) result.problems.push('لم يُعثر على تاريخ البداية (YYYY-MM-DD أو DD/MM/YYYY)');
+  return result;
+}
+
+// --------------------------------------
+// التحقق من المرسل
+// --------------------------------------
+// رقم الهوية → عناوين البريد المسجلة للموظفين بهذا الرقم
+function buildEmailsByIdNumber(employees, fields) {
+  const emailsByIdNumber = new Map();
+  for (const page of employees) {
+    const idNumber = extractIdNumber(page.properties, fields.employees.idNumber);
+    const p = fields.employees.email ? page.properties[fields.employees.email] : null;
+    const email = p && p.type === 'email' ? String(p.email || '').trim().toLowerCase() : '';
+    if (!idNumber || !email) continue;
+    const key = normalizeNumber(idNumber);
+    if (!emailsByIdNumber.has(key)) emailsByIdNumber.set(key, new Set());
+    emailsByIdNumber.get(key).add(email);
+  }
+  return emailsByIdNumber;
+}
+
+// يضيف سبب الرفض إذا لم يطابق المرسل البريد المسجل لرقم الهوية (الطلب بلا رقم صالح مرفوض أصلاً)
+// senderVerified: المرسل بريد مسجل لموظف ولم يفشل التحقق من رقم الهوية → يمكن الرد عليه
+function verifySender(request, emailsByIdNumber) {
+  request.senderVerified = [...emailsByIdNumber.values()].some(emails => emails.has(request.email));
+  if (!request.idNumber || !validateSaudiId(request.idNumber).valid) return request;
+  const emails = emailsByIdNumber.get(request.idNumber);
+  if (!emails) {
+    request.problems.push(`لا يوجد بريد مسجل للموظف برقم الهوية ${request.idNumber}`);
+    request.senderVerified = false;
+  } else if (!emails.has(request.email)) {
+    request.problems.push(`البريد ${request.email} لا يطابق البريد المسجل للموظف برقم الهوية ${request.idNumber}`);
+    request.senderVerified = false;
+  }
+  return request;
+}
+
+// --------------------------------------
+// إنشاء صفحة الطلب
+// --------------------------------------
+function propertyValue(type, value) {
+  const text = [{ type: 'text', text: { content: String(value).slice(0, NOTION_TEXT_LIMIT) } }];
+  if (type === 'title') return { title: text };
+  if (type === 'rich_text') return { rich_text: text };
+  if (type === 'number') return { number: Number(value) };
+  if (type === 'email') return { email: value };
+  if (type === 'select') return { select: { name: value } };
+  if (type === 'date') return { date: value };
+  return null;
+}
+
+// الحالة تُترك فارغة؛ المزامنة تضبطها "قيد الانتظار" عند الربط
+function buildRequestProperties(request, fields, schema) {
+  const names = fields.leaveRequests;
+  const properties = {};
+  const set = (propName, value) => {
+    const def = propName && value !== null && value !== undefined ? schema.properties[propName] : null;
+    const prop = def ? propertyValue(def.type, value) : null;
+    if (prop && !properties[propName]) properties[propName] = prop;
+  };
+
+  set(names.idNumber, request.idNumber);
+  set(names.employeeName, request.employeeName);
+  set(names.email, request.email);
+  set(names.leaveType, request.leaveType);
+  if (names.endDate) {
+    set(names.startDate, { start: request.startDate });
+    set(names.endDate, { start: request.endDate });
+  } else {
+    set(names.startDate, { start: request.startDate, end: request.endDate !== request.startDate ? request.endDate : null });
+  }
+  return properties;
+}
+
+// نص الرسالة الأصلية داخل الصفحة للمراجعة
+function buildMessageBlocks(message) {
+  const paragraph = (content) => ({
+    object: 'block',
+    type: 'paragraph',
+    paragraph: { rich_text: [{ type: 'text', text: { content } }] },
+  });
+  const chunks = [];
+  for (let i = 0; i < message.text.length && chunks.length < MAX_BODY_BLOCKS; i += NOTION_TEXT_LIMIT) {
+    chunks.push(message.text.slice(i, i + NOTION_TEXT_LIMIT));
+  }
+  return [
+    { object: 'block', type: 'heading_3', heading_3: { rich_text: [{ type: 'text', text: { content: `📧 ${message.subject || '(بدون عنوان)'}` } }] } },
+    ...chunks.map(paragraph),
+  ];
+}
+
+// --------------------------------------
+// الرد على المرسل
+// --------------------------------------
+function buildReply(message, request, pageId) {
+  const subject = `Re: ${message.subject || 'طلب إجازة'}`;
+  if (pageId) {
+    const period = request.endDate !== request.startDate ? `من ${request.startDate} إلى ${request.endDate}` : `بتاريخ ${request.startDate}`;
+    return {
+      subject,
+      text:
+`مرحباً ${request.employeeName}،
+
+تم استلام طلب الإجازة${request.leaveType ? ` (${request.leaveType})` : ''} ${period}، وهو الآن قيد المراجعة.
+ستصلك رسالة عند تغيّر حالة الطلب.
+
+مع التحية،`,
+    };
+  }
+  return {
+    subject,
+    text:
+`مرحباً ${request.employeeName}،
+
+تعذّر تسجيل طلب الإجازة من رسالتك للأسباب التالية:
+${request.problems.map(p => `- ${p}`).join('\n')}
+
+يرجى إعادة الإرسال متضمناً رقم الهوية وتاريخ البداية والنهاية ونوع الإجازة، مثال:
+رقم الهوية: 1012345678 — إجازة سنوية من 2026-03-01 إلى 2026-03-05
+
+مع التحية،`,
+  };
+}
+
+// --------------------------------------
+// المصدر: maildir أو مجلد .eml
+// --------------------------------------
+function listMessageFiles(dir) {
+  const isMaildir = ['new', 'cur'].some(sub => fs.existsSync(path.join(dir, sub)));
+  const dirs = isMaildir ? ['new', 'cur'].map(sub => path.join(dir, sub)).filter(d => fs.existsSync(d)) : [dir];
+
+  const files = [];
+  for (const d of dirs) {
+    for (const name of fs.readdirSync(d).sort()) {
+      const file = path.join(d, name);
+      if (name.startsWith('.') || !fs.statSync(file).isFile()) continue;
+      if (isMaildir || name.toLowerCase().endsWith('.eml')) files.push(file);
+    }
+  }
+  return files;
+}
+
+// سجل الرسائل المعالجة: { messages: { [key]: { state: created|rejected|uncertain, pageId, file, problems, at } } }
+// uncertain: فشل إنشاء غامض (مهلة/5xx) ربما أنشأ الصفحة؛ لا يُعاد تلقائياً — احذف المفتاح بعد التحقق في Notion لإعادته
+function loadIntakeLedger(file, { persist = true } = {}) {
+  let data = { messages: {} };
+  if (fs.existsSync(file)) {
+    try {
+      data = { messages: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+      console.warn(`⚠️ تعذّر قراءة سجل البريد الوارد ${file}: ${error.message} (سيبدأ سجل جديد)`);
+    }
+  }
+  return {
+    data,
+    has: (key) => !!data.messages[key],
+    record(key, entry) {
+      data.messages[key] = { ...entry, at: new Date().toISOString() };
+      if (!persist) return;
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+// Message-ID إن وُجد، وإلا بصمة محتوى الملف
+function messageKey(message, raw) {
+  return message.messageId || `sha1:${crypto.createHash('sha1').update(raw).digest('hex')}`;
+}
+
+// --------------------------------------
+// الأمر: notion-hr intake [--dir path] [--dry-run]
+// --------------------------------------
+// options.dir: بديل لـ INTAKE_DIR
+// options.dryRun: قراءة الرسائل وعرض الطلبات بدون إنشاء صفحات أو ردود أو تحديث السجل
+// options.notion / options.employeesDbId / options.leaveRequestsDbId / options.transporter / options.policies: بدائل (للاختبارات)
+async function runIntake(options = {}) {
+  const settings = { ...getIntakeSettings(), ...(options.settings || {}) };
+  const dir = options.dir || settings.dir;
+  if (!dir) throw new ConfigError(['INTAKE_DIR']);
+  const config = loadConfig({
+    required: [...(options.notion ? [] : ['notionToken']), 'employeesDbId', 'leaveRequestsDbId'],
+    overrides: options,
+  });
+
+  const recorder = options.dryRun ? createDryRunRecorder({ outFile: options.outFile }) : null;
+  const baseClient = options.notion || createNotionClient(config.notionToken);
+  const gateway = createNotionGateway({ client: recorder ? recorder.wrapNotion(baseClient) : baseClient });
+  const deliver = recorder ? recorder.recordEmail : createDeliver({ transporter: options.transporter });
+  const ledgerFile = options.ledgerFile || settings.ledgerFile;
+  const ledger = loadIntakeLedger(ledgerFile, { persist: !recorder });
+  const policies = options.policies === undefined ? loadLeavePolicies() : options.policies;
+
+  const schema = await gateway.retrieveDatabase(config.leaveRequestsDbId);
+  const fields = resolveFieldMapping(loadFieldMapping(), {
+    employees: await gateway.retrieveDatabase(config.employeesDbId),
+    leaveRequests: schema,
+  });
+  if (!fields.employees.email) {
+    console.warn('⚠️ لا يوجد حقل بريد (email) في قاعدة الموظفين. لا يمكن التحقق من المرسلين، وستُرفض كل الطلبات.');
+  }
+  const emailsByIdNumber = buildEmailsByIdNumber(await gateway.queryAll(config.employeesDbId), fields);
+
+  const files = listMessageFiles(dir);
+  console.log(`📥 رسائل في ${dir}: ${files.length}`);
+  const result = { scanned: files.length, created: 0, rejected: 0, skipped: 0, uncertain: 0, pages: [] };
+
+  for (const file of files) {
+    const raw = fs.readFileSync(file);
+    const message = parseEml(raw);
+    const key = messageKey(message, raw);
+    if (ledger.has(key)) {
+      result.skipped++;
+      continue;
+    }
+
+    const request = verifySender(parseLeaveRequest(message, policies), emailsByIdNumber);
+    let pageId = null;
+
+    if (request.problems.length === 0) {
+      try {
+        const page = await gateway.createPage(
+          config.leaveRequestsDbId,
+          buildRequestProperties(request, fields, schema),
+          buildMessageBlocks(message),
+        );
+        pageId = page.id;
+      } catch (error) {
+        console.error(`❌ فشل إنشاء طلب من ${path.basename(file)}:`, error.message);
+        // فشل غامض: يُسجَّل حتى لا يُنشأ الطلب مرتين في التشغيل التالي
+        if (error.ambiguous) {
+          result.uncertain++;
+          ledger.record(key, { state: 'uncertain', pageId: null, file: path.basename(file), from: request.email, problems: [error.message] });
+          console.warn(`   ⚠️ ربما أُنشئ الطلب رغم الخطأ؛ تحقق منه في Notion واحذف مفتاحه (${key}) من ${ledgerFile} لإعادة المحاولة`);
+        }
+        // غير ذلك لا يُسجل في السجل حتى تُعاد المحاولة في التشغيل التالي
+        continue;
+      }
+      result.created++;
+      result.pages.push({ pageId, file, ...request });
+      console.log(`   ✓ طلب جديد ${pageId}: ${request.employeeName} (${request.idNumber}) ${request.startDate} → ${request.endDate}`);
+    } else {
+      result.rejected++;
+      console.warn(`   ⚠️ تعذّر قراءة طلب من ${path.basename(file)} (${request.email}): ${request.problems.join('؛ ')}`);
+    }
+
+    ledger.record(key, {
+      state: pageId ? 'created' : 'rejected',
+      pageId,
+      file: path.basename(file),
+      from: request.email,
+      problems: request.problems,
+    });
+
+    if (!settings.reply || !request.email) continue;
+    if (message.automated || !request.senderVerified) {
+      console.log(`   ↷ بدون رد على ${request.email}: ${message.automated ? 'رسالة تلقائية' : 'مرسل غير موثّق'}`);
+      continue;
+    }
+    await deliver({ channel: 'email', to: request.email, ...buildReply(message, request, pageId) });
+  }
+
+  console.log(`📥 طلبات جديدة: ${result.created} — تعذّرت قراءتها: ${result.rejected} — معالجة سابقاً: ${result.skipped}${result.uncertain ? ` — غير مؤكدة: ${result.uncertain}` : ''}`);
+  if (recorder) recorder.printReport();
+  return result;
+}
+
+module.exports = {
+  getIntakeSettings,
+  parseEml,
+  parseLeaveRequest,
+  buildRequestProperties,
+  listMessageFiles,
+  runIntake,
+};
@@ -0,0 +1,276 @@
+// leave-balance.js
+// حساب رصيد الإجازة السنوية لكل موظف وكتابته على صفحة الموظف
+// الاستحقاق نسبي لمن عُيّن أو تنتهي خدمته خلال السنة، ورصيد تسوية نهاية الخدمة يُكتب للموظفين المغادرين
+
+const { extractLeaveDates, countLeaveDays, loadWorkCalendar } = require('./working-days');
+const { readStatusName, readText } = require('./field-mapping');
+const { readEmployment, proRateEntitlement } = require('./employee-lifecycle');
+const { countsAgainstBalance } = require('./leave-policy');
+
+// --------------------------------------
+// إعدادات الرصيد (من المتغيرات البيئية)
+// --------------------------------------
+function getBalanceSettings() {
+  const entitlement = Number(process.env.ANNUAL_LEAVE_ENTITLEMENT || 21); // الاستحقاق السنوي بالأيام
+  const carryOverMax = Number(process.env.LEAVE_CARRY_OVER_MAX || 0);     // أقصى رصيد يُرحّل من السنة السابقة (0 = بدون ترحيل)
+  const year = Number(process.env.LEAVE_YEAR || new Date().getUTCFullYear());
+  const prorate = process.env.LEAVE_PRORATE !== 'false';                 // الاستحقاق النسبي حسب تاريخ التعيين/انتهاء الخدمة
+  return { entitlement, carryOverMax, year, prorate };
+}
+
+function readNumber(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  if (!p || p.type !== 'number') return null;
+  return p.number;
+}
+
+// --------------------------------------
+// حساب الأرصدة
+// --------------------------------------
+// linkedRequests: [{ request, employeePageId }]
+// employeePages (اختياري): page id → صفحة الموظف، لحساب الاستحقاق النسبي من تاريخ التعيين/انتهاء الخدمة
+// policies (اختياري): سياسات الإجازات؛ الأنواع التي countsAgainstBalance = false لا تُخصم من الرصيد
+function computeBalances(linkedRequests, fields, settings, calendar, employeePages = new Map(), policies = null) {
+  const { entitlement, carryOverMax, year } = settings;
+  const balances = new Map(); // employeePageId → { used, usedPrevYear }
+
+  const getEntry = (employeePageId) => {
+    if (!balances.has(employeePageId)) balances.set(employeePageId, { used: 0, usedPrevYear: 0 });
+    return balances.get(employeePageId);
+  };
+
+  // الاستحقاق للسنة ولسابقتها (للترحيل) حسب فترة خدمة الموظف
+  const entitlementsFor = (employeePageId) => {
+    const page = employeePages.get(employeePageId);
+    if (!settings.prorate || !page) return { current: entitlement, previous: entitlement };
+    const employment = readEmployment(page, fields);
+    return {
+      current: proRateEntitlement(entitlement, employment, year),
+      previous: proRateEntitlement(entitlement, employment, year - 1),
+    };
+  };
+
+  const finalize = (employeePageId, entry) => {
+    const { current, previous } = entitlementsFor(employeePageId);
+    const carried = Math.max(0, Math.min(carryOverMax, previous - entry.usedPrevYear));
+    entry.entitlement = current;
+    entry.available = current + carried;
+    entry.remaining = entry.available - entry.used;
+    return entry;
+  };
+
+  for (const { request, employeePageId } of linkedRequests) {
+    if (readStatusName(request, fields) !== fields.labels.approved) continue;
+    if (!countsAgainstBalance(request, fields, policies)) continue;
+    const dates = extractLeaveDates(request.properties, fields);
+    if (!dates) continue;
+
+    const entry = getEntry(employeePageId);
+    entry.used += countLeaveDays(dates, calendar, year);
+    entry.usedPrevYear += countLeaveDays(dates, calendar, year - 1);
+  }
+
+  for (const [employeePageId, entry] of balances) finalize(employeePageId, entry);
+
+  return {
+    get(employeePageId) {
+      return balances.get(employeePageId) || finalize(employeePageId, { used: 0, usedPrevYear: 0 });
+    },
+  };
+}
+
+// أيام الطلب في كل سنة يقع فيها: [{ year, days }] (طلب يعبر نهاية السنة يُخصم من رصيد السنتين)
+function splitByYear(dates, calendar) {
+  const parts = [];
+  for (let year = dates.start.getUTCFullYear(); year <= dates.end.getUTCFullYear(); year++) {
+    const days = countLeaveDays(dates, calendar, year);
+    if (days > 0) parts.push({ year, days });
+  }
+  return parts;
+}
+
+// الأقدم بتاريخ الإنشاء أولاً حتى يُستهلك الرصيد بترتيب تقديم الطلبات
+function byCreatedTime(a, b) {
+  const ca = a.request.created_time || '';
+  const cb = b.request.created_time || '';
+  return ca === cb ? a.request.id.localeCompare(b.request.id) : ca.localeCompare(cb);
+}
+
+// أرصدة لكل سنة يقع فيها طلب (وليس سنة الرصيد فقط) + خصم الطلبات المحجوزة في نفس الفحص
+// consume: يحجز أيام الطلب حتى تُقارن الطلبات التالية بما تبقى بعده
+function createBalanceTracker({ linkedRequests, fields, settings, calendar, employeePages = new Map(), policies = null }) {
+  const byYear = new Map();      // السنة → computeBalances لتلك السنة
+  const consumed = new Map();    // "employeePageId|year" → أيام محجوزة
+
+  const balancesFor = (year) => {
+    if (!byYear.has(year)) {
+      byYear.set(year, computeBalances(linkedRequests, fields, { ...settings, year }, calendar, employeePages, policies));
+    }
+    return byYear.get(year);
+  };
+  const remaining = (employeePageId, year) =>
+    balancesFor(year).get(employeePageId).remaining - (consumed.get(`${employeePageId}|${year}`) || 0);
+
+  return {
+    remaining,
+    // أول سنة لا يكفي رصيدها لأيام الطلب فيها: { year, days, remaining } أو null
+    shortfall(employeePageId, dates) {
+      for (const part of splitByYear(dates, calendar)) {
+        const left = remaining(employeePageId, part.year);
+        if (part.days > left) return { ...part, remaining: left };
+      }
+      return null;
+    },
+    consume(employeePageId, dates) {
+      for (const { year, days } of splitByYear(dates, calendar)) {
+        const key = `${employeePageId}|${year}`;
+        consumed.set(key, (consumed.get(key) || 0) + days);
+      }
+    },
+  };
+}
+
+// الطلبات التي لم يُبت فيها بعد وتتجاوز الرصيد المتبقي
+// تُفحص بترتيب التقديم ويُخصم كل طلب معلّق مما يليه (ثلاثة طلبات 5 أيام مقابل 6 متبقية → يُميَّز الثاني والثالث)
+// الأنواع التي لا تُخصم من الرصيد (مرضية، بدون راتب...) لا تُفحص
+function findOverdrawnRequests(linkedRequests, fields, tracker, settings, policies = null) {
+  const overdrawn = new Map(); // requestId → نص التنبيه
+
+  const pending = linkedRequests.filter(({ request }) => {
+    const status = readStatusName(request, fields);
+    if (status === fields.labels.approved || status === fields.labels.rejected) return false;
+    return countsAgainstBalance(request, fields, policies);
+  }).sort(byCreatedTime);
+
+  for (const { request, employeePageId } of pending) {
+    const dates = extractLeaveDates(request.properties, fields);
+    if (!dates) continue;
+
+    const short = tracker.shortfall(employeePageId, dates);
+    if (short) {
+      overdrawn.set(request.id, short.year === settings.year
+        ? `الطلب (${short.days} يوم) يتجاوز الرصيد المتبقي (${short.remaining} يوم)`
+        : `الطلب (${short.days} يوم في ${short.year}) يتجاوز الرصيد المتبقي لسنة ${short.year} (${short.remaining} يوم)`);
+    }
+    tracker.consume(employeePageId, dates);
+  }
+
+  return overdrawn;
+}
+
+// أيام الإجازة المستحقة للموظف عند انتهاء خدمته (لا تقل عن صفر) من رصيد سنة انتهاء الخدمة
+// null إذا لم يكن للموظف تاريخ انتهاء خدمة (تبقى القيمة المكتوبة سابقاً كما هي)
+function findSettlement(page, fields, tracker) {
+  const { terminationDate } = readEmployment(page, fields);
+  if (!terminationDate) return null;
+  return Math.max(0, tracker.remaining(page.id, terminationDate.getUTCFullYear()));
+}
+
+// --------------------------------------
+// الكتابة إلى Notion
+// --------------------------------------
+async function safeUpdate(gateway, pageId, properties, label) {
+  try {
+    await gateway.updatePage(pageId, properties);
+    return true;
+  } catch (error) {
+    console.error(`❌ فشل تحديث ${label} ${pageId}:`, error.message);
+    return false;
+  }
+}
+
+// scope: نطاق المزامنة التزايدية { requestIds, employeeIds } — الحساب لكل الطلبات والكتابة على صفحات النطاق فقط (null = الكل)
+// policies: سياسات الإجازات (لمعرفة الأنواع التي لا تُخصم من الرصيد؛ null = كل الطلبات تُخصم)
+async function syncLeaveBalances({ gateway, linkedRequests, employeePages, fields, calendar = loadWorkCalendar(), policies = null, scope = null }) {
+  console.log('\n🧮 بدء حساب أرصدة الإجازات...');
+
+  const settings = getBalanceSettings();
+  const usedPropName = fields.employees.usedLeave;
+  const remainingPropName = fields.employees.remainingLeave;
+  const warningPropName = fields.leaveRequests.balanceWarning;
+  const settlementPropName = fields.employees.leaveSettlement;
+
+  if (!fields.leaveRequests.status) {
+    console.warn('⚠️ لا يوجد حقل حالة؛ لا يمكن تحديد الطلبات المعتمدة. تم تجاوز حساب الأرصدة.');
+    return { employeesUpdated: 0, requestsFlagged: 0 };
+  }
+  if (!usedPropName && !remainingPropName) {
+    console.warn('⚠️ لا توجد حقول رصيد (number) في قاعدة الموظفين. لن تتم كتابة الأرصدة.');
+  }
+  if (!warningPropName) {
+    console.warn('⚠️ لا يوجد حقل "تنبيه الرصيد" (rich_text) في طلبات الإجازة. لن يتم تمييز الطلبات المتجاوزة.');
+  }
+
+  const balances = computeBalances(linkedRequests, fields, settings, calendar, employeePages, policies);
+  // أرصدة السنوات الأخرى: تسوية نهاية الخدمة من سنة انتهاء الخدمة، وتنبيه الطلبات حسب سنواتها
+  const tracker = createBalanceTracker({ linkedRequests, fields, settings, calendar, employeePages, policies });
+  let employeesUpdated = 0;
+  let requestsFlagged = 0;
+  let settlements = 0;
+
+  // 1) كتابة المستخدم/المتبقي على صفحة كل موظف (فقط عند التغيير)
+  //    + تسوية نهاية الخدمة: الرصيد المتبقي حتى تاريخ انتهاء الخدمة في سنة انتهائها
+  if (usedPropName || remainingPropName || settlementPropName) {
+    await Promise.all([...employeePages].map(async ([pageId, page]) => {
+      if (scope && !scope.employeeIds.has(pageId)) return;
+      const { used, remaining } = balances.get(pageId);
+      const settlement = settlementPropName ? findSettlement(page, fields, tracker) : null;
+      const properties = {};
+      if (usedPropName && readNumber(page, usedPropName) !== used) {
+        properties[usedPropName] = { number: used };
+      }
+      if (remainingPropName && readNumber(page, remainingPropName) !== remaining) {
+        properties[remainingPropName] = { number: remaining };
+      }
+      if (settlement !== null) {
+        settlements++;
+        if (readNumber(page, settlementPropName) !== settlement) properties[settlementPropName] = { number: settlement };
+      }
+      if (Object.keys(properties).length === 0) return;
+
+      if (await safeUpdate(gateway, pageId, properties, 'رصيد الموظف')) {
+        employeesUpdated++;
+        console.log(`   ↪︎ رصيد الموظف ${pageId}: مستخدم ${used} / متبقي ${remaining}`);
+        if (properties[settlementPropName]) console.log(`   🧾 تسوية نهاية الخدمة للموظف ${pageId}: ${settlement} يوم`);
+      }
+    }));
+  }
+
+  // 2) تمييز الطلبات التي ستجعل الرصيد سالباً (وإزالة التنبيه إذا زال السبب)
+  if (warningPropName) {
+    const overdrawn = findOverdrawnRequests(linkedRequests, fields, tracker, settings, policies);
+
+    await Promise.all(linkedRequests.map(async ({ request }) => {
+      if (scope && !scope.requestIds.has(request.id)) return;
+      const current = readText(request, warningPropName);
+      const desired = overdrawn.get(request.id) || '';
+      if (current === desired) return;
+
+      const properties = {
+        [warningPropName]: {
+          rich_text: desired ? [{ type: 'text', text: { content: desired } }] : [],
+        },
+      };
+      if (await safeUpdate(gateway, request.id, properties, 'تنبيه الرصيد للطلب')) {
+        if (desired) {
+          requestsFlagged++;
+          console.log(`   ⚠️ ${desired}: ${request.id}`);
+        }
+      }
+    }));
+  }
+
+  console.log(`🧮 تم تحديث رصيد ${employeesUpdated} موظف، وتمييز ${requestsFlagged} طلب يتجاوز الرصيد`);
+  if (settlements > 0) console.log(`🧾 تسويات نهاية الخدمة: ${settlements} موظف`);
+  return { employeesUpdated, requestsFlagged, settlements };
+}
+
+module.exports = {
+  getBalanceSettings,
+  computeBalances,
+  splitByYear,
+  byCreatedTime,
+  createBalanceTracker,
+  findOverdrawnRequests,
+  syncLeaveBalances,
+};
@@ -0,0 +1,357 @@
+// leave-calendar.js
+// تقويم الإجازات المعتمدة (iCalendar / ICS): ملف لكل فريق (القسم) + ملف للشركة كلها
+// UID ثابت لكل صفحة Notion حتى تصل التعديلات للتقويم، والطلب الذي أُلغي اعتماده يُنشر كـ CANCELLED لفترة
+// مع خادم HTTP صغير اختياري يقدّم الملفات للاشتراك فيها من تطبيقات التقويم
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { loadFieldMapping, resolveFieldMapping, readStatusName, readText, readRelationIds } = require('./field-mapping');
+const { createNotionClient, createNotionGateway } = require('./notion-data');
+const { extractLeaveDates, addDays, toDateKey } = require('./working-days');
+const { readDepartment } = require('./conflicts');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '.calendar-state.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UID_DOMAIN = 'notion-hr';
+const COMPANY_FEED = 'company';
+
+// CALENDAR_OUT_DIR: مجلد ملفات .ics
+// CALENDAR_PORT: منفذ الخادم (notion-hr calendar --serve)
+// CALENDAR_TOKEN: إن وُجد، يجب تمريره في الرابط ?token=... (التقويم يكشف غياب الموظفين)
+// CALENDAR_CACHE_SECONDS: مدة إعادة استخدام التقويم المولَّد قبل القراءة من Notion مجدداً
+// CALENDAR_CANCELLED_RETENTION_DAYS: مدة بقاء الأحداث الملغاة في الملفات حتى تصل لكل المشتركين
+function getCalendarSettings() {
+  return {
+    outDir: process.env.CALENDAR_OUT_DIR || 'calendars',
+    port: Number(process.env.CALENDAR_PORT || 8090),
+    token: process.env.CALENDAR_TOKEN || '',
+    cacheMs: Number(process.env.CALENDAR_CACHE_SECONDS || 300) * 1000,
+    cancelledRetentionDays: Number(process.env.CALENDAR_CANCELLED_RETENTION_DAYS || 30),
+  };
+}
+
+function getCalendarStateFile() {
+  return process.env.CALENDAR_STATE_FILE ? path.resolve(process.env.CALENDAR_STATE_FILE) : DEFAULT_STATE_FILE;
+}
+
+// اسم ملف آمن من اسم القسم (يحتفظ بالحروف العربية)
+function feedSlug(name) {
+  return `team-${String(name).trim().replace(/[\s/\\?%*:|"<>.,#&=+]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'unknown'}`;
+}
+
+// --------------------------------------
+// الأحداث
+// --------------------------------------
+// SEQUENCE يزيد مع كل تعديل على الصفحة (دقائق منذ epoch من last_edited_time)
+function sequenceOf(page) {
+  return Math.floor(Date.parse(page.last_edited_time || 0) / 60000) || 0;
+}
+
+// الطلبات المعتمدة والمربوطة بموظف فقط
+function buildCalendarEvents({ requests, employeesById, fields }) {
+  const events = [];
+
+  for (const request of requests) {
+    if (readStatusName(request, fields) !== fields.labels.approved) continue;
+    const employeeId = readRelationIds(request, fields.leaveRequests.employee)[0];
+    if (!employeeId) continue;
+    const dates = extractLeaveDates(request.properties, fields);
+    if (!dates) continue;
+
+    const employee = employeesById.get(employeeId);
+    const name = readText(employee, fields.employees.name) || readText(request, fields.leaveRequests.employeeName);
+    const leaveType = readText(request, fields.leaveRequests.leaveType);
+    const department = readDepartment(employee, fields.employees.department) || '';
+    const dayCount = fields.leaveRequests.dayCount ? request.properties[fields.leaveRequests.dayCount]?.number : null;
+
+    events.push({
+      uid: `${request.id}@${UID_DOMAIN}`,
+      pageId: request.id,
+      status: 'CONFIRMED',
+      start: toDateKey(dates.start),
+      end: toDateKey(dates.end),
+      summary: `إجازة: ${name}${leaveType ? ` (${leaveType})` : ''}`,
+      description: [
+        department && `القسم: ${department}`,
+        dayCount ? `عدد الأيام: ${dayCount}` : null,
+        dates.halfDayStart || dates.halfDayEnd ? 'تشمل نصف يوم' : null,
+      ].filter(Boolean).join('\n'),
+      department,
+      sequence: sequenceOf(request),
+      stamp: request.last_edited_time,
+    });
+  }
+  return events;
+}
+
+// الأحداث المنشورة سابقاً ولم تعد معتمدة (أو حُذفت) تُنشر كـ CANCELLED مع SEQUENCE أعلى
+// state: { events: { uid: { sequence, start, end, summary, department, cancelledAt? } } }
+function applyCancellations(events, state, { now = new Date(), retentionDays = 30 } = {}) {
+  const current = new Map(events.map(e => [e.uid, e]));
+  const nextState = { events: {} };
+  const cancelled = [];
+
+  for (const event of events) {
+    const previous = state.events?.[event.uid];
+    // أُعيد اعتماد طلب ملغى: SEQUENCE يجب أن يتجاوز رقم الإلغاء
+    if (previous && event.sequence <= previous.sequence) event.sequence = previous.sequence + 1;
+    const { uid, sequence, start, end, summary, department } = event;
+    nextState.events[uid] = { sequence, start, end, summary, department };
+  }
+
+  for (const [uid, previous] of Object.entries(state.events || {})) {
+    if (current.has(uid)) continue;
+    const cancelledAt = previous.cancelledAt || now.toISOString();
+    if (now.getTime() - Date.parse(cancelledAt) > retentionDays * DAY_MS) continue;
+
+    const sequence = previous.cancelledAt ? previous.sequence : previous.sequence + 1;
+    nextState.events[uid] = { ...previous, sequence, cancelledAt };
+    cancelled.push({
+      uid,
+      pageId: uid.split('@')[0],
+      status: 'CANCELLED',
+      start: previous.start,
+      end: previous.end,
+      summary: previous.summary,
+      description: '',
+      department: previous.department,
+      sequence,
+      stamp: cancelledAt,
+    });
+  }
+
+  return { events: [...events, ...cancelled], state: nextState };
+}
+
+function loadCalendarState(file = getCalendarStateFile()) {
+  if (!fs.existsSync(file)) return { events: {} };
+  try {
+    return { events: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    console.warn(`⚠️ تعذّر قراءة حالة التقويم ${file}: ${error.message} (ستبدأ حالة جديدة)`);
+    return { events: {} };
+  }
+}
+
+function saveCalendarState(state, file = getCalendarStateFile()) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// --------------------------------------
+// ICS (RFC 5545)
+// --------------------------------------
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// السطر لا يتجاوز 75 بايت (UTF-8)؛ التكملة تبدأ بمسافة ولا يُقسم حرف عربي بين سطرين
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+function icsTimestamp(iso) {
+  return new Date(iso || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function renderCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//notion-hr//leave calendar//AR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  const sorted = [...events].sort((a, b) => a.start.localeCompare(b.start) || a.uid.localeCompare(b.uid));
+  for (const event of sorted) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${icsTimestamp(event.stamp)}`,
+      `SEQUENCE:${event.sequence}`,
+      `STATUS:${event.status}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+      // DTEND حصري: اليوم التالي لآخر يوم إجازة
+      `DTEND;VALUE=DATE:${icsDate(toDateKey(addDays(new Date(`${event.end}T00:00:00Z`), 1)))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// company + ملف لكل قسم → { [feedId]: { name, events } }
+function buildFeeds(events) {
+  const feeds = { [COMPANY_FEED]: { name: 'إجازات الشركة', events } };
+  for (const event of events) {
+    if (!event.department) continue;
+    const id = feedSlug(event.department);
+    if (!feeds[id]) feeds[id] = { name: `إجازات ${event.department}`, events: [] };
+    feeds[id].events.push(event);
+  }
+  return feeds;
+}
+
+function writeCalendarFiles(feeds, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  return Object.entries(feeds).map(([id, feed]) => {
+    const file = path.join(outDir, `${id}.ics`);
+    fs.writeFileSync(file, renderCalendar(feed));
+    return file;
+  });
+}
+
+// --------------------------------------
+// التوليد من Notion
+// --------------------------------------
+// options.persistState = false: لا تُحدّث حالة الإلغاءات (وضع التجربة)
+// options.outDir: كتابة الملفات (null = بدون كتابة، مثل الخادم)
+async function generateCalendars(options = {}) {
+  const config = loadConfig({
+    required: [...(options.notion ? [] : ['notionToken']), 'employeesDbId', 'leaveRequestsDbId'],
+    overrides: options,
+  });
+  const settings = options.settings || getCalendarSettings();
+  const gateway = createNotionGateway({ client: options.notion || createNotionClient(config.notionToken) });
+
+  const fields = resolveFieldMapping(loadFieldMapping(), {
+    employees: await gateway.retrieveDatabase(config.employeesDbId),
+    leaveRequests: await gateway.retrieveDatabase(config.leaveRequestsDbId),
+  });
+  const employeesById = new Map((await gateway.queryAll(config.employeesDbId)).map(page => [page.id, page]));
+  const requests = await gateway.queryAll(config.leaveRequestsDbId);
+
+  const stateFile = options.stateFile || getCalendarStateFile();
+  const { events, state } = applyCancellations(
+    buildCalendarEvents({ requests, employeesById, fields }),
+    loadCalendarState(stateFile),
+    { now: options.now || new Date(), retentionDays: settings.cancelledRetentionDays },
+  );
+  if (options.persistState !== false) saveCalendarState(state, stateFile);
+
+  const feeds = buildFeeds(events);
+  const confirmed = events.filter(e => e.status === 'CONFIRMED').length;
+  console.log(`📅 تقويم الإجازات: ${confirmed} إجازة معتمدة، ${events.length - confirmed} ملغاة، ${Object.keys(feeds).length - 1} فريق`);
+
+  const files = options.outDir ? writeCalendarFiles(feeds, options.outDir) : [];
+  for (const file of files) console.log(`💾 ${path.resolve(file)}`);
+  return { feeds, files, events: events.length, confirmed };
+}
+
+// --------------------------------------
+// الخادم: GET /calendars/<feed>.ics و GET /calendars (قائمة الملفات)
+// --------------------------------------
+// generate(): يُرجع { feeds } — يُعاد استخدامه لمدة settings.cacheMs
+function createCalendarServer({ generate = () => generateCalendars({ outDir: null }), settings = getCalendarSettings() } = {}) {
+  let cache = null; // { at, promise }
+  let server = null;
+
+  function getFeeds() {
+    if (!cache || Date.now() - cache.at > settings.cacheMs) {
+      const promise = Promise.resolve().then(generate).then(result => result.feeds);
+      cache = { at: Date.now(), promise };
+      // الفشل لا يبقى في الذاكرة؛ الطلب التالي يعيد المحاولة
+      promise.catch(() => { if (cache && cache.promise === promise) cache = null; });
+    }
+    return cache.promise;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (settings.token && url.searchParams.get('token') !== settings.token) {
+      res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('unauthorized');
+    }
+
+    if (req.method === 'GET' && url.pathname === '/calendars') {
+      const feeds = await getFeeds();
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      return res.end(JSON.stringify(Object.entries(feeds).map(([id, feed]) => ({
+        id,
+        name: feed.name,
+        events: feed.events.length,
+        path: `/calendars/${encodeURIComponent(id)}.ics`,
+      }))));
+    }
+
+    const match = /^\/calendars\/(.+)\.ics$/.exec(url.pathname);
+    if (req.method === 'GET' && match) {
+      const feeds = await getFeeds();
+      const feed = feeds[decodeURIComponent(match[1])];
+      if (feed) {
+        res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' });
+        return res.end(renderCalendar(feed));
+      }
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('not found');
+  }
+
+  async function start() {
+    server = http.createServer((req, res) => {
+      handle(req, res).catch((error) => {
+        console.error('❌ فشل توليد التقويم:', error.message);
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('calendar generation failed');
+      });
+    });
+    await new Promise(resolve => server.listen(settings.port, resolve));
+    const port = server.address().port;
+    console.log(`📅 خادم التقويم: http://localhost:${port}/calendars`);
+    return port;
+  }
+
+  async function stop() {
+    if (server) await new Promise(resolve => server.close(resolve));
+  }
+
+  return { start, stop };
+}
+
+module.exports = {
+  COMPANY_FEED,
+  getCalendarSettings,
+  feedSlug,
+  buildCalendarEvents,
+  applyCancellations,
+  loadCalendarState,
+  renderCalendar,
+  foldLine,
+  buildFeeds,
+  writeCalendarFiles,
+  generateCalendars,
+  createCalendarServer,
+};
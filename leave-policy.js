@@ -0,0 +1,271 @@
+// leave-policy.js
+// سياسات أنواع الإجازات (سنوية، مرضية، طارئة، بدون راتب، حج) من leave-policies.json:
+// الحد الأقصى للأيام، مدة الإشعار المسبق، المرفق المطلوب، ومرة واحدة طوال مدة الخدمة
+// countsAgainstBalance: false للأنواع التي لا تُخصم من رصيد الإجازة السنوية (مرضية، بدون راتب، حج)
+// أثناء المزامنة: يُكتب قرار السياسة على الطلب، ويُرفض الطلب تلقائياً أو يُحال لمراجعة HR
+
+const fs = require('fs');
+const path = require('path');
+const { extractLeaveDates, countLeaveDays, parseDate, toDateKey, loadWorkCalendar } = require('./working-days');
+const { readStatusName, readText } = require('./field-mapping');
+
+const DEFAULT_POLICIES_FILE = path.join(__dirname, 'leave-policies.json');
+const ACTIONS = ['flag', 'reject'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LeavePoliciesConfigError extends Error {
+  constructor(problems) {
+    super(`إعدادات سياسات الإجازات غير صحيحة:\n${problems.map(p => ` - ${p}`).join('\n')}`);
+    this.name = 'LeavePoliciesConfigError';
+    this.problems = problems;
+  }
+}
+
+// --------------------------------------
+// التحميل
+// --------------------------------------
+// الملف غير موجود → السياسات معطلة (null)؛ ملف JSON تالف → LeavePoliciesConfigError باسم الملف
+function loadLeavePolicies(filePath = process.env.LEAVE_POLICIES_FILE || DEFAULT_POLICIES_FILE) {
+  const target = path.resolve(filePath);
+  if (!fs.existsSync(target)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (error) {
+    throw new LeavePoliciesConfigError([`تعذّر قراءة ملف سياسات الإجازات ${target}: ${error.message}`]);
+  }
+  const defaultAction = ACTIONS.includes(config.onViolation) ? config.onViolation : 'flag';
+  const types = Object.entries(config.types || {}).map(([name, rule]) => ({
+    name,
+    keys: [name, ...(rule.aliases || [])].map(normalizeType),
+    maxDays: rule.maxDays ?? null,
+    minNoticeDays: rule.minNoticeDays ?? null,
+    requiresAttachment: !!rule.requiresAttachment,
+    attachmentLabel: rule.attachmentLabel || 'مرفق',
+    oncePerCareer: !!rule.oncePerCareer,
+    countsAgainstBalance: rule.countsAgainstBalance !== false,
+    onViolation: ACTIONS.includes(rule.onViolation) ? rule.onViolation : defaultAction,
+    actions: rule.actions || {},
+  }));
+  return { file: target, types };
+}
+
+function normalizeType(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function findPolicy(policies, leaveType) {
+  const key = normalizeType(leaveType);
+  return policies.types.find(t => t.keys.includes(key)) || null;
+}
+
+// هل يُخصم الطلب من الرصيد السنوي؟ بدون سياسات أو بدون نوع أو بنوع غير معرّف → نعم (الافتراض الأحوط)
+function countsAgainstBalance(request, fields, policies) {
+  if (!policies) return true;
+  const leaveType = readText(request, fields.leaveRequests.leaveType);
+  const policy = leaveType ? findPolicy(policies, leaveType) : null;
+  return !policy || policy.countsAgainstBalance;
+}
+
+function readFileCount(page, propName) {
+  const p = propName && page ? page.properties[propName] : null;
+  if (!p || p.type !== 'files') return 0;
+  return (p.files || []).length;
+}
+
+// الأيام بين إنشاء الطلب وبداية الإجازة (أيام تقويمية)
+function noticeDays(request, dates) {
+  if (!request.created_time) return null;
+  const created = parseDate(request.created_time.slice(0, 10));
+  return Math.round((dates.start - created) / DAY_MS);
+}
+
+// --------------------------------------
+// التقييم
+// --------------------------------------
+// linkedRequests: [{ request, employeePageId }]
+// تُرجع Map: requestId → { type, verdict: ok|flag|reject, violations: [{ rule, message, action }], text }
+// الطلبات بدون نوع إجازة لا تظهر في النتيجة
+function evaluatePolicies({ linkedRequests, fields, calendar, policies }) {
+  const typePropName = fields.leaveRequests.leaveType;
+  const attachmentPropName = fields.leaveRequests.attachment;
+  const verdicts = new Map();
+
+  const items = linkedRequests.map(({ request, employeePageId }) => {
+    const leaveType = readText(request, typePropName);
+    return { request, employeePageId, leaveType, policy: leaveType ? findPolicy(policies, leaveType) : null };
+  });
+
+  for (const item of items) {
+    const { request, leaveType, policy } = item;
+    if (!leaveType) continue;
+
+    if (!policy) {
+      const message = `نوع الإجازة "${leaveType}" غير معرّف في سياسات الإجازات`;
+      verdicts.set(request.id, {
+        type: leaveType,
+        verdict: 'flag',
+        violations: [{ rule: 'unknownType', message, action: 'flag' }],
+        text: `⚠️ مراجعة HR — ${message}`,
+      });
+      continue;
+    }
+
+    const violations = [];
+    // forcedAction: يتجاوز إعداد السياسة (مثلاً تعذّر التحقق → مراجعة فقط)
+    const add = (rule, message, forcedAction) => {
+      violations.push({ rule, message, action: forcedAction || policy.actions[rule] || policy.onViolation });
+    };
+
+    const dates = extractLeaveDates(request.properties, fields);
+    if (dates && policy.maxDays !== null) {
+      const days = countLeaveDays(dates, calendar);
+      if (days > policy.maxDays) add('maxDays', `المدة ${days} يوم تتجاوز الحد الأقصى (${policy.maxDays})`);
+    }
+
+    if (dates && policy.minNoticeDays !== null) {
+      const notice = noticeDays(request, dates);
+      if (notice !== null && notice < policy.minNoticeDays) {
+        add('minNoticeDays', `قُدّم قبل ${Math.max(0, notice)} يوم من البداية والمطلوب ${policy.minNoticeDays} يوم على الأقل`);
+      }
+    }
+
+    if (policy.requiresAttachment) {
+      if (!attachmentPropName) {
+        // بدون حقل مرفقات لا يمكن التأكد → مراجعة فقط وليس رفضاً
+        add('requiresAttachment', `يتطلب ${policy.attachmentLabel} ولا يوجد حقل مرفقات للتحقق`, 'flag');
+      } else if (readFileCount(request, attachmentPropName) === 0) {
+        add('requiresAttachment', `يتطلب إرفاق ${policy.attachmentLabel}`);
+      }
+    }
+
+    if (policy.oncePerCareer) {
+      const earlier = items.find(other => other !== item
+        && other.employeePageId === item.employeePageId
+        && other.policy === policy
+        && readStatusName(other.request, fields) !== fields.labels.rejected
+        && isEarlier(other.request, request));
+      if (earlier) {
+        const earlierDates = extractLeaveDates(earlier.request.properties, fields);
+        add('oncePerCareer', `مسموح مرة واحدة طوال مدة الخدمة (طلب سابق${earlierDates ? ` ${toDateKey(earlierDates.start)}` : ''})`);
+      }
+    }
+
+    const verdict = violations.length === 0 ? 'ok' : violations.some(v => v.action === 'reject') ? 'reject' : 'flag';
+    verdicts.set(request.id, { type: policy.name, verdict, violations, text: verdictText(policy.name, verdict, violations) });
+  }
+
+  return verdicts;
+}
+
+// الأقدم بتاريخ الإنشاء (ثم بالمعرّف حتى يكون الترتيب ثابتاً)
+function isEarlier(a, b) {
+  const ca = a.created_time || '';
+  const cb = b.created_time || '';
+  return ca === cb ? a.id < b.id : ca < cb;
+}
+
+// نص ثابت بين التشغيلات حتى لا يُعاد كتابته بدون تغيير
+function verdictText(type, verdict, violations) {
+  if (verdict === 'ok') return `✅ ${type}: مطابق للسياسة`;
+  const details = violations.map(v => v.message).join('؛ ');
+  return verdict === 'reject' ? `⛔ رفض تلقائي — ${type}: ${details}` : `⚠️ مراجعة HR — ${type}: ${details}`;
+}
+
+// --------------------------------------
+// الكتابة إلى Notion
+// --------------------------------------
+// الرفض التلقائي فقط للطلبات التي لم يُبت فيها (قيد الانتظار أو بدون حالة)؛ قرار HR السابق لا يُلغى
+// scope: نطاق المزامنة التزايدية { requestIds } — التقييم لكل الطلبات والكتابة على طلبات النطاق فقط (null = الكل)
+async function syncPolicies({ gateway, linkedRequests, fields, calendar = loadWorkCalendar(), policies = loadLeavePolicies(), scope = null }) {
+  const empty = { checked: 0, flagged: 0, rejected: 0, verdicts: new Map(), decisions: new Map() };
+  if (!policies) return empty;
+
+  console.log('\n📜 بدء تطبيق سياسات أنواع الإجازات...');
+
+  if (!fields.leaveRequests.leaveType) {
+    console.warn('⚠️ لا يوجد حقل "نوع الإجازة" في طلبات الإجازة. تم تجاوز سياسات الإجازات.');
+    return empty;
+  }
+  const verdictPropName = fields.leaveRequests.policyVerdict;
+  const reasonPropName = fields.leaveRequests.rejectionReason;
+  const statusProp = fields.status;
+  const rejectedLabel = fields.labels.rejected;
+  if (!verdictPropName) {
+    console.warn('⚠️ لا يوجد حقل "قرار السياسة" (rich_text) في طلبات الإجازة. لن يُكتب القرار على الطلب.');
+  }
+
+  // خاصية status لا تقبل خياراً غير موجود → نكتفي بالإحالة لـ HR
+  const canReject = !!statusProp
+    && (statusProp.kind === 'select' || (statusProp.options || []).some(o => o.name === rejectedLabel));
+  if (!canReject) {
+    console.warn(`⚠️ لا يمكن تعيين الحالة "${rejectedLabel}". ستُحال طلبات الرفض التلقائي لمراجعة HR.`);
+  }
+
+  const verdicts = evaluatePolicies({ linkedRequests, fields, calendar, policies });
+  const decisions = new Map(); // requestId → الحالة الجديدة (للأرصدة والتعارض في نفس التشغيل)
+  let flagged = 0;
+  let rejected = 0;
+
+  const writable = scope ? linkedRequests.filter(({ request }) => scope.requestIds.has(request.id)) : linkedRequests;
+  await Promise.all(writable.map(async ({ request }) => {
+    const result = verdicts.get(request.id);
+    const status = readStatusName(request, fields);
+    const undecided = !status || status === fields.labels.pending;
+
+    let desiredText = result ? result.text : '';
+    const reject = result && result.verdict === 'reject' && undecided && canReject;
+    // نص الرفض فقط إذا رُفض الطلب فعلاً (الآن أو في تشغيل سابق)؛ طلب وافق عليه HR أو تعذّر رفضه يُحال للمراجعة
+    if (result && result.verdict === 'reject' && !reject && status !== rejectedLabel) {
+      desiredText = desiredText.replace('⛔ رفض تلقائي', '⚠️ مراجعة HR');
+    }
+
+    const properties = {};
+    if (verdictPropName && readText(request, verdictPropName) !== desiredText) {
+      properties[verdictPropName] = {
+        rich_text: desiredText ? [{ type: 'text', text: { content: desiredText } }] : [],
+      };
+    }
+    if (reject) {
+      properties[statusProp.name] = statusProp.kind === 'status'
+        ? { status: { name: rejectedLabel } }
+        : { select: { name: rejectedLabel } };
+      if (reasonPropName) {
+        const details = result.violations.filter(v => v.action === 'reject').map(v => v.message).join('؛ ');
+        properties[reasonPropName] = {
+          rich_text: [{ type: 'text', text: { content: `رفض تلقائي حسب سياسة الإجازات: ${details}` } }],
+        };
+      }
+    }
+
+    if (!reject && result && result.verdict !== 'ok' && undecided) flagged++;
+    if (Object.keys(properties).length === 0) return;
+
+    try {
+      await gateway.updatePage(request.id, properties);
+      if (reject) {
+        rejected++;
+        decisions.set(request.id, rejectedLabel);
+      }
+      if (reject) console.log(`   ⛔ رفض تلقائي للطلب ${request.id}: ${desiredText}`);
+      else if (desiredText) console.log(`   📜 ${request.id}: ${desiredText}`);
+      else console.log(`   ✓ مُسح قرار السياسة عن الطلب ${request.id}`);
+    } catch (error) {
+      console.error(`❌ فشل كتابة قرار السياسة للطلب ${request.id}:`, error.message);
+    }
+  }));
+
+  console.log(`📜 طلبات محالة لـ HR: ${flagged} — مرفوضة تلقائياً: ${rejected}`);
+  return { checked: verdicts.size, flagged, rejected, verdicts, decisions };
+}
+
+module.exports = {
+  DEFAULT_POLICIES_FILE,
+  LeavePoliciesConfigError,
+  loadLeavePolicies,
+  countsAgainstBalance,
+  findPolicy,
+  evaluatePolicies,
+  syncPolicies,
+};
@@ -0,0 +1,351 @@
+// leave-report.js
+// تقارير الإجازات للطلبات المربوطة بموظف: حسب الموظف والقسم ونوع الإجازة والشهر
+// (أيام مأخوذة، قيد الانتظار، مرفوضة) → ملفات CSV و XLSX، واختيارياً صفحة ملخص في قاعدة تقارير على Notion
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { createDryRunRecorder } = require('./dry-run');
+const { loadFieldMapping, resolveFieldMapping, readStatusName, readText, readRelationIds } = require('./field-mapping');
+const { createNotionClient, createNotionGateway } = require('./notion-data');
+const { loadWorkCalendar, extractLeaveDates, countLeaveDaysBetween, toDateKey } = require('./working-days');
+const { readDepartment } = require('./conflicts');
+const { toCsv, toXlsx } = require('./export-formats');
+
+const NO_DEPARTMENT = 'بدون قسم';
+const NO_LEAVE_TYPE = 'غير محدد';
+const FORMATS = ['csv', 'xlsx'];
+
+// خيارات أمر التقرير غير صالحة (--year / --month / --format أو REPORT_YEAR) → رمز الخروج 2
+class ReportOptionsError extends Error {
+  constructor(problems) {
+    super(`خيارات التقرير غير صحيحة:\n${problems.map(p => ` - ${p}`).join('\n')}`);
+    this.name = 'ReportOptionsError';
+    this.problems = problems;
+  }
+}
+
+// REPORT_YEAR: سنة التقرير (افتراضياً LEAVE_YEAR ثم السنة الحالية)
+// REPORT_OUT_DIR: مجلد ملفات التقرير
+function getReportSettings() {
+  return {
+    year: Number(process.env.REPORT_YEAR || process.env.LEAVE_YEAR || new Date().getUTCFullYear()),
+    outDir: process.env.REPORT_OUT_DIR || 'reports',
+  };
+}
+
+// --------------------------------------
+// الفترة
+// --------------------------------------
+// month: "YYYY-MM" لتقرير شهر واحد، وإلا السنة كاملة
+function reportPeriod({ year, month = null }) {
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    const [y, m] = match ? [Number(match[1]), Number(match[2])] : [];
+    if (!match || m < 1 || m > 12) throw new ReportOptionsError([`صيغة الشهر غير صحيحة: ${month} (المتوقع YYYY-MM)`]);
+    return { label: month, from: new Date(Date.UTC(y, m - 1, 1)), to: new Date(Date.UTC(y, m, 0)) };
+  }
+  if (!/^\d{4}$/.test(String(year))) throw new ReportOptionsError([`السنة غير صحيحة: ${year} (المتوقع YYYY)`]);
+  const y = Number(year);
+  return { label: String(y), from: new Date(Date.UTC(y, 0, 1)), to: new Date(Date.UTC(y, 11, 31)) };
+}
+
+// الصيغ المطلوبة يجب أن تكون من FORMATS
+function checkFormats(formats) {
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new ReportOptionsError([`صيغة غير معروفة: ${unknown.join(', ')} (المتاح: ${FORMATS.join(', ')})`]);
+  }
+  return formats;
+}
+
+function statusBucket(status, labels) {
+  if (status === labels.approved) return 'approved';
+  if (status === labels.rejected) return 'rejected';
+  if (!status || status === labels.pending) return 'pending';
+  return 'other';
+}
+
+// --------------------------------------
+// التجميع
+// --------------------------------------
+// صف لكل (طلب × شهر) داخل الفترة: الطلب الممتد بين شهرين يُقسم على أيام كل شهر
+function collectReportRows({ requests, employeesById, fields, calendar, period }) {
+  const rows = [];
+  let unlinked = 0;
+  let undated = 0;
+
+  for (const request of requests) {
+    const employeeId = readRelationIds(request, fields.leaveRequests.employee)[0];
+    if (!employeeId) {
+      unlinked++;
+      continue;
+    }
+    const dates = extractLeaveDates(request.properties, fields);
+    if (!dates) {
+      undated++;
+      continue;
+    }
+
+    const employee = employeesById.get(employeeId);
+    const base = {
+      requestId: request.id,
+      employeeId,
+      employee: readText(employee, fields.employees.name) || readText(request, fields.leaveRequests.employeeName) || employeeId,
+      department: readDepartment(employee, fields.employees.department) || NO_DEPARTMENT,
+      leaveType: readText(request, fields.leaveRequests.leaveType) || NO_LEAVE_TYPE,
+      status: statusBucket(readStatusName(request, fields), fields.labels),
+    };
+
+    const from = dates.start > period.from ? dates.start : period.from;
+    const to = dates.end < period.to ? dates.end : period.to;
+    for (let monthStart = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1)); monthStart <= to;
+      monthStart = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1))) {
+      const monthEnd = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 0));
+      const days = countLeaveDaysBetween(dates, calendar,
+        monthStart > from ? monthStart : from,
+        monthEnd < to ? monthEnd : to);
+      if (days > 0) rows.push({ ...base, month: toDateKey(monthStart).slice(0, 7), days });
+    }
+  }
+
+  return { rows, unlinked, undated };
+}
+
+function emptyTotals() {
+  return { requests: new Set(), approvedDays: 0, pendingDays: 0, rejectedDays: 0, approved: new Set(), pending: new Set(), rejected: new Set() };
+}
+
+function addRow(totals, row) {
+  totals.requests.add(row.requestId);
+  if (row.status === 'other') return;
+  totals[`${row.status}Days`] += row.days;
+  totals[row.status].add(row.requestId);
+}
+
+function finishTotals(totals) {
+  return {
+    requests: totals.requests.size,
+    approvedDays: totals.approvedDays,
+    pendingDays: totals.pendingDays,
+    rejectedDays: totals.rejectedDays,
+    approvedRequests: totals.approved.size,
+    pendingRequests: totals.pending.size,
+    rejectedRequests: totals.rejected.size,
+  };
+}
+
+// keyOf(row) → مفتاح التجميع؛ extra(row) → أعمدة إضافية ثابتة للمجموعة (مثل قسم الموظف)
+function aggregate(rows, keyOf, extra = () => ({})) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { key, ...extra(row), totals: emptyTotals() });
+    addRow(groups.get(key).totals, row);
+  }
+  return [...groups.values()]
+    .map(({ totals, ...group }) => ({ ...group, ...finishTotals(totals) }))
+    .sort((a, b) => String(a.key).localeCompare(String(b.key), 'ar'));
+}
+
+function buildLeaveReport({ requests, employeesById, fields, calendar, period }) {
+  const { rows, unlinked, undated } = collectReportRows({ requests, employeesById, fields, calendar, period });
+  const totals = emptyTotals();
+  for (const row of rows) addRow(totals, row);
+
+  return {
+    period: period.label,
+    generatedAt: new Date().toISOString(),
+    totals: finishTotals(totals),
+    byEmployee: aggregate(rows, r => r.employeeId, r => ({ employee: r.employee, department: r.department })),
+    byDepartment: aggregate(rows, r => r.department),
+    byLeaveType: aggregate(rows, r => r.leaveType),
+    byMonth: aggregate(rows, r => r.month),
+    unlinked,
+    undated,
+  };
+}
+
+// --------------------------------------
+// الملفات
+// --------------------------------------
+const TOTAL_COLUMNS = [
+  { key: 'requests', label: 'عدد الطلبات' },
+  { key: 'approvedDays', label: 'أيام مأخوذة' },
+  { key: 'pendingDays', label: 'أيام قيد الانتظار' },
+  { key: 'rejectedDays', label: 'أيام مرفوضة' },
+  { key: 'approvedRequests', label: 'طلبات موافق عليها' },
+  { key: 'pendingRequests', label: 'طلبات قيد الانتظار' },
+  { key: 'rejectedRequests', label: 'طلبات مرفوضة' },
+];
+
+// الأبعاد: اسم الملف/الورقة + الأعمدة
+const DIMENSIONS = [
+  { id: 'by-employee', prop: 'byEmployee', sheet: 'الموظفين', columns: [{ key: 'employee', label: 'الموظف' }, { key: 'department', label: 'القسم' }] },
+  { id: 'by-department', prop: 'byDepartment', sheet: 'الأقسام', columns: [{ key: 'key', label: 'القسم' }] },
+  { id: 'by-leave-type', prop: 'byLeaveType', sheet: 'أنواع الإجازات', columns: [{ key: 'key', label: 'نوع الإجازة' }] },
+  { id: 'by-month', prop: 'byMonth', sheet: 'الأشهر', columns: [{ key: 'key', label: 'الشهر' }] },
+];
+
+// formats: ['csv', 'xlsx'] → مسارات الملفات المكتوبة
+function writeReportFiles(report, { outDir, formats = FORMATS }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.join(outDir, `leave-report-${report.period}`);
+  const written = [];
+
+  if (formats.includes('csv')) {
+    for (const dim of DIMENSIONS) {
+      const file = `${base}-${dim.id}.csv`;
+      fs.writeFileSync(file, toCsv([...dim.columns, ...TOTAL_COLUMNS], report[dim.prop]));
+      written.push(file);
+    }
+  }
+
+  if (formats.includes('xlsx')) {
+    const file = `${base}.xlsx`;
+    fs.writeFileSync(file, toXlsx([
+      { name: 'الإجمالي', columns: [{ key: 'period', label: 'الفترة' }, ...TOTAL_COLUMNS], rows: [{ period: report.period, ...report.totals }] },
+      ...DIMENSIONS.map(dim => ({ name: dim.sheet, columns: [...dim.columns, ...TOTAL_COLUMNS], rows: report[dim.prop] })),
+    ]));
+    written.push(file);
+  }
+
+  return written;
+}
+
+// --------------------------------------
+// صفحة الملخص في Notion
+// --------------------------------------
+function richText(content) {
+  return [{ type: 'text', text: { content: String(content) } }];
+}
+
+function tableBlock(columns, rows) {
+  return {
+    object: 'block',
+    type: 'table',
+    table: {
+      table_width: columns.length,
+      has_column_header: true,
+      has_row_header: false,
+      children: [columns.map(c => c.label), ...rows.map(row => columns.map(c => row[c.key] ?? ''))].map(cells => ({
+        object: 'block',
+        type: 'table_row',
+        table_row: { cells: cells.map(cell => richText(cell)) },
+      })),
+    },
+  };
+}
+
+function heading(text) {
+  return { object: 'block', type: 'heading_2', heading_2: { rich_text: richText(text) } };
+}
+
+// ملخص للإدارة: الإجمالي + الأقسام + أنواع الإجازات + الأشهر (تفاصيل الموظفين في ملفات XLSX/CSV)
+function buildSummaryBlocks(report) {
+  const summaryColumns = TOTAL_COLUMNS.slice(0, 4);
+  const { totals } = report;
+  return [
+    {
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: richText(`📊 ${totals.requests} طلب — ${totals.approvedDays} يوم مأخوذ، ${totals.pendingDays} قيد الانتظار، ${totals.rejectedDays} مرفوض`
+          + (report.unlinked ? ` — ${report.unlinked} طلب غير مربوط بموظف` : '')),
+      },
+    },
+    ...DIMENSIONS.filter(dim => dim.prop !== 'byEmployee').flatMap(dim => [
+      heading(`حسب ${dim.columns[0].label}`),
+      tableBlock([...dim.columns, ...summaryColumns], report[dim.prop]),
+    ]),
+  ];
+}
+
+async function writeNotionSummary({ gateway, databaseId, report }) {
+  const schema = await gateway.retrieveDatabase(databaseId);
+  const titleProp = Object.entries(schema.properties || {}).find(([, def]) => def.type === 'title');
+  if (!titleProp) throw new Error(`قاعدة التقارير ${databaseId} بدون خاصية عنوان`);
+
+  const page = await gateway.createPage(databaseId, {
+    [titleProp[0]]: { title: richText(`تقرير الإجازات ${report.period}`) },
+  }, buildSummaryBlocks(report));
+  console.log(`📝 تم إنشاء صفحة الملخص في Notion: ${page.id}`);
+  return page.id;
+}
+
+function printLeaveReport(report) {
+  const { totals } = report;
+  console.log(`\n📊 تقرير الإجازات ${report.period}: ${totals.requests} طلب — مأخوذة ${totals.approvedDays} يوم / قيد الانتظار ${totals.pendingDays} / مرفوضة ${totals.rejectedDays}`);
+  for (const dept of report.byDepartment) {
+    console.log(`   • ${dept.key}: ${dept.approvedDays} يوم (${dept.requests} طلب)`);
+  }
+  if (report.unlinked) console.log(`⚠️ ${report.unlinked} طلب غير مربوط بموظف (غير داخل في التقرير)`);
+  if (report.undated) console.log(`⚠️ ${report.undated} طلب بدون تاريخ (غير داخل في التقرير)`);
+}
+
+// --------------------------------------
+// الأمر: notion-hr report [--year YYYY | --month YYYY-MM] [--format csv|xlsx] [--out dir] [--notion] [--dry-run]
+// --------------------------------------
+// options.formats: الصيغ المطلوبة (افتراضياً csv و xlsx)، [] = بدون ملفات
+// options.notionSummary: إنشاء صفحة ملخص في DATABASE_ID_REPORTS
+// options.dryRun: قراءة وحساب وطباعة فقط — لا تُكتب الملفات، وصفحة الملخص تُسجَّل في تقرير التجربة فقط
+// options.notion / options.*DbId: بدائل (للاختبارات)
+async function generateLeaveReport(options = {}) {
+  const settings = getReportSettings();
+  const period = reportPeriod({ year: options.year || settings.year, month: options.month });
+  const formats = checkFormats(options.formats || FORMATS);
+
+  const config = loadConfig({
+    required: [
+      ...(options.notion ? [] : ['notionToken']),
+      'employeesDbId',
+      'leaveRequestsDbId',
+      ...(options.notionSummary ? ['reportsDbId'] : []),
+    ],
+    overrides: options,
+  });
+
+  const recorder = options.dryRun ? createDryRunRecorder({ outFile: options.outFile }) : null;
+  const baseClient = options.notion || createNotionClient(config.notionToken);
+  const gateway = createNotionGateway({ client: recorder ? recorder.wrapNotion(baseClient) : baseClient });
+
+  const fields = resolveFieldMapping(loadFieldMapping(), {
+    employees: await gateway.retrieveDatabase(config.employeesDbId),
+    leaveRequests: await gateway.retrieveDatabase(config.leaveRequestsDbId),
+  });
+
+  const employeesById = new Map((await gateway.queryAll(config.employeesDbId)).map(page => [page.id, page]));
+  const requests = await gateway.queryAll(config.leaveRequestsDbId);
+
+  const report = buildLeaveReport({ requests, employeesById, fields, calendar: loadWorkCalendar(), period });
+  printLeaveReport(report);
+
+  const outDir = options.outDir || settings.outDir;
+  let files = [];
+  if (recorder && formats.length > 0) {
+    console.log(`🧪 [تجربة] لن تُكتب ملفات التقرير (${formats.join(', ')}) في ${path.resolve(outDir)}`);
+  } else if (formats.length > 0) {
+    files = writeReportFiles(report, { outDir, formats });
+  }
+  for (const file of files) console.log(`💾 ${path.resolve(file)}`);
+
+  const notionPageId = options.notionSummary
+    ? await writeNotionSummary({ gateway, databaseId: config.reportsDbId, report })
+    : null;
+
+  if (recorder) recorder.printReport();
+  return { report, files, notionPageId };
+}
+
+module.exports = {
+  FORMATS,
+  ReportOptionsError,
+  getReportSettings,
+  reportPeriod,
+  collectReportRows,
+  buildLeaveReport,
+  writeReportFiles,
+  buildSummaryBlocks,
+  writeNotionSummary,
+  generateLeaveReport,
+};
@@ -0,0 +1,117 @@
+// logger.js
+// مستويات السجل (debug/info/warn/error) + وضع JSON (سطر لكل رسالة) لتحليل تشغيلات GitHub Actions
+// الملفات الحالية تكتب عبر console؛ captureConsole يوجّهها إلى الـ logger بدون تعديلها
+
+const fs = require('fs');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['text', 'json'];
+
+// LOG_LEVEL: أدنى مستوى يُطبع (info)
+// LOG_FORMAT: text أو json
+function getLogSettings() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  const format = String(process.env.LOG_FORMAT || 'text').toLowerCase();
+  return {
+    level: level in LEVELS ? level : 'info',
+    format: FORMATS.includes(format) ? format : 'text',
+  };
+}
+
+// الرسالة + أول Error بين المعاملات (لحقل error في وضع JSON)
+function formatArgs(args) {
+  const error = args.find(arg => arg instanceof Error) || null;
+  const message = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg))).trim();
+  return { message, error };
+}
+
+// --------------------------------------
+// الـ logger
+// --------------------------------------
+// stdout / stderr: مخارج الكتابة (للاختبارات)
+// context: حقول تُضاف لكل سطر JSON (مثل command)
+function createLogger({
+  level = getLogSettings().level,
+  format = getLogSettings().format,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  context = {},
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, args, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const { message, error } = formatArgs(args);
+    const out = LEVELS[lvl] >= LEVELS.warn ? stderr : stdout;
+
+    if (format === 'json') {
+      const record = { time: new Date().toISOString(), level: lvl, msg: message, ...context, ...fields };
+      if (error) record.error = { name: error.name, message: error.message, stack: error.stack };
+      // كل السطور على stdout في وضع JSON حتى تُقرأ كتدفق واحد
+      stdout.write(JSON.stringify(record) + '\n');
+      return;
+    }
+
+    out.write(message + '\n');
+    if (error && LEVELS[lvl] >= LEVELS.error && threshold <= LEVELS.debug) out.write(`${error.stack}\n`);
+  }
+
+  return {
+    level,
+    format,
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    // سطر منظم: رسالة + حقول إضافية (مثل ملخص التشغيل)
+    event: (lvl, message, fields) => write(lvl, [message], fields),
+    child: (extra) => createLogger({ level, format, stdout, stderr, context: { ...context, ...extra } }),
+  };
+}
+
+// يستبدل console.log/info/debug/warn/error بالـ logger ويُرجع دالة الاستعادة
+function captureConsole(logger) {
+  const original = {};
+  const mapping = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
+  for (const [method, lvl] of Object.entries(mapping)) {
+    original[method] = console[method];
+    console[method] = (...args) => logger[lvl](...args);
+  }
+  return () => Object.assign(console, original);
+}
+
+// نتيجة الأمر كما تُسجَّل في حدث الملخص وصفحة Actions: الأعداد فقط
+// كل مصفوفة (طلبات غير مرتبطة بأرقام هويتها، تغييرات الحالة، عناوين فشل الإرسال...) تُستبدل بعدد عناصرها
+function summarizeResult(value) {
+  if (Array.isArray(value)) return value.length;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, summarizeResult(v)]));
+  }
+  return value;
+}
+
+// ملخص التشغيل في صفحة GitHub Actions (GITHUB_STEP_SUMMARY) كجدول Markdown
+function writeStepSummary({ command, ok, durationMs, result }, file = process.env.GITHUB_STEP_SUMMARY) {
+  if (!file) return false;
+  const rows = Object.entries(result && typeof result === 'object' ? result : {})
+    .filter(([, value]) => value === null || ['number', 'string', 'boolean'].includes(typeof value))
+    .map(([key, value]) => `| ${key} | ${value} |`);
+  const lines = [
+    `### ${ok ? '✅' : '❌'} notion-hr ${command} (${(durationMs / 1000).toFixed(1)} ث)`,
+    '',
+    ...(rows.length > 0 ? ['| البند | القيمة |', '| --- | --- |', ...rows, ''] : []),
+  ];
+  fs.appendFileSync(file, lines.join('\n') + '\n');
+  return true;
+}
+
+module.exports = {
+  LEVELS,
+  getLogSettings,
+  createLogger,
+  captureConsole,
+  summarizeResult,
+  writeStepSummary,
+};
@@ -0,0 +1,47 @@
+// mailer.js
+// إعداد البريد المشترك وإرسال رسالة واحدة (نص + HTML اختياري)
+// الإرسال لا يرمي أخطاء: يرجع { ok: true } أو { ok: false, error } بسبب الفشل
+// MAIL_TRANSPORT=gmail (الافتراضي) أو smtp (SMTP_HOST / SMTP_PORT / SMTP_SECURE)
+
+const nodemailer = require('nodemailer');
+
+function createMailTransport(env = process.env) {
+  const kind = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'gmail');
+
+  if (kind === 'smtp') {
+    const port = Number(env.SMTP_PORT || 587);
+    const user = env.SMTP_USER; // بدون SMTP_USER يتم الإرسال بدون تسجيل دخول (خادم داخلي)
+    return nodemailer.createTransport({
+      host: env.SMTP_HOST || 'localhost',
+      port,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465, // true = TLS مباشر، false = STARTTLS إن توفر
+      requireTLS: env.SMTP_REQUIRE_TLS === 'true',
+      ...(user ? { auth: { user, pass: env.SMTP_PASS } } : {}),
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: env.MAIL_USER,
+      pass: env.MAIL_PASS, // بدون مسافات في السيكريت
+    },
+  });
+}
+
+const transporter = createMailTransport();
+
+async function sendEmail({ to, subject, text, html }, mailer = transporter) {
+  const from = process.env.MAIL_FROM || process.env.MAIL_USER || process.env.SMTP_USER;
+
+  try {
+    await mailer.sendMail({ from, to, subject, text, ...(html ? { html } : {}) });
+    console.log(`📧 تم إرسال إيميل إلى: ${to}`);
+    return { ok: true };
+  } catch (err) {
+    console.error(`❌ فشل الإرسال إلى ${to}:`, err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+module.exports = { createMailTransport, transporter, sendEmail };
@@ -0,0 +1,214 @@
+// notion-data.js
+// طبقة الوصول المشتركة لـ Notion: قراءة كل الصفحات (pagination) + إعادة المحاولة عند 429/5xx + تحديثات متوازية بحد أقصى + إحصائيات التشغيل
+
+const { Client } = require('@notionhq/client');
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['notionhq_client_request_timeout', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+function createNotionClient(token = process.env.NOTION_TOKEN) {
+  return new Client({ auth: token });
+}
+
+// --------------------------------------
+// إعادة المحاولة
+// --------------------------------------
+function isRetryable(error) {
+  if (!error) return false;
+  if (RETRYABLE_STATUS.has(error.status)) return true;
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Retry-After بالثواني (أو تاريخ HTTP) → ملّي ثانية
+function retryAfterMs(error) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// الإنشاء والإضافة ليست idempotent: بعد مهلة أو 5xx قد يكون Notion نفّذ الطلب فعلاً،
+// فلا يُعاد منها إلا ما رُفض قطعاً قبل التنفيذ (429)
+function isSafeToRepeat(error) {
+  return !!error && error.status === 429;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// --------------------------------------
+// حد التوازي (semaphore بسيط)
+// --------------------------------------
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// --------------------------------------
+// البوابة
+// --------------------------------------
+// client: عميل Notion (أو غلاف وضع التجربة) — يكفي أن يحتوي databases.retrieve/query و pages.update
+// (و blocks.children.append / users.retrieve لسجل الحالة، و databases.update لإصلاح المخطط)
+function createNotionGateway({
+  client = createNotionClient(),
+  concurrency = Number(process.env.NOTION_CONCURRENCY || 3),
+  maxRetries = Number(process.env.NOTION_MAX_RETRIES || 5),
+  baseDelayMs = 500,
+} = {}) {
+  const limit = createLimiter(Math.max(1, concurrency));
+  const startedAt = Date.now();
+  const metrics = { reads: 0, writes: 0, retries: 0, rateLimited: 0, failures: 0 };
+
+  async function withRetry(label, fn, retryable = isRetryable) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!retryable(error) || attempt >= maxRetries) {
+          metrics.failures++;
+          throw error;
+        }
+        if (error.status === 429) metrics.rateLimited++;
+        metrics.retries++;
+
+        const backoff = baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+        const wait = retryAfterMs(error) ?? backoff;
+        console.warn(`⏳ ${label}: ${error.status || error.code} — إعادة المحاولة ${attempt + 1}/${maxRetries} بعد ${Math.round(wait / 1000)} ث`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  // للكتابة غير الـ idempotent: الفشل الغامض (مهلة/5xx) لا يُعاد ويُعلَّم ambiguous = true
+  // ليعرف المستدعي أن الصفحة أو البلوك ربما أُنشئ فعلاً
+  async function withRetryOnce(label, fn) {
+    try {
+      return await withRetry(label, fn, isSafeToRepeat);
+    } catch (error) {
+      if (isRetryable(error) && !isSafeToRepeat(error)) error.ambiguous = true;
+      throw error;
+    }
+  }
+
+  async function retrieveDatabase(databaseId) {
+    metrics.reads++;
+    return withRetry('قراءة مخطط القاعدة', () => client.databases.retrieve({ database_id: databaseId }));
+  }
+
+  // يقرأ كل صفحات القاعدة (مع filter/sorts اختيارياً)
+  async function queryAll(databaseId, params = {}) {
+    const results = [];
+    let cursor;
+
+    do {
+      metrics.reads++;
+      const response = await withRetry('قراءة القاعدة', () => client.databases.query({
+        ...params,
+        database_id: databaseId,
+        start_cursor: cursor,
+        page_size: 100,
+      }));
+
+      results.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : null;
+    } while (cursor);
+
+    return results;
+  }
+
+  // التحديثات تمر عبر حد التوازي؛ استدعِها مع Promise.all لتشغيلها بالتوازي
+  function updatePage(pageId, properties) {
+    return limit(async () => {
+      metrics.writes++;
+      return withRetry(`تحديث الصفحة ${pageId}`, () => client.pages.update({ page_id: pageId, properties }));
+    });
+  }
+
+  // إنشاء صفحة داخل قاعدة (صفحة ملخص التقرير، طلبات البريد الوارد)
+  function createPage(databaseId, properties, children = []) {
+    return limit(async () => {
+      metrics.writes++;
+      return withRetryOnce('إنشاء صفحة', () => client.pages.create({
+        parent: { database_id: databaseId },
+        properties,
+        ...(children.length > 0 ? { children } : {}),
+      }));
+    });
+  }
+
+  // إضافة بلوكات داخل صفحة (مثل سجل الحالة عند عدم وجود خاصية له)
+  function appendBlockChildren(blockId, children) {
+    return limit(async () => {
+      metrics.writes++;
+      return withRetryOnce(`إضافة محتوى للصفحة ${blockId}`, () => client.blocks.children.append({ block_id: blockId, children }));
+    });
+  }
+
+  // تعديل مخطط القاعدة (إضافة خصائص أو خيارات select) — يستخدمه validate-schema --fix
+  function updateDatabase(databaseId, properties) {
+    return limit(async () => {
+      metrics.writes++;
+      return withRetry(`تعديل مخطط القاعدة ${databaseId}`, () => client.databases.update({ database_id: databaseId, properties }));
+    });
+  }
+
+  // المستخدمون يُخزّنون مؤقتاً لأن نفس المحرر يتكرر على صفحات كثيرة
+  const users = new Map();
+  function retrieveUser(userId) {
+    if (!users.has(userId)) {
+      metrics.reads++;
+      users.set(userId, withRetry('قراءة المستخدم', () => client.users.retrieve({ user_id: userId })));
+    }
+    return users.get(userId);
+  }
+
+  function getMetrics() {
+    return { ...metrics, durationMs: Date.now() - startedAt };
+  }
+
+  function printMetrics() {
+    const m = getMetrics();
+    console.log(`📡 طلبات Notion: قراءة ${m.reads} / كتابة ${m.writes} / إعادة محاولة ${m.retries} (429: ${m.rateLimited}) / فشل ${m.failures} — ${(m.durationMs / 1000).toFixed(1)} ث`);
+  }
+
+  return {
+    client,
+    retrieveDatabase,
+    queryAll,
+    updatePage,
+    createPage,
+    appendBlockChildren,
+    updateDatabase,
+    retrieveUser,
+    getMetrics,
+    printMetrics,
+  };
+}
+
+module.exports = {
+  createNotionClient,
+  createNotionGateway,
+  isRetryable,
+  isSafeToRepeat,
+  retryAfterMs,
+};
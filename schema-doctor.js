@@ -0,0 +1,202 @@
+// schema-doctor.js
+// فحص قاعدتي الموظفين والطلبات مقابل field-mapping.json (الخصائص، الأنواع، خيارات الحالة، هدف الربط)
+// مع --fix: إنشاء الخصائص والخيارات الناقصة عبر databases.update حيث تسمح Notion API بذلك
+
+const { loadConfig } = require('./config');
+const { createDryRunRecorder } = require('./dry-run');
+const { loadFieldMapping } = require('./field-mapping');
+const { createNotionClient, createNotionGateway } = require('./notion-data');
+
+const SECTIONS = ['employees', 'leaveRequests'];
+const SECTION_LABELS = { employees: 'الموظفين', leaveRequests: 'طلبات الإجازة' };
+
+// أنواع يمكن إنشاؤها عبر API: title واحدة لكل قاعدة، و formula تحتاج معادلة، و status لا تُنشأ ولا تُعدّل خياراتها
+const CREATABLE_TYPES = ['rich_text', 'number', 'select', 'multi_select', 'date', 'checkbox', 'email', 'people', 'relation', 'url', 'files'];
+
+function allowedTypes(def) {
+  return Array.isArray(def.type) ? def.type : [def.type];
+}
+
+function normalizeId(id) {
+  return String(id || '').replace(/-/g, '');
+}
+
+// إعداد الخاصية الجديدة حسب النوع (الربط يشير دائماً إلى قاعدة الموظفين)
+function propertyConfig(type, employeesDbId) {
+  if (type === 'number') return { number: { format: 'number' } };
+  if (type === 'select' || type === 'multi_select') return { [type]: { options: [] } };
+  if (type === 'relation') return { relation: { database_id: employeesDbId, single_property: {} } };
+  return { [type]: {} };
+}
+
+// --------------------------------------
+// التشخيص
+// --------------------------------------
+// كل بند: { section, key, name, level: ok|warning|error, problem, message, fix }
+// fix: { section, name, create?: { [type]: config }, addOption?: اسم الخيار }
+function diagnoseSchema({ mapping, schemas, employeesDbId }) {
+  const items = [];
+
+  for (const section of SECTIONS) {
+    const props = schemas[section]?.properties || {};
+
+    for (const [key, def] of Object.entries(mapping[section])) {
+      const types = allowedTypes(def);
+      const actual = props[def.name];
+      const item = { section, key, name: def.name, level: 'ok', problem: null, message: null, fix: null };
+
+      if (!actual) {
+        const type = types.find(t => CREATABLE_TYPES.includes(t));
+        Object.assign(item, {
+          level: def.required ? 'error' : 'warning',
+          problem: 'missing',
+          message: `الخاصية غير موجودة (المتوقع ${types.join(' أو ')})${type ? '' : ' — لا يمكن إنشاؤها عبر API، أضفها يدوياً'}`,
+          fix: type ? { section, name: def.name, create: propertyConfig(type, employeesDbId) } : null,
+        });
+      } else if (!types.includes(actual.type)) {
+        Object.assign(item, {
+          level: 'error',
+          problem: 'wrong_type',
+          message: `نوعها ${actual.type} والمتوقع ${types.join(' أو ')} — غيّر النوع يدوياً (تغييره تلقائياً قد يمسح البيانات)`,
+        });
+      } else if (actual.type === 'relation' && normalizeId(actual.relation?.database_id) !== normalizeId(employeesDbId)) {
+        Object.assign(item, {
+          level: 'warning',
+          problem: 'wrong_target',
+          message: 'الربط يشير إلى قاعدة غير DATABASE_ID_EMPLOYEES',
+        });
+      }
+      items.push(item);
+    }
+  }
+
+  // خيارات الحالة المعرّفة في statusLabels
+  const statusDef = mapping.leaveRequests.status;
+  const statusProp = statusDef && schemas.leaveRequests?.properties?.[statusDef.name];
+  if (statusProp && ['status', 'select'].includes(statusProp.type)) {
+    const options = statusProp[statusProp.type]?.options || [];
+    for (const [key, label] of Object.entries(mapping.statusLabels)) {
+      const item = { section: 'leaveRequests', key: `statusLabels.${key}`, name: `${statusDef.name} → ${label}`, level: 'ok', problem: null, message: null, fix: null };
+      if (!options.some(o => o.name === label)) {
+        const canFix = statusProp.type === 'select';
+        Object.assign(item, {
+          level: 'warning',
+          problem: 'missing_option',
+          message: canFix
+            ? `الخيار "${label}" غير موجود`
+            : `الخيار "${label}" غير موجود في خاصية status — Notion API لا تسمح بإضافته، أضفه يدوياً`,
+          fix: canFix ? { section: 'leaveRequests', name: statusDef.name, addOption: label } : null,
+        });
+      }
+      items.push(item);
+    }
+  }
+
+  const count = (level) => items.filter(i => i.level === level).length;
+  return {
+    items,
+    errors: count('error'),
+    warnings: count('warning'),
+    fixable: items.filter(i => i.fix).length,
+  };
+}
+
+// --------------------------------------
+// الإصلاح
+// --------------------------------------
+// يجمع الإصلاحات في طلب databases.update واحد لكل قاعدة: { employees: { properties }, leaveRequests: { properties } }
+// خيارات select تُرسل كاملة (الموجودة + الجديدة) حتى لا تُحذف الخيارات الحالية
+function buildSchemaFixes(report, schemas) {
+  const fixes = {};
+
+  for (const { fix } of report.items) {
+    if (!fix) continue;
+    const properties = (fixes[fix.section] = fixes[fix.section] || {});
+
+    if (fix.create) {
+      properties[fix.name] = fix.create;
+      continue;
+    }
+    if (!properties[fix.name]) {
+      const existing = schemas[fix.section].properties[fix.name].select.options || [];
+      properties[fix.name] = { select: { options: existing.map(o => ({ name: o.name, ...(o.color ? { color: o.color } : {}) })) } };
+    }
+    properties[fix.name].select.options.push({ name: fix.addOption });
+  }
+  return fixes;
+}
+
+function printSchemaReport(report, dbIds) {
+  const icons = { ok: '✅', warning: '⚠️', error: '❌' };
+
+  for (const section of SECTIONS) {
+    console.log(`\n🩺 قاعدة ${SECTION_LABELS[section]} (${dbIds[section]}):`);
+    for (const item of report.items.filter(i => i.section === section)) {
+      const fixNote = item.fix ? ' 🔧 (يُصلح بـ --fix)' : '';
+      console.log(` ${icons[item.level]} ${item.key} — "${item.name}"${item.message ? `: ${item.message}` : ''}${fixNote}`);
+    }
+  }
+  console.log(`\n📊 أخطاء: ${report.errors} — تحذيرات: ${report.warnings} — قابلة للإصلاح تلقائياً: ${report.fixable}`);
+}
+
+// --------------------------------------
+// الأمر: notion-hr validate-schema [--fix] [--dry-run]
+// --------------------------------------
+// options.fix: تنفيذ الإصلاحات الممكنة ثم إعادة الفحص
+// options.dryRun: عرض تعديلات المخطط بدون تنفيذها
+// options.notion / options.employeesDbId / options.leaveRequestsDbId: بدائل (للاختبارات)
+async function validateSchema(options = {}) {
+  const config = loadConfig({
+    required: [...(options.notion ? [] : ['notionToken']), 'employeesDbId', 'leaveRequestsDbId'],
+    overrides: options,
+  });
+  const dbIds = { employees: config.employeesDbId, leaveRequests: config.leaveRequestsDbId };
+
+  const recorder = options.dryRun ? createDryRunRecorder({ outFile: options.outFile }) : null;
+  const baseClient = options.notion || createNotionClient(config.notionToken);
+  const gateway = createNotionGateway({ client: recorder ? recorder.wrapNotion(baseClient) : baseClient });
+  const mapping = options.mapping || loadFieldMapping();
+
+  const readSchemas = async () => ({
+    employees: await gateway.retrieveDatabase(dbIds.employees),
+    leaveRequests: await gateway.retrieveDatabase(dbIds.leaveRequests),
+  });
+
+  let schemas = await readSchemas();
+  let report = diagnoseSchema({ mapping, schemas, employeesDbId: dbIds.employees });
+  printSchemaReport(report, dbIds);
+
+  let fixed = 0;
+  if (options.fix && report.fixable > 0) {
+    const fixes = buildSchemaFixes(report, schemas);
+    for (const [section, properties] of Object.entries(fixes)) {
+      try {
+        await gateway.updateDatabase(dbIds[section], properties);
+        fixed += report.items.filter(i => i.fix && i.fix.section === section).length;
+        console.log(`🔧 قاعدة ${SECTION_LABELS[section]}: ${Object.keys(properties).join('، ')}`);
+      } catch (error) {
+        console.error(`❌ فشل تعديل مخطط قاعدة ${SECTION_LABELS[section]}:`, error.message);
+      }
+    }
+
+    if (!recorder && fixed > 0) {
+      console.log('\n🔁 إعادة الفحص بعد الإصلاح...');
+      schemas = await readSchemas();
+      report = diagnoseSchema({ mapping, schemas, employeesDbId: dbIds.employees });
+      printSchemaReport(report, dbIds);
+    }
+  } else if (report.fixable > 0) {
+    console.log('💡 شغّل: notion-hr validate-schema --fix لإصلاح البنود القابلة للإصلاح');
+  }
+
+  if (recorder) recorder.printReport();
+  return { errors: report.errors, warnings: report.warnings, fixable: report.fixable, fixed, items: report.items };
+}
+
+module.exports = {
+  CREATABLE_TYPES,
+  diagnoseSchema,
+  buildSchemaFixes,
+  printSchemaReport,
+  validateSchema,
+};
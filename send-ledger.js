@@ -0,0 +1,174 @@
+// send-ledger.js
+// سجل الإرسال (outbox): محاولة لكل (page id + الحالة)، مع إعادة المحاولة بتأخير متزايد بين التشغيلات
+// والإرسال مرة واحدة على الأكثر لكل تغيير حالة، حتى لو فشل تحديث حقل "هل تم ارسال ايميل؟" بعد الإرسال
+// تعديل الصفحة لا يبدأ عدّاد محاولات جديداً؛ أما عودة الطلب لحالة سابقة (أُرسلت أو فشلت) بعد محاولة حالة أخرى
+// فتغيير جديد يُرسل من جديد بعدّاد محاولات جديد
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, '.send-ledger.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function getLedgerFile() {
+  return process.env.SEND_LEDGER_FILE ? path.resolve(process.env.SEND_LEDGER_FILE) : DEFAULT_LEDGER_FILE;
+}
+
+// SEND_MAX_ATTEMPTS: عدد المحاولات قبل اعتبار الرسالة فاشلة نهائياً
+// SEND_RETRY_BASE_HOURS: تأخير أول إعادة محاولة (يتضاعف بعد كل فشل)
+// SEND_LEDGER_RETENTION_DAYS: مدة الاحتفاظ بالمحاولات المنتهية
+function getLedgerSettings() {
+  return {
+    maxAttempts: Number(process.env.SEND_MAX_ATTEMPTS || 5),
+    retryBaseHours: Number(process.env.SEND_RETRY_BASE_HOURS || 1),
+    retentionDays: Number(process.env.SEND_LEDGER_RETENTION_DAYS || 90),
+  };
+}
+
+function emptyLedger() {
+  return { entries: {}, lastSent: {} };
+}
+
+function ledgerKey(pageId, status) {
+  return `${pageId}|${status}`;
+}
+
+// --------------------------------------
+// السجل
+// --------------------------------------
+// persist = false في وضع التجربة: السجل يُقرأ لكن لا يُكتب
+function loadSendLedger({ file = getLedgerFile(), persist = true, settings = getLedgerSettings() } = {}) {
+  let data = emptyLedger();
+  if (fs.existsSync(file)) {
+    try {
+      data = { ...emptyLedger(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+      console.warn(`⚠️ تعذّر قراءة سجل الإرسال ${file}: ${error.message} (سيبدأ سجل جديد)`);
+    }
+  }
+
+  function save() {
+    if (!persist) return;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // آخر حالة أُرسلت فعلاً لهذه الصفحة: إذا كانت نفس الحالة الحالية فلا نعيد الإرسال
+  function wasSent(pageId, status) {
+    const last = data.lastSent[pageId];
+    return !!last && last.status === status;
+  }
+
+  // انتهت هذه الحالة (أُرسلت، أو فشلت ثم استُبدلت) ثم جُرّبت بعدها حالة أخرى لنفس الطلب
+  // → عودة مشروعة للحالة (مثلاً موافقة → قيد الانتظار → موافقة) تبدأ من جديد
+  function isRepeat(entry) {
+    if (!['sent', 'failed', 'superseded'].includes(entry.state)) return false;
+    const last = data.lastSent[entry.pageId];
+    if (last && last.status !== entry.status && last.sentAt >= entry.lastAttemptAt) return true;
+    return Object.values(data.entries).some(e => e.pageId === entry.pageId && e.status !== entry.status
+      && e.lastAttemptAt >= entry.lastAttemptAt);
+  }
+
+  // وقت إرسال رسالة هذا المفتاح بالذات (null إن لم تُرسل) — لإشعارات المدير التي لا تتبع تغيّر الحالة
+  function sentAt(key) {
+    const entry = data.entries[key];
+    return entry && entry.state === 'sent' ? entry.sentAt : null;
+  }
+
+  // هل يمكن المحاولة الآن؟ → { ok: true } أو { ok: false, reason }
+  function canAttempt(key, now) {
+    const entry = data.entries[key];
+    if (!entry || isRepeat(entry)) return { ok: true };
+    if (entry.state === 'sent') return { ok: false, reason: 'sent' };
+    if (entry.state === 'failed') return { ok: false, reason: 'failed' };
+    // "sending" بقيت من تشغيل انقطع أثناء الإرسال: النتيجة مجهولة، فلا نعيد (مرة واحدة على الأكثر)
+    if (entry.state === 'sending') return { ok: false, reason: 'unknown' };
+    if (entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) > now.getTime()) {
+      return { ok: false, reason: 'backoff', nextAttemptAt: entry.nextAttemptAt };
+    }
+    return { ok: true };
+  }
+
+  // يُكتب قبل الإرسال حتى لا تُرسل الرسالة مرتين لو انقطع التشغيل بعدها
+  function beginAttempt(key, { pageId, status, to, channel }, now) {
+    // تغيّرت الحالة بعد محاولة فاشلة (مؤقتاً أو نهائياً) → المحاولة القديمة (للحالة السابقة) تُستبدل بهذه
+    // ولا تبقى في قائمة الفشل النهائي؛ إذا عاد الطلب لتلك الحالة تُرسل من جديد (isRepeat)
+    for (const [otherKey, e] of Object.entries(data.entries)) {
+      if (otherKey !== key && e.pageId === pageId && ['retry', 'failed'].includes(e.state)) e.state = 'superseded';
+    }
+    const existing = data.entries[key];
+    const previous = existing && !isRepeat(existing) ? existing : { attempts: 0, errors: [] };
+    data.entries[key] = {
+      ...previous,
+      pageId,
+      status,
+      to,
+      channel: channel || null,
+      state: 'sending',
+      attempts: previous.attempts + 1,
+      lastAttemptAt: now.toISOString(),
+      nextAttemptAt: null,
+    };
+    save();
+  }
+
+  function markSent(key, now) {
+    const entry = data.entries[key];
+    entry.state = 'sent';
+    entry.sentAt = now.toISOString();
+    data.lastSent[entry.pageId] = { status: entry.status, key, sentAt: entry.sentAt };
+    save();
+  }
+
+  function markFailed(key, error, now) {
+    const entry = data.entries[key];
+    entry.errors = [...(entry.errors || []), { at: now.toISOString(), message: error || 'فشل الإرسال' }].slice(-settings.maxAttempts);
+    if (entry.attempts >= settings.maxAttempts) {
+      entry.state = 'failed';
+    } else {
+      entry.state = 'retry';
+      const delay = settings.retryBaseHours * HOUR_MS * 2 ** (entry.attempts - 1);
+      entry.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+    }
+    save();
+    return entry;
+  }
+
+  // الرسائل الفاشلة نهائياً أو مجهولة النتيجة (تحتاج مراجعة يدوية)
+  function getPermanentFailures() {
+    return Object.entries(data.entries)
+      .filter(([, e]) => e.state === 'failed' || e.state === 'sending')
+      .map(([key, e]) => ({ key, ...e }));
+  }
+
+  // حذف المحاولات المنتهية القديمة (lastSent يبقى لضمان عدم إعادة الإرسال)
+  function prune(now) {
+    const cutoff = now.getTime() - settings.retentionDays * DAY_MS;
+    for (const [key, e] of Object.entries(data.entries)) {
+      const finishedAt = Date.parse(e.sentAt || e.lastAttemptAt);
+      if (['sent', 'superseded'].includes(e.state) && finishedAt < cutoff) delete data.entries[key];
+    }
+    save();
+  }
+
+  return {
+    data,
+    wasSent,
+    sentAt,
+    canAttempt,
+    beginAttempt,
+    markSent,
+    markFailed,
+    getPermanentFailures,
+    prune,
+  };
+}
+
+module.exports = {
+  getLedgerFile,
+  getLedgerSettings,
+  ledgerKey,
+  loadSendLedger,
+};
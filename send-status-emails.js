@@ -1,186 +1,165 @@
 // send-status-emails.js
 
 require('dotenv').config();
-const { Client } = require('@notionhq/client');
-const nodemailer = require('nodemailer');
-
-// --------------------------------------
-// إعداد Notion
-// --------------------------------------
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
-const LEAVE_REQUESTS_DB_ID = process.env.DATABASE_ID_LEAVE_REQUESTS;
-
-if (!process.env.NOTION_TOKEN || !LEAVE_REQUESTS_DB_ID) {
-  console.error('❌ تأكد من ضبط NOTION_TOKEN و DATABASE_ID_LEAVE_REQUESTS في المتغيرات البيئية');
-  process.exit(1);
-}
-
-// --------------------------------------
-// إعداد البريد (Gmail)
-// --------------------------------------
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.MAIL_USER,
-    pass: process.env.MAIL_PASS, // بدون مسافات في السيكريت
-  },
-});
-
-async function sendEmail({ to, subject, text }) {
-  const from = process.env.MAIL_FROM || process.env.MAIL_USER;
-
-  try {
-    await transporter.sendMail({ from, to, subject, text });
-    console.log(`📧 تم إرسال إيميل إلى: ${to}`);
-    return true;
-  } catch (err) {
-    console.error(`❌ فشل الإرسال إلى ${to}:`, err.message);
-    return false;
-  }
-}
+const { createDryRunRecorder } = require('./dry-run');
+const {
+  FieldMappingError,
+  loadFieldMapping,
+  resolveFieldMapping,
+  readStatusName,
+  readText,
+  readRelationIds,
+} = require('./field-mapping');
+const { createNotionClient, createNotionGateway } = require('./notion-data');
+const { createDeliver, getChannelSettings, normalizeChannel } = require('./channels');
+const { renderEmail, resolveLanguage } = require('./email-templates');
+const { notifyApprovers } = require('./approval-notifications');
+const { ledgerKey, loadSendLedger } = require('./send-ledger');
+const { lastEditedFilter } = require('./sync-state');
+const { extractLeaveDates, toDateKey } = require('./working-days');
+const { loadConfig } = require('./config');
 
 // --------------------------------------
 // دوال قراءة الخصائص من Notion
 // --------------------------------------
-function getStatus(page) {
-  const prop = page.properties['حالة الطلب'];
-  if (!prop) return '';
-  if (prop.type === 'select' && prop.select) return prop.select.name || '';
-  if (prop.type === 'status' && prop.status) return prop.status.name || '';
-  return '';
+// أسماء الخصائص تأتي من field-mapping.json (fields.leaveRequests)
+function getStatus(page, fields) {
+  return readStatusName(page, fields);
 }
 
-function getEmail(page) {
-  const prop = page.properties['الايميل'];
+function getEmail(page, fields) {
+  const prop = page.properties[fields.leaveRequests.email];
   if (!prop || prop.type !== 'email') return '';
   return prop.email || '';
 }
 
-function getName(page) {
-  const prop = page.properties['اسم الموظف'];
-  if (!prop || prop.type !== 'title') return '';
-  return (prop.title || []).map(t => t.plain_text).join(' ').trim();
+function getName(page, fields) {
+  return readText(page, fields.leaveRequests.employeeName);
 }
 
-function getEmailFlag(page) {
-  const prop = page.properties['هل تم ارسال ايميل؟'];
-  if (!prop || prop.type !== 'rich_text') return '';
-  return (prop.rich_text || []).map(t => t.plain_text).join(' ').trim();
+function getEmailFlag(page, fields) {
+  return readText(page, fields.leaveRequests.emailFlag);
 }
 
-async function setEmailFlag(pageId, text) {
-  await notion.pages.update({
-    page_id: pageId,
-    properties: {
-      'هل تم ارسال ايميل؟': {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: text || 'تم الإرسال',
-            },
+async function setEmailFlag(gateway, fields, pageId, text) {
+  await gateway.updatePage(pageId, {
+    [fields.leaveRequests.emailFlag]: {
+      rich_text: [
+        {
+          type: 'text',
+          text: {
+            content: text || 'تم الإرسال',
           },
-        ],
-      },
+        },
+      ],
     },
   });
 }
 
-// --------------------------------------
-// نصوص الإيميل حسب حالة الطلب
-// --------------------------------------
-function getEmailContent(status, name) {
-  let subject, text;
-
-  switch (status) {
-    case 'قيد الانتظار':
-      subject = 'تم استلام طلب الإجازة';
-      text =
-`مرحباً ${name}،
-
-تم استلام طلب الإجازة الخاص بك، وحالته الآن "قيد الانتظار".
-سيتم مراجعة الطلب وإبلاغك بالتحديث حال توفره.
-
-مع التحية،`;
-      break;
-
-    case 'موافقة':
-      subject = 'تمت الموافقة على طلب الإجازة';
-      text =
-`مرحباً ${name}،
-
-يسعدنا إبلاغك بأنه تمت الموافقة على طلب الإجازة الخاص بك ✅
-نتمنى لك إجازة سعيدة، ولا تنس التنسيق مع مديرك المباشر بخصوص تسليم المهام.
-
-مع تمنياتنا لك بالتوفيق،`;
-      break;
-
-    case 'مرفوضة':
-      subject = 'تم رفض طلب الإجازة';
-      text =
-`مرحباً ${name}،
-
-نود إبلاغك بأنه تم رفض طلب الإجازة الخاص بك.
-للاستفسار عن تفاصيل أكثر حول سبب الرفض، يمكنك التواصل مع إدارة الموارد البشرية أو مديرك المباشر.
-
-مع التحية،`;
-      break;
-
-    default:
-      subject = 'تحديث حالة طلب الإجازة';
-      text =
-`مرحباً ${name}،
-
-تم تحديث حالة طلب الإجازة الخاص بك إلى: "${status}".
-
-مع التحية،`;
+// فشل تحديث الحقل بعد الإرسال لا يوقف التشغيل: سجل الإرسال يمنع إعادة الإرسال ويُصلح الحقل في التشغيل القادم
+async function trySetEmailFlag(gateway, fields, pageId, text) {
+  try {
+    await setEmailFlag(gateway, fields, pageId, text);
+    return true;
+  } catch (error) {
+    console.error(`❌ فشل تحديث "${fields.leaveRequests.emailFlag}" على الطلب ${pageId}:`, error.message);
+    return false;
   }
-
-  return { subject, text };
 }
 
 // --------------------------------------
-// قراءة جميع الطلبات من قاعدة Notion
+// محتوى الإيميل من القوالب (templates/<lang>/)
 // --------------------------------------
-async function fetchAllRequests() {
-  const results = [];
-  let cursor;
-
-  do {
-    const response = await notion.databases.query({
-      database_id: LEAVE_REQUESTS_DB_ID,
-      start_cursor: cursor,
-      page_size: 100,
-    });
-
-    results.push(...response.results);
-    cursor = response.has_more ? response.next_cursor : null;
-  } while (cursor);
-
-  return results;
+// details: { language, channel, startDate, endDate, dayCount, approver, rejectionReason }
+function getEmailContent(status, name, labels, details = {}) {
+  const { language, channel, ...values } = details;
+  return renderEmail({ status, labels, language, values: { ...values, name } });
+}
+
+// تفاصيل الطلب التي تظهر في القالب + لغة الموظف المرتبط (إن وُجدت)
+function getEmailDetails(page, fields, employeesById) {
+  const dates = extractLeaveDates(page.properties, fields);
+  const dayCountProp = page.properties[fields.leaveRequests.dayCount];
+  const [employeeId] = readRelationIds(page, fields.leaveRequests.employee);
+  const employee = employeeId ? employeesById.get(employeeId) : null;
+
+  return {
+    language: resolveLanguage(readText(employee, fields.employees.language)),
+    channel: normalizeChannel(readText(employee, fields.employees.notifyChannel)),
+    startDate: dates ? toDateKey(dates.start) : '',
+    endDate: dates ? toDateKey(dates.end) : '',
+    dayCount: dayCountProp && dayCountProp.type === 'number' ? dayCountProp.number : null,
+    approver: readText(page, fields.leaveRequests.approver),
+    rejectionReason: readText(page, fields.leaveRequests.rejectionReason),
+  };
 }
 
 // --------------------------------------
 // الوظيفة الرئيسية مع توضيح سبب التجاوز
 // --------------------------------------
-async function run() {
+// options.dryRun: طباعة الإيميلات وتحديثات الحقل بدون إرسال أو كتابة
+// options.outFile: حفظ تقرير التجربة كـ JSON
+// options.notion / options.transporter: بدائل لعميل Notion وناقل البريد (للاختبارات)
+// options.now: تاريخ التشغيل لحساب التذكير والتصعيد (للاختبارات)
+// options.since: فحص الطلبات المعدلة منذ هذا الوقت فقط (وضع watch)
+// options.leaveRequestsDbId / options.employeesDbId: بدائل لمعرفات القواعد من البيئة (قاعدة الموظفين اختيارية: لقراءة لغة الموظف)
+async function run(options = {}) {
+  const config = loadConfig({
+    required: [...(options.notion ? [] : ['notionToken']), 'leaveRequestsDbId'],
+    overrides: options,
+  });
   console.log('🚀 بدء فحص الحالات لإرسال الإيميلات...\n');
 
-  const requests = await fetchAllRequests();
+  const recorder = options.dryRun ? createDryRunRecorder({ outFile: options.outFile }) : null;
+  const baseClient = options.notion || createNotionClient(config.notionToken);
+  const gateway = createNotionGateway({ client: recorder ? recorder.wrapNotion(baseClient) : baseClient });
+  const channelSettings = getChannelSettings();
+  const deliver = recorder
+    ? recorder.recordEmail
+    : createDeliver({ transporter: options.transporter, settings: channelSettings });
+  if (recorder) console.log('🧪 وضع التجربة مفعّل: لن يتم إرسال أي إيميل أو تعديل أي صفحة\n');
+
+  // التحقق من إعدادات الحقول مقابل مخطط قاعدة الطلبات
+  const leaveSchema = await gateway.retrieveDatabase(config.leaveRequestsDbId);
+  const employeesSchema = config.employeesDbId ? await gateway.retrieveDatabase(config.employeesDbId) : null;
+  const fields = resolveFieldMapping(loadFieldMapping(), {
+    leaveRequests: leaveSchema,
+    ...(employeesSchema ? { employees: employeesSchema } : {}),
+  });
+  const missing = ['employeeName', 'email', 'emailFlag']
+    .filter(key => !fields.leaveRequests[key])
+    .map(key => `leaveRequests.${key}: مطلوب لإرسال الإيميلات`);
+  if (missing.length > 0) throw new FieldMappingError(missing);
+
+  const requests = await gateway.queryAll(
+    config.leaveRequestsDbId,
+    options.since ? { filter: lastEditedFilter(options.since) } : {},
+  );
+
+  // صفحات الموظفين تُقرأ فقط إذا كان حقل اللغة أو المدير المباشر أو قناة الإشعار موجوداً
+  const employeesById = new Map();
+  const { language, manager, notifyChannel } = fields.employees;
+  if (employeesSchema && (language || manager || notifyChannel)) {
+    for (const employee of await gateway.queryAll(config.employeesDbId)) employeesById.set(employee.id, employee);
+  }
+  // سجل الإرسال: في وضع التجربة يُقرأ فقط ولا يُحفظ
+  const now = options.now || new Date();
+  const ledger = loadSendLedger({ persist: !recorder });
   let sent = 0;
   let skipped = 0;
+  let repaired = 0;
 
   for (const page of requests) {
-    const status = getStatus(page);
-    const email = getEmail(page);
-    const name = getName(page);
-    const flag = getEmailFlag(page);
+    const status = getStatus(page, fields);
+    const email = getEmail(page, fields);
+    const name = getName(page, fields);
+    const flag = getEmailFlag(page, fields);
 
     console.log('------------------------------');
     console.log(`🔎 طلب: ${name || '(بدون اسم)'}`);
-    console.log(`   حالة الطلب       : "${status || 'فاضي'}"`);
-    console.log(`   الايميل           : "${email || 'فاضي'}"`);
-    console.log(`   هل تم ارسال ايميل: "${flag || 'فاضي'}"`);
+    console.log(`   ${fields.leaveRequests.status}: "${status || 'فاضي'}"`);
+    console.log(`   ${fields.leaveRequests.email}: "${email || 'فاضي'}"`);
+    console.log(`   ${fields.leaveRequests.emailFlag}: "${flag || 'فاضي'}"`);
 
     // 1) لا يوجد حالة
     if (!status) {
@@ -189,8 +168,10 @@ async function run() {
       continue;
     }
 
-    // 2) لا يوجد ايميل
-    if (!email) {
+    // 2) لا يوجد ايميل (مطلوب فقط لقناة البريد؛ Slack/Teams/webhook تُرسل للقناة المحددة)
+    const details = getEmailDetails(page, fields, employeesById);
+    const channel = details.channel || channelSettings.defaultChannel;
+    if (!email && channel === 'email') {
       console.log('⏭️ تم التجاوز: الايميل فاضي');
       skipped++;
       continue;
@@ -203,38 +184,82 @@ async function run() {
       continue;
     }
 
-    // 4) إرسال الإيميل
-    const { subject, text } = getEmailContent(status, name);
+    // 4) أُرسل فعلاً لكن فشل تحديث الحقل في تشغيل سابق → نصلح الحقل فقط بدون إعادة الإرسال
+    if (ledger.wasSent(page.id, status)) {
+      if (await trySetEmailFlag(gateway, fields, page.id, status)) {
+        console.log(`🩹 سبق الإرسال حسب سجل الإرسال؛ تم تحديث حقل "${fields.leaveRequests.emailFlag}" فقط`);
+        repaired++;
+      }
+      continue;
+    }
+
+    // 5) هل مسموح بالمحاولة الآن؟ (فشل نهائي / انتظار إعادة المحاولة / نتيجة مجهولة)
+    const key = ledgerKey(page.id, status);
+    const check = ledger.canAttempt(key, now);
+    if (!check.ok) {
+      const reasons = {
+        failed: 'فشل نهائياً بعد كل المحاولات',
+        unknown: 'نتيجة محاولة سابقة مجهولة (انقطع التشغيل أثناء الإرسال)',
+        backoff: `إعادة المحاولة بعد ${check.nextAttemptAt}`,
+        sent: 'سبق الإرسال حسب سجل الإرسال',
+      };
+      console.log(`⏭️ تم التجاوز: ${reasons[check.reason]}`);
+      skipped++;
+      continue;
+    }
+
+    // 6) إرسال الإشعار عبر قناة الموظف
+    const { subject, text, html } = getEmailContent(status, name, fields.labels, details);
+    const to = email || name;
 
-    console.log(`📨 محاولة إرسال إيميل إلى: ${email} (حالة: ${status})`);
-    const ok = await sendEmail({ to: email, subject, text });
+    console.log(`📨 محاولة إرسال إشعار إلى: ${to} (حالة: ${status}، اللغة: ${details.language}، القناة: ${channel})`);
+    ledger.beginAttempt(key, { pageId: page.id, status, to, channel }, now);
+    const delivery = await deliver({ to, subject, text, html, channel, meta: { pageId: page.id, status } });
 
-    if (ok) {
-      await setEmailFlag(page.id, status);
-      console.log('✅ تم الإرسال وتحديث حقل "هل تم ارسال ايميل؟"');
+    if (delivery.ok) {
+      ledger.markSent(key, now);
       sent++;
+      if (await trySetEmailFlag(gateway, fields, page.id, status)) {
+        console.log(`✅ تم الإرسال وتحديث حقل "${fields.leaveRequests.emailFlag}"`);
+      }
     } else {
-      console.log('❌ فشل الإرسال لهذا الطلب');
+      const entry = ledger.markFailed(key, delivery.error, now);
+      console.log(entry.state === 'failed'
+        ? `❌ فشل الإرسال نهائياً بعد ${entry.attempts} محاولات: ${delivery.error}`
+        : `❌ فشل الإرسال (محاولة ${entry.attempts}): ${delivery.error}، إعادة المحاولة بعد ${entry.nextAttemptAt}`);
       skipped++;
     }
   }
 
+  // إشعارات الاعتماد للمدير المباشر (+ التذكير والتصعيد) عبر نفس سجل الإرسال
+  const approvals = await notifyApprovers({ gateway, requests, employeesById, fields, deliver, ledger, now });
+
+  ledger.prune(now);
+  const permanentFailures = ledger.getPermanentFailures();
+
   console.log('\n📊 ملخص الإرسال:');
   console.log(`✅ تم الإرسال: ${sent}`);
   console.log(`⏭️ تم التجاوز: ${skipped}`);
+  if (repaired > 0) console.log(`🩹 حقول إرسال تم إصلاحها بدون إعادة إرسال: ${repaired}`);
+  console.log(`👔 إشعارات المدراء: ${approvals.notified} جديد، ${approvals.reminded} تذكير، ${approvals.escalated} تصعيد`);
+  if (permanentFailures.length > 0) {
+    console.log(`\n🚫 رسائل فشلت نهائياً أو نتيجتها مجهولة (${permanentFailures.length}) — تحتاج مراجعة يدوية:`);
+    for (const f of permanentFailures) {
+      console.log(`   • ${f.pageId} (${f.status}) → ${f.to} — ${f.attempts} محاولة، الحالة: ${f.state}`);
+    }
+  }
+  gateway.printMetrics();
   console.log('✨ انتهى الإرسال.');
+
+  if (recorder) recorder.printReport();
+  return { sent, skipped, repaired, approvals, permanentFailures };
 }
 
+module.exports = { run, getEmailContent };
+
 // --------------------------------------
-// تشغيل مباشر من السطر
+// تشغيل مباشر من السطر (عبر cli.js)
 // --------------------------------------
 if (require.main === module) {
-  run()
-    .then(() => process.exit(0))
-    .catch((err) => {
-      console.error('❌ خطأ أثناء التنفيذ:', err);
-      process.exit(1);
-    });
+  require('./cli').runCli(['emails', ...process.argv.slice(2)]);
 }
-
-module.exports = { run };
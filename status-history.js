@@ -0,0 +1,206 @@
+// status-history.js
+// سجل تغييرات حالة الطلب: (الحالة السابقة، الجديدة، من عدّل، الوقت)
+// مصدران: قرارات المزامنة نفسها (رفض/موافقة تلقائية) تُسجل لحظة اتخاذها بوقتها الفعلي،
+// وتغييرات المستخدمين تُرصد بمقارنة النسخة المخزنة فتُسجل بوقت الرصد ("رُصد في") لا بوقت التغيير
+// يُضاف على الطلب في خاصية "سجل الحالة" (أو كبلوك داخل الصفحة إن لم توجد الخاصية)، ويُحفظ في ملف audit-log.jsonl
+
+const fs = require('fs');
+const path = require('path');
+const { readStatusName } = require('./field-mapping');
+const { toCsv: formatCsv } = require('./export-formats');
+
+const DEFAULT_AUDIT_LOG_FILE = path.join(__dirname, 'audit-log.jsonl');
+const MAX_HISTORY_ITEMS = 100; // حد Notion لعناصر rich_text في الخاصية الواحدة
+const SYNC_EDITOR = 'المزامنة (تلقائي)';
+
+function getAuditLogFile() {
+  return process.env.AUDIT_LOG_FILE ? path.resolve(process.env.AUDIT_LOG_FILE) : DEFAULT_AUDIT_LOG_FILE;
+}
+
+function pageTitle(page) {
+  for (const prop of Object.values(page.properties || {})) {
+    if (prop.type === 'title') return (prop.title || []).map(t => t.plain_text).join(' ').trim();
+  }
+  return '';
+}
+
+// --------------------------------------
+// كشف التغييرات مقارنة بالنسخة المخزنة من التشغيل السابق
+// --------------------------------------
+// الطلبات الجديدة (غير موجودة في النسخة المخزنة) لا تُعتبر تغييراً
+// detectedAt: وقت التشغيل الذي رصد التغيير (وقت التغيير الفعلي غير معروف؛ last_edited_time قد يكون لتعديل لاحق)
+function detectStatusTransitions(previousPages, currentPages, fields, detectedAt = new Date().toISOString()) {
+  const previous = new Map((previousPages || []).map(page => [page.id, page]));
+  const transitions = [];
+
+  for (const page of currentPages) {
+    const before = previous.get(page.id);
+    if (!before) continue;
+
+    const from = readStatusName(before, fields);
+    const to = readStatusName(page, fields);
+    if (from === to) continue;
+
+    transitions.push({
+      pageId: page.id,
+      title: pageTitle(page),
+      from: from || null,
+      to: to || null,
+      at: detectedAt,
+      source: 'detected',
+      editorId: page.last_edited_by ? page.last_edited_by.id : null,
+      editor: null,
+    });
+  }
+
+  return transitions;
+}
+
+// قرارات المزامنة في هذا التشغيل (decisions: requestId → الحالة الجديدة) بالحالة قبلها من الصفحات المقروءة
+function decisionTransitions(decisions, pages, fields, at = new Date().toISOString()) {
+  const byId = new Map(pages.map(page => [page.id, page]));
+  const transitions = [];
+
+  for (const [pageId, to] of decisions) {
+    const page = byId.get(pageId);
+    if (!page) continue;
+    transitions.push({
+      pageId,
+      title: pageTitle(page),
+      from: readStatusName(page, fields) || null,
+      to,
+      at,
+      source: 'sync',
+      editorId: null,
+      editor: SYNC_EDITOR,
+    });
+  }
+
+  return transitions;
+}
+
+// اسم المحرر من last_edited_by (وإلا يبقى المعرف)
+async function resolveEditors(gateway, transitions) {
+  for (const t of transitions) {
+    if (t.editor || !t.editorId) continue;
+    try {
+      const user = await gateway.retrieveUser(t.editorId);
+      t.editor = user.name || (user.type === 'bot' ? 'تكامل (bot)' : t.editorId);
+    } catch (error) {
+      console.warn(`⚠️ تعذّر قراءة المستخدم ${t.editorId}: ${error.message}`);
+      t.editor = t.editorId;
+    }
+  }
+  return transitions;
+}
+
+function formatHistoryEntry(t) {
+  const at = t.source === 'detected' ? `رُصد في ${t.at}` : t.at;
+  return `${at} | ${t.from || '—'} → ${t.to || '—'} | ${t.editor || t.editorId || 'غير معروف'}`;
+}
+
+// --------------------------------------
+// الكتابة على الطلب
+// --------------------------------------
+// entries: كل أسطر الطلب في هذا التشغيل (كتابة واحدة حتى لا يمسح سطرٌ سطراً آخر)
+async function appendHistoryToPage(gateway, page, propName, entries) {
+  if (propName) {
+    // كل سطر عنصر rich_text مستقل، ونحتفظ بآخر 100 سطر
+    const existing = ((page.properties[propName] || {}).rich_text || []).map(t => t.plain_text ?? t.text?.content ?? '');
+    const lines = [...existing.map(line => line.replace(/\n$/, '')), ...entries].slice(-MAX_HISTORY_ITEMS);
+    await gateway.updatePage(page.id, {
+      [propName]: {
+        rich_text: lines.map((line, i) => ({ type: 'text', text: { content: i < lines.length - 1 ? `${line}\n` : line } })),
+      },
+    });
+    return;
+  }
+
+  await gateway.appendBlockChildren(page.id, entries.map(entry => ({
+    object: 'block',
+    type: 'paragraph',
+    paragraph: { rich_text: [{ type: 'text', text: { content: `🕓 ${entry}` } }] },
+  })));
+}
+
+// ملف السجل: سطر JSON لكل تغيير (يُضاف ولا يُعاد كتابته)
+function appendAuditLog(transitions, file = getAuditLogFile()) {
+  if (transitions.length === 0) return;
+  const lines = transitions.map(({ pageId, title, from, to, at, source, editorId, editor }) =>
+    JSON.stringify({ pageId, title, from, to, at, source, editorId, editor }));
+  fs.appendFileSync(file, lines.join('\n') + '\n');
+}
+
+// pages: الصفحات الحالية (لقراءة قيمة خاصية السجل قبل الإضافة إليها)
+// writeLog = false في وضع التجربة
+async function recordStatusHistory({ gateway, transitions, pages, fields, writeLog = true }) {
+  if (transitions.length === 0) return { recorded: 0 };
+
+  const propName = fields.leaveRequests.statusHistory;
+  if (!propName) console.warn('⚠️ لا يوجد حقل "سجل الحالة"؛ سيُضاف السجل كبلوك داخل صفحة الطلب.');
+
+  await resolveEditors(gateway, transitions);
+  const byId = new Map(pages.map(page => [page.id, page]));
+  const byPage = new Map();
+  for (const t of transitions) byPage.set(t.pageId, [...(byPage.get(t.pageId) || []), t]);
+  let recorded = 0;
+
+  await Promise.all([...byPage].map(async ([pageId, pageTransitions]) => {
+    try {
+      await appendHistoryToPage(gateway, byId.get(pageId), propName, pageTransitions.map(formatHistoryEntry));
+      recorded += pageTransitions.length;
+    } catch (error) {
+      console.error(`❌ فشل إضافة سجل الحالة على الطلب ${pageId}:`, error.message);
+    }
+  }));
+
+  if (writeLog) appendAuditLog(transitions);
+  return { recorded };
+}
+
+// --------------------------------------
+// التصدير
+// --------------------------------------
+function readAuditLog(file = getAuditLogFile()) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+const AUDIT_COLUMNS = ['at', 'source', 'pageId', 'title', 'from', 'to', 'editor', 'editorId'].map(key => ({ key }));
+
+function toCsv(entries) {
+  return formatCsv(AUDIT_COLUMNS, entries);
+}
+
+// التصدير إلى ملف (أو stdout إذا لم يُحدد outFile) — الأمر: notion-hr audit-export
+function exportAuditLog({ format = 'csv', outFile = null, file = getAuditLogFile() } = {}) {
+  const entries = readAuditLog(file);
+  const output = format === 'json' ? JSON.stringify(entries, null, 2) + '\n' : toCsv(entries);
+
+  if (outFile) {
+    fs.writeFileSync(outFile, output);
+    console.log(`💾 تم تصدير ${entries.length} تغيير إلى ${path.resolve(outFile)}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return { exported: entries.length, format, outFile };
+}
+
+module.exports = {
+  getAuditLogFile,
+  detectStatusTransitions,
+  decisionTransitions,
+  formatHistoryEntry,
+  recordStatusHistory,
+  appendAuditLog,
+  readAuditLog,
+  toCsv,
+  exportAuditLog,
+};
+
+if (require.main === module) {
+  require('./cli').runCli(['audit-export', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,203 @@
+// sync-state.js
+// حالة المزامنة التزايدية: آخر تشغيل ناجح (checkpoint) + نسخة مخزنة من صفحات القاعدتين
+// النسخة المخزنة تحتفظ فقط بالخصائص التي تقرؤها المزامنة (بدون البريد وبيانات التواصل)،
+// وتُشفّر بـ SYNC_STATE_KEY إن وُجد لأنها تحتوي أرقام الهوية (الملف يُحفظ في كاش GitHub Actions)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractLeaveDates } = require('./working-days');
+const { readRelationIds } = require('./field-mapping');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '.sync-state.json');
+
+function getStateFile() {
+  return process.env.SYNC_STATE_FILE ? path.resolve(process.env.SYNC_STATE_FILE) : DEFAULT_STATE_FILE;
+}
+
+// --------------------------------------
+// الإعدادات
+// --------------------------------------
+// SYNC_STATE_KEY: مفتاح تشفير ملف الحالة (AES-256-GCM)؛ بدونه يُحفظ الملف كنص JSON
+// SYNC_FULL_REFRESH_HOURS: مزامنة كاملة دورية لإزالة الصفحات المحذوفة من النسخة المخزنة (0 = معطلة)
+function getStateSettings() {
+  return {
+    key: process.env.SYNC_STATE_KEY || '',
+    fullRefreshMs: Number(process.env.SYNC_FULL_REFRESH_HOURS || 24) * 60 * 60 * 1000,
+  };
+}
+
+function emptyState() {
+  return { checkpoint: null, lastFullAt: null, employees: [], leaveRequests: [] };
+}
+
+// --------------------------------------
+// التشفير
+// --------------------------------------
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encryptState(json, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const data = Buffer.concat([cipher.update(json, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    encrypted: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+function decryptState(envelope, secret) {
+  if (!secret) throw new Error('الملف مشفّر وSYNC_STATE_KEY غير معرّف');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// --------------------------------------
+// القراءة والحفظ
+// --------------------------------------
+function loadSyncState(filePath = getStateFile(), { key = getStateSettings().key } = {}) {
+  if (!fs.existsSync(filePath)) return emptyState();
+  try {
+    let state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (state.encrypted) state = JSON.parse(decryptState(state, key));
+    return { ...emptyState(), ...state };
+  } catch (error) {
+    console.warn(`⚠️ تعذّر قراءة ملف الحالة ${filePath}: ${error.message} (سيتم تنفيذ مزامنة كاملة)`);
+    return emptyState();
+  }
+}
+
+function saveSyncState(state, filePath = getStateFile(), { key = getStateSettings().key } = {}) {
+  const json = JSON.stringify(state);
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, key ? encryptState(json, key) : json);
+  fs.renameSync(tmp, filePath); // كتابة ذرّية حتى لا يتلف الملف لو انقطع التشغيل
+}
+
+// هل حان وقت المزامنة الكاملة الدورية؟ (أول تشغيل أو ملف حالة قديم بدون lastFullAt → نعم)
+function isFullRefreshDue(state, now = Date.now(), { fullRefreshMs } = getStateSettings()) {
+  if (!state.checkpoint) return true;
+  if (!fullRefreshMs) return false;
+  const last = Date.parse(state.lastFullAt || '');
+  return Number.isNaN(last) || now - last >= fullRefreshMs;
+}
+
+// --------------------------------------
+// تصغير النسخة المخزنة
+// --------------------------------------
+// حقول لا تحتاجها المزامنة (بيانات تواصل وإشعارات) فلا تُخزّن
+const SNAPSHOT_EXCLUDED = {
+  employees: ['email', 'language', 'notifyChannel', 'manager'],
+  leaveRequests: ['email', 'emailFlag', 'managerNotice'],
+};
+
+// أسماء الخصائص التي تُحفظ لكل قاعدة من الحقول المحلولة (fields من resolveFieldMapping)
+function snapshotPropertyNames(fields) {
+  const pick = (section) => new Set(Object.entries(fields[section])
+    .filter(([key, name]) => name && !SNAPSHOT_EXCLUDED[section].includes(key))
+    .map(([, name]) => name));
+  return { employees: pick('employees'), leaveRequests: pick('leaveRequests') };
+}
+
+// keepTypes: أنواع تُحفظ كلها إضافة للأسماء (مثلاً rich_text/number للبحث الاحتياطي عن رقم الهوية)
+function compactPage(page, names, keepTypes = []) {
+  const properties = {};
+  for (const [name, value] of Object.entries(page.properties || {})) {
+    if (names.has(name) || keepTypes.includes(value.type)) properties[name] = value;
+  }
+  return {
+    id: page.id,
+    created_time: page.created_time,
+    last_edited_time: page.last_edited_time,
+    last_edited_by: page.last_edited_by ? { id: page.last_edited_by.id } : undefined,
+    properties,
+  };
+}
+
+// last_edited_time في Notion بدقة الدقيقة، لذلك نقرّب للأسفل ونستخدم on_or_after
+// (إعادة معالجة صفحة مرتين آمنة لأن كل التحديثات تتحقق من القيمة الحالية أولاً)
+function lastEditedFilter(since) {
+  const d = new Date(since);
+  d.setUTCSeconds(0, 0);
+  return {
+    timestamp: 'last_edited_time',
+    last_edited_time: { on_or_after: d.toISOString() },
+  };
+}
+
+function isArchived(page) {
+  return !!(page.archived || page.in_trash);
+}
+
+// يقرأ كل صفحات القاعدة (since = null) أو المعدلة فقط ويدمجها مع النسخة المخزنة
+// الصفحات المؤرشفة/في سلة المهملات تُحذف من النتيجة؛ المحذوفة نهائياً لا تظهر في الاستعلام التزايدي
+// فتزول عند المزامنة الكاملة الدورية (SYNC_FULL_REFRESH_HOURS)
+async function fetchPagesSince(gateway, databaseId, cachedPages, since) {
+  if (!since) {
+    const pages = (await gateway.queryAll(databaseId)).filter(page => !isArchived(page));
+    return { pages, changedCount: pages.length, changedIds: null };
+  }
+
+  const changed = await gateway.queryAll(databaseId, { filter: lastEditedFilter(since) });
+  const merged = new Map((cachedPages || []).map(page => [page.id, page]));
+  for (const page of changed) {
+    if (isArchived(page)) merged.delete(page.id);
+    else merged.set(page.id, page);
+  }
+  return { pages: [...merged.values()], changedCount: changed.length, changedIds: new Set(changed.map(page => page.id)) };
+}
+
+// --------------------------------------
+// نطاق الكتابة في المزامنة التزايدية
+// --------------------------------------
+// linkScope: الطلبات المعدلة (ومنها المؤرشفة) + الطلبات التي يطابق رقمها موظفاً معدلاً
+// يُضاف إليها ما قد تتغير قيمه المحسوبة بسببها: كل طلبات موظفيها قبل التعديل وبعده والموظفين المعدلين
+// (الرصيد وسياسة المرة الواحدة)، والطلبات المتداخلة معها في التاريخ قبل التعديل وبعده (التعارض وحد القسم)
+// تُرجع { requestIds, employeeIds }: الصفحات التي تكتب عليها خطوات المزامنة في هذا التشغيل
+function findAffectedScope({ linkScope, changedEmployeeIds, linkedRequests, previousRequests, fields }) {
+  const previous = new Map((previousRequests || []).map(page => [page.id, page]));
+  const employeeIds = new Set(changedEmployeeIds);
+  const ranges = [];
+  const addRange = (page) => {
+    const dates = extractLeaveDates(page.properties, fields);
+    if (dates) ranges.push(dates);
+  };
+
+  for (const id of linkScope) {
+    const before = previous.get(id);
+    if (!before) continue;
+    for (const employeeId of readRelationIds(before, fields.leaveRequests.employee)) employeeIds.add(employeeId);
+    addRange(before);
+  }
+  for (const { request, employeePageId } of linkedRequests) {
+    if (!linkScope.has(request.id)) continue;
+    employeeIds.add(employeePageId);
+    addRange(request);
+  }
+
+  const requestIds = new Set(linkScope);
+  for (const { request, employeePageId } of linkedRequests) {
+    const dates = extractLeaveDates(request.properties, fields);
+    const overlaps = !!dates && ranges.some(r => r.start <= dates.end && dates.start <= r.end);
+    if (employeeIds.has(employeePageId) || overlaps) requestIds.add(request.id);
+  }
+  return { requestIds, employeeIds };
+}
+
+module.exports = {
+  getStateFile,
+  getStateSettings,
+  loadSyncState,
+  saveSyncState,
+  isFullRefreshDue,
+  snapshotPropertyNames,
+  compactPage,
+  lastEditedFilter,
+  fetchPagesSince,
+  findAffectedScope,
+};
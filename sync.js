@@ -1,24 +1,34 @@
 // sync.js
 // Node.js (CommonJS)
 
-const { Client } = require('@notionhq/client');
-
-// --------------------------------------
-// إعداد Notion + متغيرات البيئة
-// --------------------------------------
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
-
-const EMPLOYEES_DB_ID = process.env.DATABASE_ID_EMPLOYEES;        // قاعدة الموظفين
-const LEAVE_REQUESTS_DB_ID = process.env.DATABASE_ID_LEAVE_REQUESTS; // قاعدة طلبات الإجازة
-
-if (!process.env.NOTION_TOKEN) {
-  console.error('❌ مفقود NOTION_TOKEN في المتغيرات البيئية');
-  process.exit(1);
-}
-if (!EMPLOYEES_DB_ID || !LEAVE_REQUESTS_DB_ID) {
-  console.error('❌ تأكد من ضبط DATABASE_ID_EMPLOYEES و DATABASE_ID_LEAVE_REQUESTS');
-  process.exit(1);
-}
+const { syncLeaveBalances } = require('./leave-balance');
+const { loadWorkCalendar, extractLeaveDates, countLeaveDays } = require('./working-days');
+const { syncConflicts } = require('./conflicts');
+const { loadLeavePolicies, syncPolicies } = require('./leave-policy');
+const { syncAutoApproval } = require('./auto-approval');
+const { syncLifecycle } = require('./employee-lifecycle');
+const { createDryRunRecorder } = require('./dry-run');
+const { loadFieldMapping, resolveFieldMapping, applyStatusDecisions } = require('./field-mapping');
+const { createNotionClient, createNotionGateway } = require('./notion-data');
+const {
+  loadSyncState,
+  saveSyncState,
+  isFullRefreshDue,
+  snapshotPropertyNames,
+  compactPage,
+  fetchPagesSince,
+  findAffectedScope,
+} = require('./sync-state');
+const {
+  isRegexFallbackEnabled,
+  validateSaudiId,
+  findDuplicateIds,
+  writeValidationIssue,
+} = require('./id-validation');
+const { REASONS, createUnmatchedReport, writeUnmatchedReasons, findNewEntries, sendUnmatchedDigest } = require('./unmatched-report');
+const { createDeliver } = require('./channels');
+const { detectStatusTransitions, decisionTransitions, recordStatusHistory } = require('./status-history');
+const { loadConfig } = require('./config');
 
 // --------------------------------------
 // أدوات مساعدة عامة
@@ -38,13 +48,11 @@ function normalizeNumber(str) {
   return result.trim();
 }
 
-// يحاول استخراج رقم الهوية من عدة حقول مع مسح احتياطي
-function extractIdNumber(properties) {
-  const possibleFields = ['رقم الهوية', 'رقم_الهوية', 'ID Number', 'ID', 'الرقم'];
-  for (const fieldName of possibleFields) {
-    const prop = properties[fieldName];
-    if (!prop) continue;
-
+// يستخرج رقم الهوية من الحقل المحدد في إعدادات الحقول
+// allowFallback: مسح أي خاصية بحثاً عن 9-12 رقم متتالي (معطّل افتراضياً، ID_REGEX_FALLBACK=true)
+function extractIdNumber(properties, fieldName, { allowFallback = false } = {}) {
+  const prop = fieldName ? properties[fieldName] : null;
+  if (prop) {
     if (prop.type === 'number') {
       return prop.number ? String(prop.number) : null;
     }
@@ -60,6 +68,8 @@ function extractIdNumber(properties) {
     }
   }
 
+  if (!allowFallback) return null;
+
   // مسح احتياطي لأي خاصية قد تحتوي 9-12 رقم متتالي
   for (const prop of Object.values(properties)) {
     if (prop.type === 'rich_text' && prop.rich_text.length > 0) {
@@ -83,68 +93,26 @@ function extractIdNumber(properties) {
 // --------------------------------------
 // قراءة مخطط القواعد (Schema) وتحديد الحقول
 // --------------------------------------
-async function getDatabaseSchema(databaseId) {
-  const db = await notion.databases.retrieve({ database_id: databaseId });
+async function getDatabaseSchema(gateway, databaseId) {
+  const db = await gateway.retrieveDatabase(databaseId);
   return db; // يحتوي properties وأنواعها
 }
 
 function debugPrintAllProps(dbSchema, label) {
-  console.log(`\n🧩 خصائص ${label}:`);
+  console.debug(`\n🧩 خصائص ${label}:`);
   const props = dbSchema?.properties || {};
   for (const [name, def] of Object.entries(props)) {
-    console.log(` - ${name}: ${def.type}`);
+    console.debug(` - ${name}: ${def.type}`);
   }
 }
 
-// ابحث عن حقل Relation في طلبات الإجازة الذي يربط قاعدة الموظفين
-function findEmployeeRelationPropName(leaveDbSchema) {
-  const props = leaveDbSchema.properties || {};
-
-  // أولاً: Relation يربط مباشرة بقاعدة الموظفين
-  for (const [propName, propDef] of Object.entries(props)) {
-    if (propDef.type === 'relation' && propDef.relation?.database_id === EMPLOYEES_DB_ID) {
-      return propName;
-    }
-  }
-  // ثانياً: أي Relation كحل مؤقت (لو مافيه ربط مباشر)
-  for (const [propName, propDef] of Object.entries(props)) {
-    if (propDef.type === 'relation') {
-      return propName;
-    }
-  }
-  return null;
-}
-
-// ✅ ابحث عن حقل الحالة مع أولوية للأسماء الصحيحة
-function findStatusProp(leaveDbSchema) {
-  const props = leaveDbSchema.properties || {};
-  const preferredNames = ['حالة الطلب', 'الحالة', 'Status', 'State'];
-
-  // 1) status + اسم مفضل
-  for (const [propName, propDef] of Object.entries(props)) {
-    if (propDef.type === 'status' && preferredNames.includes(propName)) {
-      return { name: propName, kind: 'status', options: propDef.status?.options || [] };
-    }
-  }
-  // 2) select + اسم مفضل
-  for (const [propName, propDef] of Object.entries(props)) {
-    if (propDef.type === 'select' && preferredNames.includes(propName)) {
-      return { name: propName, kind: 'select', options: propDef.select?.options || [] };
-    }
-  }
-  // 3) أي status
-  for (const [propName, propDef] of Object.entries(props)) {
-    if (propDef.type === 'status') {
-      return { name: propName, kind: 'status', options: propDef.status?.options || [] };
-    }
+// تحذير إذا كان حقل الربط لا يشير إلى قاعدة الموظفين المضبوطة
+function checkEmployeeRelationTarget(leaveDbSchema, relationPropName, employeesDbId) {
+  const def = leaveDbSchema.properties?.[relationPropName];
+  const target = (def?.relation?.database_id || '').replace(/-/g, '');
+  if (target && target !== employeesDbId.replace(/-/g, '')) {
+    console.warn(`⚠️ حقل الربط "${relationPropName}" يشير إلى قاعدة أخرى غير DATABASE_ID_EMPLOYEES.`);
   }
-  // 4) أي select
-  for (const [propName, propDef] of Object.entries(props)) {
-    if (propDef.type === 'select') {
-      return { name: propName, kind: 'select', options: propDef.select?.options || [] };
-    }
-  }
-  return null;
 }
 
 // --------------------------------------
@@ -155,8 +123,7 @@ function normalizeLabel(s = '') {
 }
 
 // تُرجع اسمًا صالحًا للتعيين + هل موجود مسبقاً أم لا
-function pickPendingName(kind, options) {
-  const desired = 'قيد الانتظار';
+function pickPendingName(kind, options, desired = 'قيد الانتظار') {
   const desiredNorm = normalizeLabel(desired);
 
   // 1) إذا الاسم موجود فعلاً ضمن الخيارات → رجّعه
@@ -171,86 +138,110 @@ function pickPendingName(kind, options) {
   // 3) status: ما نقدر ننشئ خيار جديد. نختار أفضل بديل
   const toDo = (options || []).find(o => (o.status && o.status.group === 'to_do') || o.group === 'to_do');
   if (toDo) {
-    console.warn('⚠️ (status) لا يوجد "قيد الانتظار"؛ تم اختيار أول خيار ضمن مجموعة To-do.');
+    console.warn(`⚠️ (status) لا يوجد "${desired}"؛ تم اختيار "${toDo.name}" (أول خيار ضمن مجموعة To-do). أضف الخيار يدوياً أو راجع: notion-hr validate-schema`);
     return { name: toDo.name, exists: true };
   }
 
   if ((options || []).length > 0) {
-    console.warn('⚠️ (status) لا يوجد "قيد الانتظار"؛ تم اختيار أول خيار متاح.');
+    console.warn(`⚠️ (status) لا يوجد "${desired}"؛ تم اختيار "${options[0].name}" (أول خيار متاح). أضف الخيار يدوياً أو راجع: notion-hr validate-schema`);
     return { name: options[0].name, exists: true };
   }
 
-  console.warn('⚠️ (status) لا توجد أي خيارات مُعرّفة.');
+  console.warn('⚠️ (status) لا توجد أي خيارات مُعرّفة. راجع: notion-hr validate-schema');
   return { name: null, exists: false };
 }
 
 // --------------------------------------
 // قراءة بيانات الموظفين والطلبات
 // --------------------------------------
-async function fetchEmployees() {
-  console.log('📖 جاري قراءة قاعدة بيانات الموظفين...');
-  const employeesMap = new Map();
-  let hasMore = true;
-  let cursor = undefined;
-
-  while (hasMore) {
-    const response = await notion.databases.query({
-      database_id: EMPLOYEES_DB_ID,
-      start_cursor: cursor,
-      page_size: 100,
-    });
-
-    for (const page of response.results) {
-      const idNumber = extractIdNumber(page.properties);
-      if (idNumber) {
-        const normalizedId = normalizeNumber(idNumber);
-        employeesMap.set(normalizedId, page.id);
-        console.log(`✅ تم إضافة موظف: رقم الهوية ${normalizedId}`);
-      }
+// employees: الصفحات (كاملة أو بعد الدمج مع النسخة المخزنة في الوضع التزايدي)
+// الأرقام المكررة لا تدخل الخريطة حتى لا يُربط الطلب بموظف عشوائي
+function buildEmployeesMap(employees, fields) {
+  const employeesMap = new Map();  // رقم الهوية → page id
+  const employeePages = new Map(); // page id → الصفحة كاملة
+  const entries = [];
+  const allowFallback = isRegexFallbackEnabled();
+
+  for (const page of employees) {
+    employeePages.set(page.id, page);
+    const idNumber = extractIdNumber(page.properties, fields.employees.idNumber, { allowFallback });
+    if (!idNumber) continue;
+
+    const normalizedId = normalizeNumber(idNumber);
+    const check = validateSaudiId(normalizedId);
+    if (!check.valid) {
+      console.warn(`⚠️ موظف برقم هوية غير صالح (${check.reason}): ${normalizedId} — ${page.id}`);
     }
+    entries.push({ idNumber: normalizedId, pageId: page.id });
+  }
+
+  const duplicateIds = findDuplicateIds(entries);
+  for (const { idNumber, pageId } of entries) {
+    if (duplicateIds.has(idNumber)) continue;
+    employeesMap.set(idNumber, pageId);
+    console.log(`✅ تم إضافة موظف: رقم الهوية ${idNumber}`);
+  }
 
-    hasMore = response.has_more;
-    cursor = response.next_cursor;
+  if (duplicateIds.size > 0) {
+    console.warn(`\n⚠️ أرقام هوية مكررة بين الموظفين (${duplicateIds.size}):`);
+    for (const [idNumber, pageIds] of duplicateIds) {
+      console.warn(`   • ${idNumber}: ${pageIds.join('، ')}`);
+    }
   }
 
   console.log(`📊 تم العثور على ${employeesMap.size} موظف في قاعدة البيانات`);
-  return employeesMap;
+  return { employeesMap, employeePages, duplicateIds };
 }
 
-async function fetchLeaveRequests() {
+// تُرجع { pages, changedIds } (changedIds = null في المزامنة الكاملة)
+async function fetchEmployees(gateway, dbId, cachedPages, since) {
+  console.log('📖 جاري قراءة قاعدة بيانات الموظفين...');
+  const result = await fetchPagesSince(gateway, dbId, cachedPages, since);
+  if (since) console.log(`🔁 موظفون معدّلون منذ آخر مزامنة: ${result.changedCount}`);
+  return result;
+}
+
+async function fetchLeaveRequests(gateway, dbId, cachedPages, since) {
   console.log('📖 جاري قراءة قاعدة بيانات طلبات الإجازة...');
-  const requests = [];
-  let hasMore = true;
-  let cursor = undefined;
-
-  while (hasMore) {
-    const response = await notion.databases.query({
-      database_id: LEAVE_REQUESTS_DB_ID,
-      start_cursor: cursor,
-      page_size: 100,
-    });
+  const result = await fetchPagesSince(gateway, dbId, cachedPages, since);
+  if (since) console.log(`🔁 طلبات معدّلة منذ آخر مزامنة: ${result.changedCount}`);
+  console.log(`📊 تم العثور على ${result.pages.length} طلب إجازة`);
+  return result;
+}
 
-    requests.push(...response.results);
-    hasMore = response.has_more;
-    cursor = response.next_cursor;
+// أرقام هوية الموظفين المعدلين قبل التعديل وبعده (طلباتها تدخل نطاق الربط في المزامنة التزايدية)
+function changedEmployeeIdNumbers(pages, changedIds, fields) {
+  const allowFallback = isRegexFallbackEnabled();
+  const idNumbers = new Set();
+  for (const page of pages) {
+    if (!changedIds.has(page.id)) continue;
+    const idNumber = extractIdNumber(page.properties, fields.employees.idNumber, { allowFallback });
+    if (idNumber) idNumbers.add(normalizeNumber(idNumber));
   }
-
-  console.log(`📊 تم العثور على ${requests.length} طلب إجازة`);
-  return requests;
+  return idNumbers;
 }
 
 // --------------------------------------
 // تحديث ذكي يحترم المخطط الفعلي
 // --------------------------------------
 async function updateLeaveRequestSmart({
+  gateway,
   requestId,
   employeePageId,     // string | null
   relationPropName,   // string | null
   statusProp,         // { name, kind, options } | null
+  pendingLabel,       // اسم حالة "قيد الانتظار" من إعدادات الحقول
   setStatusToPending, // boolean (متى؟ لما يكون فاضي)
+  dayCount,           // { propName, value } | null
 }) {
   const properties = {};
 
+  // عدد أيام العمل المحسوبة
+  if (dayCount) {
+    properties[dayCount.propName] = { number: dayCount.value };
+    console.log(`   ↪︎ تعيين ${dayCount.propName} إلى: ${dayCount.value}`);
+  }
+
   // Relation
   if (employeePageId && relationPropName) {
     properties[relationPropName] = { relation: [{ id: employeePageId }] };
@@ -258,7 +249,7 @@ async function updateLeaveRequestSmart({
 
   // Status/Select (فقط إذا فاضي)
   if (setStatusToPending && statusProp) {
-    const pick = pickPendingName(statusProp.kind, statusProp.options);
+    const pick = pickPendingName(statusProp.kind, statusProp.options, pendingLabel);
     if (pick.name) {
       if (statusProp.kind === 'status') {
         properties[statusProp.name] = { status: { name: pick.name } };
@@ -274,7 +265,7 @@ async function updateLeaveRequestSmart({
   if (Object.keys(properties).length === 0) return false;
 
   try {
-    await notion.pages.update({ page_id: requestId, properties });
+    await gateway.updatePage(requestId, properties);
     console.log(`✅ تم تحديث طلب الإجازة: ${requestId}`);
     return true;
   } catch (error) {
@@ -286,23 +277,55 @@ async function updateLeaveRequestSmart({
 // --------------------------------------
 // الوظيفة الرئيسية
 // --------------------------------------
-async function syncNotionTables() {
+// options.dryRun: تنفيذ كل القراءات والقرارات بدون أي كتابة على Notion
+// options.outFile: حفظ تقرير التجربة كـ JSON
+// options.full: تجاهل آخر checkpoint وقراءة كل الصفحات من جديد
+// options.notion: بديل لعميل Notion (للاختبارات)
+// options.employeesDbId / options.leaveRequestsDbId: بدائل لمعرفات القواعد من البيئة
+// options.policies: سياسات الإجازات المحمّلة (بديل لـ leave-policies.json)
+// options.autoApproval: قواعد الموافقة التلقائية المحمّلة (بديل لـ auto-approval.json)
+async function syncNotionTables(options = {}) {
+  // يرمي ConfigError عند نقص متغيرات البيئة (بدلاً من إنهاء العملية عند require)
+  const config = loadConfig({
+    required: [...(options.notion ? [] : ['notionToken']), 'employeesDbId', 'leaveRequestsDbId'],
+    overrides: options,
+  });
   console.log('🚀 بدء عملية المزامنة...\n');
 
+  // نسجل وقت البداية قبل أي قراءة حتى لا تضيع تعديلات تحدث أثناء التشغيل
+  const runStartedAt = new Date().toISOString();
+  const state = loadSyncState();
+  // مزامنة كاملة دورية حتى تزول الصفحات المحذوفة من النسخة المخزنة
+  const since = options.full || isFullRefreshDue(state) ? null : state.checkpoint;
+  console.log(since ? `🔁 مزامنة تزايدية: التغييرات منذ ${since}\n` : '📦 مزامنة كاملة\n');
+
+  const recorder = options.dryRun ? createDryRunRecorder({ outFile: options.outFile }) : null;
+  const baseClient = options.notion || createNotionClient(config.notionToken);
+  const gateway = createNotionGateway({ client: recorder ? recorder.wrapNotion(baseClient) : baseClient });
+  if (recorder) console.log('🧪 وضع التجربة مفعّل: لن يتم تعديل أي صفحة في Notion\n');
+
   try {
-    // 1) جلب مخطط قاعدة طلبات الإجازة
-    const leaveSchema = await getDatabaseSchema(LEAVE_REQUESTS_DB_ID);
+    // 1) جلب مخطط القاعدتين
+    const leaveSchema = await getDatabaseSchema(gateway, config.leaveRequestsDbId);
+    const employeesSchema = await getDatabaseSchema(gateway, config.employeesDbId);
 
     // طباعة كل الخصائص للمراجعة (مفيد جدًا)
     debugPrintAllProps(leaveSchema, 'طلبات الإجازة');
 
-    // 2) اكتشاف أسماء الحقول المهمة
-    const relationPropName = findEmployeeRelationPropName(leaveSchema);
-    const statusProp = findStatusProp(leaveSchema);
+    // 2) التحقق من إعدادات الحقول مقابل المخطط الفعلي
+    const fields = resolveFieldMapping(loadFieldMapping(), {
+      employees: employeesSchema,
+      leaveRequests: leaveSchema,
+    });
+    const relationPropName = fields.leaveRequests.employee;
+    const statusProp = fields.status;
+    const dayCountPropName = fields.leaveRequests.dayCount;
+    if (relationPropName) checkEmployeeRelationTarget(leaveSchema, relationPropName, config.employeesDbId);
 
     console.log('\n🔎 حقول تم اكتشافها:');
     console.log('   • حقل ربط الموظف (relation):', relationPropName || 'غير موجود');
     console.log('   • حقل الحالة:', statusProp ? `${statusProp.name} (${statusProp.kind})` : 'غير موجود');
+    console.log('   • حقل عدد الأيام:', dayCountPropName || 'غير موجود');
 
     if (!relationPropName) {
       console.warn('⚠️ لم يتم العثور على حقل Relation يربط بقاعدة الموظفين. لن يتم تحديث الربط.');
@@ -310,40 +333,94 @@ async function syncNotionTables() {
     if (!statusProp) {
       console.warn('⚠️ لم يتم العثور على حقل حالة (status/select). لن يتم تحديث الحالة.');
     }
+    if (!dayCountPropName) {
+      console.warn('⚠️ لم يتم العثور على حقل "عدد الأيام" (number). لن يتم تحديث مدة الطلب.');
+    }
 
-    // 3) قراءة جميع الموظفين
-    const employeesMap = await fetchEmployees();
+    // تقويم أيام العمل (عطلة نهاية الأسبوع + العطل الرسمية)
+    const calendar = loadWorkCalendar();
+
+    // 3) قراءة الموظفين (كاملة أو المعدلة فقط + النسخة المخزنة)
+    const { pages: employees, changedIds: changedEmployeeIds } = await fetchEmployees(gateway, config.employeesDbId, state.employees, since);
+    const { employeesMap, employeePages, duplicateIds } = buildEmployeesMap(employees, fields);
     if (employeesMap.size === 0) {
       console.log('⚠️ لم يتم العثور على أي موظفين في قاعدة البيانات');
       return;
     }
 
     // 4) قراءة جميع الطلبات
-    const leaveRequests = await fetchLeaveRequests();
+    const { pages: leaveRequests, changedIds: changedRequestIds } = await fetchLeaveRequests(gateway, config.leaveRequestsDbId, state.leaveRequests, since);
+    if (recorder) recorder.rememberPages([...employees, ...leaveRequests]);
     if (leaveRequests.length === 0) {
       console.log('⚠️ لم يتم العثور على أي طلبات إجازة');
       return;
     }
 
+    // تغييرات الحالة منذ التشغيل السابق (مقارنة بالنسخة المخزنة) → تُسجل بوقت رصدها
+    const detectedTransitions = detectStatusTransitions(state.leaveRequests, leaveRequests, fields, runStartedAt);
+
     console.log('\n🔄 بدء معالجة طلبات الإجازة...\n');
 
     let updatedCount = 0;
     let skippedCount = 0;
+    let invalidIdCount = 0;
+    const allowFallback = isRegexFallbackEnabled();
+    const validationPropName = fields.leaveRequests.validationIssue;
+    const linkedRequests = []; // [{ request, employeePageId }] لحساب الأرصدة
+    const pendingUpdates = []; // التحديثات تعمل بالتوازي (بحد أقصى) عبر البوابة
+    const unmatched = createUnmatchedReport(); // الطلبات التي تعذّر ربطها + السبب
+    // المزامنة التزايدية: الكتابة فقط على الطلبات المعدلة وما يتأثر بها (null في المزامنة الكاملة = كل الطلبات)
+    const linkScope = changedRequestIds && new Set(changedRequestIds);
+    const scopeIdNumbers = changedEmployeeIds
+      ? changedEmployeeIdNumbers([...employees, ...(state.employees || [])], changedEmployeeIds, fields)
+      : new Set();
 
     for (const request of leaveRequests) {
-      const requestIdNumber = extractIdNumber(request.properties);
+      const requestIdNumber = extractIdNumber(request.properties, fields.leaveRequests.idNumber, { allowFallback });
 
       if (!requestIdNumber) {
         console.log(`⚠️ طلب بدون رقم هوية: ${request.id}`);
+        unmatched.add(request, REASONS.MISSING_ID);
         skippedCount++;
         continue;
       }
 
       const normalizedRequestId = normalizeNumber(requestIdNumber);
+      const inScope = !linkScope || linkScope.has(request.id) || scopeIdNumbers.has(normalizedRequestId);
+      if (linkScope && inScope) linkScope.add(request.id);
+
+      // رقم غير صالح أو مكرر بين الموظفين → نكتب المشكلة على الطلب ولا نربطه
+      const idCheck = validateSaudiId(normalizedRequestId);
+      let validationIssue = '';
+      if (!idCheck.valid) {
+        validationIssue = `رقم الهوية ${normalizedRequestId} غير صالح: ${idCheck.reason}`;
+      } else if (duplicateIds.has(normalizedRequestId)) {
+        validationIssue = `رقم الهوية ${normalizedRequestId} مسجل لأكثر من موظف (${duplicateIds.get(normalizedRequestId).length})`;
+      }
+      if (inScope) pendingUpdates.push(writeValidationIssue(gateway, request, validationPropName, validationIssue));
+
+      if (validationIssue) {
+        console.log(`⚠️ ${validationIssue}: ${request.id}`);
+        unmatched.add(request, REASONS.INVALID_ID, normalizedRequestId);
+        invalidIdCount++;
+        skippedCount++;
+        continue;
+      }
+
       const employeePageId = employeesMap.get(normalizedRequestId);
 
       if (!employeePageId) {
         console.log(`⚠️ لم يتم العثور على موظف برقم الهوية: ${normalizedRequestId}`);
+        unmatched.add(request, REASONS.UNKNOWN_ID, normalizedRequestId);
+        skippedCount++;
+        continue;
+      }
+
+      // الموظف معروف لكن لا يوجد حقل ربط نكتب فيه → يبقى الطلب يتيماً في Notion
+      if (!relationPropName) unmatched.add(request, REASONS.NO_RELATION_PROP, normalizedRequestId);
+
+      linkedRequests.push({ request, employeePageId });
+      if (!inScope) {
         skippedCount++;
         continue;
       }
@@ -362,6 +439,19 @@ async function syncNotionTables() {
         }
       }
 
+      // هل نحتاج تحديث عدد الأيام؟
+      let dayCount = null;
+      if (dayCountPropName) {
+        const dates = extractLeaveDates(request.properties, fields);
+        if (dates) {
+          const value = countLeaveDays(dates, calendar);
+          const current = request.properties[dayCountPropName];
+          if (!current || current.number !== value) {
+            dayCount = { propName: dayCountPropName, value };
+          }
+        }
+      }
+
       // هل نحتاج تحديث الربط Relation؟
       let needsRelationUpdate = !!relationPropName;
       if (relationPropName && request.properties[relationPropName]) {
@@ -371,51 +461,198 @@ async function syncNotionTables() {
         }
       }
 
-      if (needsRelationUpdate || needsStatusUpdate) {
-        const ok = await updateLeaveRequestSmart({
+      if (needsRelationUpdate || needsStatusUpdate || dayCount) {
+        pendingUpdates.push(updateLeaveRequestSmart({
+          gateway,
           requestId: request.id,
           employeePageId: needsRelationUpdate ? employeePageId : null,
           relationPropName,
           statusProp,
+          pendingLabel: fields.labels.pending,
           setStatusToPending: needsStatusUpdate,
-        });
-
-        if (ok) {
+          dayCount,
+        }).then((ok) => {
+          if (!ok) return;
           updatedCount++;
           console.log(`   ✓ رقم الهوية: ${normalizedRequestId}`);
           if (needsRelationUpdate) console.log('   ✓ تم ربط الموظف');
           if (needsStatusUpdate) console.log(`   ✓ تم تعيين الحالة (${statusProp.name})`);
-        }
+          if (dayCount) console.log(`   ✓ عدد الأيام: ${dayCount.value}`);
+        }));
       } else {
         console.log(`✓ الطلب محدث بالفعل: ${normalizedRequestId}`);
         skippedCount++;
       }
     }
 
+    await Promise.all(pendingUpdates);
+
+    // نطاق خطوات الكتابة التالية: { requestIds, employeeIds } أو null للكل
+    const scope = linkScope && findAffectedScope({
+      linkScope,
+      changedEmployeeIds,
+      linkedRequests,
+      previousRequests: state.leaveRequests,
+      fields,
+    });
+    if (scope) console.log(`🎯 طلبات في نطاق هذا التشغيل: ${scope.requestIds.size} من ${leaveRequests.length}`);
+    const scopedRequests = scope ? leaveRequests.filter(request => scope.requestIds.has(request.id)) : leaveRequests;
+
+    // الطلبات غير المرتبطة الجديدة (أو التي تغير سببها) تُحدد قبل كتابة السبب؛ هي فقط ما يُرسل لـ HR
+    const newUnmatched = findNewEntries({
+      entries: scope ? unmatched.entries.filter(e => scope.requestIds.has(e.requestId)) : unmatched.entries,
+      requests: leaveRequests,
+      propName: fields.leaveRequests.unmatchedReason,
+    });
+
+    // كتابة سبب عدم الربط على الطلبات (ومسحه عن الطلبات التي رُبطت)
+    await writeUnmatchedReasons({
+      gateway,
+      requests: scopedRequests,
+      report: unmatched,
+      propName: fields.leaveRequests.unmatchedReason,
+    });
+
+    // سياسات أنواع الإجازات (قرار السياسة + الرفض التلقائي)، وتُستخدم أيضاً لمعرفة الأنواع التي لا تُخصم من الرصيد
+    const policies = options.policies === undefined ? loadLeavePolicies() : options.policies;
+    const policyResult = await syncPolicies({
+      gateway,
+      linkedRequests,
+      fields,
+      calendar,
+      policies,
+      scope,
+    });
+
+    // دورة حياة الموظف: طلبات قبل التعيين أو بعد انتهاء الخدمة (بعد رفض السياسات حتى لا يُكتب سبب رفض ثانٍ)
+    const afterPolicies = applyStatusDecisions(linkedRequests, policyResult.decisions, statusProp);
+    const lifecycleResult = await syncLifecycle({
+      gateway,
+      linkedRequests: scope ? afterPolicies.filter(({ request }) => scope.requestIds.has(request.id)) : afterPolicies,
+      employeePages,
+      fields,
+    });
+
+    // الموافقة التلقائية على الطلبات منخفضة المخاطر (الطلبات ذات ملاحظة خدمة لا تُعتمد تلقائياً)
+    const approvalResult = await syncAutoApproval({
+      gateway,
+      linkedRequests: applyStatusDecisions(afterPolicies, lifecycleResult.decisions, statusProp),
+      employeePages,
+      fields,
+      calendar,
+      config: options.autoApproval,
+      policyVerdicts: policyResult.verdicts,
+      holds: lifecycleResult.issues,
+      policies,
+      scope,
+    });
+
+    // الأرصدة والتعارض تُحسب بالحالة بعد الرفض/الموافقة التلقائية في هذا التشغيل
+    const syncDecisions = new Map([...policyResult.decisions, ...lifecycleResult.decisions, ...approvalResult.decisions]);
+    const decidedRequests = applyStatusDecisions(linkedRequests, syncDecisions, statusProp);
+
+    // سجل الحالة على الطلبات + ملف السجل: تغييرات المستخدمين المرصودة + قرارات هذا التشغيل بوقتها الفعلي
+    const transitions = [...detectedTransitions, ...decisionTransitions(syncDecisions, leaveRequests, fields)];
+    const historyResult = await recordStatusHistory({
+      gateway,
+      transitions,
+      pages: leaveRequests,
+      fields,
+      writeLog: !recorder,
+    });
+
+    // 5) حساب أرصدة الإجازات وكتابتها على صفحات الموظفين
+    const balanceResult = await syncLeaveBalances({
+      gateway,
+      linkedRequests: decidedRequests,
+      employeePages,
+      fields,
+      calendar,
+      policies,
+      scope,
+    });
+
+    // 6) فحص التعارض (تداخل طلبات الموظف + حد الغياب في القسم)
+    const conflictResult = await syncConflicts({
+      gateway,
+      linkedRequests: decidedRequests,
+      employeePages,
+      fields,
+      calendar,
+      scope,
+    });
+
     console.log('\n' + '='.repeat(50));
     console.log('📊 ملخص عملية المزامنة:');
     console.log('='.repeat(50));
     console.log(`✅ تم تحديث: ${updatedCount} طلب`);
     console.log(`⏭️ تم تجاوز: ${skippedCount} طلب`);
+    console.log(`🪪 أرقام هوية غير صالحة أو مكررة: ${invalidIdCount} طلب`);
     console.log(`📝 الإجمالي: ${leaveRequests.length} طلب`);
+    console.log(`🧮 أرصدة محدثة: ${balanceResult.employeesUpdated} موظف`);
+    console.log(`⚠️ طلبات تتجاوز الرصيد: ${balanceResult.requestsFlagged} طلب`);
+    console.log(`🔀 طلبات متعارضة: ${conflictResult.requestsFlagged} طلب`);
+    console.log(`📜 سياسات الإجازات: ${policyResult.flagged} للمراجعة، ${policyResult.rejected} رفض تلقائي`);
+    console.log(`🪪 بيانات الخدمة: ${lifecycleResult.flagged} للمراجعة، ${lifecycleResult.rejected} رفض تلقائي`);
+    console.log(`🤖 موافقات تلقائية: ${approvalResult.approved} طلب`);
+    console.log(`🧷 طلبات غير مرتبطة بموظف: ${unmatched.entries.length} طلب`);
+    console.log(`🕓 تغييرات حالة مسجلة: ${historyResult.recorded} من ${transitions.length}`);
     console.log('='.repeat(50));
+    gateway.printMetrics();
+
+    // 7) ملخص واحد بالطلبات غير المرتبطة الجديدة لإدارة الموارد البشرية
+    const deliver = recorder ? recorder.recordEmail : createDeliver({ transporter: options.transporter });
+    const digestSent = await sendUnmatchedDigest({ entries: newUnmatched, total: unmatched.entries.length, deliver });
+    if (digestSent) console.log(`📨 تم إرسال ملخص الطلبات غير المرتبطة إلى ${process.env.HR_EMAIL}`);
+
     console.log('✨ انتهت عملية المزامنة بنجاح!');
 
+    if (recorder) {
+      recorder.printReport();
+    } else {
+      // النسخة المخزنة بالخصائص التي تحتاجها المزامنة فقط (+ النصوص والأرقام إن كان البحث الاحتياطي عن الهوية مفعلاً)
+      // وبالحالة بعد قرارات هذا التشغيل حتى لا تُرصد كتغيير مرة ثانية في التشغيل التالي
+      const names = snapshotPropertyNames(fields);
+      const decidedById = new Map(decidedRequests.map(({ request }) => [request.id, request]));
+      const keepTypes = allowFallback ? ['rich_text', 'number'] : [];
+      saveSyncState({
+        checkpoint: runStartedAt,
+        lastFullAt: since ? state.lastFullAt : runStartedAt,
+        employees: employees.map(page => compactPage(page, names.employees, keepTypes)),
+        leaveRequests: leaveRequests.map(page => compactPage(decidedById.get(page.id) || page, names.leaveRequests, keepTypes)),
+      });
+    }
+
+    return {
+      total: leaveRequests.length,
+      updated: updatedCount,
+      skipped: skippedCount,
+      invalidIds: invalidIdCount,
+      balances: balanceResult,
+      conflicts: conflictResult,
+      policies: policyResult,
+      lifecycle: { flagged: lifecycleResult.flagged, rejected: lifecycleResult.rejected },
+      autoApproved: approvalResult.approved,
+      unmatched: unmatched.entries,
+      statusChanges: transitions,
+      digestSent,
+    };
+
   } catch (error) {
     console.error('❌ حدث خطأ أثناء المزامنة:', error);
     throw error;
   }
 }
 
-// تشغيل مباشر
+// للتصدير إن احتجته
+module.exports = {
+  syncNotionTables,
+  normalizeNumber,
+  extractIdNumber,
+  pickPendingName,
+};
+
+// تشغيل مباشر (بعد module.exports لأن cli.js يستورد هذا الملف)
 if (require.main === module) {
-  syncNotionTables()
-    .then(() => process.exit(0))
-    .catch((error) => {
-      console.error('❌ فشلت عملية المزامنة:', error);
-      process.exit(1);
-    });
+  require('./cli').runCli(['sync', ...process.argv.slice(2)]);
 }
-
-// للتصدير إن احتجته
-module.exports = { syncNotionTables };
@@ -0,0 +1,200 @@
+// tenants.js
+// تشغيل نفس الأوامر على عدة مساحات Notion (شركات تابعة) من ملف tenants.json بدل نسخة مستقلة لكل شركة
+// كل مستأجر يعمل منفصلاً: متغيرات البيئة الخاصة به (التوكن، القواعد، البريد، ملف الحقول) تُطبّق أثناء تشغيله فقط،
+// وملفات الحالة والسجلات في مجلد خاص به، وفشل أحدهم لا يوقف البقية
+// الإعدادات التي لا يحددها المستأجر تُؤخذ من بيئة التشغيل المشتركة (مثلاً LEAVE_YEAR)
+// مثال: tenants.example.json
+
+const fs = require('fs');
+const path = require('path');
+const { ENV_NAMES, ConfigError } = require('./config');
+const { FieldMappingError } = require('./field-mapping');
+const { createMailTransport } = require('./mailer');
+
+const DEFAULT_TENANTS_FILE = path.join(__dirname, 'tenants.json');
+
+// ملفات الحالة التي تُفصل لكل مستأجر (ما لم يحددها المستأجر في env)
+const STATE_FILES = {
+  SYNC_STATE_FILE: '.sync-state.json',
+  SEND_LEDGER_FILE: '.send-ledger.json',
+  AUDIT_LOG_FILE: 'audit-log.jsonl',
+  CALENDAR_STATE_FILE: '.calendar-state.json',
+  INTAKE_LEDGER_FILE: '.intake-ledger.json',
+};
+
+class TenantsConfigError extends Error {
+  constructor(problems) {
+    super(`إعدادات المستأجرين غير صحيحة:\n${problems.map(p => ` - ${p}`).join('\n')}`);
+    this.name = 'TenantsConfigError';
+    this.problems = problems;
+  }
+}
+
+// فشل مستأجر واحد أو أكثر: result يحمل الملخص، exitCode أعلى رمز خروج بين المستأجرين
+class TenantRunError extends Error {
+  constructor(summary) {
+    const failed = summary.tenants.filter(t => !t.ok).map(t => t.id);
+    super(`فشل التشغيل لـ ${failed.length} من ${summary.tenants.length} مستأجر: ${failed.join(', ')}`);
+    this.name = 'TenantRunError';
+    this.result = summary;
+    this.exitCode = Math.max(...summary.tenants.map(t => t.exitCode));
+  }
+}
+
+// --------------------------------------
+// الإعدادات
+// --------------------------------------
+// TENANTS_FILE: مسار ملف المستأجرين (وجوده يفعّل وضع المستأجرين في الأوامر)
+// TENANTS_STATE_DIR: مجلد ملفات الحالة، مجلد فرعي لكل مستأجر
+function getTenantSettings() {
+  return {
+    file: process.env.TENANTS_FILE ? path.resolve(process.env.TENANTS_FILE) : '',
+    stateDir: path.resolve(process.env.TENANTS_STATE_DIR || path.join(__dirname, '.tenants')),
+  };
+}
+
+// "${VAR}" تُستبدل من البيئة حتى لا تُحفظ الأسرار داخل الملف
+function expandValue(value, missing) {
+  return String(value).replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => {
+    if (process.env[name] === undefined) missing.add(name);
+    return process.env[name] || '';
+  });
+}
+
+// --------------------------------------
+// التحميل
+// --------------------------------------
+// { tenants: [{ id, name?, notionToken, employeesDbId, leaveRequestsDbId, reportsDbId?, fieldMapping?, env? }] }
+// تُرجع [{ id, name, env }] حيث env كل المتغيرات التي تُطبّق أثناء تشغيل المستأجر
+function loadTenants(filePath = getTenantSettings().file || DEFAULT_TENANTS_FILE, { stateDir = getTenantSettings().stateDir } = {}) {
+  const target = path.resolve(filePath);
+  const baseDir = path.dirname(target);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (error) {
+    throw new TenantsConfigError([`تعذّر قراءة ملف المستأجرين ${target}: ${error.message}`]);
+  }
+
+  const list = Array.isArray(config.tenants) ? config.tenants : [];
+  const problems = [];
+  if (list.length === 0) problems.push(`لا يوجد أي مستأجر في ${target}`);
+
+  const seen = new Set();
+  const tenants = list.map((tenant, i) => {
+    const id = String(tenant.id || '');
+    const label = id || `#${i + 1}`;
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) problems.push(`${label}: المعرّف id مطلوب (حروف إنجليزية وأرقام و - و _ فقط)`);
+    else if (seen.has(id)) problems.push(`${label}: المعرّف مكرر`);
+    seen.add(id);
+
+    const missing = new Set();
+    const env = {};
+    for (const [file, name] of Object.entries(STATE_FILES)) env[file] = path.join(stateDir, id, name);
+    for (const [key, envName] of Object.entries(ENV_NAMES)) {
+      if (tenant[key]) env[envName] = expandValue(tenant[key], missing);
+    }
+    if (tenant.fieldMapping) env.FIELD_MAPPING_FILE = path.resolve(baseDir, expandValue(tenant.fieldMapping, missing));
+    for (const [name, value] of Object.entries(tenant.env || {})) env[name] = expandValue(value, missing);
+
+    for (const key of ['notionToken', 'employeesDbId', 'leaveRequestsDbId']) {
+      if (!env[ENV_NAMES[key]]) problems.push(`${label}: ${key} مطلوب`);
+    }
+    if (missing.size > 0) problems.push(`${label}: متغيرات بيئة غير معرّفة: ${[...missing].join(', ')}`);
+
+    return { id, name: tenant.name || id, env };
+  });
+
+  if (problems.length > 0) throw new TenantsConfigError(problems);
+  return tenants;
+}
+
+// --------------------------------------
+// التشغيل
+// --------------------------------------
+// يطبّق متغيرات المستأجر أثناء fn ثم يعيد البيئة كما كانت
+async function withTenantEnv(env, fn) {
+  const previous = {};
+  for (const [name, value] of Object.entries(env)) {
+    previous[name] = process.env[name];
+    process.env[name] = value;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+function exitCodeFor(error) {
+  return error instanceof ConfigError || error instanceof FieldMappingError || ['LeavePoliciesConfigError', 'AutoApprovalConfigError', 'ReportOptionsError'].includes(error.name) ? 2 : 1;
+}
+
+// task(tenant, { transporter }): تشغيل الأمر لمستأجر واحد (البيئة مطبّقة)
+// only: معرّف مستأجر واحد (--tenant)
+// تُرجع { ok, tenants: [{ id, name, ok, exitCode, durationMs, result, error }] }
+async function runForTenants({ tenants, task, only = null, createTransport = createMailTransport }) {
+  const selected = only ? tenants.filter(t => t.id === only) : tenants;
+  if (only && selected.length === 0) {
+    throw new TenantsConfigError([`المستأجر "${only}" غير موجود (المتاح: ${tenants.map(t => t.id).join(', ')})`]);
+  }
+
+  const results = [];
+  for (const tenant of selected) {
+    console.log(`\n🏢 [${tenant.id}] ${tenant.name}`);
+    const startedAt = Date.now();
+    const entry = { id: tenant.id, name: tenant.name, ok: false, exitCode: 0, durationMs: 0, result: null, error: null };
+
+    await withTenantEnv(tenant.env, async () => {
+      fs.mkdirSync(path.dirname(tenant.env.SYNC_STATE_FILE), { recursive: true });
+      try {
+        // ناقل البريد يُنشأ من إعدادات المستأجر (ناقل mailer.js الافتراضي مبني من بيئة التشغيل الأصلية)
+        entry.result = (await task(tenant, { transporter: createTransport(process.env) })) ?? null;
+        entry.ok = true;
+      } catch (error) {
+        entry.exitCode = exitCodeFor(error);
+        entry.error = error.message;
+        console.error(`❌ [${tenant.id}] فشل التشغيل:`, error.message);
+      }
+    });
+
+    entry.durationMs = Date.now() - startedAt;
+    results.push(entry);
+  }
+
+  const summary = { ok: results.every(r => r.ok), tenants: results };
+  printTenantSummary(summary);
+  return summary;
+}
+
+function printTenantSummary(summary) {
+  console.log('\n' + '='.repeat(50));
+  console.log('🏢 ملخص المستأجرين:');
+  for (const t of summary.tenants) {
+    const details = t.ok ? describeResult(t.result) : t.error;
+    console.log(` ${t.ok ? '✅' : '❌'} ${t.id} (${(t.durationMs / 1000).toFixed(1)} ث)${details ? ` — ${details}` : ''}`);
+  }
+  console.log('='.repeat(50));
+}
+
+// القيم البسيطة فقط من نتيجة الأمر (الأعداد والنصوص)
+function describeResult(result) {
+  if (!result || typeof result !== 'object') return '';
+  return Object.entries(result)
+    .filter(([, value]) => ['number', 'string', 'boolean'].includes(typeof value))
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('، ');
+}
+
+module.exports = {
+  DEFAULT_TENANTS_FILE,
+  TenantsConfigError,
+  TenantRunError,
+  getTenantSettings,
+  loadTenants,
+  withTenantEnv,
+  runForTenants,
+};
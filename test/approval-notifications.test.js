@@ -0,0 +1,153 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+beforeEach(fixtures.resetSendLedger);
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { parseNoticeState, formatNoticeState } = require('../approval-notifications');
+const { run } = require('../send-status-emails');
+
+const NOTICE = 'إشعار المدير';
+
+function employees() {
+  return [
+    {
+      id: 'emp-manager',
+      properties: {
+        'الاسم': prop.title('خالد'),
+        'البريد الإلكتروني': prop.email('khalid@example.com'),
+        'اللغة': prop.select('English'),
+      },
+    },
+    { id: 'emp-1', properties: { 'الاسم': prop.title('سارة'), 'المدير المباشر': prop.relation('emp-manager') } },
+    { id: 'emp-2', properties: { 'الاسم': prop.title('نورة') } },
+  ];
+}
+
+function pendingRequest(id, { employee = 'emp-1', notice = '', createdTime = '2026-03-01T08:00:00.000Z', status = 'قيد الانتظار' } = {}) {
+  return {
+    id,
+    created_time: createdTime,
+    properties: {
+      'اسم الموظف': prop.title(`موظف ${id}`),
+      'الموظف': prop.relation(employee),
+      'حالة الطلب': prop.select(status),
+      'الايميل': prop.email(null),
+      'تاريخ البداية': prop.date('2026-03-10'),
+      'تاريخ النهاية': prop.date('2026-03-12'),
+      [NOTICE]: prop.text(notice),
+    },
+  };
+}
+
+function fakeWith(requests) {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: employees() },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema('select'), pages: requests },
+    },
+  });
+}
+
+function noticeOf(fake, id) {
+  return parseNoticeState(fake.getPage(id).properties[NOTICE].rich_text.map(t => t.plain_text).join(''));
+}
+
+test('notice state round-trips and ignores junk', () => {
+  const state = parseNoticeState('notified=2026-03-01; reminded=2026-03-03; other=x; escalated=bad');
+  assert.deepEqual(state, { notified: '2026-03-01', reminded: '2026-03-03' });
+  assert.equal(formatNoticeState(state), 'notified=2026-03-01; reminded=2026-03-03');
+});
+
+test('notifies the manager once for a new pending request', async () => {
+  const fake = fakeWith([pendingRequest('req-1'), pendingRequest('req-approved', { status: 'موافقة' })]);
+  const transporter = createCaptureTransport();
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  await run({ notion: fake.client, transporter, now });
+  await run({ notion: fake.client, transporter, now });
+
+  assert.equal(transporter.sent.length, 1);
+  assert.equal(transporter.sent[0].to[0].address, 'khalid@example.com');
+  assert.match(transporter.sent[0].subject, /awaiting your approval: موظف req-1/);
+  assert.deepEqual(noticeOf(fake, 'req-1'), { notified: '2026-03-01' });
+});
+
+test('reminds the manager after the reminder interval', async () => {
+  process.env.MANAGER_REMINDER_DAYS = '2';
+  const fake = fakeWith([pendingRequest('req-1', { notice: 'notified=2026-03-01' })]);
+  const transporter = createCaptureTransport();
+
+  try {
+    await run({ notion: fake.client, transporter, now: new Date('2026-03-02T12:00:00Z') });
+    assert.equal(transporter.sent.length, 0);
+
+    await run({ notion: fake.client, transporter, now: new Date('2026-03-03T12:00:00Z') });
+    assert.equal(transporter.sent.length, 1);
+    assert.match(transporter.sent[0].subject, /^Reminder/);
+    assert.deepEqual(noticeOf(fake, 'req-1'), { notified: '2026-03-01', reminded: '2026-03-03' });
+  } finally {
+    delete process.env.MANAGER_REMINDER_DAYS;
+  }
+});
+
+test('escalates to HR once the request has waited long enough', async () => {
+  process.env.HR_EMAIL = 'people@example.com';
+  process.env.HR_ESCALATION_DAYS = '5';
+  const fake = fakeWith([
+    pendingRequest('req-1', { notice: 'notified=2026-03-01; reminded=2026-03-05' }),
+    pendingRequest('req-no-manager', { employee: 'emp-2' }),
+  ]);
+  const transporter = createCaptureTransport();
+  const now = new Date('2026-03-06T12:00:00Z');
+
+  try {
+    await run({ notion: fake.client, transporter, now });
+    await run({ notion: fake.client, transporter, now });
+
+    const escalations = transporter.sent.filter(m => m.to[0].address === 'people@example.com');
+    assert.equal(escalations.length, 2);
+    assert.match(escalations[0].subject, /^تصعيد/);
+    assert.equal(noticeOf(fake, 'req-1').escalated, '2026-03-06');
+    assert.equal(transporter.sent.filter(m => m.to[0].address === 'khalid@example.com').length, 0);
+  } finally {
+    delete process.env.HR_EMAIL;
+    delete process.env.HR_ESCALATION_DAYS;
+  }
+});
+
+test('does not escalate on the same run that first notifies the manager', async () => {
+  process.env.HR_EMAIL = 'people@example.com';
+  const fake = fakeWith([pendingRequest('req-old')]);
+  const transporter = createCaptureTransport();
+
+  try {
+    await run({ notion: fake.client, transporter, now: new Date('2026-03-20T12:00:00Z') });
+
+    assert.deepEqual(transporter.sent.map(m => m.to[0].address), ['khalid@example.com']);
+    assert.deepEqual(noticeOf(fake, 'req-old'), { notified: '2026-03-20' });
+  } finally {
+    delete process.env.HR_EMAIL;
+  }
+});
+
+test('a failed notice-field write does not notify the manager again; the field is repaired later', async () => {
+  const fake = fakeWith([pendingRequest('req-1')]);
+  const transporter = createCaptureTransport();
+  fake.failUpdatesFor('req-1');
+
+  await run({ notion: fake.client, transporter, now: new Date('2026-03-01T12:00:00Z') });
+  await run({ notion: fake.client, transporter, now: new Date('2026-03-01T13:00:00Z') });
+  assert.equal(transporter.sent.length, 1);
+  assert.deepEqual(noticeOf(fake, 'req-1'), {});
+
+  fake.clearFailures('req-1');
+  const result = await run({ notion: fake.client, transporter, now: new Date('2026-03-02T12:00:00Z') });
+
+  assert.equal(transporter.sent.length, 1);
+  assert.equal(result.approvals.notified, 0);
+  assert.deepEqual(noticeOf(fake, 'req-1'), { notified: '2026-03-01' });
+});
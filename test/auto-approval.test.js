@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { syncNotionTables } = require('../sync');
+const { run } = require('../send-status-emails');
+const { main } = require('../cli');
+const { loadAutoApprovalRules, normalizeRules, DEFAULT_RULES_FILE, AutoApprovalConfigError } = require('../auto-approval');
+
+function employee(id, idNumber, department) {
+  const properties = { 'الاسم': prop.title(id), 'رقم الهوية': prop.text(idNumber) };
+  if (department) properties['القسم'] = prop.select(department);
+  return { id, properties };
+}
+
+function request(id, idNumber, { type = 'سنوية', status = 'قيد الانتظار', start, end = start, created = '2026-01-01T08:00:00.000Z' }) {
+  return {
+    id,
+    created_time: created,
+    properties: {
+      'اسم الموظف': prop.title(id),
+      'رقم الهوية': prop.text(idNumber),
+      'الموظف': prop.relation(),
+      'حالة الطلب': prop.select(status),
+      'الايميل': prop.email(`${id}@example.com`),
+      'تاريخ البداية': prop.date(start),
+      'تاريخ النهاية': prop.date(end),
+      'نوع الإجازة': prop.select(type),
+    },
+  };
+}
+
+function fakeWith(requests, employees = [employee('emp-1', '1023456781'), employee('emp-2', '2023456789')]) {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: employees },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema('select'), pages: requests },
+    },
+  });
+}
+
+const oneDayRule = { rules: normalizeRules([{ name: 'يوم واحد', maxDays: 1, leaveTypes: ['annual', 'سنوية'] }]) };
+const status = (fake, id) => fake.getPage(id).properties['حالة الطلب'].select.name;
+const approvedBy = (fake, id) => (fake.getPage(id).properties['قاعدة الموافقة التلقائية']?.rich_text || []).map(t => t.plain_text).join('');
+
+test('loadAutoApprovalRules is off by default and fills safe defaults for enabled rules', () => {
+  assert.equal(loadAutoApprovalRules(DEFAULT_RULES_FILE), null);
+  assert.equal(loadAutoApprovalRules(path.join(tmpDir, 'missing.json')), null);
+
+  const file = path.join(tmpDir, 'auto-approval.json');
+  fs.writeFileSync(file, JSON.stringify({ enabled: true, rules: [{ maxDays: 2, requireBalance: false }] }));
+  assert.deepEqual(loadAutoApprovalRules(file).rules, [{
+    name: 'قاعدة 1',
+    maxDays: 2,
+    leaveTypes: null,
+    requireBalance: false,
+    requireNoConflict: true,
+    requirePolicyOk: true,
+  }]);
+});
+
+test('a malformed auto-approval.json is a configuration error naming the file (exit code 2)', async () => {
+  const file = path.join(tmpDir, 'broken-auto-approval.json');
+  fs.writeFileSync(file, '{ "enabled": true, "rules": [');
+  assert.throws(() => loadAutoApprovalRules(file), (error) => {
+    assert.ok(error instanceof AutoApprovalConfigError);
+    assert.match(error.message, /broken-auto-approval\.json/);
+    return true;
+  });
+
+  const out = { write: () => true };
+  const commands = { sync: { description: 'test', run: async () => loadAutoApprovalRules(file) } };
+  assert.equal(await main(['sync'], { commands, stdout: out, stderr: out, summaryFile: null }), 2);
+});
+
+test('approves qualifying requests, records the rule and lets the email run notify the employee', async () => {
+  const fake = fakeWith([
+    request('req-ok', '1023456781', { start: '2026-02-01' }),
+    request('req-long', '1023456781', { start: '2026-02-08', end: '2026-02-10' }),
+    request('req-sick', '1023456781', { type: 'مرضية', start: '2026-02-15' }),
+    // إشعار أقل من 7 أيام → سياسة السنوية تحيله لـ HR
+    request('req-notice', '1023456781', { start: '2026-01-04', created: '2026-01-02T08:00:00.000Z' }),
+    // طلبان متداخلان لنفس الموظف
+    request('req-overlap-1', '2023456789', { start: '2026-03-01' }),
+    request('req-overlap-2', '2023456789', { start: '2026-03-01' }),
+    request('req-rejected', '2023456789', { status: 'مرفوضة', start: '2026-03-08' }),
+  ]);
+
+  const result = await syncNotionTables({ notion: fake.client, full: true, autoApproval: oneDayRule });
+
+  assert.equal(result.autoApproved, 1);
+  assert.equal(status(fake, 'req-ok'), 'موافقة');
+  assert.equal(approvedBy(fake, 'req-ok'), 'يوم واحد');
+  for (const id of ['req-long', 'req-sick', 'req-notice', 'req-overlap-1', 'req-overlap-2']) {
+    assert.equal(status(fake, id), 'قيد الانتظار', id);
+    assert.equal(approvedBy(fake, id), '', id);
+  }
+  assert.equal(status(fake, 'req-rejected'), 'مرفوضة');
+
+  // الرصيد يحتسب الموافقة التلقائية في نفس التشغيل
+  assert.equal(fake.getPage('emp-1').properties['الإجازات المستخدمة'].number, 1);
+
+  const transporter = createCaptureTransport();
+  await run({ notion: fake.client, transporter });
+  const approvedMail = transporter.sent.find(m => m.to[0].address === 'req-ok@example.com');
+  assert.equal(approvedMail.subject, 'تمت الموافقة على طلب الإجازة');
+});
+
+test('consumes the balance in submission order so later requests stay pending', async () => {
+  process.env.ANNUAL_LEAVE_ENTITLEMENT = '1';
+  try {
+    const fake = fakeWith([
+      request('req-second', '1023456781', { start: '2026-02-08', created: '2026-01-03T08:00:00.000Z' }),
+      request('req-first', '1023456781', { start: '2026-02-01', created: '2026-01-02T08:00:00.000Z' }),
+    ]);
+
+    await syncNotionTables({ notion: fake.client, full: true, autoApproval: oneDayRule });
+
+    assert.equal(status(fake, 'req-first'), 'موافقة');
+    assert.equal(status(fake, 'req-second'), 'قيد الانتظار');
+    assert.match(fake.getPage('req-second').properties['تنبيه الرصيد'].rich_text[0].plain_text, /يتجاوز الرصيد المتبقي \(0 يوم\)/);
+  } finally {
+    delete process.env.ANNUAL_LEAVE_ENTITLEMENT;
+  }
+});
+
+test('checks a next-year request against that year’s balance', async () => {
+  process.env.ANNUAL_LEAVE_ENTITLEMENT = '1';
+  try {
+    const fake = fakeWith([
+      request('req-2027-approved', '1023456781', { status: 'موافقة', start: '2027-01-04' }),
+      request('req-2027', '1023456781', { start: '2027-01-05' }),
+    ]);
+
+    const result = await syncNotionTables({ notion: fake.client, full: true, autoApproval: oneDayRule });
+
+    // رصيد 2026 كامل، لكن رصيد 2027 استُهلك
+    assert.equal(result.autoApproved, 0);
+    assert.equal(status(fake, 'req-2027'), 'قيد الانتظار');
+  } finally {
+    delete process.env.ANNUAL_LEAVE_ENTITLEMENT;
+  }
+});
+
+test('does not approve two same-department requests that together exceed the absence limit', async () => {
+  process.env.MAX_DEPARTMENT_ABSENCES = '1';
+  try {
+    const fake = fakeWith([
+      request('req-a', '1023456781', { start: '2026-03-01' }),
+      request('req-b', '2023456789', { start: '2026-03-01' }),
+    ], [employee('emp-1', '1023456781', 'المالية'), employee('emp-2', '2023456789', 'المالية')]);
+
+    const result = await syncNotionTables({ notion: fake.client, full: true, autoApproval: oneDayRule });
+
+    assert.equal(result.autoApproved, 0);
+    assert.deepEqual([status(fake, 'req-a'), status(fake, 'req-b')], ['قيد الانتظار', 'قيد الانتظار']);
+  } finally {
+    delete process.env.MAX_DEPARTMENT_ABSENCES;
+  }
+});
@@ -0,0 +1,126 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+beforeEach(fixtures.resetSendLedger);
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { startHttpStub } = require('./helpers/http-stub');
+const { startSmtpSink } = require('./helpers/smtp-sink');
+const { normalizeChannel, createDeliver, getChannelSettings } = require('../channels');
+const { createMailTransport, sendEmail } = require('../mailer');
+const { run } = require('../send-status-emails');
+
+const MESSAGE = { to: 'sara@example.com', subject: 'تمت الموافقة', text: 'مرحباً سارة' };
+
+function settings(overrides = {}) {
+  return { ...getChannelSettings(), ...overrides };
+}
+
+test('normalizeChannel accepts Arabic and English names', () => {
+  assert.equal(normalizeChannel('Slack'), 'slack');
+  assert.equal(normalizeChannel('تيمز'), 'teams');
+  assert.equal(normalizeChannel('بريد'), 'email');
+  assert.equal(normalizeChannel('fax'), null);
+});
+
+test('slack, teams and JSON webhooks post to their URLs', async () => {
+  const stub = await startHttpStub();
+  try {
+    const deliver = createDeliver({
+      settings: settings({ slackWebhookUrl: stub.url('/slack'), teamsWebhookUrl: stub.url('/teams'), webhookUrl: stub.url('/hook') }),
+    });
+
+    assert.deepEqual(await deliver({ ...MESSAGE, channel: 'slack' }), { ok: true });
+    assert.deepEqual(await deliver({ ...MESSAGE, channel: 'teams' }), { ok: true });
+    assert.deepEqual(await deliver({ ...MESSAGE, channel: 'webhook', meta: { pageId: 'req-1' } }), { ok: true });
+
+    const [slack, teams, hook] = stub.requests;
+    assert.equal(slack.path, '/slack');
+    assert.match(slack.body.text, /^\*تمت الموافقة\*\nمرحباً سارة/);
+    assert.equal(teams.body['@type'], 'MessageCard');
+    assert.equal(teams.body.title, 'تمت الموافقة');
+    assert.deepEqual({ to: hook.body.to, subject: hook.body.subject, meta: hook.body.meta },
+      { to: 'sara@example.com', subject: 'تمت الموافقة', meta: { pageId: 'req-1' } });
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a webhook error or missing URL reports the failure reason instead of throwing', async () => {
+  const stub = await startHttpStub({ respond: () => ({ status: 500, body: 'down' }) });
+  try {
+    const deliver = createDeliver({ settings: settings({ webhookUrl: stub.url('/hook'), slackWebhookUrl: '' }) });
+
+    assert.deepEqual(await deliver({ ...MESSAGE, channel: 'webhook' }), { ok: false, error: 'HTTP 500: down' });
+    assert.deepEqual(await deliver({ ...MESSAGE, channel: 'slack' }), { ok: false, error: 'القناة slack بدون رابط webhook' });
+  } finally {
+    await stub.close();
+  }
+});
+
+test('the SMTP transport delivers to a local sink', async () => {
+  const sink = await startSmtpSink();
+  try {
+    const transport = createMailTransport({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: '127.0.0.1', SMTP_PORT: String(sink.port) });
+
+    assert.deepEqual(await sendEmail({ ...MESSAGE, html: '<p>مرحباً سارة</p>' }, transport), { ok: true });
+
+    assert.equal(sink.messages.length, 1);
+    assert.deepEqual(sink.messages[0].to, ['<sara@example.com>']);
+    assert.match(sink.messages[0].data, /text\/html/);
+  } finally {
+    await sink.close();
+  }
+});
+
+test('status notifications follow the employee channel with the same dedup flag', async () => {
+  const stub = await startHttpStub();
+  process.env.SLACK_WEBHOOK_URL = stub.url('/slack');
+  const fake = createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [{ id: 'emp-1', properties: { 'الاسم': prop.title('سارة'), 'قناة الإشعار': prop.select('Slack') } }],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: fixtures.leaveRequestsSchema('select'),
+        pages: [
+          {
+            id: 'req-slack',
+            properties: {
+              'اسم الموظف': prop.title('سارة'),
+              'الموظف': prop.relation('emp-1'),
+              'حالة الطلب': prop.select('موافقة'),
+              'الايميل': prop.email(null),
+            },
+          },
+          {
+            id: 'req-mail',
+            properties: {
+              'اسم الموظف': prop.title('نورة'),
+              'حالة الطلب': prop.select('موافقة'),
+              'الايميل': prop.email('noura@example.com'),
+            },
+          },
+        ],
+      },
+    },
+  });
+  const transporter = createCaptureTransport();
+
+  try {
+    await run({ notion: fake.client, transporter });
+    await run({ notion: fake.client, transporter });
+
+    assert.equal(stub.requests.length, 1);
+    assert.match(stub.requests[0].body.text, /تمت الموافقة/);
+    assert.equal(fake.getPage('req-slack').properties['هل تم ارسال ايميل؟'].rich_text[0].plain_text, 'موافقة');
+    assert.deepEqual(transporter.sent.map(m => m.to[0].address), ['noura@example.com']);
+  } finally {
+    delete process.env.SLACK_WEBHOOK_URL;
+    await stub.close();
+  }
+});
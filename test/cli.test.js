@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { parseArgs, main } = require('../cli');
+const { createLogger } = require('../logger');
+const { ConfigError } = require('../config');
+const { syncNotionTables } = require('../sync');
+const { run } = require('../send-status-emails');
+
+function createStream() {
+  const stream = { chunks: [], write: (chunk) => { stream.chunks.push(String(chunk)); return true; } };
+  stream.text = () => stream.chunks.join('');
+  stream.lines = () => stream.text().split('\n').filter(Boolean);
+  return stream;
+}
+
+function withoutEnv(name, fn) {
+  const saved = process.env[name];
+  delete process.env[name];
+  return Promise.resolve().then(fn).finally(() => { process.env[name] = saved; });
+}
+
+test('parseArgs splits the command, boolean flags and value flags', () => {
+  assert.deepEqual(parseArgs(['sync', '--full', '--out', 'report.json', '--log-level=debug']), {
+    command: 'sync',
+    args: [],
+    flags: { full: true, out: 'report.json', 'log-level': 'debug' },
+  });
+  assert.deepEqual(parseArgs(['audit-export', '--format=json', 'extra']).args, ['extra']);
+  assert.equal(parseArgs(['-h']).flags.help, true);
+});
+
+test('logger filters by level and writes one JSON object per line', () => {
+  const stdout = createStream();
+  const logger = createLogger({ level: 'warn', format: 'json', stdout, stderr: stdout }).child({ command: 'sync' });
+
+  logger.info('hidden');
+  logger.warn('⚠️ تحذير', 3);
+  logger.error('❌ فشل', new Error('boom'));
+
+  const records = stdout.lines().map(line => JSON.parse(line));
+  assert.equal(records.length, 2);
+  assert.deepEqual(records.map(r => [r.level, r.msg, r.command]), [['warn', '⚠️ تحذير 3', 'sync'], ['error', '❌ فشل boom', 'sync']]);
+  assert.equal(records[1].error.message, 'boom');
+});
+
+test('requiring the scripts no longer exits; missing env surfaces as ConfigError at run time', async () => {
+  await withoutEnv('DATABASE_ID_EMPLOYEES', async () => {
+    await assert.rejects(syncNotionTables(), (error) => error instanceof ConfigError && error.missing.includes('DATABASE_ID_EMPLOYEES'));
+  });
+  await withoutEnv('DATABASE_ID_LEAVE_REQUESTS', async () => {
+    await assert.rejects(run(), ConfigError);
+  });
+});
+
+test('main runs a command, captures its console output and ends with a JSON summary', async () => {
+  const stdout = createStream();
+  const summaryFile = path.join(tmpDir, 'step-summary.md');
+  const commands = {
+    sync: {
+      description: 'test',
+      run: async (flags) => {
+        console.log('📊 تم', flags.full);
+        console.debug('تفاصيل');
+        return { updated: 2, skipped: 1, unmatched: [{ pageId: 'req-1', idNumber: '1234567897' }], balances: { employees: 3 } };
+      },
+    },
+  };
+
+  const code = await main(['sync', '--full', '--json'], { commands, stdout, stderr: stdout, summaryFile });
+  assert.equal(code, 0);
+
+  const records = stdout.lines().map(line => JSON.parse(line));
+  assert.deepEqual(records.map(r => r.level), ['info', 'info']);
+  assert.equal(records[0].msg, '📊 تم true');
+  assert.equal(records[1].event, 'summary');
+  assert.equal(records[1].ok, true);
+  // أرقام الهوية لا تظهر في الملخص: المصفوفات تُسجَّل بعددها فقط
+  assert.deepEqual(records[1].result, { updated: 2, skipped: 1, unmatched: 1, balances: { employees: 3 } });
+  const stepSummary = fs.readFileSync(summaryFile, 'utf8');
+  assert.match(stepSummary, /\| updated \| 2 \|/);
+  assert.match(stepSummary, /\| unmatched \| 1 \|/);
+  assert.doesNotMatch(stdout.text() + stepSummary, /1234567897/);
+});
+
+test('main returns 2 for unknown commands and missing configuration, 1 for failures', async () => {
+  const out = createStream();
+  assert.equal(await main(['nope'], { stdout: out, stderr: out, summaryFile: null }), 2);
+  assert.match(out.text(), /أمر غير معروف: nope/);
+
+  const configOut = createStream();
+  await withoutEnv('DATABASE_ID_EMPLOYEES', async () => {
+    assert.equal(await main(['sync', '--json'], { stdout: configOut, stderr: configOut, summaryFile: null }), 2);
+  });
+  const [error, summary] = configOut.lines().map(line => JSON.parse(line));
+  assert.match(error.msg, /DATABASE_ID_EMPLOYEES/);
+  assert.equal(summary.ok, false);
+
+  const failing = { sync: { description: 'test', run: async () => { throw new Error('Notion down'); } } };
+  assert.equal(await main(['sync'], { commands: failing, stdout: out, stderr: out, summaryFile: null }), 1);
+});
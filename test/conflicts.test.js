@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { prop } = require('./helpers/fake-notion');
+const { loadFieldMapping, resolveFieldMapping } = require('../field-mapping');
+const { createWorkCalendar } = require('../working-days');
+const { detectConflicts } = require('../conflicts');
+
+const fields = resolveFieldMapping(loadFieldMapping(), {});
+const calendar = createWorkCalendar({ weekendDays: 'fri,sat' });
+
+function employee(id, department) {
+  return { id, properties: { 'القسم': prop.select(department) } };
+}
+
+function request(id, employeePageId, start, end = start, status = 'قيد الانتظار') {
+  return {
+    request: {
+      id,
+      properties: {
+        'حالة الطلب': prop.select(status),
+        'تاريخ البداية': prop.date(start),
+        'تاريخ النهاية': prop.date(end),
+      },
+    },
+    employeePageId,
+  };
+}
+
+function detect(linkedRequests, employees = [], maxDepartmentAbsences = 2) {
+  const employeePages = new Map(employees.map(e => [e.id, e]));
+  return detectConflicts({ linkedRequests, employeePages, fields, calendar, settings: { maxDepartmentAbsences } });
+}
+
+test('flags overlapping requests of the same employee, not adjacent or rejected ones', () => {
+  // الأحد 2026-03-01 → الثلاثاء 03-03، ثم الأربعاء 03-04 ملاصق بلا تداخل
+  const conflicts = detect([
+    request('req-a', 'emp-1', '2026-03-01', '2026-03-03'),
+    request('req-b', 'emp-1', '2026-03-03', '2026-03-05'),
+    request('req-adjacent', 'emp-2', '2026-03-01', '2026-03-03'),
+    request('req-next', 'emp-2', '2026-03-04'),
+    request('req-rejected', 'emp-1', '2026-03-02', '2026-03-02', 'مرفوضة'),
+  ]);
+
+  assert.deepEqual(conflicts.get('req-a'), ['يتداخل مع طلب آخر لنفس الموظف (2026-03-03 → 2026-03-05)']);
+  assert.deepEqual(conflicts.get('req-b'), ['يتداخل مع طلب آخر لنفس الموظف (2026-03-01 → 2026-03-03)']);
+  for (const id of ['req-adjacent', 'req-next', 'req-rejected']) assert.equal(conflicts.has(id), false, id);
+});
+
+test('flags a department only above the absence limit, on working days', () => {
+  const employees = [
+    employee('emp-1', 'المالية'),
+    employee('emp-2', 'المالية'),
+    employee('emp-3', 'المالية'),
+    employee('emp-4', 'التقنية'),
+  ];
+
+  // اثنان من المالية = الحد بالضبط → لا تعارض
+  const atLimit = detect([
+    request('req-1', 'emp-1', '2026-03-01'),
+    request('req-2', 'emp-2', '2026-03-01'),
+    request('req-4', 'emp-4', '2026-03-01'),
+  ], employees);
+  assert.equal(atLimit.size, 0);
+
+  // الثالث يتجاوز الحد يوم الأحد فقط؛ الجمعة والسبت لا تُحسب
+  const above = detect([
+    request('req-1', 'emp-1', '2026-03-01'),
+    request('req-2', 'emp-2', '2026-03-01'),
+    request('req-3', 'emp-3', '2026-02-27', '2026-03-01'),
+    request('req-4', 'emp-4', '2026-03-01'),
+  ], employees);
+  const note = 'تجاوز حد الغياب في القسم (الحد 2): 2026-03-01 (3)';
+  for (const id of ['req-1', 'req-2', 'req-3']) assert.deepEqual(above.get(id), [note], id);
+  assert.equal(above.has('req-4'), false);
+});
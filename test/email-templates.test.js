@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { renderString, resolveLanguage, templateKey, previewEmails, TEMPLATE_KEYS, NOTICE_KEYS } = require('../email-templates');
+
+const LABELS = { pending: 'قيد الانتظار', approved: 'موافقة', rejected: 'مرفوضة' };
+
+test('renderString fills values, drops empty sections and escapes HTML', () => {
+  const template = 'مرحباً {{name}}{{#reason}} — {{reason}}{{/reason}} {{{raw}}}';
+
+  assert.equal(renderString(template, { name: 'سارة', reason: '', raw: '<b>' }), 'مرحباً سارة <b>');
+  assert.equal(renderString(template, { name: '<x>', reason: 'a&b' }, { html: true }), 'مرحباً &lt;x&gt; — a&amp;b ');
+});
+
+test('resolveLanguage defaults to Arabic', () => {
+  assert.equal(resolveLanguage('English'), 'en');
+  assert.equal(resolveLanguage('الإنجليزية'), 'en');
+  assert.equal(resolveLanguage('عربي'), 'ar');
+  assert.equal(resolveLanguage(''), 'ar');
+});
+
+test('templateKey maps status labels and falls back to other', () => {
+  assert.equal(templateKey('موافقة', LABELS), 'approved');
+  assert.equal(templateKey('مؤجلة', LABELS), 'other');
+});
+
+test('previewEmails writes every language and status to disk', () => {
+  const outDir = path.join(tmpDir, 'preview');
+  const written = previewEmails({ outDir, labels: LABELS });
+
+  assert.equal(written.length, 2 * 2 * (TEMPLATE_KEYS.length + NOTICE_KEYS.length));
+  const html = fs.readFileSync(path.join(outDir, 'en-rejected.html'), 'utf8');
+  assert.match(html, /Reason: <strong>Clashes with the quarter-end close<\/strong>/);
+  assert.match(fs.readFileSync(path.join(outDir, 'ar-approved.txt'), 'utf8'), /^Subject: تمت الموافقة/);
+});
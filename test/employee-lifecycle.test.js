@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { syncNotionTables } = require('../sync');
+const { normalizeRules } = require('../auto-approval');
+const { proRateEntitlement } = require('../employee-lifecycle');
+const { parseDate } = require('../working-days');
+
+function employee(id, idNumber, { hired, terminated, status } = {}) {
+  const properties = { 'الاسم': prop.title(id), 'رقم الهوية': prop.text(idNumber) };
+  if (hired) properties['تاريخ التعيين'] = prop.date(hired);
+  if (terminated) properties['تاريخ انتهاء الخدمة'] = prop.date(terminated);
+  if (status) properties['حالة الموظف'] = prop.select(status);
+  return { id, properties };
+}
+
+function request(id, idNumber, { status = 'قيد الانتظار', start, end = start }) {
+  return {
+    id,
+    properties: {
+      'اسم الموظف': prop.title(id),
+      'رقم الهوية': prop.text(idNumber),
+      'الموظف': prop.relation(),
+      'حالة الطلب': prop.select(status),
+      'تاريخ البداية': prop.date(start),
+      'تاريخ النهاية': prop.date(end),
+    },
+  };
+}
+
+function fakeWith() {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [
+          employee('emp-new', '1023456781', { hired: '2026-07-01' }),
+          employee('emp-leaving', '2023456789', { hired: '2019-05-01', terminated: '2026-03-31' }),
+          employee('emp-gone', '1234567897', { status: 'مستقيل' }),
+          employee('emp-left-2025', '1045678909', { hired: '2020-01-01', terminated: '2025-10-31' }),
+        ],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: fixtures.leaveRequestsSchema('select'),
+        pages: [
+          request('req-before-hire', '1023456781', { start: '2026-06-21' }),
+          request('req-after-hire', '1023456781', { start: '2026-07-05' }),
+          request('req-approved', '2023456789', { status: 'موافقة', start: '2026-02-01' }),
+          request('req-after-exit', '2023456789', { start: '2026-03-29', end: '2026-04-02' }),
+          request('req-gone', '1234567897', { start: '2026-11-01' }),
+          // مرفوض مسبقاً: لا يحتاج مراجعة
+          request('req-rejected-after-exit', '2023456789', { status: 'مرفوضة', start: '2026-04-05' }),
+          request('req-2025', '1045678909', { status: 'موافقة', start: '2025-06-01', end: '2025-06-02' }),
+        ],
+      },
+    },
+  });
+}
+
+const readText = (fake, id, name) => (fake.getPage(id).properties[name]?.rich_text || []).map(t => t.plain_text).join('');
+const note = (fake, id) => readText(fake, id, 'ملاحظة الخدمة');
+const status = (fake, id) => fake.getPage(id).properties['حالة الطلب'].select.name;
+const number = (fake, id, name) => fake.getPage(id).properties[name]?.number;
+
+test('proRateEntitlement scales the entitlement by the days served in the year', () => {
+  const employment = (hireDate, terminationDate) => ({ hireDate: parseDate(hireDate), terminationDate: parseDate(terminationDate) });
+  assert.equal(proRateEntitlement(21, employment(null, null), 2026), 21);
+  assert.equal(proRateEntitlement(21, employment('2019-05-01', null), 2026), 21);
+  // 184 يوماً من 365 → 10.59 → أقرب نصف يوم
+  assert.equal(proRateEntitlement(21, employment('2026-07-01', null), 2026), 10.5);
+  // 90 يوماً من 365 → 5.18
+  assert.equal(proRateEntitlement(21, employment('2019-05-01', '2026-03-31'), 2026), 5);
+  assert.equal(proRateEntitlement(21, employment('2027-01-10', null), 2026), 0);
+  assert.equal(proRateEntitlement(21, employment(null, '2025-12-31'), 2026), 0);
+});
+
+test('flags requests outside the employment period and keeps them from auto-approval', async () => {
+  const fake = fakeWith();
+  const autoApproval = { rules: normalizeRules([{ name: 'أي طلب قصير', maxDays: 5, requireNoConflict: false }]) };
+  const result = await syncNotionTables({ notion: fake.client, full: true, autoApproval });
+
+  assert.deepEqual(result.lifecycle, { flagged: 3, rejected: 0 });
+  assert.equal(note(fake, 'req-before-hire'), 'تبدأ الإجازة قبل تاريخ التعيين (2026-07-01)');
+  assert.equal(note(fake, 'req-after-exit'), 'تنتهي الإجازة بعد تاريخ انتهاء الخدمة (2026-03-31)');
+  assert.equal(note(fake, 'req-gone'), 'الموظف منتهي الخدمة (مستقيل)');
+  assert.equal(note(fake, 'req-approved'), '');
+  assert.equal(note(fake, 'req-rejected-after-exit'), '');
+
+  for (const id of ['req-before-hire', 'req-after-exit', 'req-gone']) assert.equal(status(fake, id), 'قيد الانتظار', id);
+  assert.equal(status(fake, 'req-after-hire'), 'موافقة');
+});
+
+test('pro-rates balances for new joiners and writes the end-of-service settlement', async () => {
+  const fake = fakeWith();
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.equal(number(fake, 'emp-new', 'الرصيد المتبقي'), 10.5);
+  assert.equal(number(fake, 'emp-new', 'رصيد تسوية نهاية الخدمة'), undefined);
+
+  // استحقاق 5 أيام حتى 31 مارس، استُخدم منها يوم واحد
+  assert.equal(number(fake, 'emp-leaving', 'الإجازات المستخدمة'), 1);
+  assert.equal(number(fake, 'emp-leaving', 'الرصيد المتبقي'), 4);
+  assert.equal(number(fake, 'emp-leaving', 'رصيد تسوية نهاية الخدمة'), 4);
+
+  assert.equal(number(fake, 'emp-gone', 'الرصيد المتبقي'), 21);
+
+  // انتهت الخدمة قبل سنة الرصيد: التسوية من رصيد 2025 (17.5 يوماً حتى 31 أكتوبر، استُخدم منها يومان)
+  assert.equal(number(fake, 'emp-left-2025', 'رصيد تسوية نهاية الخدمة'), 15.5);
+});
+
+test('LIFECYCLE_ACTION=reject rejects undecided requests and clears notes once the data is fixed', async () => {
+  process.env.LIFECYCLE_ACTION = 'reject';
+  try {
+    const fake = fakeWith();
+    const result = await syncNotionTables({ notion: fake.client, full: true });
+
+    assert.deepEqual(result.lifecycle, { flagged: 0, rejected: 3 });
+    assert.equal(status(fake, 'req-after-exit'), 'مرفوضة');
+    assert.match(readText(fake, 'req-after-exit', 'سبب الرفض'), /^رفض تلقائي حسب بيانات الخدمة: تنتهي الإجازة بعد/);
+    assert.equal(status(fake, 'req-approved'), 'موافقة');
+    assert.equal(status(fake, 'req-after-hire'), 'قيد الانتظار');
+    assert.equal(readText(fake, 'req-rejected-after-exit', 'سبب الرفض'), '');
+
+    // تصحيح تاريخ التعيين يزيل الملاحظة في التشغيل التالي
+    fake.editPage('emp-new', { 'تاريخ التعيين': prop.date('2026-06-01') });
+    fake.editPage('req-before-hire', { 'حالة الطلب': prop.select('قيد الانتظار') });
+    await syncNotionTables({ notion: fake.client, full: true });
+    assert.equal(note(fake, 'req-before-hire'), '');
+    assert.equal(status(fake, 'req-before-hire'), 'قيد الانتظار');
+  } finally {
+    delete process.env.LIFECYCLE_ACTION;
+  }
+});
+
+test('counts a lifecycle rejection only once the write succeeds', async () => {
+  process.env.LIFECYCLE_ACTION = 'reject';
+  try {
+    const fake = fakeWith();
+    fake.failUpdatesFor('req-gone');
+    const result = await syncNotionTables({ notion: fake.client, full: true });
+
+    assert.equal(status(fake, 'req-gone'), 'قيد الانتظار');
+    assert.deepEqual(result.lifecycle, { flagged: 0, rejected: 2 });
+  } finally {
+    delete process.env.LIFECYCLE_ACTION;
+  }
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { csvCell, toCsv, sheetNames } = require('../export-formats');
+
+test('csvCell neutralises values Excel would run as formulas', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x","y")'), `"'=HYPERLINK(""http://x"",""y"")"`);
+  assert.equal(csvCell('+966500000000'), "'+966500000000");
+  assert.equal(csvCell('-1+1'), "'-1+1");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('\tcmd'), "'\tcmd");
+  assert.equal(csvCell('\rcmd'), `"'\rcmd"`);
+  // الأرقام تبقى أرقاماً
+  assert.equal(csvCell(-2.5), '-2.5');
+  assert.equal(csvCell('سارة'), 'سارة');
+});
+
+test('csvCell quotes carriage returns like newlines', () => {
+  assert.equal(csvCell('سطر\rثانٍ'), '"سطر\rثانٍ"');
+  assert.equal(toCsv([{ key: 'a' }], [{ a: 'x\r\ny' }]), '﻿a\n"x\r\ny"\n');
+});
+
+test('sheetNames keeps names unique after the 31-character cut', () => {
+  const long = 'قسم تقنية المعلومات والتحول الرقمي';
+  assert.deepEqual(sheetNames([`${long} - الرياض`, `${long} - جدة`, 'Sales', 'sales', 'a/b']), [
+    long.slice(0, 31),
+    `${long.slice(0, 27)} (2)`,
+    'Sales',
+    'sales (2)',
+    'a b',
+  ]);
+});
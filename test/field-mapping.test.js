@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { loadFieldMapping, resolveFieldMapping, FieldMappingError } = require('../field-mapping');
+
+const mapping = loadFieldMapping();
+
+test('resolves a select status property with its options', () => {
+  const fields = resolveFieldMapping(mapping, {
+    employees: { properties: fixtures.employeesSchema() },
+    leaveRequests: { properties: fixtures.leaveRequestsSchema('select') },
+  });
+
+  assert.equal(fields.status.name, 'حالة الطلب');
+  assert.equal(fields.status.kind, 'select');
+  assert.deepEqual(fields.status.options.map(o => o.name), ['قيد الانتظار', 'موافقة', 'مرفوضة']);
+  assert.equal(fields.employees.department, 'القسم');
+});
+
+test('resolves a status-type property and keeps option groups', () => {
+  const fields = resolveFieldMapping(mapping, { leaveRequests: { properties: fixtures.leaveRequestsSchema('status') } });
+
+  assert.equal(fields.status.kind, 'status');
+  assert.equal(fields.status.options[0].group, 'to_do');
+});
+
+test('missing optional properties resolve to null', () => {
+  const schema = fixtures.leaveRequestsSchema('select');
+  delete schema['تعارض'];
+
+  const fields = resolveFieldMapping(mapping, { leaveRequests: { properties: schema } });
+
+  assert.equal(fields.leaveRequests.conflictNote, null);
+});
+
+test('lists every missing required property and type mismatch', () => {
+  const schema = fixtures.leaveRequestsSchema('select');
+  delete schema['رقم الهوية'];
+  schema['حالة الطلب'] = { type: 'rich_text' };
+
+  assert.throws(() => resolveFieldMapping(mapping, { leaveRequests: { properties: schema } }), (error) => {
+    assert.ok(error instanceof FieldMappingError);
+    assert.equal(error.problems.length, 2);
+    assert.match(error.message, /رقم الهوية/);
+    assert.match(error.message, /rich_text/);
+    return true;
+  });
+});
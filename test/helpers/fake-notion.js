@@ -0,0 +1,210 @@
+// test/helpers/fake-notion.js
+// نسخة وهمية في الذاكرة من عميل Notion: databases.retrieve/query (مع pagination)/update و pages.create/update
+
+// --------------------------------------
+// بناء قيم الخصائص بشكل القراءة كما يرجعها Notion
+// --------------------------------------
+const text = (s) => [{ type: 'text', plain_text: s, text: { content: s } }];
+
+const prop = {
+  title: (s) => ({ type: 'title', title: s ? text(s) : [] }),
+  text: (s) => ({ type: 'rich_text', rich_text: s ? text(s) : [] }),
+  number: (n) => ({ type: 'number', number: n ?? null }),
+  email: (s) => ({ type: 'email', email: s || null }),
+  select: (name) => ({ type: 'select', select: name ? { name } : null }),
+  status: (name) => ({ type: 'status', status: name ? { name } : null }),
+  date: (start, end = null) => ({ type: 'date', date: start ? { start, end } : null }),
+  checkbox: (v) => ({ type: 'checkbox', checkbox: !!v }),
+  people: (...names) => ({ type: 'people', people: names.map((name, i) => ({ object: 'user', id: `user-${i}`, name })) }),
+  relation: (...ids) => ({ type: 'relation', relation: ids.map(id => ({ id })) }),
+  files: (...names) => ({ type: 'files', files: names.map(name => ({ name, type: 'external', external: { url: `https://files.example.com/${name}` } })) }),
+};
+
+// شكل الكتابة (pages.update) → شكل القراءة
+function toReadShape(type, value) {
+  if (type === 'rich_text' || type === 'title') {
+    const content = (value[type] || []).map(t => t.text?.content ?? t.plain_text ?? '').join('');
+    return { type, [type]: content ? text(content) : [] };
+  }
+  return { type, [type]: value[type] };
+}
+
+// --------------------------------------
+// الخادم الوهمي
+// --------------------------------------
+// databases: { [id]: { properties: { name: { type, ... } }, pages: [{ id, properties }] } }
+// maxPageSize: لاختبار الـ pagination بأحجام صغيرة
+// users: { [id]: { name } } لقراءة last_edited_by
+// clockStart: بداية ساعة last_edited_time (Date.now() لاختبار المزامنة التزايدية مقابل الوقت الحقيقي)
+function createFakeNotion({ databases = {}, maxPageSize = 100, users = {}, clockStart = Date.parse('2026-01-01T00:00:00Z') } = {}) {
+  const dbs = new Map();
+  const pages = new Map();
+  const blocks = new Map(); // page id → [blocks]
+  const calls = { retrieve: 0, query: 0, update: [], append: [], updateDatabase: [], create: [] };
+  let createdCount = 0;
+  const failures = new Map(); // page id → Error (يُرمى عند تحديث الصفحة)
+  let clock = clockStart;
+
+  const tick = () => new Date((clock += 60000)).toISOString();
+
+  function addPage(databaseId, page) {
+    const lastEdited = page.last_edited_time || tick();
+    const stored = {
+      object: 'page',
+      id: page.id,
+      parent: { type: 'database_id', database_id: databaseId },
+      created_time: page.created_time || lastEdited,
+      last_edited_time: lastEdited,
+      last_edited_by: page.last_edited_by || { object: 'user', id: 'user-integration' },
+      properties: page.properties || {},
+    };
+    pages.set(stored.id, stored);
+    dbs.get(databaseId).pageIds.push(stored.id);
+    return stored;
+  }
+
+  for (const [id, def] of Object.entries(databases)) {
+    dbs.set(id, { id, properties: def.properties || {}, pageIds: [] });
+    for (const page of def.pages || []) addPage(id, page);
+  }
+
+  function matchesFilter(page, filter) {
+    if (!filter) return true;
+    if (filter.timestamp === 'last_edited_time') {
+      const after = filter.last_edited_time.on_or_after;
+      return page.last_edited_time >= after;
+    }
+    throw new Error(`fake-notion: فلتر غير مدعوم ${JSON.stringify(filter)}`);
+  }
+
+  const client = {
+    databases: {
+      retrieve: async ({ database_id: databaseId }) => {
+        calls.retrieve++;
+        const db = dbs.get(databaseId);
+        if (!db) throw Object.assign(new Error(`Could not find database ${databaseId}`), { status: 404, code: 'object_not_found' });
+        return { object: 'database', id: db.id, properties: JSON.parse(JSON.stringify(db.properties)) };
+      },
+      query: async ({ database_id: databaseId, start_cursor: cursor, page_size: pageSize = 100, filter }) => {
+        calls.query++;
+        const db = dbs.get(databaseId);
+        if (!db) throw Object.assign(new Error(`Could not find database ${databaseId}`), { status: 404, code: 'object_not_found' });
+
+        const all = db.pageIds.map(id => pages.get(id)).filter(p => matchesFilter(p, filter));
+        const start = cursor ? Number(cursor) : 0;
+        const size = Math.min(pageSize, maxPageSize);
+        const slice = all.slice(start, start + size);
+        const hasMore = start + size < all.length;
+        return {
+          object: 'list',
+          results: JSON.parse(JSON.stringify(slice)),
+          has_more: hasMore,
+          next_cursor: hasMore ? String(start + size) : null,
+        };
+      },
+      // خاصية جديدة: { [name]: { [type]: config } } — خاصية موجودة: دمج خيارات select
+      update: async ({ database_id: databaseId, properties = {} }) => {
+        calls.updateDatabase.push({ databaseId, properties });
+        const db = dbs.get(databaseId);
+        if (!db) throw Object.assign(new Error(`Could not find database ${databaseId}`), { status: 404, code: 'object_not_found' });
+
+        for (const [name, value] of Object.entries(properties)) {
+          const existing = db.properties[name];
+          if (existing) {
+            const config = value[existing.type];
+            if (!config) throw Object.assign(new Error(`Cannot change type of ${name}.`), { status: 400, code: 'validation_error' });
+            existing[existing.type] = { ...existing[existing.type], ...config };
+            continue;
+          }
+          const type = Object.keys(value).find(k => k !== 'name');
+          if (type === 'status') throw Object.assign(new Error('Cannot create status property.'), { status: 400, code: 'validation_error' });
+          db.properties[name] = { id: `prop-${name}`, name, type, [type]: value[type] };
+        }
+        return { object: 'database', id: db.id, properties: JSON.parse(JSON.stringify(db.properties)) };
+      },
+    },
+    pages: {
+      create: async ({ parent, properties = {}, children = [] }) => {
+        calls.create.push({ parent, properties, children });
+        const databaseId = parent.database_id;
+        const db = dbs.get(databaseId);
+        if (!db) throw Object.assign(new Error(`Could not find database ${databaseId}`), { status: 404, code: 'object_not_found' });
+
+        const readShape = {};
+        for (const [name, value] of Object.entries(properties)) {
+          const def = db.properties[name];
+          if (!def) throw Object.assign(new Error(`${name} is not a property that exists.`), { status: 400, code: 'validation_error' });
+          readShape[name] = toReadShape(def.type, value);
+        }
+        const page = addPage(databaseId, { id: `created-${++createdCount}`, properties: readShape });
+        if (children.length > 0) blocks.set(page.id, [...children]);
+        return JSON.parse(JSON.stringify(page));
+      },
+      update: async ({ page_id: pageId, properties = {} }) => {
+        calls.update.push({ pageId, properties });
+        if (failures.has(pageId)) throw failures.get(pageId);
+
+        const page = pages.get(pageId);
+        if (!page) throw Object.assign(new Error(`Could not find page ${pageId}`), { status: 404, code: 'object_not_found' });
+        const db = dbs.get(page.parent.database_id);
+
+        for (const [name, value] of Object.entries(properties)) {
+          const def = db.properties[name];
+          if (!def) throw Object.assign(new Error(`${name} is not a property that exists.`), { status: 400, code: 'validation_error' });
+          page.properties[name] = toReadShape(def.type, value);
+        }
+        page.last_edited_time = tick();
+        return JSON.parse(JSON.stringify(page));
+      },
+    },
+    blocks: {
+      children: {
+        append: async ({ block_id: blockId, children = [] }) => {
+          calls.append.push({ blockId, children });
+          if (!pages.has(blockId)) throw Object.assign(new Error(`Could not find block ${blockId}`), { status: 404, code: 'object_not_found' });
+          blocks.set(blockId, [...(blocks.get(blockId) || []), ...children]);
+          return { object: 'list', results: children };
+        },
+      },
+    },
+    users: {
+      retrieve: async ({ user_id: userId }) => {
+        if (!users[userId]) throw Object.assign(new Error(`Could not find user ${userId}`), { status: 404, code: 'object_not_found' });
+        return { object: 'user', id: userId, ...users[userId] };
+      },
+    },
+  };
+
+  return {
+    client,
+    calls,
+    addPage,
+    getPage: (id) => pages.get(id),
+    getBlocks: (id) => blocks.get(id) || [],
+    // تعديل صفحة من "خارج" المزامنة (كأن مستخدماً عدّلها في Notion)
+    editPage: (id, properties, editorId = 'user-integration') => {
+      const page = pages.get(id);
+      Object.assign(page.properties, properties);
+      page.last_edited_time = tick();
+      page.last_edited_by = { object: 'user', id: editorId };
+      return page;
+    },
+    // نقل الصفحة لسلة المهملات (تبقى في نتائج الاستعلام مع archived/in_trash)
+    archivePage: (id) => {
+      const page = pages.get(id);
+      Object.assign(page, { archived: true, in_trash: true, last_edited_time: tick() });
+      return page;
+    },
+    // حذف نهائي: لا تظهر الصفحة في أي استعلام بعده
+    deletePage: (id) => {
+      pages.delete(id);
+      for (const db of dbs.values()) db.pageIds = db.pageIds.filter(pageId => pageId !== id);
+    },
+    failUpdatesFor: (pageId, error = Object.assign(new Error('boom'), { status: 400, code: 'validation_error' })) => {
+      failures.set(pageId, error);
+    },
+    clearFailures: (pageId) => failures.delete(pageId),
+  };
+}
+
+module.exports = { createFakeNotion, prop };
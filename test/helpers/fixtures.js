@@ -0,0 +1,108 @@
+// test/helpers/fixtures.js
+// متغيرات بيئة الاختبار + مخططات قواعد Notion المطابقة لـ field-mapping.json
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EMPLOYEES_DB = 'db-employees';
+const LEAVE_REQUESTS_DB = 'db-leave-requests';
+
+// يجب استدعاؤها قبل require للسكربتات لأنها تقرأ المتغيرات عند التحميل
+function setupEnv() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-hr-test-'));
+  process.env.NOTION_TOKEN = 'test-token';
+  process.env.DATABASE_ID_EMPLOYEES = EMPLOYEES_DB;
+  process.env.DATABASE_ID_LEAVE_REQUESTS = LEAVE_REQUESTS_DB;
+  process.env.SYNC_STATE_FILE = path.join(tmpDir, 'state.json');
+  process.env.SEND_LEDGER_FILE = path.join(tmpDir, 'send-ledger.json');
+  process.env.AUDIT_LOG_FILE = path.join(tmpDir, 'audit-log.jsonl');
+  process.env.CALENDAR_STATE_FILE = path.join(tmpDir, 'calendar-state.json');
+  process.env.INTAKE_LEDGER_FILE = path.join(tmpDir, 'intake-ledger.json');
+  process.env.MAIL_USER = 'hr@example.com';
+  process.env.LEAVE_YEAR = '2026';
+  process.env.NOTION_MAX_RETRIES = '0';
+
+  // السكربتات تطبع كثيراً؛ نكتمها إلا مع TEST_VERBOSE=1
+  if (!process.env.TEST_VERBOSE) {
+    for (const method of ['log', 'info', 'debug', 'warn', 'error']) console[method] = () => {};
+  }
+  return tmpDir;
+}
+
+// سجل الإرسال ملف واحد لكل ملف اختبار؛ نمسحه قبل كل اختبار حتى لا تتأثر الاختبارات ببعضها
+function resetSendLedger() {
+  fs.rmSync(process.env.SEND_LEDGER_FILE, { force: true });
+}
+
+// حالة المزامنة (النسخة المخزنة من الصفحات) + ملف سجل الحالة
+function resetSyncState() {
+  fs.rmSync(process.env.SYNC_STATE_FILE, { force: true });
+  fs.rmSync(process.env.AUDIT_LOG_FILE, { force: true });
+}
+
+function statusOptions(kind) {
+  const options = [
+    { name: 'قيد الانتظار', group: 'to_do' },
+    { name: 'موافقة', group: 'complete' },
+    { name: 'مرفوضة', group: 'complete' },
+  ];
+  return kind === 'status' ? options : options.map(({ name }) => ({ name }));
+}
+
+function employeesSchema() {
+  return {
+    'الاسم': { type: 'title' },
+    'رقم الهوية': { type: 'rich_text' },
+    'القسم': { type: 'select' },
+    'الإجازات المستخدمة': { type: 'number' },
+    'الرصيد المتبقي': { type: 'number' },
+    'اللغة': { type: 'select' },
+    'البريد الإلكتروني': { type: 'email' },
+    'المدير المباشر': { type: 'relation', relation: { database_id: EMPLOYEES_DB } },
+    'قناة الإشعار': { type: 'select' },
+    'تاريخ التعيين': { type: 'date' },
+    'تاريخ انتهاء الخدمة': { type: 'date' },
+    'حالة الموظف': { type: 'select' },
+    'رصيد تسوية نهاية الخدمة': { type: 'number' },
+  };
+}
+
+// kind: 'select' أو 'status' لحقل "حالة الطلب"
+function leaveRequestsSchema(kind = 'select', options = statusOptions(kind)) {
+  return {
+    'اسم الموظف': { type: 'title' },
+    'رقم الهوية': { type: 'rich_text' },
+    'الموظف': { type: 'relation', relation: { database_id: EMPLOYEES_DB } },
+    'حالة الطلب': { type: kind, [kind]: { options } },
+    'الايميل': { type: 'email' },
+    'هل تم ارسال ايميل؟': { type: 'rich_text' },
+    'تاريخ البداية': { type: 'date' },
+    'تاريخ النهاية': { type: 'date' },
+    'عدد الأيام': { type: 'number' },
+    'تنبيه الرصيد': { type: 'rich_text' },
+    'تعارض': { type: 'rich_text' },
+    'مشكلة التحقق': { type: 'rich_text' },
+    'سبب عدم الربط': { type: 'rich_text' },
+    'المعتمد': { type: 'people' },
+    'سبب الرفض': { type: 'rich_text' },
+    'إشعار المدير': { type: 'rich_text' },
+    'سجل الحالة': { type: 'rich_text' },
+    'نوع الإجازة': { type: 'select' },
+    'المرفقات': { type: 'files' },
+    'قرار السياسة': { type: 'rich_text' },
+    'قاعدة الموافقة التلقائية': { type: 'rich_text' },
+    'ملاحظة الخدمة': { type: 'rich_text' },
+  };
+}
+
+module.exports = {
+  EMPLOYEES_DB,
+  LEAVE_REQUESTS_DB,
+  setupEnv,
+  resetSendLedger,
+  resetSyncState,
+  statusOptions,
+  employeesSchema,
+  leaveRequestsSchema,
+};
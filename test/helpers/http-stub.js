@@ -0,0 +1,33 @@
+// test/helpers/http-stub.js
+// خادم HTTP محلي يلتقط طلبات الـ webhook (Slack / Teams / JSON)
+
+const http = require('http');
+
+// respond(req) → { status, body } لاختبار مسارات الفشل
+async function startHttpStub({ respond = () => ({ status: 200, body: 'ok' }) } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const entry = { method: req.method, path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      requests.push(entry);
+      const { status, body } = respond(entry);
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(body || '');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    requests,
+    url: (path = '/') => `http://127.0.0.1:${port}${path}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startHttpStub };
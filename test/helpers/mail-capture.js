@@ -0,0 +1,24 @@
+// test/helpers/mail-capture.js
+// ناقل بريد يلتقط الرسائل بدل إرسالها (مبني على jsonTransport من nodemailer)
+
+const nodemailer = require('nodemailer');
+
+// failFor: عناوين يفشل الإرسال إليها لاختبار مسارات الخطأ
+function createCaptureTransport({ failFor = [] } = {}) {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sent = [];
+
+  return {
+    sent,
+    async sendMail(message) {
+      if (failFor.includes(message.to)) {
+        throw new Error(`SMTP رفض العنوان ${message.to}`);
+      }
+      const info = await transport.sendMail(message);
+      sent.push(JSON.parse(info.message));
+      return info;
+    },
+  };
+}
+
+module.exports = { createCaptureTransport };
@@ -0,0 +1,65 @@
+// test/helpers/smtp-sink.js
+// خادم SMTP محلي بسيط (بدون TLS أو تسجيل دخول) يحفظ الرسائل بدل إرسالها
+
+const net = require('net');
+
+async function startSmtpSink() {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 smtp-sink ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { from: null, to: [], data: '' };
+            reply('250 OK: queued');
+          } else {
+            current.data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') reply('250 smtp-sink');
+        else if (command === 'MAIL') { current.from = line.replace(/^MAIL FROM:\s*/i, ''); reply('250 OK'); }
+        else if (command === 'RCPT') { current.to.push(line.replace(/^RCPT TO:\s*/i, '')); reply('250 OK'); }
+        else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+        else if (command === 'RSET' || command === 'NOOP') reply('250 OK');
+        else reply('502 Command not implemented');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    messages,
+    port: server.address().port,
+    close: () => new Promise((resolve) => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    }),
+  };
+}
+
+module.exports = { startSmtpSink };
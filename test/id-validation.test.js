@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateSaudiId, findDuplicateIds } = require('../id-validation');
+
+test('accepts national IDs and iqamas with a valid check digit', () => {
+  assert.deepEqual(validateSaudiId('1023456781'), { valid: true, type: 'citizen', reason: null });
+  assert.deepEqual(validateSaudiId('2023456789'), { valid: true, type: 'resident', reason: null });
+});
+
+test('rejects wrong length, prefix and check digit', () => {
+  assert.equal(validateSaudiId('102345678').valid, false);
+  assert.equal(validateSaudiId('10234567811').valid, false);
+  assert.equal(validateSaudiId('3023456789').reason, 'يجب أن يبدأ بـ 1 (هوية وطنية) أو 2 (إقامة)');
+  assert.equal(validateSaudiId('1023456789').reason, 'خانة التحقق غير صحيحة');
+  assert.equal(validateSaudiId('').valid, false);
+});
+
+test('findDuplicateIds returns only IDs shared by several pages', () => {
+  const duplicates = findDuplicateIds([
+    { idNumber: '1023456781', pageId: 'a' },
+    { idNumber: '1023456781', pageId: 'b' },
+    { idNumber: '2023456789', pageId: 'c' },
+  ]);
+
+  assert.deepEqual([...duplicates], [['1023456781', ['a', 'b']]]);
+});
@@ -0,0 +1,256 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { parseEml, parseLeaveRequest, listMessageFiles, runIntake } = require('../intake');
+const { loadLeavePolicies } = require('../leave-policy');
+const { syncNotionTables } = require('../sync');
+
+const policies = loadLeavePolicies();
+const b64 = (s) => Buffer.from(s, 'utf8').toString('base64');
+
+// رسالة multipart: عنوان ومرسل مشفران (RFC 2047) ونص عربي base64 بأرقام عربية
+const ARABIC_EML = [
+  'From: =?UTF-8?B?' + b64('سارة العتيبي') + '?= <Sara@Example.com>',
+  'To: hr@example.com',
+  'Subject: =?UTF-8?B?' + b64('طلب إجازة') + '?=',
+  'Message-ID: <arabic-1@example.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/alternative; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=UTF-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  b64('السلام عليكم،\nأرغب في الإجازة السنوية من ٠١/٠٣/٢٠٢٦ إلى ٠٥/٠٣/٢٠٢٦\nرقم الهوية: ١٠٢٣٤٥٦٧٨١'),
+  '--b1',
+  'Content-Type: text/html; charset=UTF-8',
+  '',
+  '<p>نسخة HTML</p>',
+  '--b1--',
+  '',
+].join('\r\n');
+
+// HTML فقط بترميز quoted-printable
+const ENGLISH_EML = [
+  'From: Khalid <khalid@example.com>',
+  'Subject: Sick leave',
+  'Message-ID: <english-1@example.com>',
+  'Content-Type: text/html; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  '<p>Hi HR,</p><p>I need sick leave on 2026-02-10 to 2026-02-11.<br>National ID 2023456789</p>=',
+  '',
+].join('\r\n');
+
+const INVALID_EML = [
+  'From: someone@example.com',
+  'Subject: leave',
+  'Message-ID: <invalid-1@example.com>',
+  '',
+  'Please give me some days off next week.',
+  '',
+].join('\r\n');
+
+function writeMaildir(dir) {
+  for (const sub of ['new', 'cur', 'tmp']) fs.mkdirSync(path.join(dir, sub), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'new', '1700000001.arabic'), ARABIC_EML);
+  fs.writeFileSync(path.join(dir, 'new', '1700000002.invalid'), INVALID_EML);
+  fs.writeFileSync(path.join(dir, 'cur', '1700000003.english:2,S'), ENGLISH_EML);
+  fs.writeFileSync(path.join(dir, 'tmp', 'partial'), 'From: x');
+}
+
+function employee(id, name, idNumber, email) {
+  return { id, properties: { 'الاسم': prop.title(name), 'رقم الهوية': prop.text(idNumber), 'البريد الإلكتروني': prop.email(email) } };
+}
+
+function fakeWith() {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [
+          employee('emp-1', 'سارة', '1023456781', 'Sara@example.com'),
+          employee('emp-2', 'خالد', '2023456789', 'khalid@example.com'),
+        ],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema('select'), pages: [] },
+    },
+  });
+}
+
+test('parseEml decodes encoded headers, base64 and quoted-printable bodies', () => {
+  const arabic = parseEml(ARABIC_EML);
+  assert.deepEqual(arabic.from, { name: 'سارة العتيبي', address: 'sara@example.com' });
+  assert.equal(arabic.subject, 'طلب إجازة');
+  assert.equal(arabic.messageId, 'arabic-1@example.com');
+  assert.match(arabic.text, /الإجازة السنوية/);
+
+  const english = parseEml(Buffer.from(ENGLISH_EML));
+  assert.equal(english.from.name, 'Khalid');
+  assert.equal(english.text, 'Hi HR,\nI need sick leave on 2026-02-10 to 2026-02-11.\nNational ID 2023456789');
+});
+
+test('parseLeaveRequest reads the ID, dates and leave type from Arabic or English text', () => {
+  const arabic = parseLeaveRequest(parseEml(ARABIC_EML), policies);
+  assert.deepEqual(
+    [arabic.idNumber, arabic.startDate, arabic.endDate, arabic.leaveType, arabic.problems],
+    ['1023456781', '2026-03-01', '2026-03-05', 'سنوية', []],
+  );
+
+  const english = parseLeaveRequest(parseEml(ENGLISH_EML), policies);
+  assert.deepEqual([english.idNumber, english.startDate, english.endDate, english.leaveType], ['2023456789', '2026-02-10', '2026-02-11', 'مرضية']);
+
+  const invalid = parseLeaveRequest(parseEml(INVALID_EML), policies);
+  assert.equal(invalid.problems.length, 2);
+  assert.equal(invalid.leaveType, null);
+
+  // حجز ≠ حج، والرقم بخانة تحقق خاطئة يُرفض
+  const tricky = parseLeaveRequest({ from: { name: '', address: 'a@b.c' }, subject: '', text: 'حجز تذاكر 2026-04-01 هوية 1023456789' }, policies);
+  assert.equal(tricky.leaveType, null);
+  assert.deepEqual(tricky.problems, ['رقم الهوية 1023456789 غير صالح']);
+});
+
+test('creates request pages from a maildir, replies to senders and skips processed messages', async () => {
+  const dir = path.join(tmpDir, 'maildir');
+  writeMaildir(dir);
+  assert.equal(listMessageFiles(dir).length, 3);
+
+  const fake = fakeWith();
+  const transporter = createCaptureTransport();
+  const result = await runIntake({ notion: fake.client, dir, transporter, policies });
+
+  assert.deepEqual([result.scanned, result.created, result.rejected, result.skipped], [3, 2, 1, 0]);
+  const [arabic] = fake.calls.create;
+  assert.equal(arabic.parent.database_id, fixtures.LEAVE_REQUESTS_DB);
+  const page = fake.getPage(result.pages[0].pageId);
+  assert.equal(page.properties['رقم الهوية'].rich_text[0].plain_text, '1023456781');
+  assert.equal(page.properties['اسم الموظف'].title[0].plain_text, 'سارة العتيبي');
+  assert.equal(page.properties['الايميل'].email, 'sara@example.com');
+  assert.equal(page.properties['تاريخ البداية'].date.start, '2026-03-01');
+  assert.equal(page.properties['تاريخ النهاية'].date.start, '2026-03-05');
+  assert.equal(page.properties['نوع الإجازة'].select.name, 'سنوية');
+  assert.equal(fake.getBlocks(page.id)[0].heading_3.rich_text[0].text.content, '📧 طلب إجازة');
+
+  const replies = Object.fromEntries(transporter.sent.map(m => [m.to[0].address, m]));
+  assert.match(replies['sara@example.com'].text, /تم استلام طلب الإجازة \(سنوية\) من 2026-03-01 إلى 2026-03-05/);
+  assert.equal(replies['khalid@example.com'].subject, 'Re: Sick leave');
+  // مرسل غير مسجل لدى أي موظف لا يُرد عليه
+  assert.equal(replies['someone@example.com'], undefined);
+
+  // التشغيل الثاني لا يكرر الطلبات ولا الردود
+  const again = await runIntake({ notion: fake.client, dir, transporter, policies });
+  assert.deepEqual([again.created, again.skipped], [0, 3]);
+  assert.equal(transporter.sent.length, 2);
+
+  // المزامنة تربط الطلب الجديد بالموظف برقم الهوية
+  await syncNotionTables({ notion: fake.client, full: true });
+  assert.deepEqual(fake.getPage(page.id).properties['الموظف'].relation, [{ id: 'emp-1' }]);
+  assert.equal(fake.getPage(page.id).properties['حالة الطلب'].select.name, 'قيد الانتظار');
+});
+
+test('rejects a request whose From address is not the email on record for its ID', async () => {
+  const dir = path.join(tmpDir, 'spoofed');
+  fs.mkdirSync(dir, { recursive: true });
+  // Reply-To لا يكفي لانتحال صاحب الرقم
+  fs.writeFileSync(path.join(dir, 'reply-to.eml'), ARABIC_EML
+    .replace('Sara@Example.com', 'attacker@example.net')
+    .replace('To: hr@example.com', 'Reply-To: sara@example.com\r\nTo: hr@example.com')
+    .replace('arabic-1@', 'spoof-1@'));
+  // موظف آخر يقدم طلباً برقم هوية زميله
+  fs.writeFileSync(path.join(dir, 'colleague.eml'), ARABIC_EML
+    .replace(/From: .*\r\n/, 'From: khalid@example.com\r\n')
+    .replace('arabic-1@', 'spoof-2@'));
+
+  const fake = fakeWith();
+  const transporter = createCaptureTransport();
+  const result = await runIntake({ notion: fake.client, dir, transporter, policies });
+
+  assert.deepEqual([result.created, result.rejected], [0, 2]);
+  assert.equal(transporter.sent.length, 0);
+  assert.equal(fake.calls.create.length, 0);
+  const ledger = JSON.parse(fs.readFileSync(process.env.INTAKE_LEDGER_FILE, 'utf8'));
+  assert.match(ledger.messages['spoof-1@example.com'].problems[0], /attacker@example\.net لا يطابق البريد المسجل/);
+  assert.equal(ledger.messages['spoof-2@example.com'].from, 'khalid@example.com');
+});
+
+test('does not reply to auto-replies, mailing lists or bounces', async () => {
+  const dir = path.join(tmpDir, 'automated');
+  fs.mkdirSync(dir, { recursive: true });
+  const headers = [
+    'Auto-Submitted: auto-replied',
+    'Precedence: bulk',
+    'Return-Path: <>',
+  ];
+  headers.forEach((header, i) => {
+    fs.writeFileSync(path.join(dir, `auto-${i}.eml`), INVALID_EML
+      .replace('someone@example.com', 'sara@example.com')
+      .replace('invalid-1@', `auto-${i}@`)
+      .replace('Subject:', `${header}\r\nSubject:`));
+  });
+  fs.writeFileSync(path.join(dir, 'bounce.eml'), INVALID_EML.replace('someone@example.com', 'MAILER-DAEMON@example.com').replace('invalid-1@', 'bounce@'));
+  fs.writeFileSync(path.join(dir, 'human.eml'), INVALID_EML
+    .replace('someone@example.com', 'sara@example.com')
+    .replace('invalid-1@', 'human@')
+    .replace('Subject:', 'Auto-Submitted: no\r\nSubject:'));
+
+  const transporter = createCaptureTransport();
+  const result = await runIntake({ notion: fakeWith().client, dir, transporter, policies });
+
+  assert.equal(result.rejected, 5);
+  assert.deepEqual(transporter.sent.map(m => m.to[0].address), ['sara@example.com']);
+});
+
+test('dry-run reads .eml files without creating pages, replying or updating the ledger', async () => {
+  const dir = path.join(tmpDir, 'eml');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'request.eml'), ARABIC_EML.replace('arabic-1@', 'arabic-dry@'));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+  const fake = fakeWith();
+  const transporter = createCaptureTransport();
+  const result = await runIntake({ notion: fake.client, dir, transporter, policies, dryRun: true });
+
+  assert.equal(result.created, 1);
+  assert.equal(fake.calls.create.length, 0);
+  assert.equal(transporter.sent.length, 0);
+  const ledger = JSON.parse(fs.readFileSync(process.env.INTAKE_LEDGER_FILE, 'utf8'));
+  assert.equal(ledger.messages['arabic-dry@example.com'], undefined);
+});
+
+test('a create that timed out is not retried and is not created again on the next run', async () => {
+  const dir = path.join(tmpDir, 'timeout');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'request.eml'), ARABIC_EML.replace('arabic-1@', 'timeout-1@'));
+
+  const fake = fakeWith();
+  let creates = 0;
+  const client = {
+    ...fake.client,
+    pages: {
+      ...fake.client.pages,
+      create: async () => {
+        creates++;
+        throw Object.assign(new Error('Gateway Timeout'), { status: 504 });
+      },
+    },
+  };
+  const transporter = createCaptureTransport();
+  const result = await runIntake({ notion: client, dir, transporter, policies });
+
+  assert.deepEqual([result.created, result.uncertain], [0, 1]);
+  assert.equal(creates, 1);
+  assert.equal(transporter.sent.length, 0);
+  const ledger = JSON.parse(fs.readFileSync(process.env.INTAKE_LEDGER_FILE, 'utf8'));
+  assert.equal(ledger.messages['timeout-1@example.com'].state, 'uncertain');
+
+  const again = await runIntake({ notion: fake.client, dir, transporter, policies });
+  assert.deepEqual([again.created, again.skipped], [0, 1]);
+  assert.equal(fake.calls.create.length, 0);
+});
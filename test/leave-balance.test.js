@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { syncNotionTables } = require('../sync');
+
+function request(id, idNumber, start, end, created, { status = 'قيد الانتظار', type } = {}) {
+  const properties = {
+    'اسم الموظف': prop.title(id),
+    'رقم الهوية': prop.text(idNumber),
+    'الموظف': prop.relation(),
+    'حالة الطلب': prop.select(status),
+    'تاريخ البداية': prop.date(start),
+    'تاريخ النهاية': prop.date(end),
+  };
+  if (type) properties['نوع الإجازة'] = prop.select(type);
+  return { id, created_time: `${created}T08:00:00.000Z`, properties };
+}
+
+// موظف واحد برقم 1023456781
+function fakeWith(requests) {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [{ id: 'emp-1', properties: { 'الاسم': prop.title('emp-1'), 'رقم الهوية': prop.text('1023456781') } }],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema('select'), pages: requests },
+    },
+  });
+}
+
+const warning = (fake, id) => (fake.getPage(id).properties['تنبيه الرصيد']?.rich_text || []).map(t => t.plain_text).join('');
+
+test('subtracts pending requests cumulatively in submission order', async () => {
+  process.env.ANNUAL_LEAVE_ENTITLEMENT = '6';
+  try {
+    const fake = fakeWith([
+      // كل طلب من الأحد إلى الخميس = 5 أيام
+      request('req-third', '1023456781', '2026-02-15', '2026-02-19', '2026-01-03'),
+      request('req-first', '1023456781', '2026-02-01', '2026-02-05', '2026-01-01'),
+      request('req-second', '1023456781', '2026-02-08', '2026-02-12', '2026-01-02'),
+    ]);
+
+    await syncNotionTables({ notion: fake.client, full: true });
+
+    assert.equal(warning(fake, 'req-first'), '');
+    assert.equal(warning(fake, 'req-second'), 'الطلب (5 يوم) يتجاوز الرصيد المتبقي (1 يوم)');
+    assert.equal(warning(fake, 'req-third'), 'الطلب (5 يوم) يتجاوز الرصيد المتبقي (-4 يوم)');
+  } finally {
+    delete process.env.ANNUAL_LEAVE_ENTITLEMENT;
+  }
+});
+
+test('checks requests in the next year against that year’s balance', async () => {
+  process.env.ANNUAL_LEAVE_ENTITLEMENT = '3';
+  try {
+    const fake = fakeWith([
+      request('req-next-year', '1023456781', '2027-01-03', '2027-01-07', '2026-10-01'),
+      // يعبر نهاية السنة: يومان في 2026 (يكفيهما الرصيد) و8 أيام في 2027 بعد أن استهلك الطلب السابق رصيدها
+      request('req-spanning', '1023456781', '2026-12-30', '2027-01-12', '2026-10-02'),
+    ]);
+
+    await syncNotionTables({ notion: fake.client, full: true });
+
+    assert.equal(warning(fake, 'req-next-year'), 'الطلب (5 يوم في 2027) يتجاوز الرصيد المتبقي لسنة 2027 (3 يوم)');
+    assert.equal(warning(fake, 'req-spanning'), 'الطلب (8 يوم في 2027) يتجاوز الرصيد المتبقي لسنة 2027 (-2 يوم)');
+    // الرصيد المكتوب على الموظف لسنة الرصيد فقط
+    assert.equal(fake.getPage('emp-1').properties['الرصيد المتبقي'].number, 3);
+  } finally {
+    delete process.env.ANNUAL_LEAVE_ENTITLEMENT;
+  }
+});
+
+test('leave types that do not count against the balance are neither subtracted nor flagged', async () => {
+  process.env.ANNUAL_LEAVE_ENTITLEMENT = '6';
+  try {
+    const fake = fakeWith([
+      request('req-sick', '1023456781', '2026-02-01', '2026-02-05', '2026-01-01', { status: 'موافقة', type: 'مرضية' }),
+      request('req-annual', '1023456781', '2026-03-01', '2026-03-02', '2026-01-01', { status: 'موافقة', type: 'سنوية' }),
+      request('req-unpaid', '1023456781', '2026-04-05', '2026-04-16', '2026-01-01', { type: 'بدون راتب' }),
+    ]);
+
+    await syncNotionTables({ notion: fake.client, full: true });
+
+    assert.equal(fake.getPage('emp-1').properties['الإجازات المستخدمة'].number, 2);
+    assert.equal(fake.getPage('emp-1').properties['الرصيد المتبقي'].number, 4);
+    assert.equal(warning(fake, 'req-unpaid'), '');
+  } finally {
+    delete process.env.ANNUAL_LEAVE_ENTITLEMENT;
+  }
+});
@@ -0,0 +1,146 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+beforeEach(() => fs.rmSync(process.env.CALENDAR_STATE_FILE, { force: true }));
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { generateCalendars, createCalendarServer, renderCalendar, foldLine, feedSlug } = require('../leave-calendar');
+
+function request(id, employeeId, status, start, end) {
+  return {
+    id,
+    properties: {
+      'اسم الموظف': prop.title(id),
+      'الموظف': prop.relation(employeeId),
+      'حالة الطلب': prop.select(status),
+      'تاريخ البداية': prop.date(start),
+      'تاريخ النهاية': prop.date(end),
+      'نوع الإجازة': prop.select('سنوية'),
+    },
+  };
+}
+
+function fakeWith() {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [
+          { id: 'emp-1', properties: { 'الاسم': prop.title('سارة'), 'القسم': prop.select('المالية') } },
+          { id: 'emp-2', properties: { 'الاسم': prop.title('خالد'), 'القسم': prop.select('التقنية') } },
+        ],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: fixtures.leaveRequestsSchema('select'),
+        pages: [
+          request('req-1', 'emp-1', 'موافقة', '2026-01-04', '2026-01-08'),
+          request('req-2', 'emp-2', 'موافقة', '2026-02-01', '2026-02-01'),
+          request('req-3', 'emp-2', 'قيد الانتظار', '2026-03-01', '2026-03-02'),
+        ],
+      },
+    },
+  });
+}
+
+function get(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+test('writes a company feed and one feed per team with approved leave only', async () => {
+  const fake = fakeWith();
+  const outDir = path.join(tmpDir, 'calendars');
+
+  const { files } = await generateCalendars({ notion: fake.client, outDir });
+
+  assert.deepEqual(files.map(f => path.basename(f)).sort(), ['company.ics', 'team-التقنية.ics', 'team-المالية.ics']);
+  const company = unfold(fs.readFileSync(path.join(outDir, 'company.ics'), 'utf8'));
+  assert.match(company, /^BEGIN:VCALENDAR\r\n/);
+  assert.equal((company.match(/BEGIN:VEVENT/g) || []).length, 2);
+  assert.match(company, /UID:req-1@notion-hr\r\n/);
+  assert.match(company, /DTSTART;VALUE=DATE:20260104\r\nDTEND;VALUE=DATE:20260109\r\n/);
+  assert.match(company, /SUMMARY:إجازة: سارة \(سنوية\)/);
+  assert.doesNotMatch(company, /req-3/);
+
+  const finance = unfold(fs.readFileSync(path.join(outDir, 'team-المالية.ics'), 'utf8'));
+  assert.match(finance, /req-1@notion-hr/);
+  assert.doesNotMatch(finance, /req-2@notion-hr/);
+});
+
+test('keeps UIDs stable and publishes a CANCELLED event when approval is withdrawn', async () => {
+  const fake = fakeWith();
+  const first = await generateCalendars({ notion: fake.client, outDir: null });
+  const original = first.feeds.company.events.find(e => e.pageId === 'req-1');
+
+  fake.editPage('req-1', { 'حالة الطلب': prop.select('مرفوضة') });
+  fake.editPage('req-2', { 'تاريخ النهاية': prop.date('2026-02-02') });
+  const second = await generateCalendars({ notion: fake.client, outDir: null });
+
+  const cancelled = second.feeds.company.events.find(e => e.uid === original.uid);
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(cancelled.sequence, original.sequence + 1);
+  assert.ok(second.feeds[feedSlug('المالية')].events.some(e => e.uid === original.uid));
+
+  const updated = second.feeds.company.events.find(e => e.pageId === 'req-2');
+  assert.equal(updated.uid, 'req-2@notion-hr');
+  assert.equal(updated.end, '2026-02-02');
+  assert.ok(updated.sequence > first.feeds.company.events.find(e => e.pageId === 'req-2').sequence);
+
+  // بعد فترة الاحتفاظ يختفي الحدث الملغى
+  const later = await generateCalendars({ notion: fake.client, outDir: null, now: new Date(Date.now() + 31 * 24 * 60 * 60 * 1000) });
+  assert.equal(later.feeds.company.events.some(e => e.uid === original.uid), false);
+});
+
+test('escapes text and folds long lines at 75 bytes without splitting characters', () => {
+  const ics = renderCalendar({
+    name: 'إجازات',
+    events: [{
+      uid: 'p@notion-hr', status: 'CONFIRMED', start: '2026-01-04', end: '2026-01-04',
+      summary: 'إجازة; طويلة, جداً '.repeat(6), description: 'سطر\nثاني', sequence: 1, stamp: '2026-01-01T00:00:00.000Z',
+    }],
+  });
+  for (const line of ics.split('\r\n')) assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+  assert.match(unfold(ics), /SUMMARY:إجازة\\; طويلة\\, جداً/);
+  assert.match(ics, /DESCRIPTION:سطر\\nثاني/);
+  assert.equal(foldLine('abc'), 'abc');
+});
+
+test('serves feeds over HTTP behind an optional token', async () => {
+  const fake = fakeWith();
+  const server = createCalendarServer({
+    generate: () => generateCalendars({ notion: fake.client, outDir: null }),
+    settings: { port: 0, token: 'secret', cacheMs: 60000 },
+  });
+
+  const port = await server.start();
+  try {
+    assert.equal((await get(port, '/calendars/company.ics')).status, 401);
+
+    const list = await get(port, '/calendars?token=secret');
+    assert.equal(list.status, 200);
+    assert.deepEqual(JSON.parse(list.body).map(f => f.id).sort(), ['company', 'team-التقنية', 'team-المالية']);
+
+    const team = await get(port, `/calendars/${encodeURIComponent('team-التقنية')}.ics?token=secret`);
+    assert.equal(team.status, 200);
+    assert.match(team.type, /text\/calendar/);
+    assert.match(team.body, /UID:req-2@notion-hr/);
+
+    assert.equal((await get(port, '/calendars/nope.ics?token=secret')).status, 404);
+    assert.equal(fake.calls.query, 2); // قراءة واحدة لكل قاعدة بفضل التخزين المؤقت
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { syncNotionTables } = require('../sync');
+const { loadLeavePolicies, findPolicy, DEFAULT_POLICIES_FILE, LeavePoliciesConfigError } = require('../leave-policy');
+
+function employee(id, idNumber) {
+  return { id, properties: { 'الاسم': prop.title(id), 'رقم الهوية': prop.text(idNumber) } };
+}
+
+// kind: 'status' لخاصية حالة من نوع status
+function request(id, idNumber, { type, status = 'قيد الانتظار', kind = 'select', start, end, created = '2026-01-01T08:00:00.000Z', files = [] }) {
+  return {
+    id,
+    created_time: created,
+    properties: {
+      'اسم الموظف': prop.title(id),
+      'رقم الهوية': prop.text(idNumber),
+      'الموظف': prop.relation(),
+      'حالة الطلب': prop[kind](status),
+      'تاريخ البداية': prop.date(start),
+      'تاريخ النهاية': prop.date(end),
+      'نوع الإجازة': prop.select(type),
+      'المرفقات': prop.files(...files),
+    },
+  };
+}
+
+function fakeWith(requests, kind = 'select', options) {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [employee('emp-1', '1023456781'), employee('emp-2', '2023456789')],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema(kind, options), pages: requests },
+    },
+  });
+}
+
+const textOf = (fake, id, name) => (fake.getPage(id).properties[name]?.rich_text || []).map(t => t.plain_text ?? t.text.content).join('');
+const statusOf = (fake, id) => {
+  const p = fake.getPage(id).properties['حالة الطلب'];
+  return (p.select || p.status || {}).name;
+};
+
+test('loadLeavePolicies matches type names and aliases, and is disabled without a file', () => {
+  const policies = loadLeavePolicies(DEFAULT_POLICIES_FILE);
+  assert.equal(findPolicy(policies, 'annual').name, 'سنوية');
+  assert.equal(findPolicy(policies, ' HAJJ ').name, 'حج');
+  assert.equal(findPolicy(policies, 'مرضية').requiresAttachment, true);
+  assert.equal(findPolicy(policies, 'أمومة'), null);
+  assert.equal(loadLeavePolicies(path.join(__dirname, 'missing-policies.json')), null);
+});
+
+test('loadLeavePolicies reports malformed JSON as a configuration error naming the file', () => {
+  const file = path.join(tmpDir, 'broken-policies.json');
+  fs.writeFileSync(file, '{ "types": { "سنوية": ');
+  assert.throws(() => loadLeavePolicies(file), (error) => {
+    assert.ok(error instanceof LeavePoliciesConfigError);
+    assert.match(error.message, /broken-policies\.json/);
+    return true;
+  });
+});
+
+test('flags policy violations for HR and writes the verdict on every typed request', async () => {
+  const fake = fakeWith([
+    // الأحد-الخميس = 5 أيام، قُدّم قبل أكثر من 7 أيام
+    request('req-ok', '1023456781', { type: 'سنوية', start: '2026-02-01', end: '2026-02-05' }),
+    // قُدّم قبل يومين فقط
+    request('req-notice', '1023456781', { type: 'annual', start: '2026-01-04', end: '2026-01-04', created: '2026-01-02T09:00:00.000Z' }),
+    request('req-sick', '2023456789', { type: 'مرضية', start: '2026-01-04', end: '2026-01-05' }),
+    request('req-sick-doc', '2023456789', { type: 'مرضية', start: '2026-01-11', end: '2026-01-11', files: ['report.pdf'] }),
+    request('req-unknown', '2023456789', { type: 'أمومة', start: '2026-03-01', end: '2026-03-01' }),
+    request('req-untyped', '2023456789', { type: null, start: '2026-03-08', end: '2026-03-08' }),
+  ]);
+
+  const result = await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.equal(textOf(fake, 'req-ok', 'قرار السياسة'), '✅ سنوية: مطابق للسياسة');
+  assert.match(textOf(fake, 'req-notice', 'قرار السياسة'), /^⚠️ مراجعة HR — سنوية: قُدّم قبل 2 يوم/);
+  assert.match(textOf(fake, 'req-sick', 'قرار السياسة'), /يتطلب إرفاق تقرير طبي/);
+  assert.equal(textOf(fake, 'req-sick-doc', 'قرار السياسة'), '✅ مرضية: مطابق للسياسة');
+  assert.match(textOf(fake, 'req-unknown', 'قرار السياسة'), /غير معرّف/);
+  assert.equal(textOf(fake, 'req-untyped', 'قرار السياسة'), '');
+
+  // الإحالة لا تغيّر الحالة
+  assert.equal(statusOf(fake, 'req-notice'), 'قيد الانتظار');
+  assert.equal(result.policies.checked, 5);
+  assert.equal(result.policies.flagged, 3);
+  assert.equal(result.policies.rejected, 0);
+});
+
+test('auto-rejects a second Hajj request with a reason and keeps HR decisions', async () => {
+  const fake = fakeWith([
+    request('hajj-1', '1023456781', { type: 'حج', status: 'موافقة', start: '2025-06-01', end: '2025-06-10', created: '2025-03-01T08:00:00.000Z' }),
+    request('hajj-2', '1023456781', { type: 'حج', start: '2026-05-24', end: '2026-05-28', created: '2026-01-01T08:00:00.000Z' }),
+    // موافقة HR سابقة لا يلغيها الرفض التلقائي
+    request('hajj-3', '1023456781', { type: 'hajj', status: 'موافقة', start: '2026-12-06', end: '2026-12-06', created: '2026-02-01T08:00:00.000Z' }),
+    // طلب الحج الأول لموظف آخر مطابق
+    request('hajj-other', '2023456789', { type: 'حج', start: '2026-05-24', end: '2026-05-28', created: '2026-01-01T08:00:00.000Z' }),
+  ]);
+
+  const result = await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.equal(statusOf(fake, 'hajj-2'), 'مرفوضة');
+  assert.match(textOf(fake, 'hajj-2', 'قرار السياسة'), /^⛔ رفض تلقائي — حج: مسموح مرة واحدة طوال مدة الخدمة \(طلب سابق 2025-06-01\)/);
+  assert.match(textOf(fake, 'hajj-2', 'سبب الرفض'), /^رفض تلقائي حسب سياسة الإجازات: /);
+
+  // الطلب المعتمد لا يُرفض، فلا يُكتب عليه "رفض تلقائي"
+  assert.equal(statusOf(fake, 'hajj-3'), 'موافقة');
+  assert.match(textOf(fake, 'hajj-3', 'قرار السياسة'), /^⚠️ مراجعة HR — حج: مسموح مرة واحدة/);
+  assert.equal(statusOf(fake, 'hajj-other'), 'قيد الانتظار');
+  assert.equal(textOf(fake, 'hajj-other', 'قرار السياسة'), '✅ حج: مطابق للسياسة');
+  assert.equal(result.policies.rejected, 1);
+
+  // التشغيل الثاني لا يعيد كتابة قرارات لم تتغير
+  fake.calls.update.length = 0;
+  await syncNotionTables({ notion: fake.client, full: true });
+  assert.equal(fake.calls.update.filter(c => 'قرار السياسة' in c.properties).length, 0);
+});
+
+test('falls back to flagging when the status property has no rejected option', async () => {
+  const fake = fakeWith([
+    request('hajj-1', '1023456781', { type: 'حج', kind: 'status', start: '2026-05-24', end: '2026-06-30' }),
+  ], 'status', [{ name: 'قيد الانتظار', group: 'to_do' }, { name: 'موافقة', group: 'complete' }]);
+
+  const result = await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.equal(statusOf(fake, 'hajj-1'), 'قيد الانتظار');
+  assert.match(textOf(fake, 'hajj-1', 'قرار السياسة'), /^⚠️ مراجعة HR — حج: المدة \d+ يوم تتجاوز الحد الأقصى \(15\)/);
+  assert.deepEqual([result.policies.flagged, result.policies.rejected], [1, 0]);
+});
+
+test('counts an auto-rejection only once the write succeeds', async () => {
+  const fake = fakeWith([
+    request('hajj-1', '1023456781', { type: 'حج', status: 'موافقة', start: '2025-06-01', end: '2025-06-10', created: '2025-03-01T08:00:00.000Z' }),
+    request('hajj-2', '1023456781', { type: 'حج', start: '2026-05-24', end: '2026-05-28', created: '2026-01-01T08:00:00.000Z' }),
+  ]);
+  fake.failUpdatesFor('hajj-2');
+
+  const result = await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.equal(statusOf(fake, 'hajj-2'), 'قيد الانتظار');
+  assert.equal(result.policies.rejected, 0);
+  assert.equal(result.policies.decisions.size, 0);
+});
@@ -0,0 +1,180 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { generateLeaveReport, reportPeriod, ReportOptionsError } = require('../leave-report');
+const { main } = require('../cli');
+const { crc32 } = require('../export-formats');
+
+const REPORTS_DB = 'db-reports';
+
+function employee(id, name, department) {
+  return { id, properties: { 'الاسم': prop.title(name), 'رقم الهوية': prop.text(''), 'القسم': prop.select(department) } };
+}
+
+function request(id, employeeId, status, start, end, leaveType = 'سنوية') {
+  return {
+    id,
+    properties: {
+      'اسم الموظف': prop.title(id),
+      'الموظف': employeeId ? prop.relation(employeeId) : prop.relation(),
+      'حالة الطلب': prop.select(status),
+      'تاريخ البداية': prop.date(start),
+      'تاريخ النهاية': prop.date(end),
+      'نوع الإجازة': prop.select(leaveType),
+    },
+  };
+}
+
+function fakeWith() {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [employee('emp-1', 'سارة', 'المالية'), employee('emp-2', 'خالد', 'التقنية'), employee('emp-3', 'منى', null)],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: fixtures.leaveRequestsSchema('select'),
+        pages: [
+          // الأحد-الخميس = 5 أيام
+          request('req-1', 'emp-1', 'موافقة', '2026-01-04', '2026-01-08'),
+          // الخميس 29 يناير (1) + الأحد-الثلاثاء 1-3 فبراير (3)
+          request('req-2', 'emp-2', 'قيد الانتظار', '2026-01-29', '2026-02-03', 'مرضية'),
+          request('req-3', 'emp-2', 'مرفوضة', '2026-02-08', '2026-02-09'),
+          request('req-4', 'emp-3', 'موافقة', '2026-03-01', '2026-03-01', null),
+          request('req-5', null, 'موافقة', '2026-01-04', '2026-01-05'),
+          request('req-6', 'emp-1', 'موافقة', '2025-12-01', '2025-12-02'),
+        ],
+      },
+      [REPORTS_DB]: { properties: { 'العنوان': { type: 'title' } }, pages: [] },
+    },
+  });
+}
+
+// قراءة ملف من ZIP (بدون مكتبات) للتحقق من محتوى XLSX
+function readZipEntry(buffer, name) {
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const entryName = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    if (entryName === name) return zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return null;
+}
+
+test('reportPeriod covers a whole year or a single month', () => {
+  assert.deepEqual(reportPeriod({ year: 2026 }).to, new Date('2026-12-31T00:00:00Z'));
+  const feb = reportPeriod({ year: 2026, month: '2026-02' });
+  assert.equal(feb.label, '2026-02');
+  assert.deepEqual(feb.to, new Date('2026-02-28T00:00:00Z'));
+  assert.throws(() => reportPeriod({ month: '2026/02' }), ReportOptionsError);
+});
+
+test('bad --month, --year or --format is a usage error with exit code 2', async () => {
+  assert.throws(() => reportPeriod({ month: '2026-13' }), /صيغة الشهر غير صحيحة: 2026-13/);
+  assert.throws(() => reportPeriod({ year: 'abc' }), ReportOptionsError);
+  await assert.rejects(generateLeaveReport({ notion: fakeWith().client, formats: ['pdf'] }), /صيغة غير معروفة: pdf/);
+
+  const out = { write: () => true };
+  for (const args of [['--month', '2026-2'], ['--year', '26'], ['--format', 'csv,pdf']]) {
+    assert.equal(await main(['report', ...args], { stdout: out, stderr: out, summaryFile: null }), 2, args.join(' '));
+  }
+});
+
+test('aggregates linked requests by employee, department, leave type and month', async () => {
+  const fake = fakeWith();
+  const { report } = await generateLeaveReport({ notion: fake.client, year: 2026, formats: [] });
+
+  assert.deepEqual(report.totals, {
+    requests: 4, approvedDays: 6, pendingDays: 4, rejectedDays: 2,
+    approvedRequests: 2, pendingRequests: 1, rejectedRequests: 1,
+  });
+  assert.equal(report.unlinked, 1);
+
+  const byDepartment = Object.fromEntries(report.byDepartment.map(d => [d.key, d]));
+  assert.equal(byDepartment['المالية'].approvedDays, 5);
+  assert.equal(byDepartment['التقنية'].pendingDays, 4);
+  assert.equal(byDepartment['التقنية'].rejectedDays, 2);
+  assert.equal(byDepartment['بدون قسم'].approvedDays, 1);
+
+  const byMonth = Object.fromEntries(report.byMonth.map(m => [m.key, m]));
+  assert.deepEqual([byMonth['2026-01'].approvedDays, byMonth['2026-01'].pendingDays], [5, 1]);
+  assert.deepEqual([byMonth['2026-02'].pendingDays, byMonth['2026-02'].rejectedDays], [3, 2]);
+  assert.equal(byMonth['2026-01'].requests, 2);
+
+  const byType = Object.fromEntries(report.byLeaveType.map(t => [t.key, t]));
+  assert.equal(byType['مرضية'].pendingDays, 4);
+  assert.equal(byType['غير محدد'].approvedDays, 1);
+
+  const khaled = report.byEmployee.find(e => e.key === 'emp-2');
+  assert.deepEqual([khaled.employee, khaled.department, khaled.requests], ['خالد', 'التقنية', 2]);
+});
+
+test('writes CSV per dimension and a multi-sheet XLSX workbook', async () => {
+  const fake = fakeWith();
+  const outDir = path.join(tmpDir, 'reports');
+  const { files } = await generateLeaveReport({ notion: fake.client, month: '2026-02', outDir });
+
+  assert.deepEqual(files.map(f => path.basename(f)), [
+    'leave-report-2026-02-by-employee.csv',
+    'leave-report-2026-02-by-department.csv',
+    'leave-report-2026-02-by-leave-type.csv',
+    'leave-report-2026-02-by-month.csv',
+    'leave-report-2026-02.xlsx',
+  ]);
+
+  const csv = fs.readFileSync(path.join(outDir, 'leave-report-2026-02-by-department.csv'), 'utf8');
+  assert.ok(csv.startsWith('\uFEFFالقسم,عدد الطلبات,أيام مأخوذة'));
+  assert.match(csv, /التقنية,2,0,3,2,0,1,1/);
+
+  const xlsx = fs.readFileSync(path.join(outDir, 'leave-report-2026-02.xlsx'));
+  const workbook = readZipEntry(xlsx, 'xl/workbook.xml');
+  assert.match(workbook, /name="الإجمالي"/);
+  assert.match(workbook, /name="أنواع الإجازات"/);
+  const departments = readZipEntry(xlsx, 'xl/worksheets/sheet3.xml');
+  assert.match(departments, /<t xml:space="preserve">التقنية<\/t>/);
+  assert.match(departments, /rightToLeft="1"/);
+});
+
+test('dry-run prints the report without writing files', async () => {
+  const outDir = path.join(tmpDir, 'dry-run-reports');
+  const { report, files } = await generateLeaveReport({ notion: fakeWith().client, year: 2026, outDir, dryRun: true });
+
+  assert.equal(report.totals.requests, 4);
+  assert.deepEqual(files, []);
+  assert.equal(fs.existsSync(outDir), false);
+});
+
+test('creates a summary page in the reports database (recorded only in dry-run)', async () => {
+  const fake = fakeWith();
+  process.env.DATABASE_ID_REPORTS = REPORTS_DB;
+  try {
+    const dry = await generateLeaveReport({ notion: fake.client, formats: [], notionSummary: true, dryRun: true });
+    assert.equal(fake.calls.create.length, 0);
+    assert.ok(dry.notionPageId.startsWith('dry-run-page-'));
+
+    const { notionPageId } = await generateLeaveReport({ notion: fake.client, formats: [], notionSummary: true });
+    const page = fake.getPage(notionPageId);
+    assert.equal(page.properties['العنوان'].title[0].plain_text, 'تقرير الإجازات 2026');
+    const blocks = fake.getBlocks(notionPageId);
+    const tables = blocks.filter(b => b.type === 'table');
+    assert.equal(tables.length, 3);
+    assert.equal(tables[0].table.children[0].table_row.cells[0][0].text.content, 'القسم');
+  } finally {
+    delete process.env.DATABASE_ID_REPORTS;
+  }
+});
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
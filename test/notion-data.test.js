@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { createNotionGateway, retryAfterMs } = require('../notion-data');
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, ...(headers ? { headers } : {}) });
+
+// عميل وهمي يرمي الأخطاء بالترتيب ثم ينجح
+function failingClient(errors) {
+  const calls = { create: 0, update: 0 };
+  const next = (kind) => async (args) => {
+    calls[kind]++;
+    const error = errors.shift();
+    if (error) throw error;
+    return { object: 'page', id: args.page_id || 'created-1' };
+  };
+  return { calls, client: { pages: { create: next('create'), update: next('update') } } };
+}
+
+test('createPage retries a rate limit but not an ambiguous timeout or 5xx', async () => {
+  const limited = failingClient([httpError(429, { 'retry-after': '0' })]);
+  const gateway = createNotionGateway({ client: limited.client, maxRetries: 3, baseDelayMs: 1 });
+  assert.equal((await gateway.createPage('db-1', {})).id, 'created-1');
+  assert.equal(limited.calls.create, 2);
+
+  for (const error of [httpError(503), Object.assign(new Error('timeout'), { code: 'notionhq_client_request_timeout' })]) {
+    const failing = failingClient([error]);
+    const once = createNotionGateway({ client: failing.client, maxRetries: 3, baseDelayMs: 1 });
+    await assert.rejects(once.createPage('db-1', {}), (thrown) => {
+      assert.equal(thrown.ambiguous, true);
+      return true;
+    });
+    assert.equal(failing.calls.create, 1);
+    assert.equal(once.getMetrics().failures, 1);
+  }
+
+  // خطأ تحقق صريح ليس غامضاً
+  const invalid = failingClient([httpError(400)]);
+  await assert.rejects(createNotionGateway({ client: invalid.client, maxRetries: 3 }).createPage('db-1', {}), (thrown) => thrown.ambiguous === undefined);
+});
+
+test('updatePage waits for Retry-After on 429, backs off on 5xx and then succeeds', async () => {
+  const { calls, client } = failingClient([
+    httpError(429, new Headers({ 'retry-after': '0.05' })),
+    httpError(502),
+  ]);
+  const gateway = createNotionGateway({ client, maxRetries: 3, baseDelayMs: 1 });
+
+  const startedAt = Date.now();
+  assert.equal((await gateway.updatePage('page-1', {})).id, 'page-1');
+  assert.ok(Date.now() - startedAt >= 45);
+  assert.equal(calls.update, 3);
+  const m = gateway.getMetrics();
+  assert.deepEqual([m.writes, m.retries, m.rateLimited, m.failures], [1, 2, 1, 0]);
+});
+
+test('gives up after maxRetries and reads Retry-After as seconds or an HTTP date', async () => {
+  const { calls, client } = failingClient([httpError(503), httpError(503), httpError(503)]);
+  const gateway = createNotionGateway({ client, maxRetries: 1, baseDelayMs: 1 });
+  await assert.rejects(gateway.updatePage('page-1', {}), /HTTP 503/);
+  assert.equal(calls.update, 2);
+  assert.equal(gateway.getMetrics().failures, 1);
+
+  assert.equal(retryAfterMs({ headers: { 'retry-after': '2' } }), 2000);
+  assert.equal(retryAfterMs({ headers: { 'retry-after': new Date(Date.now() - 1000).toUTCString() } }), 0);
+  assert.equal(retryAfterMs({ headers: {} }), null);
+});
+
+test('keeps at most `concurrency` writes in flight', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const client = {
+    pages: {
+      update: async ({ page_id: pageId }) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { object: 'page', id: pageId };
+      },
+    },
+  };
+  const gateway = createNotionGateway({ client, concurrency: 2 });
+
+  const pages = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(id => gateway.updatePage(id, {})));
+
+  assert.deepEqual(pages.map(p => p.id), ['a', 'b', 'c', 'd', 'e']);
+  assert.equal(maxActive, 2);
+  assert.equal(gateway.getMetrics().writes, 5);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { createFakeNotion } = require('./helpers/fake-notion');
+const { loadFieldMapping } = require('../field-mapping');
+const { diagnoseSchema, validateSchema } = require('../schema-doctor');
+const { main } = require('../cli');
+
+// مخطط كامل (بما فيه الحقول الاختيارية غير الموجودة في fixtures) حتى لا تظهر إلا النواقص المقصودة
+const COMPLETE = {
+  'نصف يوم': { type: 'checkbox' },
+  'نصف اليوم الأخير': { type: 'checkbox' },
+  'يوجد تعارض': { type: 'checkbox' },
+};
+
+function fakeWith({ leave = {}, kind = 'select', options } = {}) {
+  const leaveProps = { ...fixtures.leaveRequestsSchema(kind, options), ...COMPLETE, ...leave };
+  for (const [name, value] of Object.entries(leaveProps)) if (value === null) delete leaveProps[name];
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: [] },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: leaveProps, pages: [] },
+    },
+  });
+}
+
+const withoutRejected = fixtures.statusOptions('select').filter(o => o.name !== 'مرفوضة');
+
+test('reports missing properties, wrong types and missing status options', () => {
+  const mapping = loadFieldMapping();
+  const leave = { ...fixtures.leaveRequestsSchema('select', withoutRejected), 'عدد الأيام': undefined, 'رقم الهوية': { type: 'checkbox' } };
+  delete leave['عدد الأيام'];
+
+  const report = diagnoseSchema({
+    mapping,
+    schemas: { employees: { properties: fixtures.employeesSchema() }, leaveRequests: { properties: leave } },
+    employeesDbId: fixtures.EMPLOYEES_DB,
+  });
+
+  const byKey = Object.fromEntries(report.items.map(i => [`${i.section}.${i.key}`, i]));
+  assert.equal(byKey['leaveRequests.dayCount'].problem, 'missing');
+  assert.deepEqual(byKey['leaveRequests.dayCount'].fix.create, { number: { format: 'number' } });
+  assert.equal(byKey['leaveRequests.idNumber'].problem, 'wrong_type');
+  assert.equal(byKey['leaveRequests.idNumber'].level, 'error');
+  assert.equal(byKey['leaveRequests.idNumber'].fix, null);
+  assert.equal(byKey['leaveRequests.statusLabels.rejected'].problem, 'missing_option');
+  assert.equal(byKey['leaveRequests.status'].level, 'ok');
+  assert.equal(report.errors, 1);
+});
+
+test('--fix creates the email flag, relation and day count, and adds missing select options', async () => {
+  const fake = fakeWith({
+    options: withoutRejected,
+    leave: { 'هل تم ارسال ايميل؟': null, 'الموظف': null, 'عدد الأيام': null },
+  });
+
+  const result = await validateSchema({ notion: fake.client, fix: true });
+
+  assert.equal(fake.calls.updateDatabase.length, 1);
+  const schema = (await fake.client.databases.retrieve({ database_id: fixtures.LEAVE_REQUESTS_DB })).properties;
+  assert.equal(schema['هل تم ارسال ايميل؟'].type, 'rich_text');
+  assert.equal(schema['الموظف'].type, 'relation');
+  assert.equal(schema['الموظف'].relation.database_id, fixtures.EMPLOYEES_DB);
+  assert.equal(schema['عدد الأيام'].type, 'number');
+  assert.deepEqual(schema['حالة الطلب'].select.options.map(o => o.name), [...withoutRejected.map(o => o.name), 'مرفوضة']);
+
+  assert.equal(result.errors, 0);
+  assert.equal(result.fixed, 4);
+  assert.equal(result.items.find(i => i.key === 'statusLabels.rejected').level, 'ok');
+});
+
+test('status options cannot be added through the API and are only reported', async () => {
+  const fake = fakeWith({ kind: 'status', options: fixtures.statusOptions('status').filter(o => o.name !== 'قيد الانتظار') });
+
+  const result = await validateSchema({ notion: fake.client, fix: true });
+
+  assert.equal(fake.calls.updateDatabase.length, 0);
+  const pending = result.items.find(i => i.key === 'statusLabels.pending');
+  assert.equal(pending.problem, 'missing_option');
+  assert.equal(pending.fix, null);
+});
+
+test('dry-run --fix records the schema changes without applying them', async () => {
+  const fake = fakeWith({ leave: { 'عدد الأيام': null } });
+
+  const result = await validateSchema({ notion: fake.client, fix: true, dryRun: true });
+
+  assert.equal(fake.calls.updateDatabase.length, 0);
+  assert.equal(result.fixed, 1);
+  const schema = (await fake.client.databases.retrieve({ database_id: fixtures.LEAVE_REQUESTS_DB })).properties;
+  assert.equal(schema['عدد الأيام'], undefined);
+});
+
+test('validate-schema exits with 2 while required properties are broken', async () => {
+  const fake = fakeWith({ leave: { 'رقم الهوية': { type: 'checkbox' } } });
+  const out = { text: '', write(chunk) { this.text += chunk; return true; } };
+
+  // الأمر الحقيقي لكن مع العميل الوهمي
+  const schemaDoctor = require('../schema-doctor');
+  const realValidate = schemaDoctor.validateSchema;
+  schemaDoctor.validateSchema = (options) => realValidate({ ...options, notion: fake.client });
+  try {
+    assert.equal(await main(['validate-schema', '--json'], { stdout: out, stderr: out, summaryFile: null }), 2);
+  } finally {
+    schemaDoctor.validateSchema = realValidate;
+  }
+  assert.match(out.text, /رقم الهوية/);
+});
@@ -0,0 +1,280 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+beforeEach(fixtures.resetSendLedger);
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { run, getEmailContent } = require('../send-status-emails');
+
+const LABELS = { pending: 'قيد الانتظار', approved: 'موافقة', rejected: 'مرفوضة' };
+
+function request(id, { status = 'موافقة', email = `${id}@example.com`, flag = '', extra = {} } = {}) {
+  return {
+    id,
+    properties: {
+      'اسم الموظف': prop.title(`موظف ${id}`),
+      'رقم الهوية': prop.text('1023456789'),
+      'حالة الطلب': prop.select(status),
+      'الايميل': prop.email(email),
+      'هل تم ارسال ايميل؟': prop.text(flag),
+      ...extra,
+    },
+  };
+}
+
+function fakeWith(requests, employees = []) {
+  return createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: employees },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema('select'), pages: requests },
+    },
+  });
+}
+
+test('getEmailContent picks the template by status label', () => {
+  assert.equal(getEmailContent('موافقة', 'سارة', LABELS).subject, 'تمت الموافقة على طلب الإجازة');
+  assert.equal(getEmailContent('مرفوضة', 'سارة', LABELS).subject, 'تم رفض طلب الإجازة');
+  assert.match(getEmailContent('قيد الانتظار', 'سارة', LABELS).text, /مرحباً سارة/);
+  assert.match(getEmailContent('مؤجلة', 'سارة', LABELS).text, /"مؤجلة"/);
+});
+
+test('getEmailContent fills request details and renders an RTL HTML part', () => {
+  const email = getEmailContent('مرفوضة', 'سارة', LABELS, {
+    startDate: '2026-03-01',
+    endDate: '2026-03-05',
+    rejectionReason: 'ضغط <العمل>',
+  });
+
+  assert.match(email.text, /من 2026-03-01 إلى 2026-03-05/);
+  assert.match(email.text, /سبب الرفض: ضغط <العمل>/);
+  assert.match(email.html, /<html lang="ar" dir="rtl">/);
+  assert.match(email.html, /ضغط &lt;العمل&gt;/);
+  assert.doesNotMatch(email.text, /بواسطة/);
+});
+
+test('sends one email per status and records it in the flag property', async () => {
+  const fake = fakeWith([request('a'), request('b', { status: 'مرفوضة' })]);
+  const transporter = createCaptureTransport();
+
+  await run({ notion: fake.client, transporter });
+
+  assert.deepEqual(transporter.sent.map(m => m.to.map(t => t.address)[0]).sort(), ['a@example.com', 'b@example.com']);
+  assert.equal(fake.getPage('a').properties['هل تم ارسال ايميل؟'].rich_text[0].plain_text, 'موافقة');
+  assert.equal(fake.getPage('b').properties['هل تم ارسال ايميل؟'].rich_text[0].plain_text, 'مرفوضة');
+});
+
+test('does not resend for a status that was already emailed', async () => {
+  const fake = fakeWith([request('a')]);
+  const transporter = createCaptureTransport();
+
+  await run({ notion: fake.client, transporter });
+  await run({ notion: fake.client, transporter });
+
+  assert.equal(transporter.sent.length, 1);
+});
+
+test('emails again when the status changes after a previous send', async () => {
+  const fake = fakeWith([request('a', { status: 'موافقة', flag: 'قيد الانتظار' })]);
+  const transporter = createCaptureTransport();
+
+  await run({ notion: fake.client, transporter });
+
+  assert.equal(transporter.sent.length, 1);
+  assert.equal(transporter.sent[0].subject, 'تمت الموافقة على طلب الإجازة');
+});
+
+test('dry run records the full message, including HTML and meta, without sending', async () => {
+  const fake = fakeWith([request('req-1')]);
+  const transporter = createCaptureTransport();
+  const outFile = path.join(tmpDir, 'dry-run-emails.json');
+
+  await run({ notion: fake.client, transporter, dryRun: true, outFile });
+
+  assert.equal(transporter.sent.length, 0);
+  const [email] = JSON.parse(fs.readFileSync(outFile, 'utf8')).emails;
+  assert.equal(email.subject, 'تمت الموافقة على طلب الإجازة');
+  assert.match(email.html, /dir="rtl"/);
+  assert.deepEqual(email.meta, { pageId: 'req-1', status: 'موافقة' });
+});
+
+test('skips requests without a status or email', async () => {
+  const fake = fakeWith([request('a', { status: null }), request('b', { email: null })]);
+  const transporter = createCaptureTransport();
+
+  await run({ notion: fake.client, transporter });
+
+  assert.equal(transporter.sent.length, 0);
+  assert.equal(fake.calls.update.length, 0);
+});
+
+test('a failed send leaves the flag empty so it is retried next run', async () => {
+  const fake = fakeWith([request('a')]);
+  const transporter = createCaptureTransport({ failFor: ['a@example.com'] });
+
+  await run({ notion: fake.client, transporter });
+
+  assert.equal(transporter.sent.length, 0);
+  assert.deepEqual(fake.getPage('a').properties['هل تم ارسال ايميل؟'].rich_text, []);
+});
+
+test('rejects a schema that does not match the field mapping', async () => {
+  const fake = createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: [] },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: { ...fixtures.leaveRequestsSchema('select'), 'الايميل': { type: 'rich_text' } },
+        pages: [],
+      },
+    },
+  });
+
+  await assert.rejects(run({ notion: fake.client, transporter: createCaptureTransport() }), (error) => {
+    assert.equal(error.name, 'FieldMappingError');
+    assert.ok(error.problems.some(p => p.includes('الايميل')));
+    return true;
+  });
+});
+
+test('uses the employee language and request details from Notion', async () => {
+  const fake = fakeWith([
+    request('a', {
+      status: 'موافقة',
+      extra: {
+        'الموظف': prop.relation('emp-en'),
+        'تاريخ البداية': prop.date('2026-03-01'),
+        'تاريخ النهاية': prop.date('2026-03-03'),
+        'عدد الأيام': prop.number(3),
+        'المعتمد': prop.people('Khalid'),
+      },
+    }),
+  ], [{ id: 'emp-en', properties: { 'الاسم': prop.title('Sarah'), 'اللغة': prop.select('English') } }]);
+  const transporter = createCaptureTransport();
+
+  await run({ notion: fake.client, transporter });
+
+  const [mail] = transporter.sent;
+  assert.equal(mail.subject, 'Your leave request has been approved');
+  assert.match(mail.text, /Period: 2026-03-01 to 2026-03-03/);
+  assert.match(mail.text, /Duration: 3 working day/);
+  assert.match(mail.text, /Approved by: Khalid/);
+  assert.match(mail.html, /dir="ltr"/);
+});
+
+// --------------------------------------
+// سجل الإرسال
+// --------------------------------------
+test('a send whose flag update fails is not resent; the flag is repaired next run', async () => {
+  const fake = fakeWith([request('a')]);
+  const transporter = createCaptureTransport();
+  fake.failUpdatesFor('a');
+
+  await run({ notion: fake.client, transporter });
+  fake.clearFailures('a');
+  const second = await run({ notion: fake.client, transporter });
+
+  assert.equal(transporter.sent.length, 1);
+  assert.equal(second.repaired, 1);
+  assert.equal(fake.getPage('a').properties['هل تم ارسال ايميل؟'].rich_text[0].plain_text, 'موافقة');
+});
+
+test('failed sends are retried with backoff and reported once attempts run out', async () => {
+  process.env.SEND_MAX_ATTEMPTS = '2';
+  const fake = fakeWith([request('a')]);
+  const failing = createCaptureTransport({ failFor: ['a@example.com'] });
+  const start = Date.parse('2026-03-01T00:00:00Z');
+  const at = (hours) => new Date(start + hours * 60 * 60 * 1000);
+
+  try {
+    const first = await run({ notion: fake.client, transporter: failing, now: at(0) });
+    assert.equal(first.permanentFailures.length, 0);
+
+    // قبل انتهاء التأخير (ساعة): لا محاولة
+    await run({ notion: fake.client, transporter: failing, now: at(0.5) });
+
+    const third = await run({ notion: fake.client, transporter: failing, now: at(1) });
+    assert.equal(third.permanentFailures.length, 1);
+    assert.equal(third.permanentFailures[0].attempts, 2);
+    assert.equal(third.permanentFailures[0].state, 'failed');
+    assert.deepEqual(third.permanentFailures[0].errors.map(e => e.message), Array(2).fill('SMTP رفض العنوان a@example.com'));
+
+    // فشل نهائي: لا مزيد من المحاولات حتى لو عاد البريد للعمل
+    const working = createCaptureTransport();
+    await run({ notion: fake.client, transporter: working, now: at(48) });
+    assert.equal(working.sent.length, 0);
+  } finally {
+    delete process.env.SEND_MAX_ATTEMPTS;
+  }
+});
+
+test('editing a page after a failed send keeps counting attempts for the same status', async () => {
+  process.env.SEND_MAX_ATTEMPTS = '2';
+  const fake = fakeWith([request('a')]);
+  const failing = createCaptureTransport({ failFor: ['a@example.com'] });
+  const start = Date.parse('2026-03-01T00:00:00Z');
+  const at = (hours) => new Date(start + hours * 60 * 60 * 1000);
+
+  try {
+    await run({ notion: fake.client, transporter: failing, now: at(0) });
+    // تعديل لا يغيّر الحالة: لا يتجاوز التأخير ولا يبدأ عدّاداً جديداً
+    fake.editPage('a', { 'سبب الرفض': prop.text('ملاحظة') });
+    const second = await run({ notion: fake.client, transporter: failing, now: at(0.5) });
+    assert.equal(second.skipped, 1);
+
+    const third = await run({ notion: fake.client, transporter: failing, now: at(1) });
+    assert.equal(third.permanentFailures.length, 1);
+    assert.equal(third.permanentFailures[0].attempts, 2);
+  } finally {
+    delete process.env.SEND_MAX_ATTEMPTS;
+  }
+});
+
+test('notifies again when a request returns to a status after another status was sent', async () => {
+  const fake = fakeWith([request('a')]);
+  const transporter = createCaptureTransport();
+  const setStatus = (status) => fake.editPage('a', { 'حالة الطلب': prop.select(status) });
+
+  await run({ notion: fake.client, transporter });
+  setStatus('قيد الانتظار');
+  await run({ notion: fake.client, transporter });
+  setStatus('موافقة');
+  await run({ notion: fake.client, transporter });
+  await run({ notion: fake.client, transporter });
+
+  assert.deepEqual(transporter.sent.map(m => m.subject), [
+    'تمت الموافقة على طلب الإجازة',
+    getEmailContent('قيد الانتظار', 'x', LABELS).subject,
+    'تمت الموافقة على طلب الإجازة',
+  ]);
+});
+
+test('a status that failed permanently is sent again when the request comes back to it after another status', async () => {
+  process.env.SEND_MAX_ATTEMPTS = '1';
+  const fake = fakeWith([request('a')]);
+  const failing = createCaptureTransport({ failFor: ['a@example.com'] });
+  const working = createCaptureTransport();
+  const setStatus = (status) => fake.editPage('a', { 'حالة الطلب': prop.select(status) });
+
+  try {
+    const first = await run({ notion: fake.client, transporter: failing });
+    assert.equal(first.permanentFailures.length, 1);
+
+    // الحالة الأخرى تُرسل، والفشل القديم لم يعد يحتاج مراجعة
+    setStatus('مرفوضة');
+    const second = await run({ notion: fake.client, transporter: working });
+    assert.equal(second.permanentFailures.length, 0);
+
+    // العودة للحالة التي فشلت: تغيير جديد بعدّاد محاولات جديد
+    setStatus('موافقة');
+    const third = await run({ notion: fake.client, transporter: working });
+    await run({ notion: fake.client, transporter: working });
+    assert.equal(third.sent, 1);
+    assert.deepEqual(working.sent.map(m => m.subject), ['تم رفض طلب الإجازة', 'تمت الموافقة على طلب الإجازة']);
+  } finally {
+    delete process.env.SEND_MAX_ATTEMPTS;
+  }
+});
@@ -0,0 +1,114 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+beforeEach(fixtures.resetSyncState);
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { syncNotionTables } = require('../sync');
+const { normalizeRules } = require('../auto-approval');
+const { readAuditLog, toCsv } = require('../status-history');
+
+const USERS = { 'user-khalid': { type: 'person', name: 'خالد' } };
+
+function fakeWith(leaveSchema = fixtures.leaveRequestsSchema('select')) {
+  return createFakeNotion({
+    users: USERS,
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [{ id: 'emp-1', properties: { 'الاسم': prop.title('سارة'), 'رقم الهوية': prop.text('1023456781') } }],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: leaveSchema,
+        pages: [{
+          id: 'req-1',
+          properties: {
+            'اسم الموظف': prop.title('سارة'),
+            'رقم الهوية': prop.text('1023456781'),
+            'الموظف': prop.relation('emp-1'),
+            'حالة الطلب': prop.select('قيد الانتظار'),
+          },
+        }],
+      },
+    },
+  });
+}
+
+test('records a status change with its editor on the history property and in the audit log', async () => {
+  const fake = fakeWith();
+  await syncNotionTables({ notion: fake.client, full: true });
+  fake.editPage('req-1', { 'حالة الطلب': prop.select('موافقة') }, 'user-khalid');
+
+  const summary = await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.equal(summary.statusChanges.length, 1);
+  const history = fake.getPage('req-1').properties['سجل الحالة'].rich_text.map(t => t.plain_text).join('');
+  // وقت التغيير الفعلي غير معروف من النسخة المخزنة → يُسجل وقت الرصد
+  assert.match(history, /^رُصد في \S+ \| قيد الانتظار → موافقة \| خالد$/);
+
+  const log = readAuditLog();
+  assert.deepEqual(log.map(e => [e.pageId, e.from, e.to, e.editor, e.source]), [['req-1', 'قيد الانتظار', 'موافقة', 'خالد', 'detected']]);
+});
+
+test('records the sync’s own decisions in the same run and does not detect them again', async () => {
+  const fake = fakeWith();
+  fake.editPage('req-1', { 'تاريخ البداية': prop.date('2026-11-01'), 'تاريخ النهاية': prop.date('2026-11-02') });
+  const autoApproval = { rules: normalizeRules([{ name: 'أي طلب قصير', maxDays: 5, requireNoConflict: false }]) };
+  const before = new Date().toISOString();
+
+  const summary = await syncNotionTables({ notion: fake.client, full: true, autoApproval });
+  await syncNotionTables({ notion: fake.client, full: true, autoApproval });
+
+  assert.equal(summary.statusChanges.length, 1);
+  const history = fake.getPage('req-1').properties['سجل الحالة'].rich_text.map(t => t.plain_text).join('');
+  const [at] = history.split(' | ');
+  assert.ok(at >= before, at);
+  assert.match(history, /^\S+ \| قيد الانتظار → موافقة \| المزامنة \(تلقائي\)$/);
+  assert.deepEqual(readAuditLog().map(e => [e.from, e.to, e.source]), [['قيد الانتظار', 'موافقة', 'sync']]);
+});
+
+test('appends to existing history and records nothing when the status is unchanged', async () => {
+  const fake = fakeWith();
+  await syncNotionTables({ notion: fake.client, full: true });
+  fake.editPage('req-1', { 'حالة الطلب': prop.select('مرفوضة'), 'سجل الحالة': prop.text('سطر قديم') }, 'user-khalid');
+
+  await syncNotionTables({ notion: fake.client, full: true });
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  const history = fake.getPage('req-1').properties['سجل الحالة'].rich_text.map(t => t.plain_text).join('');
+  assert.match(history, /^سطر قديم\n.* \| قيد الانتظار → مرفوضة \| خالد$/);
+  assert.equal(readAuditLog().length, 1);
+});
+
+test('falls back to a child block when there is no history property', async () => {
+  const schema = fixtures.leaveRequestsSchema('select');
+  delete schema['سجل الحالة'];
+  const fake = fakeWith(schema);
+  await syncNotionTables({ notion: fake.client, full: true });
+  fake.editPage('req-1', { 'حالة الطلب': prop.select('موافقة') }, 'user-unknown');
+
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  const [block] = fake.getBlocks('req-1');
+  assert.equal(block.type, 'paragraph');
+  assert.match(block.paragraph.rich_text[0].text.content, /قيد الانتظار → موافقة \| user-unknown$/);
+});
+
+test('dry-run neither writes history nor the audit log', async () => {
+  const fake = fakeWith();
+  await syncNotionTables({ notion: fake.client, full: true });
+  fake.editPage('req-1', { 'حالة الطلب': prop.select('موافقة') }, 'user-khalid');
+  const writesBefore = fake.calls.update.length;
+
+  await syncNotionTables({ notion: fake.client, full: true, dryRun: true });
+
+  assert.equal(fake.calls.update.length, writesBefore);
+  assert.deepEqual(readAuditLog(), []);
+});
+
+test('toCsv quotes values that need it', () => {
+  const csv = toCsv([{ at: '2026-03-01T10:00:00.000Z', source: 'detected', pageId: 'req-1', title: 'سارة, "أ"', from: null, to: 'موافقة', editor: 'خالد' }]);
+  assert.equal(csv, '﻿at,source,pageId,title,from,to,editor,editorId\n2026-03-01T10:00:00.000Z,detected,req-1,"سارة, ""أ""",,موافقة,خالد,\n');
+});
@@ -0,0 +1,159 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+beforeEach(fixtures.resetSyncState);
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { syncNotionTables } = require('../sync');
+const { loadSyncState, saveSyncState, isFullRefreshDue, findAffectedScope } = require('../sync-state');
+
+function employee(id, idNumber, email) {
+  const properties = { 'الاسم': prop.title(id), 'رقم الهوية': prop.text(idNumber) };
+  if (email) properties['البريد الإلكتروني'] = prop.email(email);
+  return { id, properties };
+}
+
+function request(id, { idNumber, employee: employeePageId, status = 'قيد الانتظار', start, end = start, email }) {
+  const properties = {
+    'اسم الموظف': prop.title(id),
+    'الموظف': employeePageId ? prop.relation(employeePageId) : prop.relation(),
+    'حالة الطلب': prop.select(status),
+    'تاريخ البداية': prop.date(start),
+    'تاريخ النهاية': prop.date(end),
+  };
+  if (idNumber) properties['رقم الهوية'] = prop.text(idNumber);
+  if (email) properties['الايميل'] = prop.email(email);
+  return { id, properties };
+}
+
+const SARA_REQUESTS = () => [
+  request('req-1', { idNumber: '1023456781', email: 'sara@example.com', start: '2026-02-01' }),
+  request('req-2', { idNumber: '1023456781', start: '2026-03-01' }),
+  request('req-3', { idNumber: '1023456781', start: '2026-04-05' }),
+];
+
+function fakeWith({
+  clockStart = Date.now(),
+  employees = [employee('emp-1', '1023456781', 'sara@example.com')],
+  requests = SARA_REQUESTS(),
+} = {}) {
+  return createFakeNotion({
+    clockStart,
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: employees },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema('select'), pages: requests },
+    },
+  });
+}
+
+test('stores only the properties the sync needs and encrypts them with SYNC_STATE_KEY', async () => {
+  process.env.SYNC_STATE_KEY = 'state-secret';
+  try {
+    await syncNotionTables({ notion: fakeWith().client, full: true });
+
+    const raw = fs.readFileSync(process.env.SYNC_STATE_FILE, 'utf8');
+    assert.equal(JSON.parse(raw).encrypted, 'aes-256-gcm');
+    assert.ok(!raw.includes('1023456781'));
+
+    const state = loadSyncState();
+    const [employee] = state.employees;
+    assert.equal(employee.properties['رقم الهوية'].rich_text[0].plain_text, '1023456781');
+    assert.equal(employee.properties['البريد الإلكتروني'], undefined);
+    assert.equal(state.leaveRequests.find(p => p.id === 'req-1').properties['الايميل'], undefined);
+    assert.ok(state.lastFullAt);
+
+    // مفتاح خاطئ → مزامنة كاملة بدلاً من الفشل
+    assert.equal(loadSyncState(process.env.SYNC_STATE_FILE, { key: 'wrong' }).checkpoint, null);
+  } finally {
+    delete process.env.SYNC_STATE_KEY;
+  }
+});
+
+test('drops archived pages on incremental runs and deleted pages on the periodic full refresh', async () => {
+  const fake = fakeWith();
+  assert.equal((await syncNotionTables({ notion: fake.client })).total, 3);
+
+  fake.archivePage('req-2');
+  fake.deletePage('req-3');
+  assert.equal((await syncNotionTables({ notion: fake.client })).total, 2);
+
+  // المحذوفة نهائياً لا تظهر في الاستعلام التزايدي؛ تزول عندما يحين وقت المزامنة الكاملة
+  const state = loadSyncState();
+  assert.deepEqual(state.leaveRequests.map(p => p.id), ['req-1', 'req-3']);
+  saveSyncState({ ...state, lastFullAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+
+  assert.equal((await syncNotionTables({ notion: fake.client })).total, 1);
+  assert.deepEqual(loadSyncState().leaveRequests.map(p => p.id), ['req-1']);
+});
+
+test('isFullRefreshDue follows SYNC_FULL_REFRESH_HOURS', () => {
+  const now = Date.parse('2026-03-02T00:00:00Z');
+  const state = { checkpoint: '2026-03-01T23:00:00Z', lastFullAt: '2026-03-01T12:00:00Z' };
+  assert.equal(isFullRefreshDue(state, now, { fullRefreshMs: 24 * 3600000 }), false);
+  assert.equal(isFullRefreshDue(state, now, { fullRefreshMs: 6 * 3600000 }), true);
+  assert.equal(isFullRefreshDue(state, now, { fullRefreshMs: 0 }), false);
+  assert.equal(isFullRefreshDue({ ...state, lastFullAt: null }, now, { fullRefreshMs: 24 * 3600000 }), true);
+  assert.equal(isFullRefreshDue({ checkpoint: null }, now, { fullRefreshMs: 0 }), true);
+});
+
+test('incremental runs only write to the changed requests and what they affect', async () => {
+  // الساعة في الماضي: كتابات المزامنة الكاملة لا تظهر كتعديلات في التشغيل التالي
+  const fake = fakeWith({
+    clockStart: Date.now() - 60 * 60 * 1000,
+    employees: [employee('emp-1', '1023456781'), employee('emp-2', '2023456789')],
+    requests: [
+      request('req-1', { idNumber: '1023456781', status: 'موافقة', start: '2026-02-01' }),
+      request('req-2', { idNumber: '2023456789', status: 'موافقة', start: '2026-06-07' }),
+    ],
+  });
+  await syncNotionTables({ notion: fake.client, full: true });
+  const remaining = (id) => fake.getPage(id).properties['الرصيد المتبقي'].number;
+  assert.deepEqual([remaining('emp-1'), remaining('emp-2')], [20, 20]);
+
+  process.env.ANNUAL_LEAVE_ENTITLEMENT = '10';
+  try {
+    fake.editPage('req-1', { 'تاريخ النهاية': prop.date('2026-02-02') }).last_edited_time = new Date(Date.now() + 60000).toISOString();
+    const summary = await syncNotionTables({ notion: fake.client });
+
+    assert.equal(summary.total, 2);
+    // رصيد موظف الطلب المعدل يُعاد حسابه؛ الموظف الآخر لا يُكتب عليه حتى المزامنة الكاملة التالية
+    assert.deepEqual([remaining('emp-1'), remaining('emp-2')], [8, 20]);
+  } finally {
+    delete process.env.ANNUAL_LEAVE_ENTITLEMENT;
+  }
+});
+
+test('findAffectedScope adds the requests of touched employees and overlapping dates', () => {
+  const fields = {
+    leaveRequests: { employee: 'الموظف', startDate: 'تاريخ البداية', endDate: 'تاريخ النهاية' },
+  };
+  const item = (id, employeePageId, start, end = start) => ({
+    request: request(id, { employee: employeePageId, start, end }),
+    employeePageId,
+  });
+  const linkedRequests = [
+    item('req-changed', 'emp-1', '2026-03-01', '2026-03-05'),
+    item('req-same-employee', 'emp-1', '2026-09-01'),
+    item('req-overlapping', 'emp-2', '2026-03-04'),
+    item('req-old-dates', 'emp-3', '2026-05-10'),
+    item('req-employee-edited', 'emp-4', '2026-12-01'),
+    item('req-untouched', 'emp-5', '2026-07-01'),
+  ];
+  const previousRequests = [request('req-changed', { employee: 'emp-6', start: '2026-05-10' })];
+
+  const scope = findAffectedScope({
+    linkScope: new Set(['req-changed']),
+    changedEmployeeIds: new Set(['emp-4']),
+    linkedRequests,
+    previousRequests,
+    fields,
+  });
+
+  assert.deepEqual([...scope.requestIds].sort(), [
+    'req-changed', 'req-employee-edited', 'req-old-dates', 'req-overlapping', 'req-same-employee',
+  ]);
+  assert.deepEqual([...scope.employeeIds].sort(), ['emp-1', 'emp-4', 'emp-6']);
+});
@@ -0,0 +1,251 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { syncNotionTables, normalizeNumber, extractIdNumber, pickPendingName } = require('../sync');
+
+function employee(id, idNumber, extra = {}) {
+  return { id, properties: { 'الاسم': prop.title(id), 'رقم الهوية': prop.text(idNumber), ...extra } };
+}
+
+function leaveRequest(id, idNumber, extra = {}) {
+  return {
+    id,
+    properties: {
+      'اسم الموظف': prop.title(id),
+      'رقم الهوية': prop.text(idNumber),
+      'الموظف': prop.relation(),
+      'حالة الطلب': prop.select(null),
+      ...extra,
+    },
+  };
+}
+
+function fakeWith({ kind = 'select', options, employees = [], requests = [], maxPageSize } = {}) {
+  return createFakeNotion({
+    maxPageSize,
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: employees },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: fixtures.leaveRequestsSchema(kind, options), pages: requests },
+    },
+  });
+}
+
+// --------------------------------------
+// الأدوات
+// --------------------------------------
+test('normalizeNumber converts Arabic-Indic and Persian digits', () => {
+  assert.equal(normalizeNumber(' ١٠٢٣٤٥٦٧٨٩ '), '1023456789');
+  assert.equal(normalizeNumber('۱۰۲۳'), '1023');
+  assert.equal(normalizeNumber(''), '');
+});
+
+test('extractIdNumber reads the mapped property by type', () => {
+  assert.equal(extractIdNumber({ ID: prop.text('1023456781') }, 'ID'), '1023456781');
+  assert.equal(extractIdNumber({ ID: prop.title('2023456789') }, 'ID'), '2023456789');
+  assert.equal(extractIdNumber({ ID: prop.number(1023456781) }, 'ID'), '1023456781');
+  assert.equal(
+    extractIdNumber({ ID: { type: 'formula', formula: { type: 'string', string: '1111111111' } } }, 'ID'),
+    '1111111111',
+  );
+});
+
+test('extractIdNumber only scans other properties when the fallback is enabled', () => {
+  const properties = { 'ملاحظات': prop.text('الهوية 1023456781 مرفقة') };
+  assert.equal(extractIdNumber(properties, 'رقم الهوية'), null);
+  assert.equal(extractIdNumber(properties, 'رقم الهوية', { allowFallback: true }), '1023456781');
+  assert.equal(extractIdNumber({ 'ملاحظات': prop.text('لا يوجد') }, 'رقم الهوية', { allowFallback: true }), null);
+});
+
+test('pickPendingName prefers an existing pending option', () => {
+  assert.deepEqual(pickPendingName('select', [{ name: 'قيد  الانتظار' }]), { name: 'قيد  الانتظار', exists: true });
+  assert.deepEqual(pickPendingName('select', []), { name: 'قيد الانتظار', exists: false });
+});
+
+test('pickPendingName falls back to the to-do group for status properties', () => {
+  const options = [{ name: 'Done', group: 'complete' }, { name: 'Not started', group: 'to_do' }];
+  assert.deepEqual(pickPendingName('status', options), { name: 'Not started', exists: true });
+  assert.deepEqual(pickPendingName('status', [{ name: 'Done' }]), { name: 'Done', exists: true });
+  assert.deepEqual(pickPendingName('status', []), { name: null, exists: false });
+});
+
+// --------------------------------------
+// المزامنة
+// --------------------------------------
+test('links requests with Arabic-digit IDs and fills an empty select status', async () => {
+  const fake = fakeWith({
+    employees: [employee('emp-1', '١٠٢٣٤٥٦٧٨١')],
+    requests: [leaveRequest('req-1', '1023456781', {
+      'تاريخ البداية': prop.date('2026-01-04'),
+      'تاريخ النهاية': prop.date('2026-01-06'),
+    })],
+  });
+
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  const page = fake.getPage('req-1');
+  assert.deepEqual(page.properties['الموظف'].relation, [{ id: 'emp-1' }]);
+  assert.equal(page.properties['حالة الطلب'].select.name, 'قيد الانتظار');
+  assert.equal(page.properties['عدد الأيام'].number, 3);
+});
+
+test('uses the status schema and paginates through every page', async () => {
+  const requests = [];
+  for (let i = 0; i < 5; i++) requests.push(leaveRequest(`req-${i}`, '1023456781', { 'حالة الطلب': prop.status(null) }));
+  const fake = fakeWith({ kind: 'status', employees: [employee('emp-1', '1023456781')], requests, maxPageSize: 2 });
+
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(fake.getPage(`req-${i}`).properties['حالة الطلب'].status.name, 'قيد الانتظار');
+  }
+});
+
+test('leaves up-to-date requests untouched and only flags unmatched ones', async () => {
+  const fake = fakeWith({
+    employees: [employee('emp-1', '1023456781')],
+    requests: [
+      leaveRequest('req-done', '1023456781', { 'الموظف': prop.relation('emp-1'), 'حالة الطلب': prop.select('موافقة') }),
+      leaveRequest('req-unknown', '1234567897'),
+    ],
+  });
+
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  const touched = fake.calls.update.map(c => c.pageId);
+  assert.ok(!touched.includes('req-done'));
+  assert.deepEqual(fake.calls.update.filter(c => c.pageId === 'req-unknown').map(c => Object.keys(c.properties)), [['سبب عدم الربط']]);
+  assert.deepEqual(fake.getPage('req-unknown').properties['الموظف'].relation, []);
+});
+
+test('a failing page update does not abort the sync', async () => {
+  const fake = fakeWith({
+    employees: [employee('emp-1', '1023456781')],
+    requests: [leaveRequest('req-bad', '1023456781'), leaveRequest('req-good', '1023456781')],
+  });
+  fake.failUpdatesFor('req-bad');
+
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.deepEqual(fake.getPage('req-good').properties['الموظف'].relation, [{ id: 'emp-1' }]);
+  assert.deepEqual(fake.getPage('req-bad').properties['الموظف'].relation, []);
+});
+
+test('dry-run performs no writes', async () => {
+  const fake = fakeWith({
+    employees: [employee('emp-1', '1023456781')],
+    requests: [leaveRequest('req-1', '1023456781')],
+  });
+
+  await syncNotionTables({ notion: fake.client, full: true, dryRun: true });
+
+  assert.equal(fake.calls.update.length, 0);
+});
+
+test('writes a validation issue for malformed IDs and IDs shared by two employees', async () => {
+  const fake = fakeWith({
+    employees: [employee('emp-1', '1023456781'), employee('emp-2', '1023456781'), employee('emp-3', '2023456789')],
+    requests: [
+      leaveRequest('req-bad-checksum', '1023456789'),
+      leaveRequest('req-duplicate', '1023456781'),
+      leaveRequest('req-ok', '2023456789', { 'مشكلة التحقق': prop.text('قديمة') }),
+    ],
+  });
+
+  await syncNotionTables({ notion: fake.client, full: true });
+
+  assert.match(fake.getPage('req-bad-checksum').properties['مشكلة التحقق'].rich_text[0].plain_text, /خانة التحقق/);
+  assert.match(fake.getPage('req-duplicate').properties['مشكلة التحقق'].rich_text[0].plain_text, /أكثر من موظف/);
+  assert.deepEqual(fake.getPage('req-duplicate').properties['الموظف'].relation, []);
+  assert.deepEqual(fake.getPage('req-ok').properties['مشكلة التحقق'].rich_text, []);
+  assert.deepEqual(fake.getPage('req-ok').properties['الموظف'].relation, [{ id: 'emp-3' }]);
+});
+
+test('reports unmatched requests, flags them and emails one digest to HR', async () => {
+  process.env.HR_EMAIL = 'people@example.com';
+  const mail = createCaptureTransport();
+  const fake = fakeWith({
+    employees: [employee('emp-1', '1023456781')],
+    requests: [
+      leaveRequest('req-no-id', ''),
+      leaveRequest('req-unknown', '1234567897'),
+      leaveRequest('req-invalid', '1023456789'),
+      leaveRequest('req-fixed', '1023456781', { 'سبب عدم الربط': prop.text('لا يوجد موظف بهذا الرقم') }),
+    ],
+  });
+
+  try {
+    const summary = await syncNotionTables({ notion: fake.client, full: true, transporter: mail });
+
+    assert.deepEqual(summary.unmatched.map(e => e.requestId), ['req-no-id', 'req-unknown', 'req-invalid']);
+    assert.equal(summary.unmatched[1].idNumber, '1234567897');
+    assert.equal(summary.digestSent, true);
+
+    assert.equal(fake.getPage('req-no-id').properties['سبب عدم الربط'].rich_text[0].plain_text, 'لا يوجد رقم هوية في الطلب');
+    assert.equal(fake.getPage('req-unknown').properties['سبب عدم الربط'].rich_text[0].plain_text, 'لا يوجد موظف بهذا الرقم');
+    assert.deepEqual(fake.getPage('req-fixed').properties['سبب عدم الربط'].rich_text, []);
+
+    assert.equal(mail.sent.length, 1);
+    assert.equal(mail.sent[0].to[0].address, 'people@example.com');
+    assert.match(mail.sent[0].subject, /\(3\)/);
+    assert.match(mail.sent[0].text, /1234567897/);
+
+    // التشغيل التالي لا يعيد إرسال نفس الطلبات؛ طلب جديد غير مرتبط يُرسل وحده
+    await syncNotionTables({ notion: fake.client, full: true, transporter: mail });
+    assert.equal(mail.sent.length, 1);
+
+    fake.addPage(fixtures.LEAVE_REQUESTS_DB, leaveRequest('req-new', '2023456789'));
+    const again = await syncNotionTables({ notion: fake.client, full: true, transporter: mail });
+    assert.equal(again.unmatched.length, 4);
+    assert.equal(mail.sent.length, 2);
+    assert.match(mail.sent[1].subject, /\(1\)/);
+    assert.match(mail.sent[1].text, /2023456789/);
+    assert.match(mail.sent[1].text, /إجمالي الطلبات غير المرتبطة حالياً: 4/);
+  } finally {
+    delete process.env.HR_EMAIL;
+  }
+});
+
+test('reports every request when the relation property is missing', async () => {
+  process.env.HR_EMAIL = 'people@example.com';
+  const mail = createCaptureTransport();
+  const schema = fixtures.leaveRequestsSchema('select');
+  delete schema['الموظف'];
+  const fake = createFakeNotion({
+    databases: {
+      [fixtures.EMPLOYEES_DB]: { properties: fixtures.employeesSchema(), pages: [employee('emp-1', '1023456781')] },
+      [fixtures.LEAVE_REQUESTS_DB]: { properties: schema, pages: [leaveRequest('req-1', '1023456781')] },
+    },
+  });
+
+  try {
+    const summary = await syncNotionTables({ notion: fake.client, full: true, transporter: mail });
+
+    assert.equal(summary.unmatched.length, 1);
+    assert.equal(summary.unmatched[0].reason, 'لا يوجد حقل ربط بالموظفين في القاعدة');
+    assert.equal(mail.sent.length, 1);
+  } finally {
+    delete process.env.HR_EMAIL;
+  }
+});
+
+test('does not email HR when every request is matched', async () => {
+  process.env.HR_EMAIL = 'people@example.com';
+  const mail = createCaptureTransport();
+  const fake = fakeWith({
+    employees: [employee('emp-1', '1023456781')],
+    requests: [leaveRequest('req-1', '1023456781')],
+  });
+
+  try {
+    const summary = await syncNotionTables({ notion: fake.client, full: true, transporter: mail });
+    assert.deepEqual(summary.unmatched, []);
+    assert.equal(mail.sent.length, 0);
+  } finally {
+    delete process.env.HR_EMAIL;
+  }
+});
@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { ConfigError } = require('../config');
+const { loadTenants, runForTenants, TenantsConfigError } = require('../tenants');
+const { syncNotionTables } = require('../sync');
+const { main } = require('../cli');
+
+const stateDir = path.join(tmpDir, 'tenants-state');
+
+function writeTenants(name, tenants) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, JSON.stringify({ tenants }));
+  return file;
+}
+
+function tenant(id, extra = {}) {
+  return { id, notionToken: `token-${id}`, employeesDbId: `${id}-employees`, leaveRequestsDbId: `${id}-requests`, ...extra };
+}
+
+// قاعدتان لكل مستأجر بمعرّفات مختلفة
+function fakeFor(id, idNumber) {
+  return createFakeNotion({
+    databases: {
+      [`${id}-employees`]: {
+        properties: fixtures.employeesSchema(),
+        pages: [{ id: `${id}-emp`, properties: { 'الاسم': prop.title(id), 'رقم الهوية': prop.text(idNumber) } }],
+      },
+      [`${id}-requests`]: {
+        properties: fixtures.leaveRequestsSchema('select'),
+        pages: [{ id: `${id}-req`, properties: { 'اسم الموظف': prop.title('طلب'), 'رقم الهوية': prop.text(idNumber), 'حالة الطلب': prop.select(null) } }],
+      },
+    },
+  });
+}
+
+function createStream() {
+  const chunks = [];
+  return { write: (chunk) => chunks.push(String(chunk)), lines: () => chunks.join('').split('\n').filter(Boolean) };
+}
+
+test('loadTenants expands secrets from the environment and isolates state files per tenant', () => {
+  process.env.SUB_NOTION_TOKEN = 'secret-sub';
+  try {
+    const file = writeTenants('tenants.json', [
+      tenant('main', { name: 'الشركة الأم', env: { HR_EMAIL: 'hr@main.example.com' } }),
+      tenant('sub', { notionToken: '${SUB_NOTION_TOKEN}', fieldMapping: 'mappings/sub.json', env: { MAIL_USER: 'sub@example.com' } }),
+    ]);
+    const [main, sub] = loadTenants(file, { stateDir });
+
+    assert.equal(main.name, 'الشركة الأم');
+    assert.equal(main.env.NOTION_TOKEN, 'token-main');
+    assert.equal(main.env.DATABASE_ID_LEAVE_REQUESTS, 'main-requests');
+    assert.equal(main.env.HR_EMAIL, 'hr@main.example.com');
+    assert.equal(main.env.SYNC_STATE_FILE, path.join(stateDir, 'main', '.sync-state.json'));
+    assert.equal(sub.env.NOTION_TOKEN, 'secret-sub');
+    assert.equal(sub.env.FIELD_MAPPING_FILE, path.join(tmpDir, 'mappings', 'sub.json'));
+    assert.equal(sub.env.SEND_LEDGER_FILE, path.join(stateDir, 'sub', '.send-ledger.json'));
+  } finally {
+    delete process.env.SUB_NOTION_TOKEN;
+  }
+});
+
+test('loadTenants reports every problem in the file at once', () => {
+  const file = writeTenants('bad-tenants.json', [
+    tenant('a'),
+    tenant('a'),
+    tenant('b', { leaveRequestsDbId: '', notionToken: '${UNDEFINED_TENANT_TOKEN}' }),
+    { name: 'بدون معرّف' },
+  ]);
+  assert.throws(() => loadTenants(file, { stateDir }), (error) => {
+    assert.ok(error instanceof TenantsConfigError);
+    assert.equal(error.problems.length, 8);
+    assert.match(error.message, /a: المعرّف مكرر/);
+    assert.match(error.message, /b: متغيرات بيئة غير معرّفة: UNDEFINED_TENANT_TOKEN/);
+    return true;
+  });
+  assert.throws(() => loadTenants(writeTenants('empty.json', [])), TenantsConfigError);
+});
+
+test('runs the sync for each tenant in isolation and keeps going after a failure', async () => {
+  const file = writeTenants('sync-tenants.json', [tenant('alpha'), tenant('beta'), tenant('gamma')]);
+  const tenants = loadTenants(file, { stateDir });
+  const fakes = { alpha: fakeFor('alpha', '1023456781'), beta: fakeFor('beta', '2023456789') };
+  const seen = [];
+  const originalStateFile = process.env.SYNC_STATE_FILE;
+
+  const summary = await runForTenants({
+    tenants,
+    createTransport: () => createCaptureTransport(),
+    task: async (t, { transporter }) => {
+      seen.push([t.id, process.env.DATABASE_ID_EMPLOYEES, !!transporter]);
+      if (t.id === 'gamma') throw new ConfigError(['DATABASE_ID_REPORTS']);
+      // بدون options.employeesDbId: المعرّفات تأتي من بيئة المستأجر
+      return syncNotionTables({ notion: fakes[t.id].client, full: true });
+    },
+  });
+
+  assert.deepEqual(seen, [['alpha', 'alpha-employees', true], ['beta', 'beta-employees', true], ['gamma', 'gamma-employees', true]]);
+  assert.deepEqual(fakes.alpha.getPage('alpha-req').properties['الموظف'].relation, [{ id: 'alpha-emp' }]);
+  assert.deepEqual(fakes.beta.getPage('beta-req').properties['الموظف'].relation, [{ id: 'beta-emp' }]);
+  assert.ok(fs.existsSync(path.join(stateDir, 'alpha', '.sync-state.json')));
+  assert.ok(fs.existsSync(path.join(stateDir, 'beta', '.sync-state.json')));
+
+  assert.equal(summary.ok, false);
+  assert.deepEqual(summary.tenants.map(t => [t.id, t.ok, t.exitCode]), [['alpha', true, 0], ['beta', true, 0], ['gamma', false, 2]]);
+  assert.equal(summary.tenants[0].result.total, 1);
+
+  // البيئة تعود كما كانت بعد كل مستأجر
+  assert.equal(process.env.SYNC_STATE_FILE, originalStateFile);
+  assert.equal(process.env.DATABASE_ID_EMPLOYEES, fixtures.EMPLOYEES_DB);
+});
+
+test('the CLI runs per-tenant commands with a per-tenant summary and the highest exit code', async () => {
+  process.env.TENANTS_FILE = writeTenants('cli-tenants.json', [tenant('one'), tenant('two')]);
+  process.env.TENANTS_STATE_DIR = stateDir;
+  try {
+    const commands = {
+      sync: {
+        description: 'test',
+        perTenant: true,
+        run: async () => {
+          if (process.env.DATABASE_ID_EMPLOYEES === 'two-employees') throw new Error('Notion down');
+          return { updated: 3 };
+        },
+      },
+      other: { description: 'test', run: async () => ({ db: process.env.DATABASE_ID_EMPLOYEES }) },
+    };
+
+    const out = createStream();
+    assert.equal(await main(['sync', '--json'], { commands, stdout: out, stderr: out, summaryFile: null }), 1);
+    const summary = out.lines().map(line => JSON.parse(line)).find(r => r.event === 'summary');
+    assert.equal(summary.ok, false);
+    assert.deepEqual([summary.result.tenants, summary.result.failed, summary.result.one], [2, 1, 'ok']);
+    assert.match(summary.result.two, /Notion down \(1\)/);
+
+    const single = createStream();
+    assert.equal(await main(['sync', '--tenant', 'one', '--json'], { commands, stdout: single, stderr: single, summaryFile: null }), 0);
+    assert.equal(single.lines().map(line => JSON.parse(line)).find(r => r.event === 'summary').result.tenants, 1);
+
+    const unknown = createStream();
+    assert.equal(await main(['sync', '--tenant', 'nope'], { commands, stdout: unknown, stderr: unknown, summaryFile: null }), 2);
+
+    // الأوامر غير المعلّمة تعمل مرة واحدة ببيئة التشغيل
+    const other = createStream();
+    assert.equal(await main(['other', '--json'], { commands, stdout: other, stderr: other, summaryFile: null }), 0);
+    assert.equal(other.lines().map(line => JSON.parse(line)).find(r => r.event === 'summary').result.db, fixtures.EMPLOYEES_DB);
+  } finally {
+    delete process.env.TENANTS_FILE;
+    delete process.env.TENANTS_STATE_DIR;
+  }
+});
@@ -0,0 +1,159 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const fixtures = require('./helpers/fixtures');
+fixtures.setupEnv();
+beforeEach(() => {
+  fixtures.resetSyncState();
+  fixtures.resetSendLedger();
+});
+
+const { createFakeNotion, prop } = require('./helpers/fake-notion');
+const { createCaptureTransport } = require('./helpers/mail-capture');
+const { createWatcher, verifySignature } = require('../watch');
+
+const SETTINGS = { intervalMs: 60 * 60 * 1000, port: 0, fullEmailEveryMs: 24 * 60 * 60 * 1000, webhookSecret: '', maxBodyBytes: 1024 };
+
+function request(port, method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: raw ? JSON.parse(raw) : null }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function fakeWith() {
+  return createFakeNotion({
+    clockStart: Date.now(),
+    databases: {
+      [fixtures.EMPLOYEES_DB]: {
+        properties: fixtures.employeesSchema(),
+        pages: [{ id: 'emp-1', properties: { 'الاسم': prop.title('سارة'), 'رقم الهوية': prop.text('1023456781') } }],
+      },
+      [fixtures.LEAVE_REQUESTS_DB]: {
+        properties: fixtures.leaveRequestsSchema('select'),
+        pages: [{
+          id: 'req-1',
+          properties: {
+            'اسم الموظف': prop.title('سارة'),
+            'رقم الهوية': prop.text('1023456781'),
+            'حالة الطلب': prop.select('موافقة'),
+            'الايميل': prop.email('sara@example.com'),
+          },
+        }],
+      },
+    },
+  });
+}
+
+test('verifySignature checks the Notion HMAC only when a secret is set', () => {
+  const body = '{"type":"page.properties_updated"}';
+  const signature = `sha256=${crypto.createHmac('sha256', 'secret').update(body).digest('hex')}`;
+
+  assert.equal(verifySignature(body, undefined, ''), true);
+  assert.equal(verifySignature(body, signature, 'secret'), true);
+  assert.equal(verifySignature(body, 'sha256=bad', 'secret'), false);
+  assert.equal(verifySignature(body, undefined, 'secret'), false);
+});
+
+test('links and emails on start, then reacts to a webhook event for changed pages only', async () => {
+  const fake = fakeWith();
+  const transporter = createCaptureTransport();
+  const watcher = createWatcher({ options: { notion: fake.client, transporter }, settings: SETTINGS });
+
+  const port = await watcher.start();
+  try {
+    assert.deepEqual(fake.getPage('req-1').properties['الموظف'].relation, [{ id: 'emp-1' }]);
+    assert.equal(transporter.sent.length, 1);
+
+    const health = await request(port, 'GET', '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+    assert.equal(health.body.cycles, 1);
+
+    fake.editPage('req-1', { 'حالة الطلب': prop.select('مرفوضة') });
+    const queryCalls = fake.calls.query;
+    const hook = await request(port, 'POST', '/webhook', JSON.stringify({ type: 'page.properties_updated', entity: { id: 'req-1' } }));
+    assert.equal(hook.status, 202);
+    await watcher.idle();
+
+    assert.equal(transporter.sent.length, 2);
+    assert.equal(transporter.sent[1].subject, 'تم رفض طلب الإجازة');
+    assert.ok(fake.calls.query > queryCalls);
+    assert.equal(watcher.getHealth().cycles, 2);
+  } finally {
+    await watcher.stop();
+  }
+});
+
+test('answers the subscription handshake and rejects bad signatures', async () => {
+  const watcher = createWatcher({
+    sync: async () => ({ updated: 0 }),
+    emails: async () => ({ sent: 0 }),
+    settings: { ...SETTINGS, webhookSecret: 'secret' },
+  });
+
+  const port = await watcher.start();
+  try {
+    const body = JSON.stringify({ verification_token: 'secret' });
+    const signature = `sha256=${crypto.createHmac('sha256', 'secret').update(body).digest('hex')}`;
+
+    assert.equal((await request(port, 'POST', '/webhook', body, { 'x-notion-signature': signature })).status, 200);
+    assert.equal((await request(port, 'POST', '/webhook', body, { 'x-notion-signature': 'sha256=bad' })).status, 401);
+    assert.equal((await request(port, 'GET', '/nope')).status, 404);
+    assert.equal((await request(port, 'POST', '/webhook', 'x'.repeat(2048))).status, 413);
+  } finally {
+    await watcher.stop();
+  }
+});
+
+test('health turns degraded when the last cycle failed', async () => {
+  const watcher = createWatcher({
+    sync: async () => { throw new Error('Notion down'); },
+    emails: async () => ({ sent: 0 }),
+    settings: SETTINGS,
+  });
+
+  const port = await watcher.start();
+  try {
+    const health = await request(port, 'GET', '/health');
+    assert.equal(health.status, 503);
+    assert.equal(health.body.status, 'degraded');
+    assert.equal(health.body.lastCycle.error, 'Notion down');
+  } finally {
+    await watcher.stop();
+  }
+});
+
+test('webhook cycles do not repeat the unmatched digest', async () => {
+  process.env.HR_EMAIL = 'people@example.com';
+  const fake = fakeWith();
+  fake.addPage(fixtures.LEAVE_REQUESTS_DB, {
+    id: 'req-orphan',
+    properties: { 'اسم الموظف': prop.title('مجهول'), 'رقم الهوية': prop.text('1234567897'), 'حالة الطلب': prop.select('قيد الانتظار') },
+  });
+  const transporter = createCaptureTransport();
+  const watcher = createWatcher({ options: { notion: fake.client, transporter }, settings: SETTINGS });
+  const digests = () => transporter.sent.filter(m => m.to[0].address === 'people@example.com').length;
+
+  await watcher.start();
+  try {
+    assert.equal(digests(), 1);
+
+    fake.editPage('req-1', { 'حالة الطلب': prop.select('مرفوضة') });
+    await watcher.triggerNow();
+    await watcher.triggerNow();
+
+    assert.equal(digests(), 1);
+    assert.equal(watcher.getHealth().cycles, 3);
+  } finally {
+    await watcher.stop();
+    delete process.env.HR_EMAIL;
+  }
+});
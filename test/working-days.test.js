@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const fixtures = require('./helpers/fixtures');
+const tmpDir = fixtures.setupEnv();
+
+const {
+  parseDate,
+  parseWeekendDays,
+  parseIcsHolidays,
+  loadHolidayEntries,
+  createWorkCalendar,
+  countLeaveDays,
+} = require('../working-days');
+
+const d = parseDate;
+
+test('parseWeekendDays accepts day numbers and names', () => {
+  assert.deepEqual([...parseWeekendDays('5,6')], [5, 6]);
+  assert.deepEqual([...parseWeekendDays('Fri, saturday')], [5, 6]);
+  assert.deepEqual([...parseWeekendDays('')], [5, 6]);
+  assert.deepEqual([...parseWeekendDays('sun')], [0]);
+});
+
+test('counts a week across the weekend and a recurring holiday, with half days', () => {
+  // الأحد 2026-09-20 → السبت 2026-09-26، والأربعاء 09-23 اليوم الوطني
+  const calendar = createWorkCalendar({ weekendDays: 'fri,sat', holidayEntries: [{ recurring: '09-23', days: 1 }] });
+
+  assert.equal(calendar.countWorkingDays(d('2026-09-20'), d('2026-09-26')), 4);
+  assert.equal(calendar.isHoliday(d('2027-09-23')), true);
+  assert.equal(calendar.countWorkingDays(d('2026-09-20'), d('2026-09-24'), { halfDayStart: true, halfDayEnd: true }), 3);
+  // نصف اليوم لا يُخصم من يوم عطلة
+  assert.equal(calendar.countWorkingDays(d('2026-09-20'), d('2026-09-26'), { halfDayEnd: true }), 4);
+  assert.equal(calendar.countWorkingDays(d('2026-09-21'), d('2026-09-21'), { halfDayStart: true, halfDayEnd: true }), 0.5);
+  assert.equal(calendar.countWorkingDays(d('2026-09-24'), d('2026-09-20')), 0);
+});
+
+test('honours a custom weekend', () => {
+  const calendar = createWorkCalendar({ weekendDays: 'sun' });
+  assert.equal(calendar.countWorkingDays(d('2026-09-20'), d('2026-09-26')), 6);
+});
+
+test('expands Hijri holidays to Gregorian dates (Umm al-Qura)', () => {
+  // عيد الفطر 1447 = 2026-03-20 لأربعة أيام؛ الخميس 03-19 → الأربعاء 03-25
+  const calendar = createWorkCalendar({ weekendDays: 'fri,sat', holidayEntries: [{ hijri: '10-01', days: 4 }] });
+
+  assert.equal(calendar.isHoliday(d('2026-03-23')), true);
+  assert.equal(calendar.isHoliday(d('2026-03-24')), false);
+  assert.equal(calendar.countWorkingDays(d('2026-03-19'), d('2026-03-25')), 3);
+});
+
+test('loads holidays from JSON and ICS files (DTEND is exclusive)', () => {
+  const json = path.join(tmpDir, 'holidays-test.json');
+  fs.writeFileSync(json, JSON.stringify({ holidays: [{ start: '2026-09-21', end: '2026-09-22', name: 'إجازة' }] }));
+  assert.deepEqual(loadHolidayEntries(json), [{ start: '2026-09-21', end: '2026-09-22', name: 'إجازة' }]);
+
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260921',
+    'DTEND;VALUE=DATE:20260923',
+    'SUMMARY:إجازة',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  assert.deepEqual(parseIcsHolidays(ics), [{ start: '2026-09-21', end: '2026-09-22', name: 'إجازة' }]);
+
+  const file = path.join(tmpDir, 'holidays-test.ics');
+  fs.writeFileSync(file, ics);
+  const calendar = createWorkCalendar({ weekendDays: 'fri,sat', holidayEntries: loadHolidayEntries(file) });
+  assert.equal(calendar.countWorkingDays(d('2026-09-20'), d('2026-09-24')), 3);
+
+  assert.deepEqual(loadHolidayEntries(path.join(tmpDir, 'missing.ics')), []);
+});
+
+test('countLeaveDays splits a request across years and keeps half days on the real ends only', () => {
+  const calendar = createWorkCalendar({ weekendDays: 'fri,sat' });
+  // الأربعاء 2026-12-30 → الإثنين 2027-01-04
+  const dates = { start: d('2026-12-30'), end: d('2027-01-04'), halfDayStart: true, halfDayEnd: true };
+
+  assert.equal(countLeaveDays(dates, calendar), 3);
+  assert.equal(countLeaveDays(dates, calendar, 2026), 1.5);
+  assert.equal(countLeaveDays(dates, calendar, 2027), 1.5);
+});
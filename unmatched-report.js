@@ -0,0 +1,130 @@
+// unmatched-report.js
+// تقرير طلبات الإجازة التي تعذّر ربطها بموظف: يُكتب سببه على الطلب ويُرسل ملخصه لإدارة الموارد البشرية
+
+const { readText } = require('./field-mapping');
+
+const REASONS = {
+  MISSING_ID: 'لا يوجد رقم هوية في الطلب',
+  INVALID_ID: 'رقم الهوية غير صالح أو مكرر',
+  UNKNOWN_ID: 'لا يوجد موظف بهذا الرقم',
+  NO_RELATION_PROP: 'لا يوجد حقل ربط بالموظفين في القاعدة',
+};
+
+// --------------------------------------
+// جمع الحالات
+// --------------------------------------
+function pageTitle(page) {
+  for (const prop of Object.values(page.properties || {})) {
+    if (prop.type === 'title') return (prop.title || []).map(t => t.plain_text).join(' ').trim();
+  }
+  return '';
+}
+
+function createUnmatchedReport() {
+  const entries = [];
+
+  return {
+    entries,
+    add(request, reason, idNumber = null) {
+      entries.push({
+        requestId: request.id,
+        title: pageTitle(request),
+        url: request.url || null,
+        idNumber,
+        reason,
+      });
+    },
+    has(requestId) {
+      return entries.some(e => e.requestId === requestId);
+    },
+    // { [reason]: count }
+    countByReason() {
+      const counts = {};
+      for (const e of entries) counts[e.reason] = (counts[e.reason] || 0) + 1;
+      return counts;
+    },
+  };
+}
+
+// --------------------------------------
+// الكتابة على الطلبات: السبب للطلبات غير المرتبطة، ومسحه عن الطلبات التي تم ربطها
+// --------------------------------------
+async function writeUnmatchedReasons({ gateway, requests, report, propName }) {
+  if (!propName) {
+    console.warn('⚠️ لا يوجد حقل "سبب عدم الربط" في طلبات الإجازة. لن يُكتب السبب على الطلبات.');
+    return 0;
+  }
+
+  const reasons = new Map(report.entries.map(e => [e.requestId, e.reason]));
+  let written = 0;
+
+  await Promise.all(requests.map(async (request) => {
+    const desired = reasons.get(request.id) || '';
+    if (readText(request, propName) === desired) return;
+
+    try {
+      await gateway.updatePage(request.id, {
+        [propName]: { rich_text: desired ? [{ type: 'text', text: { content: desired } }] : [] },
+      });
+      written++;
+    } catch (error) {
+      console.error(`❌ فشل كتابة سبب عدم الربط على الطلب ${request.id}:`, error.message);
+    }
+  }));
+
+  return written;
+}
+
+// --------------------------------------
+// ملخص البريد لإدارة الموارد البشرية
+// --------------------------------------
+// الطلبات الجديدة في التقرير أو التي تغيّر سببها منذ آخر تشغيل: السبب المكتوب على الطلب
+// (قبل كتابة هذا التشغيل) هو ما أُبلغت به HR سابقاً. بدون حقل السبب لا يمكن التمييز فتُرسل كلها
+function findNewEntries({ entries, requests, propName }) {
+  if (!propName) return entries;
+  const byId = new Map(requests.map(request => [request.id, request]));
+  return entries.filter(e => readText(byId.get(e.requestId), propName) !== e.reason);
+}
+
+// total: عدد كل الطلبات غير المرتبطة حالياً (entries الجديدة منها فقط)
+function buildDigest(entries, total = entries.length) {
+  const lines = entries.map((e, i) => {
+    const parts = [`${i + 1}) ${e.title || '(بدون اسم)'}`, `السبب: ${e.reason}`];
+    if (e.idNumber) parts.push(`رقم الهوية: ${e.idNumber}`);
+    parts.push(e.url || e.requestId);
+    return parts.join(' — ');
+  });
+
+  return {
+    subject: `طلبات إجازة غير مرتبطة بموظف (${entries.length})`,
+    text:
+`مرحباً،
+
+تعذّر ربط الطلبات التالية بموظف أثناء المزامنة الأخيرة، وتحتاج مراجعة يدوية:
+
+${lines.join('\n')}
+${total > entries.length ? `\n(إجمالي الطلبات غير المرتبطة حالياً: ${total}، والبقية أُرسلت في ملخصات سابقة)\n` : ''}
+مع التحية،`,
+  };
+}
+
+// deliver: دالة الإرسال (sendEmail أو مسجّل وضع التجربة)
+// entries: الطلبات الجديدة فقط (findNewEntries) حتى لا يتكرر نفس الملخص في كل تشغيل
+async function sendUnmatchedDigest({ entries, total = entries.length, to = process.env.HR_EMAIL, deliver }) {
+  if (entries.length === 0) return false;
+  if (!to) {
+    console.warn('⚠️ HR_EMAIL غير مضبوط؛ لن يتم إرسال ملخص الطلبات غير المرتبطة.');
+    return false;
+  }
+  const { subject, text } = buildDigest(entries, total);
+  return (await deliver({ to, subject, text })).ok;
+}
+
+module.exports = {
+  REASONS,
+  createUnmatchedReport,
+  writeUnmatchedReasons,
+  findNewEntries,
+  buildDigest,
+  sendUnmatchedDigest,
+};
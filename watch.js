@@ -0,0 +1,224 @@
+// watch.js
+// وضع الخدمة: دورة (ربط الطلبات + الإيميلات) كل WATCH_INTERVAL_SECONDS للصفحات المعدلة فقط،
+// أو فوراً عند وصول حدث webhook من Notion، مع نقطة /health لمراقبة الخدمة
+
+const crypto = require('crypto');
+const http = require('http');
+
+// WATCH_INTERVAL_SECONDS: الفاصل بين دورات الاستطلاع (polling)
+// WATCH_PORT: منفذ /health و /webhook (0 = منفذ عشوائي، للاختبارات)
+// WATCH_FULL_EMAIL_HOURS: كل كم ساعة تُفحص كل الطلبات للإيميلات (للتذكير والتصعيد وإعادة المحاولة)
+// NOTION_WEBHOOK_SECRET: verification_token لاشتراك الـ webhook للتحقق من X-Notion-Signature
+// WATCH_MAX_BODY_KB: أقصى حجم لجسم طلب الـ webhook (أحداث Notion صغيرة؛ الأكبر يُرفض بـ 413)
+function getWatchSettings() {
+  return {
+    intervalMs: Number(process.env.WATCH_INTERVAL_SECONDS || 60) * 1000,
+    port: Number(process.env.WATCH_PORT ?? 8080),
+    fullEmailEveryMs: Number(process.env.WATCH_FULL_EMAIL_HOURS || 24) * 60 * 60 * 1000,
+    webhookSecret: process.env.NOTION_WEBHOOK_SECRET || '',
+    maxBodyBytes: Number(process.env.WATCH_MAX_BODY_KB || 64) * 1024,
+  };
+}
+
+// --------------------------------------
+// webhook من Notion
+// --------------------------------------
+function verifySignature(rawBody, signature, secret) {
+  if (!secret) return true;
+  if (!signature) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// تُرجع null إذا تجاوز الجسم maxBytes (يتوقف التخزين فوراً ولا يُقرأ الباقي)
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) return resolve(null);
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners('data');
+        req.pause();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// close: إغلاق الاتصال بعد الرد (مثلاً عند رفض جسم كبير لم يُقرأ)
+function sendJson(res, status, body, { close = false } = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...(close ? { Connection: 'close' } : {}) });
+  res.end(JSON.stringify(body));
+}
+
+// --------------------------------------
+// المراقب
+// --------------------------------------
+// sync / emails: دوال الدورة (افتراضياً syncNotionTables و run) — تُستبدل في الاختبارات
+function createWatcher({
+  sync = (opts) => require('./sync').syncNotionTables(opts),
+  emails = (opts) => require('./send-status-emails').run(opts),
+  options = {},
+  settings = getWatchSettings(),
+} = {}) {
+  const startedAt = new Date();
+  const health = { cycles: 0, failures: 0, lastCycle: null, lastWebhookAt: null };
+  let timer = null;
+  let server = null;
+  let running = null;     // Promise الدورة الحالية
+  let rerun = false;      // حدث وصل أثناء دورة → دورة إضافية بعدها
+  let emailsSince = null; // بداية الدورة السابقة
+  let lastFullEmailAt = 0;
+  let stopped = false;
+
+  async function cycle() {
+    const cycleStartedAt = new Date();
+    const full = !emailsSince || cycleStartedAt - lastFullEmailAt >= settings.fullEmailEveryMs;
+    const entry = { startedAt: cycleStartedAt.toISOString(), finishedAt: null, ok: false, error: null };
+
+    try {
+      const syncSummary = await sync({ ...options, full: health.cycles === 0 && !!options.full });
+      const emailSummary = await emails({ ...options, since: full ? null : emailsSince });
+      emailsSince = cycleStartedAt.toISOString();
+      if (full) lastFullEmailAt = cycleStartedAt.getTime();
+      Object.assign(entry, {
+        ok: true,
+        fullEmailScan: full,
+        linked: syncSummary ? syncSummary.updated : null,
+        emailsSent: emailSummary ? emailSummary.sent : null,
+      });
+    } catch (error) {
+      health.failures++;
+      entry.error = error.message;
+      console.error('❌ فشلت دورة المراقبة:', error.message);
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      health.cycles++;
+      health.lastCycle = entry;
+    }
+    return entry;
+  }
+
+  // لا تتداخل الدورات: طلب أثناء دورة يؤجَّل لدورة واحدة بعدها
+  function triggerNow() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      let result;
+      do {
+        rerun = false;
+        result = await cycle();
+      } while (rerun && !stopped);
+      running = null;
+      return result;
+    })();
+    return running;
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      await triggerNow();
+      schedule();
+    }, settings.intervalMs);
+  }
+
+  // الخدمة "سليمة" إذا نجحت آخر دورة ولم تتأخر عن 3 فواصل
+  function getHealth() {
+    const last = health.lastCycle;
+    const staleAfterMs = settings.intervalMs * 3;
+    const stale = !last || Date.now() - Date.parse(last.finishedAt) > staleAfterMs;
+    const ok = !!last && last.ok && !stale;
+    return {
+      status: ok ? 'ok' : 'degraded',
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      intervalSeconds: settings.intervalMs / 1000,
+      running: !!running,
+      ...health,
+    };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      const body = getHealth();
+      return sendJson(res, body.status === 'ok' ? 200 : 503, body);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/webhook') {
+      const raw = await readBody(req, settings.maxBodyBytes);
+      if (raw === null) return sendJson(res, 413, { error: 'payload too large' }, { close: true });
+      if (!verifySignature(raw, req.headers['x-notion-signature'], settings.webhookSecret)) {
+        return sendJson(res, 401, { error: 'invalid signature' });
+      }
+
+      let event = {};
+      try {
+        event = raw ? JSON.parse(raw) : {};
+      } catch {
+        return sendJson(res, 400, { error: 'invalid json' });
+      }
+
+      // أول طلب عند إنشاء الاشتراك يحمل verification_token فقط
+      if (event.verification_token) {
+        console.log(`🔑 رمز التحقق لاشتراك webhook في Notion: ${event.verification_token}`);
+        return sendJson(res, 200, { ok: true });
+      }
+
+      health.lastWebhookAt = new Date().toISOString();
+      console.log(`🔔 حدث من Notion: ${event.type || 'غير معروف'} ${event.entity ? event.entity.id : ''}`);
+      triggerNow();
+      return sendJson(res, 202, { ok: true, queued: true });
+    }
+
+    return sendJson(res, 404, { error: 'not found' });
+  }
+
+  async function start() {
+    server = http.createServer((req, res) => {
+      handle(req, res).catch((error) => sendJson(res, 500, { error: error.message }));
+    });
+    await new Promise(resolve => server.listen(settings.port, resolve));
+    console.log(`👀 وضع المراقبة: كل ${settings.intervalMs / 1000} ث — /health و /webhook على المنفذ ${server.address().port}`);
+
+    await triggerNow();
+    schedule();
+    return server.address().port;
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    if (running) await running;
+    if (server) await new Promise(resolve => server.close(resolve));
+  }
+
+  // للاختبارات: انتظار انتهاء الدورة الحالية (إن وُجدت)
+  function idle() {
+    return running || Promise.resolve(null);
+  }
+
+  return { start, stop, triggerNow, idle, getHealth };
+}
+
+module.exports = {
+  getWatchSettings,
+  verifySignature,
+  createWatcher,
+};
+
+if (require.main === module) {
+  require('./cli').runCli(['watch', ...process.argv.slice(2)]);
+}
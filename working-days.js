@@ -0,0 +1,253 @@
+// working-days.js
+// حساب أيام العمل لطلب الإجازة: عطلة نهاية أسبوع قابلة للضبط + تقويم العطل الرسمية + أنصاف الأيام
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HOLIDAYS_FILE = path.join(__dirname, 'holidays.json');
+const DAY_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// --------------------------------------
+// أدوات التواريخ (كلها UTC لتجنب مشاكل المنطقة الزمنية)
+// --------------------------------------
+function parseDate(s) {
+  if (!s) return null;
+  const d = new Date(`${String(s).slice(0, 10)}T00:00:00Z`);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function toDateKey(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(d, n) {
+  const r = new Date(d.getTime());
+  r.setUTCDate(r.getUTCDate() + n);
+  return r;
+}
+
+// "5,6" أو "fri,sat" → Set من أرقام الأيام (0 = الأحد)
+function parseWeekendDays(value) {
+  const raw = String(value || 'fri,sat').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const days = new Set();
+  for (const item of raw) {
+    if (/^[0-6]$/.test(item)) days.add(Number(item));
+    else if (DAY_NAMES[item.slice(0, 3)] !== undefined) days.add(DAY_NAMES[item.slice(0, 3)]);
+    else console.warn(`⚠️ يوم عطلة غير معروف في LEAVE_WEEKEND_DAYS: ${item}`);
+  }
+  return days;
+}
+
+// --------------------------------------
+// التقويم الهجري (أم القرى) عبر Intl بدون مكتبات إضافية
+// --------------------------------------
+const hijriFormatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+  timeZone: 'UTC',
+  day: 'numeric',
+  month: 'numeric',
+});
+
+function toHijriMonthDay(d) {
+  const parts = hijriFormatter.formatToParts(d);
+  const month = Number(parts.find(p => p.type === 'month').value);
+  const day = Number(parts.find(p => p.type === 'day').value);
+  return { month, day };
+}
+
+// كل التواريخ الميلادية في سنة معيّنة التي توافق يوم/شهر هجري (قد تتكرر مرتين في السنة)
+function hijriToGregorianInYear(hMonth, hDay, year) {
+  const hits = [];
+  for (let d = new Date(Date.UTC(year, 0, 1)); d.getUTCFullYear() === year; d = addDays(d, 1)) {
+    const h = toHijriMonthDay(d);
+    if (h.month === hMonth && h.day === hDay) hits.push(new Date(d.getTime()));
+  }
+  return hits;
+}
+
+// --------------------------------------
+// تحميل ملف العطل (JSON أو ICS)
+// --------------------------------------
+// صيغة JSON: مصفوفة عناصر، كل عنصر أحد الأشكال التالية:
+//   { "date": "2026-09-23", "name": "..." }                  يوم محدد
+//   { "start": "2026-03-19", "end": "2026-03-23" }           فترة محددة
+//   { "recurring": "09-23", "days": 1 }                      تاريخ ميلادي يتكرر سنوياً
+//   { "hijri": "10-01", "days": 4, "name": "عيد الفطر" }     تاريخ هجري يتكرر سنوياً
+function parseJsonHolidays(content) {
+  const data = JSON.parse(content);
+  return Array.isArray(data) ? data : (data.holidays || []);
+}
+
+// يدعم VEVENT بـ DTSTART/DTEND (DTEND حصري حسب RFC 5545)
+function parseIcsHolidays(content) {
+  const entries = [];
+  const unfolded = content.replace(/\r?\n[ \t]/g, '');
+  const events = unfolded.split('BEGIN:VEVENT').slice(1);
+
+  for (const ev of events) {
+    const start = ev.match(/^DTSTART[^:\n]*:(\d{8})/m);
+    if (!start) continue;
+    const end = ev.match(/^DTEND[^:\n]*:(\d{8})/m);
+    const summary = ev.match(/^SUMMARY[^:\n]*:(.*)$/m);
+    const fmt = s => `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+
+    const entry = { start: fmt(start[1]), name: summary ? summary[1].trim() : '' };
+    entry.end = end ? toDateKey(addDays(parseDate(fmt(end[1])), -1)) : entry.start;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+function loadHolidayEntries(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(`⚠️ ملف العطل غير موجود: ${filePath} (سيتم الحساب بدون عطل رسمية)`);
+    return [];
+  }
+  const content = fs.readFileSync(filePath, 'utf8');
+  return /\.ics$/i.test(filePath) ? parseIcsHolidays(content) : parseJsonHolidays(content);
+}
+
+// --------------------------------------
+// التقويم
+// --------------------------------------
+function createWorkCalendar({ weekendDays, holidayEntries = [] } = {}) {
+  const weekend = weekendDays instanceof Set ? weekendDays : parseWeekendDays(weekendDays);
+  const fixedDates = new Set();
+  const recurring = [];  // { month, day, days }
+  const hijri = [];      // { month, day, days }
+  const expandedYears = new Map(); // year → Set من التواريخ المتكررة بعد التحويل
+
+  for (const h of holidayEntries) {
+    if (h.date || h.start) {
+      const start = parseDate(h.date || h.start);
+      const end = parseDate(h.end) || start;
+      if (!start) continue;
+      for (let d = start; d <= end; d = addDays(d, 1)) fixedDates.add(toDateKey(d));
+    } else if (h.recurring) {
+      const [month, day] = h.recurring.split('-').map(Number);
+      recurring.push({ month, day, days: Number(h.days || 1) });
+    } else if (h.hijri) {
+      const [month, day] = h.hijri.split('-').map(Number);
+      hijri.push({ month, day, days: Number(h.days || 1) });
+    }
+  }
+
+  function holidaysForYear(year) {
+    if (expandedYears.has(year)) return expandedYears.get(year);
+    const set = new Set();
+    for (const r of recurring) {
+      const start = new Date(Date.UTC(year, r.month - 1, r.day));
+      for (let i = 0; i < r.days; i++) set.add(toDateKey(addDays(start, i)));
+    }
+    // عطلة هجرية قد تبدأ نهاية السنة السابقة وتمتد لهذه السنة
+    for (const h of hijri) {
+      for (const y of [year - 1, year]) {
+        for (const start of hijriToGregorianInYear(h.month, h.day, y)) {
+          for (let i = 0; i < h.days; i++) set.add(toDateKey(addDays(start, i)));
+        }
+      }
+    }
+    expandedYears.set(year, set);
+    return set;
+  }
+
+  function isHoliday(d) {
+    const key = toDateKey(d);
+    return fixedDates.has(key) || holidaysForYear(d.getUTCFullYear()).has(key);
+  }
+
+  function isWorkingDay(d) {
+    return !weekend.has(d.getUTCDay()) && !isHoliday(d);
+  }
+
+  // عدد أيام العمل بين تاريخين (شامل الطرفين)
+  // halfDayStart/halfDayEnd: يُحسب اليوم الأول/الأخير نصف يوم إذا كان يوم عمل
+  function countWorkingDays(start, end, { halfDayStart = false, halfDayEnd = false } = {}) {
+    if (!start || !end || start > end) return 0;
+    let count = 0;
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      if (isWorkingDay(d)) count++;
+    }
+    const sameDay = start.getTime() === end.getTime();
+    if (halfDayStart && isWorkingDay(start)) count -= 0.5;
+    if (halfDayEnd && !sameDay && isWorkingDay(end)) count -= 0.5;
+    return count;
+  }
+
+  return { weekendDays: weekend, isHoliday, isWorkingDay, countWorkingDays };
+}
+
+function loadWorkCalendar() {
+  const holidaysFile = process.env.HOLIDAYS_FILE
+    ? path.resolve(process.env.HOLIDAYS_FILE)
+    : DEFAULT_HOLIDAYS_FILE;
+  return createWorkCalendar({
+    weekendDays: process.env.LEAVE_WEEKEND_DAYS,
+    holidayEntries: loadHolidayEntries(holidaysFile),
+  });
+}
+
+// --------------------------------------
+// قراءة حقول طلب الإجازة
+// --------------------------------------
+function readDateProp(prop) {
+  if (!prop || prop.type !== 'date' || !prop.date) return null;
+  return { start: parseDate(prop.date.start), end: parseDate(prop.date.end) };
+}
+
+function readCheckbox(properties, propName) {
+  const p = propName ? properties[propName] : null;
+  return !!(p && p.type === 'checkbox' && p.checkbox);
+}
+
+// يقرأ تاريخ البداية والنهاية من طلب الإجازة حسب إعدادات الحقول
+// startDate قد يكون مدى (start → end) أو تاريخاً واحداً مع حقل endDate منفصل
+function extractLeaveDates(properties, fields) {
+  const { startDate, endDate, halfDayStart, halfDayEnd } = fields.leaveRequests;
+
+  const range = readDateProp(startDate ? properties[startDate] : null);
+  if (!range || !range.start) return null;
+
+  const endProp = readDateProp(endDate ? properties[endDate] : null);
+  const start = range.start;
+  let end = (endProp && endProp.start) || range.end;
+  if (!end || end < start) end = start;
+
+  return {
+    start,
+    end,
+    halfDayStart: readCheckbox(properties, halfDayStart),
+    halfDayEnd: readCheckbox(properties, halfDayEnd),
+  };
+}
+
+// مدة الطلب بأيام العمل، مع إمكانية حصرها داخل سنة معيّنة (لو الطلب يمتد بين سنتين)
+function countLeaveDays(dates, calendar, year) {
+  if (year === undefined) return countLeaveDaysBetween(dates, calendar, null, null);
+  return countLeaveDaysBetween(dates, calendar, new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 11, 31)));
+}
+
+// أيام الطلب الواقعة ضمن فترة [from, to] فقط (سنة للرصيد، أو شهر في التقارير)
+function countLeaveDaysBetween(dates, calendar, from, to) {
+  let { start, end } = dates;
+  if (from && start < from) start = from;
+  if (to && end > to) end = to;
+  return calendar.countWorkingDays(start, end, {
+    halfDayStart: dates.halfDayStart && start.getTime() === dates.start.getTime(),
+    halfDayEnd: dates.halfDayEnd && end.getTime() === dates.end.getTime(),
+  });
+}
+
+module.exports = {
+  parseDate,
+  toDateKey,
+  addDays,
+  parseWeekendDays,
+  hijriToGregorianInYear,
+  parseIcsHolidays,
+  loadHolidayEntries,
+  createWorkCalendar,
+  loadWorkCalendar,
+  extractLeaveDates,
+  countLeaveDays,
+  countLeaveDaysBetween,
+};